@@ -0,0 +1,315 @@
+/**
+ * Mission simulator
+ * Balancing tool for designers. Plays thousands of attempts of every story
+ * mission and contract template through the real mission service (in-memory
+ * store, seeded RNG) for characters of several levels, and prints success
+ * rates and expected rewards per attempt so successRate and rewards can be
+ * tuned in the content files.
+ *
+ * Run it with --help for the options (see USAGE below). Bad options
+ * print the usage and exit with status 1.
+ *
+ * Every attempt starts from a fresh, rested character in the mission's city
+ * carrying the required items and holding the standing the mission needs,
+ * so the numbers show the mission itself rather than the state of a save.
+ * Storyline steps are one-offs and are not simulated.
+ */
+
+import { parseArgs } from 'node:util'
+import { ANY_LOCATION, SKILLS } from '../../shared/content/schema.js'
+import { CONTRACT_PREFIX, generateContract, isTemplateOffered } from '../../shared/game/contracts.js'
+import { MAX_HEAT } from '../../shared/game/heat.js'
+import { getSkillWeights, getSuccessBreakdown, meetsRequirements } from '../../shared/game/missions.js'
+import {
+  MAX_LEVEL,
+  MAX_SKILL_LEVEL,
+  getSkillPointsForLevel,
+  getSkillUpgradeCost,
+  getXpForLevel
+} from '../../shared/game/progression.js'
+import { catalog } from '../src/content/catalog.js'
+import { createServices } from '../src/services/index.js'
+import { createMemoryStore } from '../src/storage/memoryStore.js'
+import { createSeededRandom } from '../src/utils/random.js'
+
+const USER_ID = 'simulator'
+const BOARD_TTL_MS = 60 * 60 * 1000
+
+const BUILDS = ['focused', 'balanced']
+
+const USAGE = `Usage: npm run simulate -- [options]
+  --runs=1000          attempts per mission and level
+  --levels=1,5,10,20   character levels to simulate (1-${MAX_LEVEL})
+  --mission=heist-1    only this mission or contract template
+  --build=focused      focused: skill points go where the mission's odds
+                       gain the most; balanced: all skills raised evenly
+  --heat=0             heat the character starts every attempt with (0-${MAX_HEAT})
+  --items              bring every optional item along
+  --seed=1             RNG seed, for repeatable runs
+  --help               show this help`
+
+/**
+ * Prints what was wrong with the options and the usage, then exits
+ */
+const exitWithUsage = (message) => {
+  console.error(`${message}\n\n${USAGE}`)
+  process.exit(1)
+}
+
+/**
+ * Whole number from an option, or exits when it isn't one in range
+ */
+const readInteger = (name, value, min, max = Infinity) => {
+  const number = Number(value)
+  if (value.trim() === '' || !Number.isInteger(number) || number < min || number > max) {
+    const range = max === Infinity ? `of ${min} or more` : `from ${min} to ${max}`
+    exitWithUsage(`--${name} must be a whole number ${range}, got "${value}"`)
+  }
+  return number
+}
+
+/**
+ * Parses and validates the command line, printing the usage for --help
+ */
+const readOptions = () => {
+  let values
+  try {
+    values = parseArgs({
+      options: {
+        runs: { type: 'string', default: '1000' },
+        levels: { type: 'string', default: '1,5,10,20' },
+        mission: { type: 'string' },
+        build: { type: 'string', default: 'focused' },
+        heat: { type: 'string', default: '0' },
+        items: { type: 'boolean', default: false },
+        seed: { type: 'string', default: '1' },
+        help: { type: 'boolean', default: false }
+      }
+    }).values
+  } catch (error) {
+    exitWithUsage(error.message)
+  }
+
+  if (values.help) {
+    console.log(USAGE)
+    process.exit(0)
+  }
+
+  const missionIds = [...catalog.missions, ...catalog.contractTemplates].map(entry => entry.id)
+  if (values.mission !== undefined && !missionIds.includes(values.mission)) {
+    exitWithUsage(`Unknown mission "${values.mission}". Missions and contract templates: ${missionIds.join(', ')}`)
+  }
+  if (!BUILDS.includes(values.build)) {
+    exitWithUsage(`--build must be one of ${BUILDS.join(', ')}, got "${values.build}"`)
+  }
+
+  return {
+    ...values,
+    runs: readInteger('runs', values.runs, 1),
+    levels: values.levels.split(',').map(level => readInteger('levels', level, 1, MAX_LEVEL)),
+    heat: readInteger('heat', values.heat, 0, MAX_HEAT),
+    seed: readInteger('seed', values.seed, 0)
+  }
+}
+
+const options = readOptions()
+const { runs, levels, heat } = options
+
+/**
+ * Spends a level's skill points for a mission.
+ * focused: meet the requirements, then keep raising the skill that adds
+ * the most odds per point until every weighted skill is at its 2x cap.
+ * balanced: always raise the lowest skill.
+ */
+const buildSkills = (mission, level, build) => {
+  const skills = Object.fromEntries(SKILLS.map(skill => [skill, 1]))
+  let points = getSkillPointsForLevel(level)
+
+  const raise = (skill) => {
+    const cost = getSkillUpgradeCost(skills[skill])
+    if (cost > points || skills[skill] >= MAX_SKILL_LEVEL) return false
+
+    points -= cost
+    skills[skill] += 1
+    return true
+  }
+
+  if (build === 'balanced') {
+    while (raise(SKILLS.reduce((lowest, skill) => (skills[skill] < skills[lowest] ? skill : lowest)))) {
+      // keep levelling the weakest skill
+    }
+    return skills
+  }
+
+  Object.entries(mission.requirements).forEach(([skill, required]) => {
+    while (skills[skill] < required) {
+      if (!raise(skill)) break
+    }
+  })
+
+  const weights = getSkillWeights(mission)
+  for (;;) {
+    const candidates = Object.keys(weights)
+      .filter(skill => skills[skill] < mission.requirements[skill] * 2)
+      .map(skill => ({
+        skill,
+        gain: weights[skill] / mission.requirements[skill] / getSkillUpgradeCost(skills[skill])
+      }))
+      .sort((a, b) => b.gain - a.gain)
+
+    if (!candidates.length || !raise(candidates[0].skill)) break
+  }
+
+  return skills
+}
+
+/**
+ * Items the simulated character carries: the first item of every required
+ * entry, plus the optional items with --items
+ */
+const getCarriedItems = (mission) => {
+  const ids = [
+    ...(mission.items?.required || []).map(entry => entry.anyOf[0]),
+    ...(options.items ? (mission.items?.optional || []).map(entry => entry.itemId) : [])
+  ]
+
+  return ids.map(id => {
+    const { name, type } = catalog.getItem(id)
+    return { id, name, type, quantity: 1 }
+  })
+}
+
+/**
+ * Story missions and one contract per offered template, as
+ * { name, city, mission } to simulate at a level (contracts scale with it)
+ */
+const getMissionsForLevel = (level, rng) => {
+  const fallbackCity = catalog.startingLocations[0]
+
+  const story = catalog.missions.map(mission => ({
+    name: mission.id,
+    city: mission.location === ANY_LOCATION ? fallbackCity : catalog.getCity(mission.location),
+    mission
+  }))
+  const contracts = catalog.contractTemplates.map(template => {
+    const city = catalog.cities.find(c => isTemplateOffered(template, level, c.name)) || fallbackCity
+    return {
+      name: `${template.id} (contract)`,
+      template,
+      city,
+      mission: generateContract(template, { id: `${CONTRACT_PREFIX}simulated`, city, level, rng })
+    }
+  })
+
+  return [...story, ...contracts]
+    .filter(entry => !options.mission || entry.mission.id === options.mission || entry.template?.id === options.mission)
+}
+
+/**
+ * Runs every attempt of one mission at one level and returns a table row
+ */
+const simulate = async ({ store, services, base }, { name, city, mission, template }, level) => {
+  const skills = buildSkills(mission, level, options.build)
+  const levelGated = template ? !isTemplateOffered(template, level, city.name) : level < (mission.minLevel || 1)
+
+  const character = {
+    ...base,
+    level,
+    xp: getXpForLevel(level),
+    skills,
+    skillPoints: 0,
+    location: city.name,
+    reputation: { ...mission.minReputation },
+    inventory: { drugs: [], items: getCarriedItems(mission) }
+  }
+
+  if (levelGated || !meetsRequirements(character, mission)) {
+    return { mission: name, level, odds: levelGated ? 'level locked' : 'skills locked' }
+  }
+
+  const totals = { successes: 0, cash: 0, xp: 0, stamina: 0, health: 0, hospital: 0, jail: 0 }
+  let odds = 0
+
+  for (let run = 0; run < runs; run++) {
+    const now = new Date().toISOString()
+    await store.put('characters', {
+      ...character,
+      cash: 100000,
+      heat,
+      heatUpdatedAt: now,
+      vitalsUpdatedAt: now,
+      busy: null,
+      jail: null,
+      hospital: null,
+      missionCooldowns: {}
+    })
+    if (template) {
+      await store.put('contracts', {
+        id: base.id,
+        city: city.name,
+        refreshedAt: now,
+        refreshAt: new Date(Date.now() + BOARD_TTL_MS).toISOString(),
+        contracts: [mission]
+      })
+    }
+
+    const before = await services.characters.getCharacter(USER_ID, base.id)
+    odds = getSuccessBreakdown(before, mission, { items: catalog.items }).chance
+
+    const result = await services.missions.attemptMission(USER_ID, base.id, mission.id, {
+      useItems: options.items ? null : []
+    })
+    const after = result.character
+    // Level-ups refill some health and stamina; count only what the attempt cost
+    const levelUp = result.levelUp || { maxHealth: 0, maxStamina: 0 }
+
+    totals.successes += result.success ? 1 : 0
+    totals.cash += after.cash - before.cash
+    totals.xp += after.xp - before.xp
+    totals.stamina += before.stamina - after.stamina + levelUp.maxStamina
+    totals.health += before.health - after.health + levelUp.maxHealth
+    totals.hospital += result.hospital ? 1 : 0
+    totals.jail += result.jail ? 1 : 0
+  }
+
+  const percent = (count) => `${Math.round((count / runs) * 100)}%`
+  const average = (total) => Math.round(total / runs)
+
+  return {
+    mission: name,
+    level,
+    odds: `${Math.round(odds * 100)}%`,
+    success: percent(totals.successes),
+    '$/attempt': average(totals.cash),
+    'xp/attempt': average(totals.xp),
+    '$/stamina': totals.stamina > 0 ? Math.round(totals.cash / totals.stamina) : '-',
+    'hp lost': average(totals.health),
+    hospital: percent(totals.hospital),
+    arrested: percent(totals.jail)
+  }
+}
+
+const main = async () => {
+  const rng = createSeededRandom(options.seed)
+  const store = createMemoryStore()
+  const services = createServices(store, { rng })
+  const base = await services.characters.createCharacter(USER_ID, {
+    name: 'Simulator',
+    startingLocation: catalog.startingLocations[0].name
+  })
+
+  const rows = []
+  for (const level of levels) {
+    for (const entry of getMissionsForLevel(level, rng)) {
+      rows.push(await simulate({ store, services, base }, entry, level))
+    }
+  }
+
+  console.log(`${runs} attempts per row, ${options.build} build, heat ${heat}, seed ${options.seed}${options.items ? ', optional items' : ''}`)
+  console.table(rows)
+}
+
+main().catch(error => {
+  console.error(error)
+  process.exit(1)
+})
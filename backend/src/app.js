@@ -0,0 +1,63 @@
+/**
+ * Express application for the Narco Life RPG game API
+ * Builds the app around an injected store so the same wiring runs against
+ * the in-memory store, the file store, or (later) DynamoDB.
+ *
+ * All game routes live under /api and require a user identity.
+ */
+
+import cors from 'cors'
+import express from 'express'
+import { requireUser } from './middleware/auth.js'
+import { errorHandler, notFoundHandler } from './middleware/errorHandler.js'
+import { createChainRouter } from './routes/chains.js'
+import { createCharacterRouter } from './routes/characters.js'
+import { createHospitalRouter } from './routes/hospital.js'
+import { createInventoryRouter } from './routes/inventory.js'
+import { createJailRouter } from './routes/jail.js'
+import { createMarketRouter } from './routes/market.js'
+import { createMissionRouter } from './routes/missions.js'
+import { createNpcRouter } from './routes/npcs.js'
+import { createSkillRouter } from './routes/skills.js'
+import { createStashRouter } from './routes/stash.js'
+import { createTradeRouter } from './routes/trades.js'
+import { createTravelRouter } from './routes/travel.js'
+import { createServices } from './services/index.js'
+
+/**
+ * Creates the Express app
+ * Returns both the app and its services (handy for scripts and tooling)
+ */
+export const createApp = ({ store }) => {
+  const services = createServices(store)
+  const app = express()
+
+  app.use(cors())
+  app.use(express.json())
+
+  // Unauthenticated health check for load balancers / Amplify
+  app.get('/api/health', (req, res) => {
+    res.json({ status: 'ok' })
+  })
+
+  const api = express.Router()
+  api.use(requireUser)
+  api.use('/characters', createCharacterRouter(services))
+  api.use('/characters/:characterId/missions', createMissionRouter(services))
+  api.use('/characters/:characterId/chains', createChainRouter(services))
+  api.use('/characters/:characterId/market', createMarketRouter(services))
+  api.use('/characters/:characterId/npcs', createNpcRouter(services))
+  api.use('/characters/:characterId/trades', createTradeRouter(services))
+  api.use('/characters/:characterId/travel', createTravelRouter(services))
+  api.use('/characters/:characterId/inventory', createInventoryRouter(services))
+  api.use('/characters/:characterId/skills', createSkillRouter(services))
+  api.use('/characters/:characterId/stash', createStashRouter(services))
+  api.use('/characters/:characterId/hospital', createHospitalRouter(services))
+  api.use('/characters/:characterId/jail', createJailRouter(services))
+
+  app.use('/api', api)
+  app.use(notFoundHandler)
+  app.use(errorHandler)
+
+  return { app, services }
+}
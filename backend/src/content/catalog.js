@@ -0,0 +1,32 @@
+/**
+ * Backend content catalog
+ * Reads the shared JSON content files from disk and builds the validated
+ * catalog once at startup. Broken content stops the server from booting.
+ */
+
+import { readFileSync } from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { buildCatalog } from '../../../shared/content/loader.js'
+
+const contentDir = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../../../shared/content/data'
+)
+
+/**
+ * Reads and parses one content file
+ */
+const readContent = (name) => {
+  return JSON.parse(readFileSync(path.join(contentDir, `${name}.json`), 'utf8'))
+}
+
+export const catalog = buildCatalog({
+  items: readContent('items'),
+  cities: readContent('cities'),
+  factions: readContent('factions'),
+  npcs: readContent('npcs'),
+  missions: readContent('missions'),
+  contracts: readContent('contracts'),
+  chains: readContent('chains')
+})
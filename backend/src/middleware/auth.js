@@ -0,0 +1,24 @@
+/**
+ * Authentication middleware
+ * Resolves the calling player from the X-User-Id header sent by the frontend.
+ *
+ * Note: placeholder for AWS Cognito - the frontend currently uses mock auth,
+ * so the username is trusted as-is. Swap this for JWT verification once
+ * Cognito is wired up.
+ */
+
+import { unauthorized } from '../utils/errors.js'
+
+/**
+ * Requires a user identity on the request and exposes it as req.userId
+ */
+export const requireUser = (req, res, next) => {
+  const userId = req.get('x-user-id')
+
+  if (!userId) {
+    return next(unauthorized('Missing user identity'))
+  }
+
+  req.userId = userId
+  next()
+}
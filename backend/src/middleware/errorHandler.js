@@ -0,0 +1,42 @@
+/**
+ * Error handling middleware
+ * Converts thrown errors into the API's JSON error shape:
+ * { error: { code, message } }
+ */
+
+import { badRequest } from '../utils/errors.js'
+
+/**
+ * Responds to requests that did not match any route
+ */
+export const notFoundHandler = (req, res) => {
+  res.status(404).json({
+    error: {
+      code: 'ROUTE_NOT_FOUND',
+      message: `Route ${req.method} ${req.originalUrl} not found`
+    }
+  })
+}
+
+/**
+ * Final error handler - known ApiErrors keep their status and message,
+ * malformed JSON bodies become a BAD_REQUEST, anything else is logged and
+ * reported as a generic 500.
+ * `next` is unused but must stay: Express only treats middleware declared
+ * with four arguments as an error handler.
+ */
+export const errorHandler = (thrown, req, res, next) => {
+  const err = thrown.type === 'entity.parse.failed' ? badRequest('Request body is not valid JSON') : thrown
+  const status = err.status || err.statusCode || 500
+
+  if (status >= 500) {
+    console.error('Unhandled API error:', err)
+  }
+
+  res.status(status).json({
+    error: {
+      code: err.code || 'INTERNAL_ERROR',
+      message: status >= 500 ? 'Internal server error' : err.message
+    }
+  })
+}
@@ -0,0 +1,22 @@
+/**
+ * Chain routes
+ * GET  /api/characters/:characterId/chains                  - storylines and the character's progress
+ * POST /api/characters/:characterId/chains/:chainId/advance - complete the current choice or objective step
+ */
+
+import { Router } from 'express'
+
+export const createChainRouter = ({ chains }) => {
+  const router = Router({ mergeParams: true })
+
+  router.get('/', async (req, res) => {
+    res.json({ chains: await chains.listChains(req.userId, req.params.characterId) })
+  })
+
+  router.post('/:chainId/advance', async (req, res) => {
+    const { characterId, chainId } = req.params
+    res.json(await chains.advanceStep(req.userId, characterId, chainId, req.body))
+  })
+
+  return router
+}
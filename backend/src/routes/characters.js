@@ -0,0 +1,38 @@
+/**
+ * Character routes
+ * GET    /api/characters                        - list the player's characters
+ * POST   /api/characters                        - create a character
+ * GET    /api/characters/:characterId           - load one character
+ * DELETE /api/characters/:characterId           - delete a character
+ * GET    /api/characters/:characterId/activity  - recent activity log
+ */
+
+import { Router } from 'express'
+
+export const createCharacterRouter = ({ characters }) => {
+  const router = Router()
+
+  router.get('/', async (req, res) => {
+    res.json({ characters: await characters.listCharacters(req.userId) })
+  })
+
+  router.post('/', async (req, res) => {
+    const character = await characters.createCharacter(req.userId, req.body)
+    res.status(201).json({ character })
+  })
+
+  router.get('/:characterId', async (req, res) => {
+    res.json({ character: await characters.getCharacter(req.userId, req.params.characterId) })
+  })
+
+  router.delete('/:characterId', async (req, res) => {
+    await characters.deleteCharacter(req.userId, req.params.characterId)
+    res.status(204).end()
+  })
+
+  router.get('/:characterId/activity', async (req, res) => {
+    res.json({ activity: await characters.listActivity(req.userId, req.params.characterId) })
+  })
+
+  return router
+}
@@ -0,0 +1,16 @@
+/**
+ * Hospital routes
+ * POST /api/characters/:characterId/hospital/release - pay for early release
+ */
+
+import { Router } from 'express'
+
+export const createHospitalRouter = ({ hospital }) => {
+  const router = Router({ mergeParams: true })
+
+  router.post('/release', async (req, res) => {
+    res.json(await hospital.payForRelease(req.userId, req.params.characterId))
+  })
+
+  return router
+}
@@ -0,0 +1,35 @@
+/**
+ * Inventory routes
+ * POST /api/characters/:characterId/inventory/:itemId/use     - use one consumable
+ * POST /api/characters/:characterId/inventory/:itemId/drop    - drop { quantity } items
+ * POST /api/characters/:characterId/inventory/:itemId/equip   - equip a weapon or armor into its slot
+ * POST /api/characters/:characterId/inventory/:itemId/unequip - take an item out of the loadout
+ */
+
+import { Router } from 'express'
+
+export const createInventoryRouter = ({ inventory }) => {
+  const router = Router({ mergeParams: true })
+
+  router.post('/:itemId/use', async (req, res) => {
+    const { characterId, itemId } = req.params
+    res.json(await inventory.useItem(req.userId, characterId, itemId))
+  })
+
+  router.post('/:itemId/drop', async (req, res) => {
+    const { characterId, itemId } = req.params
+    res.json(await inventory.dropItem(req.userId, characterId, itemId, req.body?.quantity))
+  })
+
+  router.post('/:itemId/equip', async (req, res) => {
+    const { characterId, itemId } = req.params
+    res.json(await inventory.equipItem(req.userId, characterId, itemId))
+  })
+
+  router.post('/:itemId/unequip', async (req, res) => {
+    const { characterId, itemId } = req.params
+    res.json(await inventory.unequipItem(req.userId, characterId, itemId))
+  })
+
+  return router
+}
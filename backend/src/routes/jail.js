@@ -0,0 +1,26 @@
+/**
+ * Jail routes
+ * POST /api/characters/:characterId/jail/bail      - post bail and walk out
+ * POST /api/characters/:characterId/jail/time      - do time for a shorter sentence and less heat
+ * POST /api/characters/:characterId/jail/jailbreak - try to break out
+ */
+
+import { Router } from 'express'
+
+export const createJailRouter = ({ jail }) => {
+  const router = Router({ mergeParams: true })
+
+  router.post('/bail', async (req, res) => {
+    res.json(await jail.postBail(req.userId, req.params.characterId))
+  })
+
+  router.post('/time', async (req, res) => {
+    res.json(await jail.serveTime(req.userId, req.params.characterId))
+  })
+
+  router.post('/jailbreak', async (req, res) => {
+    res.json(await jail.jailbreak(req.userId, req.params.characterId))
+  })
+
+  return router
+}
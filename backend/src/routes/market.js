@@ -0,0 +1,16 @@
+/**
+ * Market routes
+ * GET /api/characters/:characterId/market - prices, trends and history in the character's city
+ */
+
+import { Router } from 'express'
+
+export const createMarketRouter = ({ market }) => {
+  const router = Router({ mergeParams: true })
+
+  router.get('/', async (req, res) => {
+    res.json({ market: await market.getMarketForCharacter(req.userId, req.params.characterId) })
+  })
+
+  return router
+}
@@ -0,0 +1,22 @@
+/**
+ * Mission routes
+ * GET  /api/characters/:characterId/missions            - story missions and contracts available to the character
+ * POST /api/characters/:characterId/missions/:missionId - attempt a mission (resolved server-side), body: { useItems? }
+ */
+
+import { Router } from 'express'
+
+export const createMissionRouter = ({ missions }) => {
+  const router = Router({ mergeParams: true })
+
+  router.get('/', async (req, res) => {
+    res.json(await missions.listAvailableMissions(req.userId, req.params.characterId))
+  })
+
+  router.post('/:missionId', async (req, res) => {
+    const { characterId, missionId } = req.params
+    res.json(await missions.attemptMission(req.userId, characterId, missionId, req.body))
+  })
+
+  return router
+}
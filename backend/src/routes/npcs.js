@@ -0,0 +1,16 @@
+/**
+ * NPC routes
+ * GET /api/characters/:characterId/npcs - stock, cash and restock times of contacts in the character's city
+ */
+
+import { Router } from 'express'
+
+export const createNpcRouter = ({ npcs }) => {
+  const router = Router({ mergeParams: true })
+
+  router.get('/', async (req, res) => {
+    res.json({ npcs: await npcs.getNpcsForCharacter(req.userId, req.params.characterId) })
+  })
+
+  return router
+}
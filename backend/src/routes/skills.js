@@ -0,0 +1,34 @@
+/**
+ * Skill routes
+ * POST /api/characters/:characterId/skills/:skill/upgrade                   - spend skill points on a skill
+ * POST /api/characters/:characterId/skills/perks/:perkId                    - unlock a perk
+ * POST /api/characters/:characterId/skills/specialization/:specializationId - choose a specialization
+ * POST /api/characters/:characterId/skills/respec                           - reset skills and perks for cash
+ */
+
+import { Router } from 'express'
+
+export const createSkillRouter = ({ skills }) => {
+  const router = Router({ mergeParams: true })
+
+  router.post('/perks/:perkId', async (req, res) => {
+    const { characterId, perkId } = req.params
+    res.json(await skills.unlockPerk(req.userId, characterId, perkId))
+  })
+
+  router.post('/specialization/:specializationId', async (req, res) => {
+    const { characterId, specializationId } = req.params
+    res.json(await skills.chooseSpecialization(req.userId, characterId, specializationId))
+  })
+
+  router.post('/respec', async (req, res) => {
+    res.json(await skills.respec(req.userId, req.params.characterId))
+  })
+
+  router.post('/:skill/upgrade', async (req, res) => {
+    const { characterId, skill } = req.params
+    res.json(await skills.upgradeSkill(req.userId, characterId, skill))
+  })
+
+  return router
+}
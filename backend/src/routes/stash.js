@@ -0,0 +1,31 @@
+/**
+ * Stash routes
+ * POST /api/characters/:characterId/stash/buy      - buy a stash house in the current city
+ * POST /api/characters/:characterId/stash/upgrade  - upgrade the local stash one level
+ * POST /api/characters/:characterId/stash/deposit  - store { itemId, quantity } or { cash } in the local stash
+ * POST /api/characters/:characterId/stash/withdraw - take { itemId, quantity } or { cash } out of the local stash
+ */
+
+import { Router } from 'express'
+
+export const createStashRouter = ({ stash }) => {
+  const router = Router({ mergeParams: true })
+
+  router.post('/buy', async (req, res) => {
+    res.json(await stash.buyStash(req.userId, req.params.characterId))
+  })
+
+  router.post('/upgrade', async (req, res) => {
+    res.json(await stash.upgradeStash(req.userId, req.params.characterId))
+  })
+
+  router.post('/deposit', async (req, res) => {
+    res.json(await stash.deposit(req.userId, req.params.characterId, req.body))
+  })
+
+  router.post('/withdraw', async (req, res) => {
+    res.json(await stash.withdraw(req.userId, req.params.characterId, req.body))
+  })
+
+  return router
+}
@@ -0,0 +1,16 @@
+/**
+ * Trade routes
+ * POST /api/characters/:characterId/trades - buy from or sell to an NPC
+ */
+
+import { Router } from 'express'
+
+export const createTradeRouter = ({ trades }) => {
+  const router = Router({ mergeParams: true })
+
+  router.post('/', async (req, res) => {
+    res.json(await trades.executeTrade(req.userId, req.params.characterId, req.body))
+  })
+
+  return router
+}
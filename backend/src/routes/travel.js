@@ -0,0 +1,16 @@
+/**
+ * Travel routes
+ * POST /api/characters/:characterId/travel - travel to another city
+ */
+
+import { Router } from 'express'
+
+export const createTravelRouter = ({ travel }) => {
+  const router = Router({ mergeParams: true })
+
+  router.post('/', async (req, res) => {
+    res.json(await travel.travel(req.userId, req.params.characterId, req.body))
+  })
+
+  return router
+}
@@ -0,0 +1,26 @@
+/**
+ * Game API server entry point
+ *
+ * Environment:
+ * - PORT            HTTP port (default 4000)
+ * - STORAGE_DRIVER  "memory" (default) or "file"
+ * - DATA_FILE       JSON file for the file driver (default ./data/db.json)
+ */
+
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { createApp } from './app.js'
+import { createStore } from './storage/index.js'
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..')
+
+const port = Number(process.env.PORT) || 4000
+const driver = process.env.STORAGE_DRIVER || 'memory'
+const filePath = path.resolve(rootDir, process.env.DATA_FILE || 'data/db.json')
+
+const store = createStore({ driver, filePath })
+const { app } = createApp({ store })
+
+app.listen(port, () => {
+  console.log(`Narco Life RPG API listening on http://localhost:${port} (storage: ${driver})`)
+})
@@ -0,0 +1,200 @@
+/**
+ * Chain Service
+ * Progress through multi-step mission chains (see shared chain rules).
+ * Choice and objective steps are advanced here; mission steps are listed
+ * and resolved by the mission service, which hands successful attempts
+ * back through completeMissionStep. Finishing a chain pays it out.
+ */
+
+import {
+  advanceChain,
+  applyChainPayout,
+  describePrerequisite,
+  getChainMissionId,
+  getChainState,
+  getCurrentStep,
+  getMissingPrerequisites,
+  hasFlags,
+  isChainComplete,
+  isChainUnlocked,
+  parseChainMissionId,
+  toChainMission
+} from '../../../shared/game/chains.js'
+import { catalog } from '../content/catalog.js'
+import { badRequest, notFound } from '../utils/errors.js'
+import { assertNotBusy, assertNotHospitalized, assertNotJailed } from '../utils/guards.js'
+import { requireString } from '../utils/validation.js'
+
+/**
+ * Unmet prerequisites of a step as readable strings
+ */
+const describeMissing = (character, step) => {
+  return getMissingPrerequisites(character, step).map(prerequisite => describePrerequisite(prerequisite, catalog.items))
+}
+
+export const createChainService = ({ characters }) => {
+  /**
+   * Client view of a chain and the character's progress through it
+   */
+  const toChainView = (character, chain) => {
+    const state = getChainState(character, chain)
+    const step = getCurrentStep(character, chain)
+    const stepsById = Object.fromEntries(chain.steps.map(s => [s.id, s]))
+
+    let status = 'locked'
+    if (isChainComplete(character, chain)) status = 'completed'
+    else if (isChainUnlocked(character, chain)) status = 'active'
+
+    return {
+      id: chain.id,
+      title: chain.title,
+      icon: chain.icon,
+      description: chain.description,
+      minLevel: chain.minLevel || 1,
+      payout: chain.payout,
+      status,
+      history: (state?.history || []).map(stepId => ({
+        id: stepId,
+        title: stepsById[stepId].title,
+        choice: stepsById[stepId].options?.find(option => option.id === state.choices[stepId])?.label || null
+      })),
+      currentStep: step && {
+        id: step.id,
+        type: step.type,
+        title: step.title,
+        description: step.description,
+        location: step.location || null,
+        missionId: step.type === 'mission' ? getChainMissionId(chain, step) : null,
+        options: step.options || null,
+        missing: describeMissing(character, step)
+      }
+    }
+  }
+
+  /**
+   * Lists every chain the character can see. Chains gated on story flags
+   * stay hidden until the flags are earned.
+   */
+  const listChains = async (userId, characterId) => {
+    const character = await characters.getCharacter(userId, characterId)
+
+    return catalog.chains
+      .filter(chain => getChainState(character, chain) || hasFlags(character, chain.requiresFlags))
+      .map(chain => toChainView(character, chain))
+  }
+
+  /**
+   * Current mission steps of the character's active chains, mission-shaped
+   */
+  const getMissionSteps = (character) => {
+    return catalog.chains
+      .map(chain => ({ chain, step: getCurrentStep(character, chain) }))
+      .filter(({ step }) => step?.type === 'mission')
+      .map(({ chain, step }) => ({
+        ...toChainMission(chain, step),
+        missingPrerequisites: describeMissing(character, step)
+      }))
+  }
+
+  /**
+   * Resolves a chain mission id to its mission-shaped step, or null when
+   * it isn't the character's current step
+   */
+  const findMissionStep = (character, missionId) => {
+    const ids = parseChainMissionId(missionId)
+    const chain = ids && catalog.getChain(ids.chainId)
+    const step = chain && getCurrentStep(character, chain)
+    if (!step || step.id !== ids.stepId || step.type !== 'mission') return null
+
+    return { ...toChainMission(chain, step), missingPrerequisites: describeMissing(character, step) }
+  }
+
+  /**
+   * Moves a chain past the given step and pays it out when it ends.
+   * Returns the updated character, a message suffix and any level-up.
+   */
+  const completeStep = async (character, chain, step, option = null) => {
+    const advanced = advanceChain(character, chain, step, { option })
+    let updated = advanced.character
+    let levelUp = null
+    let message = `📜 ${chain.title}: ${step.title} done.`
+
+    if (advanced.finished) {
+      const paid = applyChainPayout(updated, chain)
+      updated = paid.character
+      levelUp = paid.levelUp
+      message = `📜 ${chain.title} complete! Bonus $${chain.payout.cash.toLocaleString()} and ${chain.payout.xp} XP.`
+      await characters.logActivity(character.id, 'chain_completed', `Completed storyline: ${chain.title}`)
+
+      if (levelUp) {
+        await characters.logActivity(character.id, 'level_up', `Reached level ${levelUp.level}`)
+      }
+    }
+
+    return { character: updated, message, levelUp }
+  }
+
+  /**
+   * Advances a chain after its mission step was completed
+   */
+  const completeMissionStep = async (character, mission) => {
+    const chain = catalog.getChain(mission.chain.id)
+    const step = chain.steps.find(s => s.id === mission.chain.stepId)
+    return completeStep(character, chain, step)
+  }
+
+  /**
+   * Completes the current choice or objective step of a chain
+   */
+  const advanceStep = async (userId, characterId, chainId, payload = {}) => {
+    const chain = catalog.getChain(chainId)
+    if (!chain) {
+      throw notFound('Storyline not found')
+    }
+
+    let character = await characters.getCharacter(userId, characterId)
+    assertNotHospitalized(character)
+    assertNotJailed(character)
+    assertNotBusy(character)
+
+    const step = getCurrentStep(character, chain)
+    if (!step) {
+      throw badRequest(isChainComplete(character, chain) ? 'Storyline already completed' : 'Storyline is locked')
+    }
+    if (step.type === 'mission') {
+      throw badRequest('Attempt this step from the mission board')
+    }
+
+    const missing = describeMissing(character, step)
+    if (missing.length > 0) {
+      throw badRequest(`You still need: ${missing.join(', ')}`, 'PREREQUISITES_NOT_MET')
+    }
+
+    let option = null
+    if (step.type === 'choice') {
+      const optionId = requireString(payload.optionId, 'optionId')
+      option = step.options.find(o => o.id === optionId)
+      if (!option) {
+        throw badRequest('Unknown choice')
+      }
+
+      const cost = option.cost?.cash || 0
+      if (character.cash < cost) {
+        throw badRequest(`You need $${cost.toLocaleString()} for that`)
+      }
+      character = { ...character, cash: character.cash - cost }
+    }
+
+    const result = await completeStep(character, chain, step, option)
+    const saved = await characters.saveCharacter(result.character)
+
+    return {
+      character: saved,
+      message: option ? `You chose: ${option.label}. ${result.message}` : result.message,
+      levelUp: result.levelUp,
+      chain: toChainView(saved, chain)
+    }
+  }
+
+  return { listChains, getMissionSteps, findMissionStep, completeMissionStep, advanceStep }
+}
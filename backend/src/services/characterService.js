@@ -0,0 +1,206 @@
+/**
+ * Character Service
+ * Owns the character roster and activity log for each player
+ *
+ * Tables:
+ * - characters: one item per character, owned by userId
+ * - activity:   one item per character ({ id: characterId, entries: [] })
+ *
+ * Characters are brought up to date as they are loaded, so every service
+ * works with the current state:
+ * - expired status effects run out, with their side effects
+ * - gear no longer carried leaves the loadout and vehicles are matched to
+ *   where they are parked
+ * - progression fields are normalized
+ * - health/stamina regeneration and heat decay since the last save apply
+ * - finished hospital stays and jail sentences end
+ *
+ * Saving records any heat gained for later stash raids.
+ */
+
+import { randomUUID } from 'node:crypto'
+import {
+  STARTING_SKILL_POINTS,
+  getMaxHealth,
+  getMaxStamina,
+  normalizeProgression
+} from '../../../shared/game/progression.js'
+import { resolveEffects } from '../../../shared/game/effects.js'
+import { EMPTY_LOADOUT, unequipMissing } from '../../../shared/game/equipment.js'
+import { applyHeatDecay } from '../../../shared/game/heat.js'
+import { dischargeIfRecovered } from '../../../shared/game/hospital.js'
+import { releaseIfServed } from '../../../shared/game/jail.js'
+import { applyRegeneration } from '../../../shared/game/regeneration.js'
+import { recordStashHeat } from '../../../shared/game/stash.js'
+import { parkVehicles } from '../../../shared/game/vehicles.js'
+import { catalog } from '../content/catalog.js'
+import { badRequest, conflict, notFound } from '../utils/errors.js'
+
+export const MAX_CHARACTERS = 3
+const MAX_ACTIVITY_ENTRIES = 50
+
+/**
+ * Turns a stored character into its current state
+ */
+const loadCharacter = (stored) => {
+  const current = applyHeatDecay(applyRegeneration(normalizeProgression(parkVehicles(unequipMissing(resolveEffects(stored))))))
+  return releaseIfServed(dischargeIfRecovered(current))
+}
+
+export const createCharacterService = (store) => {
+  /**
+   * Lists all characters belonging to a user, oldest first
+   */
+  const listCharacters = async (userId) => {
+    const characters = await store.query('characters', c => c.userId === userId)
+    return characters
+      .map(loadCharacter)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+  }
+
+  /**
+   * Loads a character and verifies it belongs to the user
+   */
+  const getCharacter = async (userId, characterId) => {
+    const character = await store.get('characters', characterId)
+    if (!character || character.userId !== userId) {
+      throw notFound('Character not found')
+    }
+    return loadCharacter(character)
+  }
+
+  /**
+   * Persists a character after an action has been applied, recording any
+   * heat gained for later stash raids
+   */
+  const saveCharacter = async (character) => {
+    return store.put('characters', {
+      ...recordStashHeat(character),
+      updatedAt: new Date().toISOString()
+    })
+  }
+
+  /**
+   * Creates a new character with starting stats
+   * Enforces the name rules and the per-account character limit
+   */
+  const createCharacter = async (userId, { name, startingLocation } = {}) => {
+    const trimmedName = typeof name === 'string' ? name.trim() : ''
+
+    if (!trimmedName) {
+      throw badRequest('Character name is required')
+    }
+    if (trimmedName.length < 3 || trimmedName.length > 20) {
+      throw badRequest('Character name must be between 3 and 20 characters')
+    }
+    if (!catalog.startingLocations.some(city => city.name === startingLocation)) {
+      throw badRequest('Invalid starting location')
+    }
+
+    const existing = await listCharacters(userId)
+    if (existing.length >= MAX_CHARACTERS) {
+      throw conflict(`Maximum of ${MAX_CHARACTERS} characters allowed per account`)
+    }
+    if (existing.some(c => c.name.toLowerCase() === trimmedName.toLowerCase())) {
+      throw conflict('A character with this name already exists')
+    }
+
+    const now = new Date().toISOString()
+    const character = {
+      id: randomUUID(),
+      userId,
+      name: trimmedName,
+      location: startingLocation,
+      level: 1,
+      xp: 0, // Lifetime XP - only ever goes up
+      skillPoints: STARTING_SKILL_POINTS,
+      cash: 1000, // Starting cash
+      health: getMaxHealth(1),
+      maxHealth: getMaxHealth(1),
+      stamina: getMaxStamina(1),
+      maxStamina: getMaxStamina(1),
+      skills: {
+        strength: 1,
+        intelligence: 1,
+        endurance: 1,
+        shooting: 1
+      },
+      perks: [], // Unlocked perk ids
+      specialization: null, // Specialization id, one at a time
+      effects: [], // Active status effects: { id, stacks, expiresAt }
+      inventory: {
+        items: [],
+        drugs: []
+      },
+      equipment: { ...EMPTY_LOADOUT }, // Slot -> equipped item id
+      stashes: [], // Stash houses: { city, level, cash, items, checkedAt }
+      vehicles: [], // Where each vehicle owned is parked: { id, city }
+      completedMissions: [],
+      missionCooldowns: {}, // Story mission id -> when it can be replayed
+      chains: {}, // Storyline progress by chain id
+      storyFlags: [],
+      reputation: {}, // Faction id -> standing, missing factions are neutral
+      vitalsUpdatedAt: now,
+      heat: 0,
+      heatUpdatedAt: now,
+      heatHistory: [], // Heat recorded for stash raids: { at, heat }
+      hospital: null,
+      jail: null,
+      busy: null, // Timed mission in progress: { activity, until }
+      createdAt: now,
+      updatedAt: now
+    }
+
+    await store.put('characters', character)
+    await logActivity(character.id, 'character_created', 'Character created')
+    await logActivity(character.id, 'location_arrived', `Arrived in ${character.location}`)
+
+    return character
+  }
+
+  /**
+   * Deletes a character and all of its activity
+   */
+  const deleteCharacter = async (userId, characterId) => {
+    await getCharacter(userId, characterId)
+    await store.remove('characters', characterId)
+    await store.remove('activity', characterId)
+  }
+
+  /**
+   * Appends an entry to the character's activity log (newest first)
+   */
+  const logActivity = async (characterId, type, message) => {
+    const log = (await store.get('activity', characterId)) || { id: characterId, entries: [] }
+    const entry = {
+      id: randomUUID(),
+      type,
+      message,
+      timestamp: new Date().toISOString()
+    }
+
+    log.entries = [entry, ...log.entries].slice(0, MAX_ACTIVITY_ENTRIES)
+    await store.put('activity', log)
+
+    return entry
+  }
+
+  /**
+   * Returns the character's activity log
+   */
+  const listActivity = async (userId, characterId) => {
+    await getCharacter(userId, characterId)
+    const log = await store.get('activity', characterId)
+    return log ? log.entries : []
+  }
+
+  return {
+    listCharacters,
+    getCharacter,
+    saveCharacter,
+    createCharacter,
+    deleteCharacter,
+    logActivity,
+    listActivity
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * Hospital Service
+ * Lets a downed character pay to check out before recovery ends.
+ * Admission itself happens wherever health can reach 0 (see shared
+ * hospital rules); discharge after the recovery period happens on load.
+ */
+
+import {
+  getEarlyReleaseCost,
+  isHospitalized,
+  releaseFromHospital
+} from '../../../shared/game/hospital.js'
+import { badRequest } from '../utils/errors.js'
+
+export const createHospitalService = ({ characters }) => {
+  /**
+   * Pays the early release fee and returns the released character
+   */
+  const payForRelease = async (userId, characterId) => {
+    const character = await characters.getCharacter(userId, characterId)
+
+    if (!isHospitalized(character)) {
+      throw badRequest('You are not in hospital')
+    }
+
+    const cost = getEarlyReleaseCost(character)
+    if (character.cash < cost) {
+      throw badRequest(`Early release costs $${cost.toLocaleString()}`)
+    }
+
+    const saved = await characters.saveCharacter(releaseFromHospital({
+      ...character,
+      cash: character.cash - cost
+    }))
+
+    const message = `Paid $${cost.toLocaleString()} for early release from hospital`
+    await characters.logActivity(characterId, 'hospital_released', message)
+
+    return { character: saved, message }
+  }
+
+  return { payForRelease }
+}
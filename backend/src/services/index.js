@@ -0,0 +1,44 @@
+/**
+ * Service container
+ * Wires every game service to the shared store. Services depend on the
+ * character service for loading, saving and activity logging; trading also
+ * depends on the market simulation and NPC stock, and missions on storyline
+ * progress. Tooling can pass { rng } to replace the secure random source,
+ * e.g. with a seeded generator.
+ */
+
+import { createChainService } from './chainService.js'
+import { createCharacterService } from './characterService.js'
+import { createHospitalService } from './hospitalService.js'
+import { createInventoryService } from './inventoryService.js'
+import { createJailService } from './jailService.js'
+import { createMarketService } from './marketService.js'
+import { createMissionService } from './missionService.js'
+import { createNpcService } from './npcService.js'
+import { createSkillService } from './skillService.js'
+import { createStashService } from './stashService.js'
+import { createTradeService } from './tradeService.js'
+import { createTravelService } from './travelService.js'
+
+export const createServices = (store, { rng } = {}) => {
+  const characters = createCharacterService(store)
+  const deps = { store, characters, rng }
+  const market = createMarketService(deps)
+  const npcs = createNpcService(deps)
+  const chains = createChainService(deps)
+
+  return {
+    characters,
+    market,
+    npcs,
+    chains,
+    missions: createMissionService({ ...deps, chains }),
+    trades: createTradeService({ ...deps, market, npcs }),
+    travel: createTravelService(deps),
+    inventory: createInventoryService(deps),
+    skills: createSkillService(deps),
+    stash: createStashService(deps),
+    hospital: createHospitalService(deps),
+    jail: createJailService(deps)
+  }
+}
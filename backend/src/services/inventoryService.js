@@ -0,0 +1,144 @@
+/**
+ * Inventory Service
+ * Uses consumables, equips gear into the loadout and drops items from a
+ * character's inventory
+ *
+ * A consumable's catalog `use` says what it does: health and stamina
+ * restored and a status effect applied (see status effect rules).
+ * Inventory is locked while the character is in hospital or jail. A
+ * vehicle can only be dropped in the city it is parked in.
+ */
+
+import { applyEffect, getStatusEffect } from '../../../shared/game/effects.js'
+import { equipItem as applyEquip, unequipItem as applyUnequip, unequipMissing } from '../../../shared/game/equipment.js'
+import { getParkedCount, unparkVehicles } from '../../../shared/game/vehicles.js'
+import { catalog } from '../content/catalog.js'
+import { badRequest } from '../utils/errors.js'
+import { assertNotHospitalized, assertNotJailed } from '../utils/guards.js'
+import { getItemQuantity, removeItem } from '../utils/inventory.js'
+import { requirePositiveInteger } from '../utils/validation.js'
+
+export const createInventoryService = ({ characters }) => {
+  /**
+   * Loads a character who is free to handle their inventory
+   */
+  const getAvailableCharacter = async (userId, characterId) => {
+    const character = await characters.getCharacter(userId, characterId)
+    assertNotHospitalized(character)
+    assertNotJailed(character)
+    return character
+  }
+
+  /**
+   * Finds an inventory entry or throws if the character does not own it
+   */
+  const findOwnedItem = (character, itemId) => {
+    const item = character.inventory?.items?.find(i => i.id === itemId)
+    if (!item) {
+      throw badRequest('You do not own this item')
+    }
+    return item
+  }
+
+  /**
+   * Uses one consumable and applies its effect
+   */
+  const useItem = async (userId, characterId, itemId) => {
+    let character = await getAvailableCharacter(userId, characterId)
+    const item = findOwnedItem(character, itemId)
+
+    const use = catalog.getItem(itemId)?.use
+    if (item.type !== 'consumable' || !use) {
+      throw badRequest('This item cannot be used')
+    }
+
+    const effects = []
+
+    if (use.health) {
+      const healthGain = Math.min(use.health, character.maxHealth - character.health)
+      character = { ...character, health: character.health + healthGain }
+      effects.push(`Restored ${healthGain} health`)
+    }
+    if (use.stamina) {
+      const staminaGain = Math.min(use.stamina, character.maxStamina - character.stamina)
+      character = { ...character, stamina: character.stamina + staminaGain }
+      effects.push(`Restored ${staminaGain} stamina`)
+    }
+    if (use.effect) {
+      const effect = getStatusEffect(use.effect)
+      character = applyEffect(character, effect.id)
+      effects.push(`${effect.name} for ${effect.durationMinutes} minutes`)
+    }
+
+    const effectMessage = effects.join(', ') || `Used ${item.name}`
+    character = removeItem(character, itemId, 1)
+
+    const saved = await characters.saveCharacter(character)
+    await characters.logActivity(characterId, 'item_used', `Used ${item.name}: ${effectMessage}`)
+
+    return { character: saved, message: effectMessage }
+  }
+
+  /**
+   * Drops a quantity of an item
+   */
+  const dropItem = async (userId, characterId, itemId, rawQuantity) => {
+    const quantity = requirePositiveInteger(rawQuantity, 'quantity')
+    const character = await getAvailableCharacter(userId, characterId)
+    const item = findOwnedItem(character, itemId)
+
+    if (getItemQuantity(character, itemId) < quantity) {
+      throw badRequest('Not enough items to drop')
+    }
+    if (item.type === 'vehicle' && getParkedCount(character, itemId) < quantity) {
+      throw badRequest(`You don't have ${quantity}x ${item.name} parked in ${character.location}`, 'VEHICLE_ELSEWHERE')
+    }
+
+    // Dropping the last one takes it out of the loadout too
+    const dropped = removeItem(unparkVehicles(character, itemId, quantity), itemId, quantity)
+    const saved = await characters.saveCharacter(unequipMissing(dropped))
+    const message = `Dropped ${quantity}x ${item.name}`
+    await characters.logActivity(characterId, 'item_dropped', message)
+
+    return { character: saved, message }
+  }
+
+  /**
+   * Equips a carried weapon or armor into its loadout slot
+   */
+  const equipItem = async (userId, characterId, itemId) => {
+    const character = await getAvailableCharacter(userId, characterId)
+    findOwnedItem(character, itemId)
+    const item = catalog.getItem(itemId)
+
+    if (!item?.gear) {
+      throw badRequest('This item cannot be equipped')
+    }
+
+    const saved = await characters.saveCharacter(applyEquip(character, item))
+    const message = `Equipped ${item.name} (${item.gear.slot})`
+    await characters.logActivity(characterId, 'item_equipped', message)
+
+    return { character: saved, message }
+  }
+
+  /**
+   * Takes an item out of the loadout (it stays in the inventory)
+   */
+  const unequipItem = async (userId, characterId, itemId) => {
+    const character = await getAvailableCharacter(userId, characterId)
+    const item = findOwnedItem(character, itemId)
+
+    if (!Object.values(character.equipment || {}).includes(itemId)) {
+      throw badRequest('This item is not equipped')
+    }
+
+    const saved = await characters.saveCharacter(applyUnequip(character, itemId))
+    const message = `Unequipped ${item.name}`
+    await characters.logActivity(characterId, 'item_unequipped', message)
+
+    return { character: saved, message }
+  }
+
+  return { useItem, dropItem, equipItem, unequipItem }
+}
@@ -0,0 +1,91 @@
+/**
+ * Jail Service
+ * What a jailed character can do: post bail, do time or try a jailbreak.
+ * Arrests happen wherever the police can catch the character (see shared
+ * jail rules); release after the full sentence happens on load.
+ */
+
+import {
+  DO_TIME_STAMINA,
+  JAILBREAK_STAMINA,
+  attemptJailbreak,
+  doTime,
+  isJailed,
+  releaseFromJail
+} from '../../../shared/game/jail.js'
+import { badRequest } from '../utils/errors.js'
+import { secureRandom } from '../utils/random.js'
+
+export const createJailService = ({ characters, rng = secureRandom }) => {
+  /**
+   * Loads a character that must currently be in jail
+   */
+  const getJailedCharacter = async (userId, characterId) => {
+    const character = await characters.getCharacter(userId, characterId)
+    if (!isJailed(character)) {
+      throw badRequest('You are not in jail')
+    }
+    return character
+  }
+
+  /**
+   * Pays the bail set at arrest and releases the character
+   */
+  const postBail = async (userId, characterId) => {
+    const character = await getJailedCharacter(userId, characterId)
+    const { bail } = character.jail
+
+    if (character.cash < bail) {
+      throw badRequest(`Bail is $${bail.toLocaleString()}`)
+    }
+
+    const saved = await characters.saveCharacter(releaseFromJail({
+      ...character,
+      cash: character.cash - bail
+    }))
+
+    const message = `Posted $${bail.toLocaleString()} bail and walked out of jail`
+    await characters.logActivity(characterId, 'jail_released', message)
+
+    return { character: saved, message }
+  }
+
+  /**
+   * Keeps the character's head down: shorter sentence, less heat
+   */
+  const serveTime = async (userId, characterId) => {
+    const character = await getJailedCharacter(userId, characterId)
+
+    if (character.stamina < DO_TIME_STAMINA) {
+      throw badRequest('You are too exhausted to do anything but sleep')
+    }
+
+    const saved = await characters.saveCharacter(doTime(character))
+    const message = 'You kept your head down. Your sentence is shorter and the heat is cooling off.'
+
+    return { character: saved, message }
+  }
+
+  /**
+   * Attempts to break out of jail
+   */
+  const jailbreak = async (userId, characterId) => {
+    const character = await getJailedCharacter(userId, characterId)
+
+    if (character.stamina < JAILBREAK_STAMINA) {
+      throw badRequest('You are too exhausted to attempt a jailbreak')
+    }
+
+    const { character: updated, escaped } = attemptJailbreak(character, { rng })
+    const saved = await characters.saveCharacter(updated)
+
+    const message = escaped
+      ? 'You broke out of jail! Every cop in the city is looking for you now.'
+      : 'The guards caught you. Extra time has been added to your sentence.'
+    await characters.logActivity(characterId, escaped ? 'jailbreak' : 'jailbreak_failed', message)
+
+    return { character: saved, escaped, message }
+  }
+
+  return { postBail, serveTime, jailbreak }
+}
@@ -0,0 +1,218 @@
+/**
+ * Market Service
+ * Persistent, shared price simulation for every city and item.
+ *
+ * Tables:
+ * - markets: one item per city ({ id: cityId, city, tickedAt, items })
+ *   items: { [itemId]: { price, pressure, history: [price, ...] } }
+ *
+ * Markets advance lazily: when a market is read, every tick that passed
+ * since tickedAt is simulated. On each tick a price drifts back toward its
+ * target (base price x city modifier, pushed by trade pressure) plus random
+ * noise, pressure fades, and the price is appended to the history.
+ * Player trades move the price immediately and add pressure: buying raises
+ * prices, dumping stock lowers them. Items added to the catalog after a
+ * market was stored join it at their base price the next time it loads.
+ */
+
+import {
+  MARKET_TICK_MS,
+  PRICE_HISTORY_LENGTH,
+  getTradeImpact,
+  getTrend
+} from '../../../shared/game/market.js'
+import { catalog } from '../content/catalog.js'
+import { notFound } from '../utils/errors.js'
+import { secureRandom } from '../utils/random.js'
+
+const REVERSION = 0.15
+const VOLATILITY = 0.05
+const PRESSURE_DECAY = 0.8
+const MAX_PRESSURE = 0.5
+const MIN_PRICE_FACTOR = 0.3
+const MAX_PRICE_FACTOR = 3
+
+/**
+ * Long-run price of an item in a city, before any trade pressure
+ */
+const getBasePrice = (item, city) => {
+  return item.basePrice * (city.priceModifiers?.[item.type] ?? 1)
+}
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max)
+
+const roundPrice = (price) => Math.round(price * 100) / 100
+
+/**
+ * Keeps a price inside the allowed band around its base price
+ */
+const clampPrice = (price, basePrice) => {
+  return roundPrice(clamp(price, basePrice * MIN_PRICE_FACTOR, basePrice * MAX_PRICE_FACTOR))
+}
+
+const appendHistory = (history, price) => [...history, price].slice(-PRICE_HISTORY_LENGTH)
+
+/**
+ * Untouched market entry for an item, at its base price
+ */
+const createEntry = (item, city) => {
+  const price = roundPrice(getBasePrice(item, city))
+  return { price, pressure: 0, history: [price] }
+}
+
+export const createMarketService = ({ store, characters, rng = secureRandom }) => {
+  /**
+   * Creates a fresh market for a city at base prices
+   */
+  const createMarket = (city, now) => {
+    const items = Object.fromEntries(catalog.itemList.map(item => [item.id, createEntry(item, city)]))
+
+    return { id: city.id, city: city.name, tickedAt: new Date(now).toISOString(), items }
+  }
+
+  /**
+   * Adds catalog items a stored market does not list yet (content added
+   * since it was created). Returns the same market when none are missing.
+   */
+  const addMissingItems = (market, city) => {
+    const missing = catalog.itemList.filter(item => !market.items[item.id])
+    if (missing.length === 0) return market
+
+    return {
+      ...market,
+      items: {
+        ...market.items,
+        ...Object.fromEntries(missing.map(item => [item.id, createEntry(item, city)]))
+      }
+    }
+  }
+
+  /**
+   * Simulates one tick for a single item
+   */
+  const tickItem = (entry, basePrice) => {
+    const target = basePrice * (1 + entry.pressure)
+    const noise = (rng() * 2 - 1) * VOLATILITY
+    const price = clampPrice(entry.price + (target - entry.price) * REVERSION + entry.price * noise, basePrice)
+
+    return {
+      price,
+      pressure: entry.pressure * PRESSURE_DECAY,
+      history: appendHistory(entry.history, price)
+    }
+  }
+
+  /**
+   * Advances a market by every tick elapsed since it was last simulated.
+   * Long absences only replay as many ticks as the history can show.
+   */
+  const advanceMarket = (market, city, now) => {
+    const elapsed = Math.floor((now - Date.parse(market.tickedAt)) / MARKET_TICK_MS)
+    if (elapsed <= 0) return market
+
+    const ticks = Math.min(elapsed, PRICE_HISTORY_LENGTH)
+    const items = { ...market.items }
+
+    catalog.itemList.forEach(item => {
+      const basePrice = getBasePrice(item, city)
+      let entry = items[item.id]
+      for (let i = 0; i < ticks; i++) {
+        entry = tickItem(entry, basePrice)
+      }
+      items[item.id] = entry
+    })
+
+    return {
+      ...market,
+      items,
+      tickedAt: new Date(Date.parse(market.tickedAt) + elapsed * MARKET_TICK_MS).toISOString()
+    }
+  }
+
+  /**
+   * Loads a city's market, simulating any ticks that have passed
+   */
+  const getCityMarket = async (cityName) => {
+    const city = catalog.getCity(cityName)
+    if (!city) {
+      throw notFound('Market not found')
+    }
+
+    const now = Date.now()
+    const stored = await store.get('markets', city.id)
+    const market = stored ? advanceMarket(addMissingItems(stored, city), city, now) : createMarket(city, now)
+
+    if (market !== stored) {
+      await store.put('markets', market)
+    }
+    return market
+  }
+
+  /**
+   * Current price of an item in a city
+   */
+  const getPrice = async (cityName, itemId) => {
+    const market = await getCityMarket(cityName)
+    return market.items[itemId].price
+  }
+
+  /**
+   * Applies the supply/demand effect of a player trade.
+   * type 'buy' means the player bought from the market (price rises).
+   */
+  const recordTrade = async (cityName, itemId, type, quantity) => {
+    const city = catalog.getCity(cityName)
+    const item = catalog.getItem(itemId)
+    const market = await getCityMarket(cityName)
+    const entry = market.items[itemId]
+
+    const impact = getTradeImpact(type, quantity)
+    const basePrice = getBasePrice(item, city)
+
+    const updated = {
+      ...market,
+      items: {
+        ...market.items,
+        [itemId]: {
+          ...entry,
+          price: clampPrice(entry.price * (1 + impact), basePrice),
+          pressure: clamp(entry.pressure + impact, -MAX_PRESSURE, MAX_PRESSURE)
+        }
+      }
+    }
+
+    await store.put('markets', updated)
+    return updated
+  }
+
+  /**
+   * Public view of a market: prices, trends and history per item
+   */
+  const toMarketView = (market) => {
+    const items = Object.fromEntries(Object.entries(market.items).map(([itemId, entry]) => {
+      // Trades move the price between ticks; show the live price as the latest point
+      const history = entry.history.at(-1) === entry.price
+        ? entry.history
+        : appendHistory(entry.history, entry.price)
+
+      return [itemId, { price: entry.price, trend: getTrend(history), history }]
+    }))
+
+    return {
+      city: market.city,
+      tickedAt: market.tickedAt,
+      nextTickAt: new Date(Date.parse(market.tickedAt) + MARKET_TICK_MS).toISOString(),
+      items
+    }
+  }
+
+  /**
+   * Market for the city the character is currently in
+   */
+  const getMarketForCharacter = async (userId, characterId) => {
+    const character = await characters.getCharacter(userId, characterId)
+    return toMarketView(await getCityMarket(character.location))
+  }
+
+  return { getCityMarket, getPrice, recordTrade, toMarketView, getMarketForCharacter }
+}
@@ -0,0 +1,374 @@
+/**
+ * Mission Service
+ * Server-authoritative mission resolution: checks requirements, items,
+ * stamina and location, charges the stamina cost and any consumed items,
+ * rolls the outcome with a server-side RNG, and applies rewards or
+ * failure consequences to the character. Missions can be level-gated with
+ * minLevel; XP rewards go through the progression rules so level-ups are
+ * applied and reported here. A failure that drops health to 0 sends the
+ * character to hospital. Every attempt raises heat, wanted stars lower the
+ * odds, and a hot character may run into the police. Failures and police
+ * busts can end in arrest. Missions shift faction standing and some are
+ * only offered to characters a faction already trusts. Timed missions keep
+ * the character busy afterwards (see the shared mission rules).
+ *
+ * Story missions come from the content catalog and go on cooldown once
+ * completed. Repeatable contracts are generated per character:
+ *
+ * Tables:
+ * - contracts: one board per character ({ id: characterId, city,
+ *   refreshedAt, refreshAt, contracts: [mission, ...] })
+ *
+ * A board is regenerated when it is read after refreshAt or from another
+ * city, and a contract is removed from it once attempted. The current
+ * mission steps of the character's storylines are listed alongside and
+ * advance their chain on success (see the chain service).
+ */
+
+import { ANY_LOCATION } from '../../../shared/content/schema.js'
+import { isChainMissionId } from '../../../shared/game/chains.js'
+import {
+  generateBoard,
+  getCooldownRemaining,
+  isBoardStale,
+  isContractId,
+  startCooldown
+} from '../../../shared/game/contracts.js'
+import {
+  addHeat,
+  describeEncounter,
+  getMissionHeat,
+  rollPoliceEncounter
+} from '../../../shared/game/heat.js'
+import { admitToHospital } from '../../../shared/game/hospital.js'
+import { arrestCharacter, describeArrest, getMissionArrestChance } from '../../../shared/game/jail.js'
+import {
+  getConsumedItems,
+  getMissingItems,
+  getStaminaCost,
+  getSuccessBreakdown,
+  meetsRequirements,
+  startBusy
+} from '../../../shared/game/missions.js'
+import { awardXp, getRequiredLevel, meetsLevel } from '../../../shared/game/progression.js'
+import { getMissionCash, getMissionDamage } from '../../../shared/game/skills.js'
+import {
+  applyReputation,
+  getMissingReputation,
+  getMissionReputation,
+  meetsReputation
+} from '../../../shared/game/reputation.js'
+import { catalog } from '../content/catalog.js'
+import { badRequest, notFound } from '../utils/errors.js'
+import { assertNotBusy, assertNotHospitalized, assertNotJailed } from '../utils/guards.js'
+import { removeItem } from '../utils/inventory.js'
+import { secureRandom } from '../utils/random.js'
+
+/**
+ * Required item entries the character lacks, e.g. "Pistol or Assault Rifle"
+ */
+const describeMissingItems = (character, mission) => {
+  return getMissingItems(character, mission)
+    .map(anyOf => anyOf.map(itemId => catalog.getItem(itemId).name).join(' or '))
+}
+
+/**
+ * Standing changes as a list with faction names, for results and messages
+ */
+const toReputationChanges = (changes) => {
+  return Object.entries(changes)
+    .filter(([, change]) => change !== 0)
+    .map(([factionId, change]) => ({ factionId, name: catalog.getFaction(factionId).name, change }))
+}
+
+/**
+ * Result message suffix for standing changes
+ */
+const describeReputationChanges = (changes) => {
+  const parts = changes.map(({ name, change }) => `${name} ${change > 0 ? '+' : ''}${change}`)
+  return `Reputation: ${parts.join(', ')}.`
+}
+
+/**
+ * Checks whether a mission is offered in the character's current city
+ */
+const isAvailableAt = (mission, location) => {
+  return mission.location === ANY_LOCATION || mission.location === location
+}
+
+/**
+ * Formats a cooldown for error messages, e.g. "12 min"
+ */
+const formatCooldown = (ms) => `${Math.ceil(ms / 60000)} min`
+
+export const createMissionService = ({ store, characters, chains, rng = secureRandom }) => {
+  /**
+   * Loads the character's contract board, generating a new one when it has
+   * expired or belongs to another city
+   */
+  const getBoard = async (character) => {
+    const now = Date.now()
+    const stored = await store.get('contracts', character.id)
+    if (!isBoardStale(stored, character.location, now)) {
+      return stored
+    }
+
+    const board = {
+      id: character.id,
+      ...generateBoard(catalog.contractTemplates, {
+        city: catalog.getCity(character.location),
+        level: character.level,
+        rng,
+        now
+      })
+    }
+    await store.put('contracts', board)
+    return board
+  }
+
+  /**
+   * Lists story missions and contracts the character can see, with the
+   * server-computed odds and when the contract board refreshes
+   */
+  const listAvailableMissions = async (userId, characterId) => {
+    const character = await characters.getCharacter(userId, characterId)
+    const board = await getBoard(character)
+    const storyMissions = catalog.missions.filter(mission => isAvailableAt(mission, character.location))
+    const chainSteps = chains.getMissionSteps(character).filter(mission => isAvailableAt(mission, character.location))
+
+    const missions = [...chainSteps, ...storyMissions, ...board.contracts].map(mission => ({
+      ...mission,
+      cooldownUntil: character.missionCooldowns?.[mission.id] || null,
+      successChance: getSuccessBreakdown(character, mission, { items: catalog.items }).chance,
+      staminaCost: getStaminaCost(mission),
+      meetsRequirements: meetsRequirements(character, mission),
+      missingItems: describeMissingItems(character, mission),
+      requiredLevel: getRequiredLevel(mission),
+      meetsLevel: meetsLevel(character, mission),
+      meetsReputation: meetsReputation(character, mission)
+    }))
+
+    return { missions, refreshAt: board.refreshAt }
+  }
+
+  /**
+   * Finds a story mission, a storyline step or a contract on the
+   * character's board
+   */
+  const findMission = async (character, missionId) => {
+    if (isChainMissionId(missionId)) {
+      return chains.findMissionStep(character, missionId)
+    }
+    if (!isContractId(missionId)) {
+      return catalog.getMission(missionId)
+    }
+
+    const board = await getBoard(character)
+    return board.contracts.find(contract => contract.id === missionId) || null
+  }
+
+  /**
+   * Takes an attempted contract off the character's board
+   */
+  const removeContract = async (characterId, missionId) => {
+    const board = await store.get('contracts', characterId)
+    if (!board) return
+
+    await store.put('contracts', {
+      ...board,
+      contracts: board.contracts.filter(contract => contract.id !== missionId)
+    })
+  }
+
+  /**
+   * Attempts a mission and returns the outcome with the updated character.
+   * payload.useItems lists the optional items brought along (all carried
+   * optional items when missing).
+   */
+  const attemptMission = async (userId, characterId, missionId, payload = {}) => {
+    const character = await characters.getCharacter(userId, characterId)
+    const mission = await findMission(character, missionId)
+    if (!mission) {
+      throw notFound(isContractId(missionId) ? 'That contract is no longer on offer' : 'Mission not found')
+    }
+
+    assertNotHospitalized(character)
+    assertNotJailed(character)
+    assertNotBusy(character)
+
+    const cooldown = getCooldownRemaining(character, missionId)
+    if (cooldown > 0) {
+      throw badRequest(`This mission is available again in ${formatCooldown(cooldown)}`, 'ON_COOLDOWN')
+    }
+    if (!isAvailableAt(mission, character.location)) {
+      throw badRequest(`This mission is only available in ${mission.location}`)
+    }
+    if (!meetsLevel(character, mission)) {
+      throw badRequest(`You must be level ${getRequiredLevel(mission)} to attempt this mission`)
+    }
+    if (!meetsRequirements(character, mission)) {
+      throw badRequest('Insufficient skills for this mission')
+    }
+    if (mission.missingPrerequisites?.length > 0) {
+      throw badRequest(`You still need: ${mission.missingPrerequisites.join(', ')}`, 'PREREQUISITES_NOT_MET')
+    }
+    const missingReputation = getMissingReputation(character, mission)
+    if (missingReputation.length > 0) {
+      const needed = missingReputation
+        .map(gate => `${gate.required} with ${catalog.getFaction(gate.factionId).name}`)
+        .join(' and ')
+      throw badRequest(`You need a standing of ${needed} for this mission`, 'REPUTATION_TOO_LOW')
+    }
+    const missingItems = describeMissingItems(character, mission)
+    if (missingItems.length > 0) {
+      throw badRequest(`This mission needs: ${missingItems.join(', ')}`, 'MISSING_ITEMS')
+    }
+    const staminaCost = getStaminaCost(mission)
+    if (character.stamina <= 0 || character.stamina < staminaCost) {
+      throw badRequest(`You need ${staminaCost} stamina to attempt this mission`, 'NOT_ENOUGH_STAMINA')
+    }
+
+    const useItems = Array.isArray(payload.useItems) ? payload.useItems : null
+    const breakdown = getSuccessBreakdown(character, mission, { useItems, items: catalog.items })
+    const successChance = breakdown.chance
+    const success = rng() < successChance
+
+    const consumed = getConsumedItems(character, mission, useItems)
+    let updated = consumed.reduce(
+      (current, itemId) => removeItem(current, itemId, 1),
+      { ...character, stamina: character.stamina - staminaCost }
+    )
+    let levelUp = null
+    let hospital = null
+    let police = null
+    let jail = null
+    let message = ''
+
+    if (success) {
+      // Money Launderer and similar perks raise the payout (see skill modifiers)
+      const cash = getMissionCash(character, mission)
+      const award = awardXp(updated, mission.rewards.xp)
+      updated = award.character
+      levelUp = award.levelUp
+      updated.cash += cash
+
+      // Story missions are recorded once and rest before they can be replayed
+      if (!mission.contract && !mission.chain) {
+        const completed = character.completedMissions || []
+        updated.completedMissions = completed.includes(missionId) ? completed : [...completed, missionId]
+        updated = startCooldown(updated, mission)
+      }
+
+      message = `Mission completed successfully! Earned $${cash} and ${mission.rewards.xp} XP.`
+      await characters.logActivity(characterId, 'mission_completed', `Completed mission: ${mission.title}`)
+
+      if (levelUp) {
+        await characters.logActivity(characterId, 'level_up', `Reached level ${levelUp.level}`)
+      }
+
+      if (mission.chain) {
+        const step = await chains.completeMissionStep(updated, mission)
+        updated = step.character
+        levelUp = step.levelUp || levelUp
+        message += ` ${step.message}`
+      }
+    } else {
+      const consequences = mission.failureConsequences
+      // Endurance and Shooting soften the blows (see skill modifiers)
+      const damage = getMissionDamage(character, mission, catalog.items)
+
+      if (damage) {
+        updated.health = Math.max(0, updated.health - damage)
+      }
+      if (consequences.stamina) {
+        updated.stamina = Math.max(0, updated.stamina + consequences.stamina)
+      }
+      if (consequences.cash) {
+        updated.cash = Math.max(0, updated.cash + consequences.cash)
+      }
+
+      message = `Mission failed! Lost ${damage} health, ${Math.abs(consequences.stamina || 0)} stamina, and $${Math.abs(consequences.cash || 0)}.`
+      await characters.logActivity(characterId, 'mission_failed', `Failed mission: ${mission.title}`)
+
+      const downed = admitToHospital(updated, { rng })
+      if (downed.admission) {
+        updated = downed.character
+        hospital = downed.admission
+        message += ` You collapsed and were taken to hospital in ${hospital.city} (bill: $${hospital.bill.toLocaleString()}).`
+        await characters.logActivity(characterId, 'hospitalized', `Hospitalized in ${hospital.city}`)
+      }
+    }
+
+    const localFaction = catalog.getCityUnderworld(character.location)
+    const reputationChanges = getMissionReputation(mission, success, localFaction?.id)
+    const reputation = toReputationChanges(reputationChanges)
+    updated = applyReputation(updated, reputationChanges)
+    if (reputation.length > 0) {
+      message += ` ${describeReputationChanges(reputation)}`
+    }
+
+    if (consumed.length > 0) {
+      message += ` Used up: ${consumed.map(itemId => catalog.getItem(itemId).name).join(', ')}.`
+    }
+
+    updated = addHeat(updated, getMissionHeat(mission, success))
+
+    // Nobody gets picked up from a hospital bed
+    if (!hospital) {
+      let arrestReason = null
+
+      if (!success && rng() < getMissionArrestChance(updated, mission)) {
+        arrestReason = `Caught during ${mission.title}`
+      } else {
+        const encounter = rollPoliceEncounter(updated, { rng, items: catalog.items })
+        if (encounter.encounter) {
+          updated = encounter.character
+          police = encounter.encounter
+          message += ` ${describeEncounter(police)}`
+          await characters.logActivity(characterId, 'police_encounter', describeEncounter(police))
+
+          if (police.outcome === 'busted') {
+            arrestReason = 'Busted by the police'
+          }
+        }
+      }
+
+      if (arrestReason) {
+        const arrested = arrestCharacter(updated, { reason: arrestReason })
+        updated = arrested.character
+        jail = arrested.arrest
+        message += ` ${describeArrest(jail)}`
+        await characters.logActivity(characterId, 'arrested', describeArrest(jail))
+      }
+    }
+
+    // Timed missions keep the character busy unless they ended up in
+    // hospital or jail instead
+    if (!hospital && !jail) {
+      updated = startBusy(updated, mission)
+    }
+
+    const saved = await characters.saveCharacter(updated)
+    if (mission.contract) {
+      await removeContract(characterId, missionId)
+    }
+
+    return {
+      character: saved,
+      missionId,
+      success,
+      successChance,
+      factors: breakdown.factors,
+      staminaCost,
+      consumed,
+      message,
+      levelUp,
+      hospital,
+      police,
+      jail,
+      reputation
+    }
+  }
+
+  return { listAvailableMissions, attemptMission }
+}
@@ -0,0 +1,115 @@
+/**
+ * NPC Service
+ * Finite stock and cash for every Streets contact, shared by all characters.
+ *
+ * Tables:
+ * - npcs: one item per contact ({ id: npcId, restockedAt, cash, stock })
+ *   stock: { [itemId]: quantity }
+ *
+ * Contacts restock lazily: when one is read after its restock interval has
+ * passed, its stock of every item it deals in is reset to supply.maxStock
+ * and its cash to supply.cashReserve. Player purchases drain stock and add
+ * cash; player sales spend the contact's cash and add stock only for items
+ * the contact resells (anything else it buys by category leaves the city).
+ */
+
+import { catalog } from '../content/catalog.js'
+import { notFound } from '../utils/errors.js'
+
+const getRestockMs = (npc) => npc.supply.restockMinutes * 60 * 1000
+
+export const createNpcService = ({ store, characters }) => {
+  /**
+   * Fully stocked state for a contact
+   */
+  const createState = (npc, restockedAt) => ({
+    id: npc.id,
+    restockedAt: new Date(restockedAt).toISOString(),
+    cash: npc.supply.cashReserve,
+    stock: Object.fromEntries(npc.inventory.map(itemId => [itemId, npc.supply.maxStock]))
+  })
+
+  /**
+   * Restocks a contact if at least one restock interval has passed.
+   * The schedule stays on whole intervals from the last restock.
+   */
+  const restockIfDue = (state, npc, now) => {
+    const restockMs = getRestockMs(npc)
+    const intervals = Math.floor((now - Date.parse(state.restockedAt)) / restockMs)
+    if (intervals <= 0) return state
+
+    return createState(npc, Date.parse(state.restockedAt) + intervals * restockMs)
+  }
+
+  /**
+   * Loads a contact's stock and cash, restocking when due
+   */
+  const getNpcState = async (npcId) => {
+    const npc = catalog.getNpc(npcId)
+    if (!npc) {
+      throw notFound('Contact not found')
+    }
+
+    const now = Date.now()
+    const stored = await store.get('npcs', npc.id)
+    const state = stored ? restockIfDue(stored, npc, now) : createState(npc, now)
+
+    if (state !== stored) {
+      await store.put('npcs', state)
+    }
+    return state
+  }
+
+  /**
+   * Units of an item the contact has on hand
+   */
+  const getStock = (state, itemId) => state.stock[itemId] || 0
+
+  /**
+   * Moves goods and cash for a completed trade.
+   * type 'buy' means the player bought from the contact.
+   */
+  const recordTrade = async (npcId, itemId, type, quantity, total) => {
+    const state = await getNpcState(npcId)
+    const direction = type === 'buy' ? -1 : 1
+    const stocked = itemId in state.stock
+
+    const updated = {
+      ...state,
+      cash: state.cash - direction * total,
+      stock: stocked
+        ? { ...state.stock, [itemId]: getStock(state, itemId) + direction * quantity }
+        : state.stock
+    }
+
+    await store.put('npcs', updated)
+    return updated
+  }
+
+  /**
+   * Public view of a contact's stock, cash and next restock time
+   */
+  const toNpcView = (state) => {
+    const npc = catalog.getNpc(state.id)
+
+    return {
+      id: state.id,
+      cash: state.cash,
+      stock: state.stock,
+      restockAt: new Date(Date.parse(state.restockedAt) + getRestockMs(npc)).toISOString()
+    }
+  }
+
+  /**
+   * Stock and cash of every contact in the character's city
+   */
+  const getNpcsForCharacter = async (userId, characterId) => {
+    const character = await characters.getCharacter(userId, characterId)
+    const states = await Promise.all(
+      catalog.getNpcsInCity(character.location).map(npc => getNpcState(npc.id))
+    )
+    return states.map(toNpcView)
+  }
+
+  return { getNpcState, getStock, recordTrade, toNpcView, getNpcsForCharacter }
+}
@@ -0,0 +1,135 @@
+/**
+ * Skill Service
+ * Spends skill points (earned by levelling up) to raise character skills
+ * and unlock perks, picks a specialization and runs paid respecs
+ */
+
+import { SKILLS } from '../../../shared/content/schema.js'
+import {
+  PERKS,
+  SPECIALIZATIONS,
+  getPerk,
+  getPerkLocks,
+  getRespecCost,
+  getSpecialization,
+  getSpecializationLocks,
+  unlockPerk as applyPerk
+} from '../../../shared/game/perks.js'
+import {
+  MAX_SKILL_LEVEL,
+  applyMaxStats,
+  getSkillPointsForLevel,
+  getSkillUpgradeCost
+} from '../../../shared/game/progression.js'
+import { badRequest } from '../utils/errors.js'
+import { requireOneOf } from '../utils/validation.js'
+
+export const createSkillService = ({ characters }) => {
+  /**
+   * Raises a skill by one level and returns the updated character
+   */
+  const upgradeSkill = async (userId, characterId, skillName) => {
+    const skill = requireOneOf(skillName, SKILLS, 'skill')
+    const character = await characters.getCharacter(userId, characterId)
+    const currentLevel = character.skills[skill]
+    const cost = getSkillUpgradeCost(currentLevel)
+
+    if (currentLevel >= MAX_SKILL_LEVEL) {
+      throw badRequest('This skill is already at maximum level!')
+    }
+    if (character.skillPoints < cost) {
+      throw badRequest('Not enough skill points to upgrade this skill!')
+    }
+
+    // Endurance raises max stamina, so derived stats are recomputed
+    const saved = await characters.saveCharacter(applyMaxStats({
+      ...character,
+      skillPoints: character.skillPoints - cost,
+      skills: {
+        ...character.skills,
+        [skill]: currentLevel + 1
+      }
+    }))
+
+    const skillLabel = skill.charAt(0).toUpperCase() + skill.slice(1)
+    const message = `Upgraded ${skillLabel} to level ${currentLevel + 1}`
+    await characters.logActivity(characterId, 'skill_upgraded', message)
+
+    return { character: saved, message }
+  }
+
+  /**
+   * Unlocks a perk for skill points and returns the updated character
+   */
+  const unlockPerk = async (userId, characterId, perkId) => {
+    requireOneOf(perkId, PERKS.map(perk => perk.id), 'perk')
+    const perk = getPerk(perkId)
+    const character = await characters.getCharacter(userId, characterId)
+
+    const locks = getPerkLocks(character, perk)
+    if (locks.length) {
+      throw badRequest(`${perk.name} is locked: ${locks.join(', ')}`, 'PERK_LOCKED')
+    }
+
+    // Perks can raise max stamina, so derived stats are recomputed
+    const saved = await characters.saveCharacter(applyMaxStats(applyPerk(character, perk)))
+
+    const message = `Unlocked perk: ${perk.name}`
+    await characters.logActivity(characterId, 'perk_unlocked', message)
+
+    return { character: saved, message }
+  }
+
+  /**
+   * Takes a specialization (only one can be held until a respec)
+   */
+  const chooseSpecialization = async (userId, characterId, specializationId) => {
+    requireOneOf(specializationId, SPECIALIZATIONS.map(spec => spec.id), 'specialization')
+    const specialization = getSpecialization(specializationId)
+    const character = await characters.getCharacter(userId, characterId)
+
+    const locks = getSpecializationLocks(character, specialization)
+    if (locks.length) {
+      throw badRequest(`${specialization.name} is locked: ${locks.join(', ')}`, 'SPECIALIZATION_LOCKED')
+    }
+
+    const saved = await characters.saveCharacter(applyMaxStats({
+      ...character,
+      specialization: specialization.id
+    }))
+
+    const message = `Specialized as ${specialization.name}`
+    await characters.logActivity(characterId, 'specialization_chosen', message)
+
+    return { character: saved, message }
+  }
+
+  /**
+   * Resets skills, perks and the specialization for cash, refunding every
+   * skill point earned so far
+   */
+  const respec = async (userId, characterId) => {
+    const character = await characters.getCharacter(userId, characterId)
+    const cost = getRespecCost(character)
+
+    if (character.cash < cost) {
+      throw badRequest(`Not enough cash for a respec! It costs $${cost.toLocaleString()}.`)
+    }
+
+    const saved = await characters.saveCharacter(applyMaxStats({
+      ...character,
+      cash: character.cash - cost,
+      skills: Object.fromEntries(SKILLS.map(skill => [skill, 1])),
+      skillPoints: getSkillPointsForLevel(character.level),
+      perks: [],
+      specialization: null
+    }))
+
+    const message = `Respecced for $${cost.toLocaleString()}`
+    await characters.logActivity(characterId, 'skills_respecced', message)
+
+    return { character: saved, message }
+  }
+
+  return { upgradeSkill, unlockPerk, chooseSpecialization, respec }
+}
@@ -0,0 +1,221 @@
+/**
+ * Stash Service
+ * Buys and upgrades stash houses and moves items and cash between a
+ * character and their stash in the city they are in. Every stash action
+ * first rolls the raids due on all of the character's stashes (see stash
+ * rules); stored goods count against the stash's capacity and withdrawn
+ * goods against what the character can carry. Vehicles can't be stashed.
+ */
+
+import { getRoomFor } from '../../../shared/game/carry.js'
+import { unequipMissing } from '../../../shared/game/equipment.js'
+import {
+  canStash,
+  createStash,
+  describeRaid,
+  getMaxStashLevel,
+  getStash,
+  getStashLevel,
+  getStashPrice,
+  getStashRoomFor,
+  rollStashRaids,
+  setStash
+} from '../../../shared/game/stash.js'
+import { catalog } from '../content/catalog.js'
+import { badRequest, conflict, notFound } from '../utils/errors.js'
+import { assertNotBusy, assertNotHospitalized, assertNotJailed } from '../utils/guards.js'
+import { addItem, getItemQuantity, removeItem } from '../utils/inventory.js'
+import { secureRandom } from '../utils/random.js'
+import { requirePositiveInteger, requireString } from '../utils/validation.js'
+
+/**
+ * Adds (or removes, when negative) units of an item to a stash's stacks
+ */
+const stackItem = (entries, { id, name, type }, quantity) => {
+  const stacked = entries.some(entry => entry.id === id)
+    ? entries.map(entry => (entry.id === id ? { ...entry, quantity: entry.quantity + quantity } : entry))
+    : [...entries, { id, name, type, quantity }]
+
+  return stacked.filter(entry => entry.quantity > 0)
+}
+
+export const createStashService = ({ characters, rng = secureRandom }) => {
+  /**
+   * Loads an available character and rolls the raids due on their
+   * stashes. The raids are saved and logged straight away, so an action
+   * that then fails can't be retried to roll them again.
+   */
+  const loadWithRaids = async (userId, characterId) => {
+    const character = await characters.getCharacter(userId, characterId)
+    assertNotHospitalized(character)
+    assertNotJailed(character)
+    assertNotBusy(character)
+
+    const rolled = rollStashRaids(character, { rng })
+    if (rolled.character === character) {
+      return rolled
+    }
+
+    const saved = await characters.saveCharacter(rolled.character)
+    for (const raid of rolled.raids) {
+      await characters.logActivity(character.id, 'stash_raided', describeRaid(raid))
+    }
+    return { character: saved, raids: rolled.raids }
+  }
+
+  /**
+   * The character's stash in their current city, or throws
+   */
+  const requireLocalStash = (character) => {
+    const stash = getStash(character, character.location)
+    if (!stash) {
+      throw notFound(`You don't own a stash in ${character.location}`, 'NO_STASH')
+    }
+    return stash
+  }
+
+  /**
+   * Saves the character, logs the action and returns the character with a
+   * message that leads with the raids rolled on load
+   */
+  const finish = async (character, raids, type, message) => {
+    const saved = await characters.saveCharacter(character)
+    await characters.logActivity(character.id, type, message)
+
+    return { character: saved, message: [...raids.map(describeRaid), message].join(' '), raids }
+  }
+
+  /**
+   * Buys a stash house in the character's current city
+   */
+  const buyStash = async (userId, characterId) => {
+    const { character, raids } = await loadWithRaids(userId, characterId)
+    const city = catalog.getCity(character.location)
+
+    if (getStash(character, city.name)) {
+      throw conflict(`You already own a stash in ${city.name}`, 'STASH_OWNED')
+    }
+    const price = getStashPrice(city, 1)
+    if (character.cash < price) {
+      throw badRequest(`You need $${price.toLocaleString()} for a stash in ${city.name}`)
+    }
+
+    const updated = setStash({ ...character, cash: character.cash - price }, createStash(city.name))
+    const message = `Bought a ${getStashLevel(1).name} in ${city.name} for $${price.toLocaleString()}`
+    return finish(updated, raids, 'stash_bought', message)
+  }
+
+  /**
+   * Upgrades the stash in the character's current city by one level
+   */
+  const upgradeStash = async (userId, characterId) => {
+    const { character, raids } = await loadWithRaids(userId, characterId)
+    const city = catalog.getCity(character.location)
+    const stash = requireLocalStash(character)
+
+    if (stash.level >= getMaxStashLevel()) {
+      throw badRequest('This stash is already fully upgraded')
+    }
+    const level = getStashLevel(stash.level + 1)
+    const price = getStashPrice(city, level.level)
+    if (character.cash < price) {
+      throw badRequest(`You need $${price.toLocaleString()} to upgrade to a ${level.name}`)
+    }
+
+    const updated = setStash({ ...character, cash: character.cash - price }, { ...stash, level: level.level })
+    const message = `Upgraded your ${city.name} stash to a ${level.name} for $${price.toLocaleString()}`
+    return finish(updated, raids, 'stash_upgraded', message)
+  }
+
+  /**
+   * Moves cash between the character and the local stash; a positive
+   * amount goes into the stash, a negative one comes out
+   */
+  const moveCash = (character, stash, amount) => {
+    if (amount > 0 && character.cash < amount) {
+      throw badRequest('Not enough cash')
+    }
+    if (amount < 0 && stash.cash < -amount) {
+      throw badRequest('Not enough cash in the stash')
+    }
+
+    return setStash({ ...character, cash: character.cash - amount }, { ...stash, cash: stash.cash + amount })
+  }
+
+  /**
+   * Stores items or cash ({ itemId, quantity } or { cash }) in the stash in
+   * the character's current city
+   */
+  const deposit = async (userId, characterId, payload = {}) => {
+    const { character, raids } = await loadWithRaids(userId, characterId)
+    const stash = requireLocalStash(character)
+
+    if (payload.itemId === undefined) {
+      const amount = requirePositiveInteger(payload.cash, 'cash')
+      const message = `Stashed $${amount.toLocaleString()} in ${stash.city}`
+      const updated = moveCash(character, stash, amount)
+      return finish(updated, raids, 'stash_deposit', message)
+    }
+
+    const item = catalog.getItem(requireString(payload.itemId, 'itemId'))
+    const quantity = requirePositiveInteger(payload.quantity, 'quantity')
+    if (!item) {
+      throw notFound('Item not found')
+    }
+    if (getItemQuantity(character, item.id) < quantity) {
+      throw badRequest(`You don't have ${quantity}x ${item.name}`)
+    }
+    if (!canStash(item)) {
+      throw badRequest(`A ${item.name} won't fit in a stash`, 'NOT_STASHABLE')
+    }
+    if (getStashRoomFor(stash, item, catalog.items) < quantity) {
+      throw badRequest(`Not enough room in the stash for ${quantity}x ${item.name}`, 'STASH_FULL')
+    }
+
+    // Stashing the last one takes it out of the loadout too
+    const updated = setStash(
+      unequipMissing(removeItem(character, item.id, quantity)),
+      { ...stash, items: stackItem(stash.items, item, quantity) }
+    )
+    const message = `Stashed ${quantity}x ${item.name} in ${stash.city}`
+    return finish(updated, raids, 'stash_deposit', message)
+  }
+
+  /**
+   * Takes items or cash ({ itemId, quantity } or { cash }) out of the stash
+   * in the character's current city
+   */
+  const withdraw = async (userId, characterId, payload = {}) => {
+    const { character, raids } = await loadWithRaids(userId, characterId)
+    const stash = requireLocalStash(character)
+
+    if (payload.itemId === undefined) {
+      const amount = requirePositiveInteger(payload.cash, 'cash')
+      const message = `Took $${amount.toLocaleString()} from your ${stash.city} stash`
+      const updated = moveCash(character, stash, -amount)
+      return finish(updated, raids, 'stash_withdrawal', message)
+    }
+
+    const item = catalog.getItem(requireString(payload.itemId, 'itemId'))
+    const quantity = requirePositiveInteger(payload.quantity, 'quantity')
+    if (!item) {
+      throw notFound('Item not found')
+    }
+    const stored = stash.items.find(entry => entry.id === item.id)?.quantity || 0
+    if (stored < quantity) {
+      throw badRequest(`Your stash doesn't hold ${quantity}x ${item.name}`)
+    }
+    if (getRoomFor(character, item, catalog.items) < quantity) {
+      throw badRequest(`You can't carry ${quantity}x ${item.name}`, 'OVER_CAPACITY')
+    }
+
+    const updated = setStash(
+      addItem(character, item, quantity),
+      { ...stash, items: stackItem(stash.items, item, -quantity) }
+    )
+    const message = `Took ${quantity}x ${item.name} from your ${stash.city} stash`
+    return finish(updated, raids, 'stash_withdrawal', message)
+  }
+
+  return { buyStash, upgradeStash, deposit, withdraw }
+}
@@ -0,0 +1,165 @@
+/**
+ * Trade Service
+ * Applies buy/sell transactions between a character and a Streets NPC
+ *
+ * The NPC and item come from the content catalog: the NPC must be in the
+ * character's city and accept the character's level. Players can buy what
+ * the NPC stocks and sell it anything it stocks or buys by category.
+ * Unit prices are the NPC's quote on the city market price, averaged over
+ * the move the trade itself makes (see market rules), and every trade
+ * feeds back into that market. Contacts hold limited stock and cash: they
+ * cannot sell more than they have on hand or buy more than they can pay
+ * for. Large drug deals raise heat (and may bring the police), and
+ * contacts won't deal with a character who is too hot for them. Standing
+ * with a contact's faction shifts its prices. Purchases must fit in what
+ * the character can carry (see carry rules). Vehicles bought are parked in
+ * the city, and only vehicles parked there can be sold (see vehicle rules).
+ */
+
+import { getRoomFor } from '../../../shared/game/carry.js'
+import {
+  addHeat,
+  describeEncounter,
+  getNpcHeatTolerance,
+  getTradeHeat,
+  npcWillDeal,
+  rollPoliceEncounter
+} from '../../../shared/game/heat.js'
+import { arrestCharacter, describeArrest } from '../../../shared/game/jail.js'
+import { getDealPrice } from '../../../shared/game/market.js'
+import { getRequiredLevel, meetsLevel } from '../../../shared/game/progression.js'
+import { getStanding } from '../../../shared/game/reputation.js'
+import { getParkedCount, parkVehicles, unparkVehicles } from '../../../shared/game/vehicles.js'
+import { catalog } from '../content/catalog.js'
+import { badRequest, notFound } from '../utils/errors.js'
+import { assertNotBusy, assertNotHospitalized, assertNotJailed } from '../utils/guards.js'
+import { addItem, getItemQuantity, removeItem } from '../utils/inventory.js'
+import { secureRandom } from '../utils/random.js'
+import { requireOneOf, requirePositiveInteger, requireString } from '../utils/validation.js'
+
+export const createTradeService = ({ characters, market, npcs, rng = secureRandom }) => {
+  /**
+   * Executes a trade and returns the updated character
+   */
+  const executeTrade = async (userId, characterId, payload = {}) => {
+    const type = requireOneOf(payload.type, ['buy', 'sell'], 'type')
+    const npc = catalog.getNpc(requireString(payload.npcId, 'npcId'))
+    const item = catalog.getItem(requireString(payload.itemId, 'itemId'))
+    const quantity = requirePositiveInteger(payload.quantity, 'quantity')
+
+    if (!npc) {
+      throw notFound('Contact not found')
+    }
+    if (!item) {
+      throw notFound('Item not found')
+    }
+
+    let character = await characters.getCharacter(userId, characterId)
+    assertNotHospitalized(character)
+    assertNotJailed(character)
+    assertNotBusy(character)
+
+    if (npc.city !== character.location) {
+      throw badRequest(`${npc.name} is not in ${character.location}`)
+    }
+    if (!meetsLevel(character, npc)) {
+      throw badRequest(`${npc.name} only deals with level ${getRequiredLevel(npc)}+ players`)
+    }
+    if (!npcWillDeal(npc, character)) {
+      throw badRequest(
+        `${npc.name} won't deal with anyone above ${getNpcHeatTolerance(npc)} wanted stars. Lie low for a while.`,
+        'TOO_HOT'
+      )
+    }
+
+    const marketPrice = await market.getPrice(character.location, item.id)
+    const standing = npc.faction ? getStanding(character, npc.faction) : 0
+    const unitPrice = getDealPrice(npc, item, marketPrice, { type, quantity, standing, character })
+    if (unitPrice === null) {
+      throw badRequest(
+        type === 'buy' ? `${npc.name} doesn't sell ${item.name}` : `${npc.name} isn't buying ${item.name}`
+      )
+    }
+
+    const total = unitPrice * quantity
+    const npcState = await npcs.getNpcState(npc.id)
+    let message = ''
+
+    if (type === 'buy') {
+      const inStock = npcs.getStock(npcState, item.id)
+      if (inStock < quantity) {
+        throw badRequest(
+          inStock > 0 ? `${npc.name} only has ${inStock}x ${item.name} left` : `${npc.name} is out of ${item.name}`,
+          'OUT_OF_STOCK'
+        )
+      }
+      if (character.cash < total) {
+        throw badRequest('Not enough cash for this purchase')
+      }
+      const room = getRoomFor(character, item, catalog.items)
+      if (room < quantity) {
+        throw badRequest(
+          room > 0 ? `You can only carry ${room} more ${item.name}` : `You can't carry any more ${item.name}`,
+          'OVER_CAPACITY'
+        )
+      }
+
+      character = parkVehicles(addItem(character, item, quantity))
+      character.cash -= total
+      message = `Bought ${quantity}x ${item.name} for $${total.toLocaleString()}`
+    } else {
+      if (getItemQuantity(character, item.id) < quantity) {
+        throw badRequest('Not enough items to sell')
+      }
+      if (item.vehicle && getParkedCount(character, item.id) < quantity) {
+        throw badRequest(`You don't have ${quantity}x ${item.name} parked in ${character.location}`, 'VEHICLE_ELSEWHERE')
+      }
+      if (npcState.cash < total) {
+        throw badRequest(`${npc.name} can't afford that right now`, 'NPC_OUT_OF_CASH')
+      }
+
+      character = removeItem(unparkVehicles(character, item.id, quantity), item.id, quantity)
+      character.cash += total
+      message = `Sold ${quantity}x ${item.name} for $${total.toLocaleString()}`
+    }
+
+    let police = null
+    let jail = null
+    const heat = getTradeHeat(item, total)
+    if (heat > 0) {
+      const encounter = rollPoliceEncounter(addHeat(character, heat), { rng, items: catalog.items })
+      character = encounter.character
+      police = encounter.encounter
+
+      if (police?.outcome === 'busted') {
+        const arrested = arrestCharacter(character, { reason: `Busted dealing ${item.name}` })
+        character = arrested.character
+        jail = arrested.arrest
+      }
+    }
+
+    const saved = await characters.saveCharacter(character)
+    await characters.logActivity(characterId, type === 'buy' ? 'item_purchased' : 'item_sold', message)
+    if (police) {
+      message += ` ${describeEncounter(police)}`
+      await characters.logActivity(characterId, 'police_encounter', describeEncounter(police))
+    }
+    if (jail) {
+      message += ` ${describeArrest(jail)}`
+      await characters.logActivity(characterId, 'arrested', describeArrest(jail))
+    }
+    const updatedMarket = await market.recordTrade(character.location, item.id, type, quantity)
+    const updatedNpc = await npcs.recordTrade(npc.id, item.id, type, quantity, total)
+
+    return {
+      character: saved,
+      message,
+      police,
+      jail,
+      market: market.toMarketView(updatedMarket),
+      npc: npcs.toNpcView(updatedNpc)
+    }
+  }
+
+  return { executeTrade }
+}
@@ -0,0 +1,131 @@
+/**
+ * Travel Service
+ * Moves a character between cities by public transport or in a vehicle
+ * they have parked in their city ({ destination, mode }). Public
+ * transport charges the destination's cash and stamina cost from the
+ * content catalog; a vehicle charges fuel, keeps the character busy for
+ * the drive and is parked at the destination (see vehicle rules). Strength and Endurance cut the stamina (see skill modifiers) and
+ * an overloaded character pays extra (see carry rules). Crossing the
+ * USA-Mexico border raises heat and passes a checkpoint that may search
+ * the character for contraband, more or less likely by vehicle; an arrest
+ * there jails the character on the near side.
+ * Each trip also rolls the raids due on the character's stash houses (see
+ * stash rules).
+ */
+
+import {
+  ARREST_HEAT,
+  CONFISCATION_HEAT,
+  describeCheckpoint,
+  isBorderCrossing,
+  resolveCheckpoint
+} from '../../../shared/game/border.js'
+import { addHeat, getTravelHeat } from '../../../shared/game/heat.js'
+import { arrestCharacter, describeArrest } from '../../../shared/game/jail.js'
+import { describeRaid, rollStashRaids } from '../../../shared/game/stash.js'
+import { PUBLIC_TRANSPORT, getTravelOptions, moveVehicle, startTrip } from '../../../shared/game/vehicles.js'
+import { catalog } from '../content/catalog.js'
+import { badRequest } from '../utils/errors.js'
+import { assertNotBusy, assertNotHospitalized, assertNotJailed } from '../utils/guards.js'
+import { secureRandom } from '../utils/random.js'
+import { requireString } from '../utils/validation.js'
+
+export const createTravelService = ({ characters, rng = secureRandom }) => {
+  /**
+   * Travels to a destination city and returns the updated character
+   */
+  const travel = async (userId, characterId, payload = {}) => {
+    const destination = catalog.getCity(requireString(payload.destination, 'destination'))
+    if (!destination) {
+      throw badRequest('Unknown destination')
+    }
+
+    const character = await characters.getCharacter(userId, characterId)
+    assertNotHospitalized(character)
+    assertNotJailed(character)
+    assertNotBusy(character)
+
+    if (character.location === destination.name) {
+      throw badRequest(`You are already in ${destination.name}`)
+    }
+
+    const origin = catalog.getCity(character.location)
+    const mode = payload.mode === undefined ? PUBLIC_TRANSPORT : requireString(payload.mode, 'mode')
+    const option = getTravelOptions(character, origin, destination, catalog.items).find(entry => entry.id === mode)
+    if (!option) {
+      throw badRequest(`You have no vehicle like that parked in ${origin.name}`)
+    }
+    if (!option.available) {
+      throw badRequest(option.reason, 'ROUTE_UNAVAILABLE')
+    }
+    if (character.cash < option.cash) {
+      throw badRequest('Not enough cash for this trip!')
+    }
+    if (character.stamina < option.stamina) {
+      throw badRequest('Not enough stamina for this trip!')
+    }
+
+    let updated = startTrip({
+      ...character,
+      location: destination.name,
+      cash: character.cash - option.cash,
+      stamina: Math.max(0, character.stamina - option.stamina)
+    }, option, destination)
+
+    let checkpoint = null
+    let jail = null
+    if (isBorderCrossing(origin, destination)) {
+      const crossing = resolveCheckpoint(updated, { rng, vehicle: option.vehicle })
+      checkpoint = crossing.checkpoint
+      updated = addHeat(crossing.character, getTravelHeat(origin, destination))
+
+      if (checkpoint.outcome === 'confiscation') {
+        updated = addHeat(updated, CONFISCATION_HEAT)
+      }
+      if (checkpoint.outcome === 'arrest') {
+        const arrested = arrestCharacter(
+          { ...addHeat(updated, ARREST_HEAT), location: origin.name, busy: null },
+          { reason: `Caught smuggling at the ${destination.name} border crossing` }
+        )
+        updated = arrested.character
+        jail = arrested.arrest
+      }
+    }
+
+    // A vehicle turned back at the border stays where it was
+    if (option.vehicle && updated.location === destination.name) {
+      updated = moveVehicle(updated, option.id, origin.name, destination.name)
+    }
+
+    const stashRaids = rollStashRaids(updated, { rng })
+    const raids = stashRaids.raids
+    updated = stashRaids.character
+
+    const saved = await characters.saveCharacter(updated)
+    const arrived = saved.location === destination.name
+
+    let message = arrived ? `Traveled to ${destination.name}` : `Turned back to ${origin.name}`
+    if (arrived && option.vehicle) {
+      message += ` by ${option.name} (${option.minutes} min)`
+    }
+    if (checkpoint) {
+      message += `. ${describeCheckpoint(checkpoint)}`
+      await characters.logActivity(characterId, 'border_checkpoint', describeCheckpoint(checkpoint))
+    }
+    if (jail) {
+      message += ` ${describeArrest(jail)}`
+      await characters.logActivity(characterId, 'arrested', describeArrest(jail))
+    }
+    if (arrived) {
+      await characters.logActivity(characterId, 'location_arrived', `Traveled to ${destination.name}`)
+    }
+    for (const raid of raids) {
+      message += ` ${describeRaid(raid)}`
+      await characters.logActivity(characterId, 'stash_raided', describeRaid(raid))
+    }
+
+    return { character: saved, message, checkpoint, jail, raids }
+  }
+
+  return { travel }
+}
@@ -0,0 +1,57 @@
+/**
+ * File-backed storage adapter
+ * Same interface as the memory store, but every write is flushed to a JSON
+ * file so local data survives server restarts.
+ *
+ * Writes are serialized through a promise queue and go through a temp file
+ * + rename, so a crash mid-write never leaves a truncated database.
+ */
+
+import { existsSync, readFileSync } from 'node:fs'
+import { mkdir, rename, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+import { createMemoryStore } from './memoryStore.js'
+
+/**
+ * Creates a store persisted to the given JSON file
+ */
+export const createFileStore = (filePath) => {
+  const initialData = existsSync(filePath)
+    ? JSON.parse(readFileSync(filePath, 'utf8'))
+    : {}
+  const memory = createMemoryStore(initialData)
+  let writeQueue = Promise.resolve()
+
+  /**
+   * Queues a flush of the current snapshot to disk
+   */
+  const persist = () => {
+    writeQueue = writeQueue
+      .catch(() => {}) // A failed flush must not block later ones
+      .then(async () => {
+        const tempPath = `${filePath}.tmp`
+        await mkdir(path.dirname(filePath), { recursive: true })
+        await writeFile(tempPath, JSON.stringify(memory.snapshot(), null, 2))
+        await rename(tempPath, filePath)
+      })
+    return writeQueue
+  }
+
+  return {
+    ...memory,
+
+    async put(table, item) {
+      const stored = await memory.put(table, item)
+      await persist()
+      return stored
+    },
+
+    async remove(table, id) {
+      const removed = await memory.remove(table, id)
+      if (removed) {
+        await persist()
+      }
+      return removed
+    }
+  }
+}
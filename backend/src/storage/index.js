@@ -0,0 +1,30 @@
+/**
+ * Storage factory
+ * Picks a storage adapter by driver name. Every adapter implements the
+ * interface documented in memoryStore.js, so a DynamoDB adapter can be
+ * dropped in here without touching the services.
+ *
+ * Drivers:
+ * - memory: in-process, reset on restart (default)
+ * - file:   JSON file on disk, survives restarts
+ */
+
+import { createFileStore } from './fileStore.js'
+import { createMemoryStore } from './memoryStore.js'
+
+/**
+ * Creates the configured store
+ */
+export const createStore = ({ driver = 'memory', filePath } = {}) => {
+  switch (driver) {
+    case 'memory':
+      return createMemoryStore()
+    case 'file':
+      if (!filePath) {
+        throw new Error('The file storage driver requires a filePath')
+      }
+      return createFileStore(filePath)
+    default:
+      throw new Error(`Unknown storage driver "${driver}"`)
+  }
+}
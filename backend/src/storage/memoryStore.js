@@ -0,0 +1,66 @@
+/**
+ * In-memory storage adapter
+ * Keeps every table in a Map keyed by item id. Data is lost when the
+ * process exits, which makes it the default for local development.
+ *
+ * Adapter interface (shared by every storage driver):
+ * - get(table, id)         -> item or null
+ * - put(table, item)       -> stored item (item.id is the key)
+ * - remove(table, id)      -> true if an item was removed
+ * - query(table, predicate) -> array of matching items
+ *
+ * Items are deep-cloned on the way in and out so callers can never mutate
+ * stored state by accident.
+ */
+
+const clone = (value) => (value === undefined || value === null ? null : structuredClone(value))
+
+/**
+ * Creates an in-memory store, optionally seeded with { table: { id: item } } data
+ */
+export const createMemoryStore = (initialData = {}) => {
+  const tables = new Map(
+    Object.entries(initialData).map(([name, items]) => [name, new Map(Object.entries(items))])
+  )
+
+  /**
+   * Returns the Map backing a table, creating it on first use
+   */
+  const getTable = (name) => {
+    if (!tables.has(name)) {
+      tables.set(name, new Map())
+    }
+    return tables.get(name)
+  }
+
+  return {
+    async get(table, id) {
+      return clone(getTable(table).get(id))
+    },
+
+    async put(table, item) {
+      if (!item || item.id === undefined) {
+        throw new Error(`Cannot store an item without an id in table "${table}"`)
+      }
+      getTable(table).set(item.id, clone(item))
+      return clone(item)
+    },
+
+    async remove(table, id) {
+      return getTable(table).delete(id)
+    },
+
+    async query(table, predicate = () => true) {
+      return [...getTable(table).values()].filter(predicate).map(clone)
+    },
+
+    /**
+     * Serializable copy of every table - used by the file store
+     */
+    snapshot() {
+      return Object.fromEntries(
+        [...tables].map(([name, items]) => [name, Object.fromEntries(items)])
+      )
+    }
+  }
+}
@@ -0,0 +1,22 @@
+/**
+ * API error helpers
+ * Services throw ApiError instances so the error middleware can turn them
+ * into consistent JSON responses with the right HTTP status
+ */
+
+export class ApiError extends Error {
+  constructor(status, message, code = 'API_ERROR') {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.code = code
+  }
+}
+
+/**
+ * Shorthand constructors for the statuses the game API uses
+ */
+export const badRequest = (message, code = 'BAD_REQUEST') => new ApiError(400, message, code)
+export const unauthorized = (message, code = 'UNAUTHORIZED') => new ApiError(401, message, code)
+export const notFound = (message, code = 'NOT_FOUND') => new ApiError(404, message, code)
+export const conflict = (message, code = 'CONFLICT') => new ApiError(409, message, code)
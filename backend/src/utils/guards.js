@@ -0,0 +1,49 @@
+/**
+ * Action guards
+ * Shared checks that lock gameplay actions while the character is
+ * unavailable. Services call these before applying an action.
+ */
+
+import { getRecoveryRemaining, isHospitalized } from '../../../shared/game/hospital.js'
+import { getSentenceRemaining, isJailed } from '../../../shared/game/jail.js'
+import { getBusyRemaining, isBusy } from '../../../shared/game/missions.js'
+import { conflict } from './errors.js'
+
+/**
+ * Blocks actions while the character is recovering in hospital
+ */
+export const assertNotHospitalized = (character) => {
+  if (isHospitalized(character)) {
+    const minutes = Math.ceil(getRecoveryRemaining(character) / 60000)
+    throw conflict(
+      `You are recovering in hospital for another ${minutes} min`,
+      'HOSPITALIZED'
+    )
+  }
+}
+
+/**
+ * Blocks actions while the character is serving a jail sentence
+ */
+export const assertNotJailed = (character) => {
+  if (isJailed(character)) {
+    const minutes = Math.ceil(getSentenceRemaining(character) / 60000)
+    throw conflict(
+      `You are in jail for another ${minutes} min. Post bail or serve your time first`,
+      'JAILED'
+    )
+  }
+}
+
+/**
+ * Blocks actions while the character is tied up in a timed mission
+ */
+export const assertNotBusy = (character) => {
+  if (isBusy(character)) {
+    const minutes = Math.ceil(getBusyRemaining(character) / 60000)
+    throw conflict(
+      `You are busy with ${character.busy.activity} for another ${minutes} min`,
+      'BUSY'
+    )
+  }
+}
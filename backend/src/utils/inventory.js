@@ -0,0 +1,46 @@
+/**
+ * Inventory helpers
+ * Pure functions for stacking and removing items on a character.
+ * They never mutate the character passed in - a new object is returned.
+ */
+
+/**
+ * Gets the quantity of an item the character is carrying
+ */
+export const getItemQuantity = (character, itemId) => {
+  const item = character.inventory?.items?.find(i => i.id === itemId)
+  return item ? item.quantity : 0
+}
+
+/**
+ * Adds items to the character's inventory, stacking with an existing entry
+ */
+export const addItem = (character, { id, name, type }, quantity) => {
+  const items = [...(character.inventory?.items || [])]
+  const index = items.findIndex(i => i.id === id)
+
+  if (index !== -1) {
+    items[index] = { ...items[index], quantity: items[index].quantity + quantity }
+  } else {
+    items.push({ id, name, type, quantity })
+  }
+
+  return {
+    ...character,
+    inventory: { drugs: [], ...character.inventory, items }
+  }
+}
+
+/**
+ * Removes items from the character's inventory, dropping empty stacks
+ */
+export const removeItem = (character, itemId, quantity) => {
+  const items = (character.inventory?.items || [])
+    .map(i => (i.id === itemId ? { ...i, quantity: i.quantity - quantity } : i))
+    .filter(i => i.quantity > 0)
+
+  return {
+    ...character,
+    inventory: { ...character.inventory, items }
+  }
+}
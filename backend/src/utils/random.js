@@ -0,0 +1,30 @@
+/**
+ * Server-side random number generation
+ * Game outcomes are rolled here, never on the client. Services accept an
+ * injectable rng so tooling can substitute a seeded generator.
+ */
+
+import { randomInt } from 'node:crypto'
+
+const RANGE = 2 ** 32
+
+/**
+ * Returns a cryptographically secure float in [0, 1)
+ */
+export const secureRandom = () => randomInt(0, RANGE) / RANGE
+
+/**
+ * Returns a repeatable [0, 1) generator for a numeric seed (mulberry32).
+ * For tooling only - never use it to roll real game outcomes.
+ */
+export const createSeededRandom = (seed) => {
+  let state = seed >>> 0
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / RANGE
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * Request validation helpers
+ * Each helper returns the validated value or throws a 400 ApiError
+ */
+
+import { badRequest } from './errors.js'
+
+/**
+ * Requires a whole number >= 1 (quantities)
+ */
+export const requirePositiveInteger = (value, field) => {
+  const number = Number(value)
+  if (!Number.isInteger(number) || number < 1) {
+    throw badRequest(`${field} must be a positive whole number`)
+  }
+  return number
+}
+
+/**
+ * Requires a finite number >= 0 (prices, costs)
+ */
+export const requireNonNegativeNumber = (value, field) => {
+  const number = Number(value)
+  if (value === null || value === undefined || value === '' || !Number.isFinite(number) || number < 0) {
+    throw badRequest(`${field} must be a non-negative number`)
+  }
+  return number
+}
+
+/**
+ * Requires a non-empty string
+ */
+export const requireString = (value, field) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw badRequest(`${field} is required`)
+  }
+  return value.trim()
+}
+
+/**
+ * Requires one of a fixed set of values
+ */
+export const requireOneOf = (value, allowed, field) => {
+  if (!allowed.includes(value)) {
+    throw badRequest(`${field} must be one of: ${allowed.join(', ')}`)
+  }
+  return value
+}
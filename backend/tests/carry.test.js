@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { getCapacity, getOverloadMultiplier, getRoomFor } from '../../shared/game/carry.js'
+import { getTravelStaminaCost } from '../../shared/game/skills.js'
+import { catalog } from '../src/content/catalog.js'
+import { setupGame, stack, USER_ID } from './helpers.js'
+
+const UNTRAINED = { strength: 1, intelligence: 1, endurance: 1, shooting: 1 }
+
+const carrying = (...items) => ({ skills: UNTRAINED, inventory: { items, drugs: [] } })
+
+describe('carry rules', () => {
+  it('grows capacity with Strength and bags, each bag counted once', () => {
+    assert.deepEqual(getCapacity(carrying(), catalog.items), { weight: 20, volume: 30 })
+    assert.deepEqual(
+      getCapacity({ ...carrying(stack('backpack', 2)), skills: { ...UNTRAINED, strength: 6 } }, catalog.items),
+      { weight: 20 + 10 + 15, volume: 30 + 10 + 30 }
+    )
+  })
+
+  it('limits room by the fuller of weight and volume', () => {
+    const marijuana = catalog.getItem('marijuana')
+
+    assert.equal(getRoomFor(carrying(), marijuana, catalog.items), 10)
+    assert.equal(getRoomFor(carrying(stack('marijuana', 4)), marijuana, catalog.items), 6)
+    assert.equal(getRoomFor(carrying(), catalog.getItem('backpack'), catalog.items), Infinity)
+  })
+
+  it('charges extra travel stamina for an overload', () => {
+    const overloaded = carrying(stack('marijuana', 15))
+    const miami = catalog.getCity('Miami')
+
+    assert.equal(getOverloadMultiplier(overloaded, catalog.items), 2)
+    assert.equal(getTravelStaminaCost(overloaded, miami, catalog.items), miami.staminaCost * 2)
+  })
+})
+
+describe('carry limits', () => {
+  it('refuses a purchase that would not fit', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter({ cash: 100000 })
+
+    await assert.rejects(
+      services.trades.executeTrade(USER_ID, character.id, {
+        type: 'buy', npcId: 'la-dealer-1', itemId: 'marijuana', quantity: 11
+      }),
+      { status: 400, code: 'OVER_CAPACITY', message: 'You can only carry 10 more Marijuana' }
+    )
+  })
+})
@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict'
+import { readdirSync, readFileSync } from 'node:fs'
+import { describe, it } from 'node:test'
+import { buildCatalog } from '../../shared/content/loader.js'
+
+const CONTENT_DIR = new URL('../../shared/content/data/', import.meta.url)
+
+/**
+ * Every shipped content file, parsed and keyed by name
+ */
+const readSources = () => Object.fromEntries(
+  readdirSync(CONTENT_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => [file.replace('.json', ''), JSON.parse(readFileSync(new URL(file, CONTENT_DIR), 'utf8'))])
+)
+
+/**
+ * The validation errors buildCatalog reports for the sources
+ */
+const errorsFor = (sources) => {
+  try {
+    buildCatalog(sources)
+  } catch (error) {
+    assert.equal(error.name, 'ContentValidationError')
+    return error.errors
+  }
+  assert.fail('content was accepted')
+}
+
+describe('content catalog', () => {
+  it('builds and indexes the shipped content', () => {
+    const catalog = buildCatalog(readSources())
+
+    assert.equal(catalog.getNpc('la-dealer-1').city, 'Los Angeles')
+    assert.equal(catalog.getItem('cocaine').id, 'cocaine')
+    assert.ok(catalog.startingLocations.length > 0)
+  })
+
+  it('rejects a file with the wrong version', () => {
+    const sources = readSources()
+    sources.items = { ...sources.items, version: 0 }
+
+    assert.ok(errorsFor(sources).some(error => error.startsWith('items.json has version 0')))
+  })
+
+  it('rejects duplicate ids', () => {
+    const sources = readSources()
+    sources.items.items.push({ ...sources.items.items[0] })
+
+    assert.ok(errorsFor(sources).includes(`item[${sources.items.items[0].id}] has a duplicate id`))
+  })
+
+  it('rejects broken references', () => {
+    const sources = readSources()
+    sources.npcs.npcs[0].inventory.push('moonshine')
+
+    assert.ok(errorsFor(sources).includes(`npc[${sources.npcs.npcs[0].id}].inventory references unknown item "moonshine"`))
+  })
+
+  it('freezes the content it returns', () => {
+    const catalog = buildCatalog(readSources())
+
+    assert.throws(() => { catalog.getItem('cocaine').basePrice = 1 }, TypeError)
+  })
+})
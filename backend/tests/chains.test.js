@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { getXpForLevel } from '../../shared/game/progression.js'
+import { scriptedRandom, setupGame, stack, USER_ID } from './helpers.js'
+
+const RUNNER = {
+  level: 2,
+  xp: getXpForLevel(2),
+  location: 'Tijuana',
+  cash: 5000,
+  skills: { strength: 3, intelligence: 3, endurance: 3, shooting: 1 }
+}
+
+/**
+ * Moves a stored character to another city
+ */
+const moveTo = async (store, characterId, location) => {
+  await store.put('characters', { ...(await store.get('characters', characterId)), location })
+}
+
+describe('mission chains', () => {
+  it('keeps a chain locked below its level', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter()
+
+    const [chain] = await services.chains.listChains(USER_ID, character.id)
+
+    assert.equal(chain.status, 'locked')
+    assert.equal(chain.currentStep, null)
+  })
+
+  it('lists the current mission step on the mission board', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter(RUNNER)
+
+    const { missions } = await services.missions.listAvailableMissions(USER_ID, character.id)
+
+    assert.ok(missions.some(mission => mission.id === 'chain-border-run.scout'))
+  })
+
+  it('follows the chosen branch to the end and pays the chain out', async () => {
+    const { services, store, createCharacter } = setupGame({ rng: scriptedRandom(0) })
+    const character = await createCharacter(RUNNER)
+
+    const scouted = await services.missions.attemptMission(USER_ID, character.id, 'chain-border-run.scout')
+    assert.ok(scouted.character.storyFlags.includes('border-run-scouted'))
+
+    const chosen = await services.chains.advanceStep(USER_ID, character.id, 'border-run', { optionId: 'tunnel' })
+    assert.equal(chosen.character.cash, scouted.character.cash - 1500)
+    assert.equal(chosen.chain.currentStep.id, 'tunnel-run')
+
+    await moveTo(store, character.id, 'Los Angeles')
+    const result = await services.missions.attemptMission(USER_ID, character.id, 'chain-border-run.tunnel-run')
+
+    assert.equal(result.character.chains['border-run'].step, null)
+    assert.ok(result.character.storyFlags.includes('border-run-complete'))
+    assert.equal(result.character.cash, chosen.character.cash + 800 + 4000)
+    assert.equal(result.character.reputation['cartel-pacifico'], 3 + 10)
+  })
+
+  it('holds an objective until its prerequisites are met', async () => {
+    const { services, store, createCharacter } = setupGame({ rng: scriptedRandom(0) })
+    const character = await createCharacter(RUNNER)
+    await services.missions.attemptMission(USER_ID, character.id, 'chain-border-run.scout')
+    await services.chains.advanceStep(USER_ID, character.id, 'border-run', { optionId: 'papers' })
+
+    await assert.rejects(
+      services.chains.advanceStep(USER_ID, character.id, 'border-run'),
+      { status: 400, code: 'PREREQUISITES_NOT_MET', message: 'You still need: 1x Fake ID' }
+    )
+
+    const stored = await store.get('characters', character.id)
+    await store.put('characters', { ...stored, inventory: { items: [stack('fake-id', 1)], drugs: [] } })
+    const result = await services.chains.advanceStep(USER_ID, character.id, 'border-run')
+
+    assert.equal(result.chain.currentStep.id, 'checkpoint-run')
+  })
+
+  it('only resolves the step the character is on', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter({ ...RUNNER, location: 'Los Angeles' })
+
+    await assert.rejects(
+      services.missions.attemptMission(USER_ID, character.id, 'chain-border-run.tunnel-run'),
+      { status: 404, message: 'Mission not found' }
+    )
+  })
+})
@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { setupGame, USER_ID } from './helpers.js'
+
+describe('characters', () => {
+  it('creates a character with starting stats in the chosen city', async () => {
+    const { services } = setupGame()
+
+    const character = await services.characters.createCharacter(USER_ID, {
+      name: '  Scarface ',
+      startingLocation: 'Miami'
+    })
+
+    assert.equal(character.name, 'Scarface')
+    assert.equal(character.location, 'Miami')
+    assert.equal(character.cash, 1000)
+    assert.deepEqual((await services.characters.listCharacters(USER_ID)).map(entry => entry.id), [character.id])
+  })
+
+  it('rejects invalid names and starting locations', async () => {
+    const { services } = setupGame()
+
+    await assert.rejects(
+      services.characters.createCharacter(USER_ID, { name: 'Al', startingLocation: 'Miami' }),
+      { status: 400, message: 'Character name must be between 3 and 20 characters' }
+    )
+    await assert.rejects(
+      services.characters.createCharacter(USER_ID, { name: 'Scarface', startingLocation: 'Atlantis' }),
+      { status: 400, message: 'Invalid starting location' }
+    )
+  })
+
+  it('allows three characters per account with distinct names', async () => {
+    const { services, createCharacter } = setupGame()
+    const first = await createCharacter()
+
+    await assert.rejects(
+      services.characters.createCharacter(USER_ID, { name: first.name, startingLocation: 'Miami' }),
+      { status: 409, message: 'A character with this name already exists' }
+    )
+
+    await createCharacter()
+    await createCharacter()
+    await assert.rejects(
+      services.characters.createCharacter(USER_ID, { name: 'One Too Many', startingLocation: 'Miami' }),
+      { status: 409, message: 'Maximum of 3 characters allowed per account' }
+    )
+  })
+
+  it('hides characters from other players', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter()
+
+    await assert.rejects(services.characters.getCharacter('someone-else', character.id), { status: 404 })
+    await assert.rejects(services.characters.deleteCharacter('someone-else', character.id), { status: 404 })
+  })
+
+  it('deletes a character with its activity log', async () => {
+    const { store, services, createCharacter } = setupGame()
+    const character = await createCharacter()
+
+    await services.characters.deleteCharacter(USER_ID, character.id)
+
+    assert.deepEqual(await services.characters.listCharacters(USER_ID), [])
+    assert.equal(await store.get('activity', character.id), null)
+  })
+})
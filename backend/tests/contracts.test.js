@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { BOARD_SIZE, generateBoard, generateContract } from '../../shared/game/contracts.js'
+import { catalog } from '../src/content/catalog.js'
+import { scriptedRandom, setupGame, USER_ID } from './helpers.js'
+
+const SKILLED = { strength: 5, intelligence: 5, endurance: 5, shooting: 5 }
+
+const template = (id) => catalog.contractTemplates.find(entry => entry.id === id)
+
+describe('contract rules', () => {
+  it('scales requirements and pay with level and the city', () => {
+    const contract = generateContract(template('delivery'), {
+      id: 'contract-test-1',
+      city: catalog.getCity('Los Angeles'),
+      level: 9,
+      rng: scriptedRandom(0)
+    })
+
+    assert.deepEqual(contract.requirements, { endurance: 4, intelligence: 3 })
+    assert.deepEqual(contract.rewards, { cash: Math.round((300 + 8 * 60) * 1.1), xp: 30 + 8 * 6 })
+    assert.equal(contract.location, 'Los Angeles')
+    assert.equal(contract.contract, true)
+  })
+
+  it('only draws templates the level and city allow', () => {
+    const board = generateBoard(catalog.contractTemplates, {
+      city: catalog.getCity('Los Angeles'),
+      level: 1,
+      rng: scriptedRandom(0.99)
+    })
+
+    assert.equal(board.contracts.length, BOARD_SIZE)
+    assert.ok(board.contracts.every(contract => ['delivery', 'collection'].includes(contract.template)))
+  })
+})
+
+describe('contract board', () => {
+  it('keeps the same board until it refreshes', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter()
+
+    const first = await services.missions.listAvailableMissions(USER_ID, character.id)
+    const second = await services.missions.listAvailableMissions(USER_ID, character.id)
+
+    const contractIds = ({ missions }) => missions.filter(mission => mission.contract).map(mission => mission.id)
+    assert.equal(contractIds(first).length, BOARD_SIZE)
+    assert.deepEqual(contractIds(second), contractIds(first))
+    assert.equal(second.refreshAt, first.refreshAt)
+  })
+
+  it('draws a new board in another city', async () => {
+    const { services, store, createCharacter } = setupGame()
+    const character = await createCharacter()
+    await services.missions.listAvailableMissions(USER_ID, character.id)
+
+    await store.put('characters', { ...(await store.get('characters', character.id)), location: 'Miami' })
+    const { missions } = await services.missions.listAvailableMissions(USER_ID, character.id)
+
+    assert.ok(missions.filter(mission => mission.contract).every(mission => mission.location === 'Miami'))
+  })
+
+  it('takes a contract off the board once attempted', async () => {
+    const { services, createCharacter } = setupGame({ rng: scriptedRandom(0) })
+    const character = await createCharacter({ skills: SKILLED })
+    const { missions } = await services.missions.listAvailableMissions(USER_ID, character.id)
+    const contract = missions.find(mission => mission.contract)
+
+    const result = await services.missions.attemptMission(USER_ID, character.id, contract.id)
+
+    assert.equal(result.success, true)
+    assert.equal(result.character.completedMissions.includes(contract.id), false)
+    await assert.rejects(
+      services.missions.attemptMission(USER_ID, character.id, contract.id),
+      { status: 404, message: 'That contract is no longer on offer' }
+    )
+  })
+})
@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import {
+  applyEffect,
+  getEffectiveSkills,
+  getEffectModifiers,
+  resolveEffects
+} from '../../shared/game/effects.js'
+import { setupGame, stack, USER_ID } from './helpers.js'
+
+const NOW = Date.parse('2025-01-01T12:00:00.000Z')
+const MINUTE_MS = 60 * 1000
+
+const at = (minutes) => new Date(NOW + minutes * MINUTE_MS).toISOString()
+
+const untrained = () => ({
+  health: 80,
+  maxHealth: 100,
+  skills: { strength: 1, intelligence: 1, endurance: 1, shooting: 1 },
+  effects: []
+})
+
+describe('status effect rules', () => {
+  it('restarts a refreshing effect', () => {
+    const once = applyEffect(untrained(), 'steroid-rush', NOW)
+    const twice = applyEffect(once, 'steroid-rush', NOW + 10 * MINUTE_MS)
+
+    assert.deepEqual(twice.effects, [{ id: 'steroid-rush', stacks: 1, expiresAt: at(40) }])
+  })
+
+  it('adds the duration of an extending effect to the time left', () => {
+    const once = applyEffect(untrained(), 'steroid-crash', NOW)
+    const twice = applyEffect(once, 'steroid-crash', NOW + 5 * MINUTE_MS)
+
+    assert.equal(twice.effects[0].expiresAt, at(40))
+  })
+
+  it('stacks a stacking effect up to its limit', () => {
+    let character = untrained()
+    for (let i = 0; i < 5; i++) {
+      character = applyEffect(character, 'wired', NOW)
+    }
+
+    assert.equal(character.effects[0].stacks, 3)
+    assert.equal(getEffectModifiers(character, NOW).staminaRegen, 3)
+  })
+
+  it('never lowers an effective skill below 1', () => {
+    const crashed = applyEffect(untrained(), 'steroid-crash', NOW)
+
+    assert.equal(getEffectiveSkills(crashed, NOW).strength, 1)
+    assert.equal(getEffectiveSkills(applyEffect(untrained(), 'steroid-rush', NOW), NOW).strength, 4)
+  })
+
+  it('lands side effects when an effect runs out', () => {
+    const rushed = applyEffect(untrained(), 'steroid-rush', NOW)
+
+    const crashed = resolveEffects(rushed, NOW + 31 * MINUTE_MS)
+
+    assert.equal(crashed.health, 55)
+    assert.deepEqual(crashed.effects, [{ id: 'steroid-crash', stacks: 1, expiresAt: at(50) }])
+    assert.deepEqual(resolveEffects(rushed, NOW + 60 * MINUTE_MS).effects, [])
+  })
+})
+
+describe('consumables', () => {
+  it('applies the status effect of a used item', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter({ stamina: 50, inventory: { items: [stack('energy-drink', 1)], drugs: [] } })
+
+    const result = await services.inventory.useItem(USER_ID, character.id, 'energy-drink')
+
+    assert.equal(result.character.stamina, 75)
+    assert.deepEqual(result.character.effects.map(entry => entry.id), ['wired'])
+  })
+
+  it('runs out expired effects when the character is loaded', async () => {
+    const { createCharacter } = setupGame()
+    const expiresAt = new Date(Date.now() - MINUTE_MS).toISOString()
+    const character = await createCharacter({ effects: [{ id: 'steroid-rush', stacks: 1, expiresAt }] })
+
+    assert.deepEqual(character.effects.map(entry => entry.id), ['steroid-crash'])
+    assert.equal(character.health, 75)
+  })
+})
@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { getArmorMultiplier, getGearMissionBonus, getLoadoutStats } from '../../shared/game/equipment.js'
+import { catalog } from '../src/content/catalog.js'
+import { setupGame, stack, USER_ID } from './helpers.js'
+
+const armed = () => ({
+  inventory: { items: [stack('pistol', 1), stack('rifle', 1), stack('body-armor', 1), stack('health-kit', 1)], drugs: [] }
+})
+
+describe('equipment rules', () => {
+  const character = {
+    ...armed(),
+    equipment: { primary: 'rifle', sidearm: 'pistol', melee: null, armor: 'body-armor' }
+  }
+
+  it('counts the primary in full and the sidearm at half', () => {
+    const stats = getLoadoutStats(character, catalog.items)
+
+    assert.equal(stats.gunPower, 40 * 0.7 + 20 * 0.6 * 0.5)
+    assert.equal(stats.armor, 30)
+    assert.equal(getArmorMultiplier(character, catalog.items), 0.7)
+  })
+
+  it('only boosts missions that weigh the matching skill', () => {
+    assert.ok(getGearMissionBonus(character, { shooting: 1 }, catalog.items) > 0)
+    assert.equal(getGearMissionBonus(character, { intelligence: 1 }, catalog.items), 0)
+  })
+
+  it('ignores gear that is no longer carried', () => {
+    const unarmed = { ...character, inventory: { items: [], drugs: [] } }
+
+    assert.deepEqual(getLoadoutStats(unarmed, catalog.items), { gunPower: 0, meleePower: 0, armor: 0 })
+  })
+})
+
+describe('loadout', () => {
+  it('equips gear into its slot', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter(armed())
+
+    const result = await services.inventory.equipItem(USER_ID, character.id, 'rifle')
+
+    assert.equal(result.character.equipment.primary, 'rifle')
+  })
+
+  it('refuses items that are not gear', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter(armed())
+
+    await assert.rejects(
+      services.inventory.equipItem(USER_ID, character.id, 'health-kit'),
+      { status: 400, message: 'This item cannot be equipped' }
+    )
+  })
+
+  it('empties the slot when the last one is dropped', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter(armed())
+    await services.inventory.equipItem(USER_ID, character.id, 'pistol')
+
+    const result = await services.inventory.dropItem(USER_ID, character.id, 'pistol', 1)
+
+    assert.equal(result.character.equipment.sidearm, null)
+  })
+})
@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { createApp } from '../src/app.js'
+import { createMemoryStore } from '../src/storage/memoryStore.js'
+import { USER_ID } from './helpers.js'
+
+describe('error responses', () => {
+  let server
+  let baseUrl
+
+  before(async () => {
+    const { app } = createApp({ store: createMemoryStore() })
+    server = app.listen(0)
+    await new Promise(resolve => server.once('listening', resolve))
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`
+  })
+
+  after(() => new Promise(resolve => server.close(resolve)))
+
+  it('requires a user identity', async () => {
+    const response = await fetch(`${baseUrl}/characters`)
+
+    assert.equal(response.status, 401)
+    assert.equal((await response.json()).error.code, 'UNAUTHORIZED')
+  })
+
+  it('reports service errors with their status and message', async () => {
+    const response = await fetch(`${baseUrl}/characters`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'x-user-id': USER_ID },
+      body: JSON.stringify({ name: 'Al', startingLocation: 'Miami' })
+    })
+
+    assert.equal(response.status, 400)
+    assert.deepEqual(await response.json(), {
+      error: { code: 'BAD_REQUEST', message: 'Character name must be between 3 and 20 characters' }
+    })
+  })
+
+  it('reports a malformed JSON body as a bad request', async () => {
+    const response = await fetch(`${baseUrl}/characters`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'x-user-id': USER_ID },
+      body: '{"name": '
+    })
+
+    assert.equal(response.status, 400)
+    assert.equal((await response.json()).error.code, 'BAD_REQUEST')
+  })
+
+  it('reports unknown routes as not found', async () => {
+    const response = await fetch(`${baseUrl}/nowhere`, { headers: { 'x-user-id': USER_ID } })
+
+    assert.equal(response.status, 404)
+    assert.equal((await response.json()).error.code, 'ROUTE_NOT_FOUND')
+  })
+})
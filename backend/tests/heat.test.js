@@ -0,0 +1,121 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import {
+  applyHeatDecay,
+  getHeatSuccessMultiplier,
+  getTradeHeat,
+  getWantedLevel,
+  HEAT_DECAY_TICK_MS,
+  rollPoliceEncounter
+} from '../../shared/game/heat.js'
+import { catalog } from '../src/content/catalog.js'
+import { scriptedRandom, setupGame, stack, USER_ID } from './helpers.js'
+
+const DELIVERY_SKILLS = { strength: 1, intelligence: 1, endurance: 2, shooting: 1 }
+
+/**
+ * A character carrying drugs at the given heat
+ */
+const wanted = (heat) => ({
+  heat,
+  cash: 10000,
+  stamina: 100,
+  skills: { strength: 1, intelligence: 1, endurance: 1, shooting: 1 },
+  inventory: { items: [stack('cocaine', 5), stack('pistol', 1)], drugs: [] }
+})
+
+describe('heat rules', () => {
+  it('turns every 20 heat into a wanted star', () => {
+    assert.equal(getWantedLevel(0), 0)
+    assert.equal(getWantedLevel(19), 0)
+    assert.equal(getWantedLevel(20), 1)
+    assert.equal(getWantedLevel(100), 5)
+  })
+
+  it('cools off one point per tick', () => {
+    const now = Date.parse('2025-01-01T12:00:00.000Z')
+    const character = { heat: 30, heatUpdatedAt: new Date(now - 10 * HEAT_DECAY_TICK_MS).toISOString() }
+
+    assert.equal(applyHeatDecay(character, now).heat, 20)
+  })
+
+  it('cuts mission odds by wanted stars', () => {
+    assert.equal(getHeatSuccessMultiplier({ heat: 0 }), 1)
+    assert.equal(getHeatSuccessMultiplier({ heat: 40 }), 0.9)
+  })
+
+  it('hands a character who fails to evade the police over for arrest', () => {
+    const character = wanted(60)
+    const result = rollPoliceEncounter(character, { rng: scriptedRandom(0, 0.99) })
+
+    assert.equal(result.encounter.outcome, 'busted')
+    assert.equal(result.character, character)
+  })
+
+  it('lets a character who evades the police keep everything', () => {
+    const { character, encounter } = rollPoliceEncounter(wanted(60), { rng: scriptedRandom(0, 0) })
+
+    assert.equal(encounter.outcome, 'evaded')
+    assert.equal(character.inventory.items.length, 2)
+    assert.ok(character.heat > 60)
+  })
+
+  it('leaves a character without stars alone', () => {
+    assert.equal(rollPoliceEncounter(wanted(19), { rng: scriptedRandom(0) }).encounter, null)
+  })
+})
+
+describe('heat from actions', () => {
+  it('raises heat on mission attempts', async () => {
+    const { services, createCharacter } = setupGame({ rng: scriptedRandom(0) })
+    const character = await createCharacter({ skills: DELIVERY_SKILLS })
+
+    const result = await services.missions.attemptMission(USER_ID, character.id, 'delivery-1')
+
+    assert.equal(result.character.heat, 4)
+  })
+
+  it('raises heat on large drug deals', async () => {
+    const { services, createCharacter } = setupGame({ rng: scriptedRandom(0.99) })
+    const character = await createCharacter({ cash: 100000 })
+
+    const result = await services.trades.executeTrade(USER_ID, character.id, {
+      type: 'buy', npcId: 'la-dealer-1', itemId: 'cocaine', quantity: 10
+    })
+
+    const total = character.cash - result.character.cash
+    assert.ok(total >= 1000)
+    assert.equal(result.character.heat, getTradeHeat(catalog.getItem('cocaine'), total))
+  })
+
+  it('raises heat on border crossings', async () => {
+    const { services, createCharacter } = setupGame({ rng: scriptedRandom(0.99) })
+    const character = await createCharacter()
+
+    const result = await services.travel.travel(USER_ID, character.id, { destination: 'Tijuana' })
+
+    assert.equal(result.character.heat, 10)
+  })
+
+  it('makes contacts refuse a character above their tolerance', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter({ heat: 80 })
+
+    await assert.rejects(
+      services.trades.executeTrade(USER_ID, character.id, {
+        type: 'buy', npcId: 'la-dealer-1', itemId: 'marijuana', quantity: 1
+      }),
+      { status: 400, code: 'TOO_HOT' }
+    )
+  })
+
+  it('cools off while the player is away', async () => {
+    const { createCharacter } = setupGame()
+    const character = await createCharacter({
+      heat: 30,
+      heatUpdatedAt: new Date(Date.now() - 10 * HEAT_DECAY_TICK_MS).toISOString()
+    })
+
+    assert.equal(character.heat, 20)
+  })
+})
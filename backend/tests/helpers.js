@@ -0,0 +1,58 @@
+/**
+ * Test helpers
+ * Builds the game services on an in-memory store with a scripted random
+ * source, and creates characters in whatever state a test needs.
+ */
+
+import { catalog } from '../src/content/catalog.js'
+import { createServices } from '../src/services/index.js'
+import { createMemoryStore } from '../src/storage/memoryStore.js'
+
+export const USER_ID = 'tester'
+
+/**
+ * Returns an rng that yields the given values in turn and then keeps
+ * repeating the last one, so tests can force every roll
+ */
+export const scriptedRandom = (...values) => {
+  let index = 0
+  return () => values[Math.min(index++, values.length - 1)]
+}
+
+/**
+ * Inventory entry for a catalog item
+ */
+export const stack = (itemId, quantity) => {
+  const { id, name, type } = catalog.getItem(itemId)
+  return { id, name, type, quantity }
+}
+
+/**
+ * Services wired to a fresh in-memory store. Pass { rng } to script rolls.
+ */
+export const setupGame = ({ rng = scriptedRandom(0.5) } = {}) => {
+  const store = createMemoryStore()
+  const services = createServices(store, { rng })
+  let created = 0
+
+  /**
+   * Creates a character (up to three per game) and overwrites any stored
+   * fields with overrides
+   */
+  const createCharacter = async (overrides = {}) => {
+    created += 1
+    const character = await services.characters.createCharacter(USER_ID, {
+      name: `Tester ${created}`,
+      startingLocation: 'Los Angeles'
+    })
+    await store.put('characters', { ...character, ...overrides })
+    return services.characters.getCharacter(USER_ID, character.id)
+  }
+
+  /**
+   * The character as stored
+   */
+  const reload = (characterId) => services.characters.getCharacter(USER_ID, characterId)
+
+  return { store, services, createCharacter, reload }
+}
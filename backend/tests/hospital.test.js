@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { admitToHospital, getEarlyReleaseCost, RECOVERY_MS } from '../../shared/game/hospital.js'
+import { scriptedRandom, setupGame, USER_ID } from './helpers.js'
+
+const MISSION_SKILLS = { strength: 3, intelligence: 1, endurance: 2, shooting: 1 }
+
+/**
+ * Creates a character and puts them in hospital
+ */
+const createHospitalized = async ({ store, createCharacter }) => {
+  const character = await createCharacter()
+  const { character: admitted } = admitToHospital({ ...character, health: 0 }, { rng: scriptedRandom(0.99) })
+  await store.put('characters', admitted)
+  return admitted
+}
+
+describe('hospital', () => {
+  it('admits a character whose health a failed mission drops to 0', async () => {
+    const { services, createCharacter } = setupGame({ rng: scriptedRandom(0.99) })
+    const character = await createCharacter({ skills: MISSION_SKILLS, health: 1 })
+
+    const result = await services.missions.attemptMission(USER_ID, character.id, 'intimidation-1')
+
+    assert.equal(result.success, false)
+    assert.equal(result.character.health, 0)
+    assert.equal(result.character.hospital.city, 'Los Angeles')
+    assert.equal(result.character.cash, character.cash - result.hospital.bill)
+    assert.equal(result.character.jail, null)
+  })
+
+  it('locks a hospitalized character out of missions and travel', async () => {
+    const game = setupGame()
+    const character = await createHospitalized(game)
+
+    await assert.rejects(
+      game.services.missions.attemptMission(USER_ID, character.id, 'delivery-1'),
+      { status: 409, code: 'HOSPITALIZED' }
+    )
+    await assert.rejects(
+      game.services.travel.travel(USER_ID, character.id, { destination: 'Miami' }),
+      { status: 409, code: 'HOSPITALIZED' }
+    )
+  })
+
+  it('checks the character out early for the release fee', async () => {
+    const game = setupGame()
+    const character = await createHospitalized(game)
+    const cost = getEarlyReleaseCost(character)
+
+    const result = await game.services.hospital.payForRelease(USER_ID, character.id)
+
+    assert.equal(result.character.hospital, null)
+    assert.equal(result.character.cash, character.cash - cost)
+  })
+
+  it('refuses early release when the character cannot pay', async () => {
+    const game = setupGame()
+    const character = await createHospitalized(game)
+    await game.store.put('characters', { ...character, cash: 0 })
+
+    await assert.rejects(
+      game.services.hospital.payForRelease(USER_ID, character.id),
+      { message: /Early release costs/ }
+    )
+  })
+
+  it('discharges the character once recovery is over', async () => {
+    const game = setupGame()
+    const character = await createHospitalized(game)
+    const admittedAt = Date.now() - RECOVERY_MS - 1000
+    await game.store.put('characters', {
+      ...character,
+      hospital: {
+        ...character.hospital,
+        admittedAt: new Date(admittedAt).toISOString(),
+        releaseAt: new Date(admittedAt + RECOVERY_MS).toISOString()
+      }
+    })
+
+    const discharged = await game.reload(character.id)
+
+    assert.equal(discharged.hospital, null)
+    assert.ok(discharged.health >= discharged.maxHealth / 2)
+  })
+})
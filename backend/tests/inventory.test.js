@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { admitToHospital } from '../../shared/game/hospital.js'
+import { arrestCharacter } from '../../shared/game/jail.js'
+import { scriptedRandom, setupGame, stack, USER_ID } from './helpers.js'
+
+const carried = () => ({
+  health: 40,
+  inventory: { items: [stack('health-kit', 1), stack('pistol', 1)], drugs: [] },
+  equipment: { primary: null, sidearm: 'pistol', melee: null, armor: null }
+})
+
+/**
+ * Every inventory action on a character, each expected to fail the same way
+ */
+const assertLockedOut = async (services, characterId, expected) => {
+  const inventory = services.inventory
+  await assert.rejects(inventory.useItem(USER_ID, characterId, 'health-kit'), expected)
+  await assert.rejects(inventory.dropItem(USER_ID, characterId, 'health-kit', 1), expected)
+  await assert.rejects(inventory.equipItem(USER_ID, characterId, 'pistol'), expected)
+  await assert.rejects(inventory.unequipItem(USER_ID, characterId, 'pistol'), expected)
+}
+
+describe('inventory', () => {
+  it('uses a consumable', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter(carried())
+
+    const result = await services.inventory.useItem(USER_ID, character.id, 'health-kit')
+
+    assert.equal(result.character.health, 90)
+    assert.equal(result.character.inventory.items.some(entry => entry.id === 'health-kit'), false)
+  })
+
+  it('is locked while the character is in jail', async () => {
+    const { store, services, createCharacter } = setupGame()
+    const character = await createCharacter(carried())
+    await store.put('characters', arrestCharacter(character, { reason: 'Testing' }).character)
+
+    await assertLockedOut(services, character.id, { status: 409, code: 'JAILED' })
+  })
+
+  it('is locked while the character is in hospital', async () => {
+    const { store, services, createCharacter } = setupGame()
+    const character = await createCharacter(carried())
+    await store.put('characters', admitToHospital({ ...character, health: 0 }, { rng: scriptedRandom(0.99) }).character)
+
+    await assertLockedOut(services, character.id, { status: 409, code: 'HOSPITALIZED' })
+  })
+})
@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { arrestCharacter, DO_TIME_STAMINA } from '../../shared/game/jail.js'
+import { scriptedRandom, setupGame, stack, USER_ID } from './helpers.js'
+
+/**
+ * Creates a character and locks them up. Returns the character as created
+ * and the arrest.
+ */
+const createJailed = async ({ store, createCharacter }) => {
+  const character = await createCharacter()
+  const { character: jailed, arrest } = arrestCharacter(character, { reason: 'Testing' })
+  await store.put('characters', jailed)
+  return { character, arrest }
+}
+
+describe('jail', () => {
+  it('arrests a character caught failing a mission', async () => {
+    const { services, createCharacter } = setupGame({ rng: scriptedRandom(0.99, 0) })
+    const character = await createCharacter({
+      skills: { strength: 1, intelligence: 1, endurance: 2, shooting: 1 },
+      inventory: { items: [stack('cocaine', 5)], drugs: [] }
+    })
+
+    const result = await services.missions.attemptMission(USER_ID, character.id, 'delivery-1')
+
+    assert.equal(result.success, false)
+    assert.equal(result.jail.city, 'Los Angeles')
+    assert.deepEqual(result.jail.confiscated.map(entry => entry.id), ['cocaine'])
+    assert.equal(result.character.inventory.items.length, 0)
+  })
+
+  it('locks a jailed character out of travel and trading', async () => {
+    const game = setupGame()
+    const { character } = await createJailed(game)
+
+    await assert.rejects(
+      game.services.travel.travel(USER_ID, character.id, { destination: 'Miami' }),
+      { status: 409, code: 'JAILED' }
+    )
+    await assert.rejects(
+      game.services.trades.executeTrade(USER_ID, character.id, {
+        type: 'buy', npcId: 'la-dealer-1', itemId: 'marijuana', quantity: 1
+      }),
+      { status: 409, code: 'JAILED' }
+    )
+  })
+
+  it('releases the character once bail is paid', async () => {
+    const game = setupGame()
+    const { character, arrest } = await createJailed(game)
+
+    const result = await game.services.jail.postBail(USER_ID, character.id)
+
+    assert.equal(result.character.jail, null)
+    assert.equal(result.character.cash, character.cash - arrest.bail)
+  })
+
+  it('shortens the sentence for time served', async () => {
+    const game = setupGame()
+    const { character, arrest } = await createJailed(game)
+
+    const result = await game.services.jail.serveTime(USER_ID, character.id)
+
+    assert.ok(Date.parse(result.character.jail.releaseAt) < Date.parse(arrest.releaseAt))
+    assert.equal(result.character.stamina, character.stamina - DO_TIME_STAMINA)
+  })
+
+  it('frees the character on a successful jailbreak', async () => {
+    const game = setupGame({ rng: scriptedRandom(0) })
+    const { character } = await createJailed(game)
+
+    const result = await game.services.jail.jailbreak(USER_ID, character.id)
+
+    assert.equal(result.escaped, true)
+    assert.equal(result.character.jail, null)
+  })
+
+  it('adds time after a failed jailbreak', async () => {
+    const game = setupGame({ rng: scriptedRandom(0.99) })
+    const { character, arrest } = await createJailed(game)
+
+    const result = await game.services.jail.jailbreak(USER_ID, character.id)
+
+    assert.equal(result.escaped, false)
+    assert.ok(Date.parse(result.character.jail.releaseAt) > Date.parse(arrest.releaseAt))
+  })
+
+  it('refuses bail for a character who is not in jail', async () => {
+    const game = setupGame()
+    const character = await game.createCharacter()
+
+    await assert.rejects(game.services.jail.postBail(USER_ID, character.id), { message: 'You are not in jail' })
+  })
+})
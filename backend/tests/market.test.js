@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { getTrend, MARKET_TICK_MS } from '../../shared/game/market.js'
+import { catalog } from '../src/content/catalog.js'
+import { scriptedRandom, setupGame, USER_ID } from './helpers.js'
+
+describe('market rules', () => {
+  it('reads the trend from the recent price history', () => {
+    assert.equal(getTrend([100, 101, 105]), 'up')
+    assert.equal(getTrend([100, 99, 95]), 'down')
+    assert.equal(getTrend([100, 101, 100]), 'flat')
+    assert.equal(getTrend([100]), 'flat')
+  })
+})
+
+describe('city markets', () => {
+  it('opens a city market at base prices with the city modifier', async () => {
+    const { services } = setupGame()
+
+    const market = await services.market.getCityMarket('Los Angeles')
+
+    assert.equal(market.items.cocaine.price, catalog.getItem('cocaine').basePrice * 1.25)
+    assert.equal(market.items.pistol.price, catalog.getItem('pistol').basePrice * 0.9)
+    assert.deepEqual(market.items.cocaine.history, [market.items.cocaine.price])
+  })
+
+  it('simulates the ticks that passed since the market was last read', async () => {
+    // Noise at 0.5 is zero, so prices only revert toward their target
+    const { store, services } = setupGame({ rng: scriptedRandom(0.5) })
+    const market = await services.market.getCityMarket('Los Angeles')
+    const tickedAt = Date.parse(market.tickedAt) - 3 * MARKET_TICK_MS
+    await store.put('markets', { ...market, tickedAt: new Date(tickedAt).toISOString() })
+
+    const advanced = await services.market.getCityMarket('Los Angeles')
+
+    assert.equal(advanced.tickedAt, new Date(tickedAt + 3 * MARKET_TICK_MS).toISOString())
+    assert.equal(advanced.items.cocaine.history.length, 4)
+    assert.equal(advanced.items.cocaine.price, market.items.cocaine.price)
+  })
+
+  it('adds items that joined the catalog after the market was stored', async () => {
+    const { store, services } = setupGame()
+    const market = await services.market.getCityMarket('Los Angeles')
+    const { sedan, ...olderItems } = market.items
+    await store.put('markets', { ...market, items: olderItems })
+
+    assert.equal(await services.market.getPrice('Los Angeles', 'sedan'), sedan.price)
+    await services.market.recordTrade('Los Angeles', 'sedan', 'buy', 1)
+    assert.ok((await store.get('markets', 'los-angeles')).items.sedan.price > sedan.price)
+  })
+
+  it('raises prices on purchases and lowers them on sales', async () => {
+    const { services } = setupGame()
+    const before = await services.market.getPrice('Los Angeles', 'cocaine')
+
+    await services.market.recordTrade('Los Angeles', 'cocaine', 'buy', 10)
+    const raised = await services.market.getPrice('Los Angeles', 'cocaine')
+    await services.market.recordTrade('Los Angeles', 'cocaine', 'sell', 20)
+    const lowered = await services.market.getPrice('Los Angeles', 'cocaine')
+
+    assert.ok(raised > before)
+    assert.ok(lowered < raised)
+  })
+
+  it('shows the market of the character\'s city with trends', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter({ location: 'Miami' })
+    await services.market.recordTrade('Miami', 'cocaine', 'buy', 10)
+
+    const view = await services.market.getMarketForCharacter(USER_ID, character.id)
+
+    assert.equal(view.city, 'Miami')
+    assert.equal(view.items.cocaine.trend, 'up')
+    assert.equal(view.items.cocaine.history.at(-1), view.items.cocaine.price)
+  })
+})
@@ -0,0 +1,175 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { getSuccessBreakdown } from '../../shared/game/missions.js'
+import { getXpForLevel } from '../../shared/game/progression.js'
+import { catalog } from '../src/content/catalog.js'
+import { createSeededRandom } from '../src/utils/random.js'
+import { scriptedRandom, setupGame, stack, USER_ID } from './helpers.js'
+
+const DELIVERY_SKILLS = { strength: 1, intelligence: 1, endurance: 2, shooting: 1 }
+
+// Ready for smuggling-1 in Tijuana, which takes 10 minutes
+const SMUGGLER = {
+  level: 3,
+  xp: getXpForLevel(3),
+  location: 'Tijuana',
+  skills: { strength: 2, intelligence: 4, endurance: 3, shooting: 2 }
+}
+
+describe('missions', () => {
+  it('pays out cash and XP on success', async () => {
+    const { services, createCharacter } = setupGame({ rng: scriptedRandom(0) })
+    const character = await createCharacter({ skills: DELIVERY_SKILLS })
+
+    const result = await services.missions.attemptMission(USER_ID, character.id, 'delivery-1')
+
+    assert.equal(result.success, true)
+    assert.equal(result.character.cash, character.cash + 500)
+    assert.equal(result.character.xp, 50)
+    assert.deepEqual(result.character.completedMissions, ['delivery-1'])
+  })
+
+  it('applies the failure consequences on a failed roll', async () => {
+    const { services, createCharacter } = setupGame({ rng: scriptedRandom(0.99) })
+    const character = await createCharacter({ skills: DELIVERY_SKILLS })
+
+    const result = await services.missions.attemptMission(USER_ID, character.id, 'delivery-1')
+
+    assert.equal(result.success, false)
+    assert.equal(result.character.xp, 0)
+    assert.ok(result.character.health < character.health)
+    assert.deepEqual(result.character.completedMissions, [])
+  })
+
+  it('rejects characters without the required skills', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter()
+
+    await assert.rejects(
+      services.missions.attemptMission(USER_ID, character.id, 'delivery-1'),
+      { status: 400, message: 'Insufficient skills for this mission' }
+    )
+  })
+
+  it('resolves the same way from the same seed', async () => {
+    const attempt = async (seed) => {
+      const { services, createCharacter } = setupGame({ rng: createSeededRandom(seed) })
+      const character = await createCharacter({ skills: DELIVERY_SKILLS })
+      const result = await services.missions.attemptMission(USER_ID, character.id, 'delivery-1')
+      return [result.success, result.character.cash, result.character.health]
+    }
+
+    assert.deepEqual(await attempt(42), await attempt(42))
+  })
+
+  it('rejects missions offered in another city', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter()
+
+    await assert.rejects(
+      services.missions.attemptMission(USER_ID, character.id, 'assassination-1'),
+      { status: 400, message: 'This mission is only available in Miami' }
+    )
+  })
+
+  it('rests a completed mission before it can be replayed', async () => {
+    const { services, createCharacter } = setupGame({ rng: scriptedRandom(0) })
+    const character = await createCharacter({ skills: DELIVERY_SKILLS })
+    await services.missions.attemptMission(USER_ID, character.id, 'delivery-1')
+
+    await assert.rejects(
+      services.missions.attemptMission(USER_ID, character.id, 'delivery-1'),
+      { status: 400, code: 'ON_COOLDOWN', message: 'This mission is available again in 30 min' }
+    )
+  })
+})
+
+describe('mission odds', () => {
+  const intimidation = () => catalog.getMission('intimidation-1')
+  const sum = (factors) => factors.reduce((total, factor) => total + factor.value, 0)
+
+  it('ignores a surplus in a skill the mission does not weigh', () => {
+    const character = { skills: { strength: 3, intelligence: 10, endurance: 1, shooting: 1 }, heat: 0 }
+
+    const { chance, factors } = getSuccessBreakdown(character, intimidation())
+
+    assert.equal(chance, 0.7)
+    assert.equal(factors.some(factor => factor.label.startsWith('Intelligence')), false)
+  })
+
+  it('itemizes every factor, including the cap', () => {
+    const character = { skills: { strength: 6, intelligence: 1, endurance: 1, shooting: 1 }, heat: 40 }
+
+    const { chance, factors } = getSuccessBreakdown(character, intimidation())
+
+    assert.equal(chance, 0.95)
+    assert.deepEqual(factors.map(factor => factor.kind), ['base', 'skill', 'skill', 'skill', 'heat', 'limit'])
+    assert.ok(Math.abs(sum(factors) - chance) < 1e-9)
+  })
+})
+
+describe('mission costs and items', () => {
+  it('charges the stamina cost up front', async () => {
+    const { services, createCharacter } = setupGame({ rng: scriptedRandom(0) })
+    // Far enough from the next level that the payout doesn't refill stamina
+    const character = await createCharacter({ skills: DELIVERY_SKILLS, level: 2, xp: getXpForLevel(2) })
+
+    const result = await services.missions.attemptMission(USER_ID, character.id, 'delivery-1')
+
+    assert.equal(result.staminaCost, 10)
+    assert.equal(result.character.stamina, character.stamina - 10)
+  })
+
+  it('rejects a character without the stamina for the attempt', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter({ skills: DELIVERY_SKILLS, stamina: 5 })
+
+    await assert.rejects(
+      services.missions.attemptMission(USER_ID, character.id, 'delivery-1'),
+      { status: 400, code: 'NOT_ENOUGH_STAMINA', message: 'You need 10 stamina to attempt this mission' }
+    )
+  })
+
+  it('rejects a character missing a required item', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter({
+      level: 5,
+      xp: getXpForLevel(5),
+      skills: { strength: 3, intelligence: 5, endurance: 4, shooting: 6 }
+    })
+
+    await assert.rejects(
+      services.missions.attemptMission(USER_ID, character.id, 'heist-1'),
+      { status: 400, code: 'MISSING_ITEMS', message: 'This mission needs: Lockpicks' }
+    )
+  })
+
+  it('adds the bonus of optional items brought along', () => {
+    const mission = catalog.getMission('delivery-1')
+    const character = { skills: DELIVERY_SKILLS, heat: 0, inventory: { items: [stack('burner-phone', 1)] } }
+
+    const withPhone = getSuccessBreakdown(character, mission, { items: catalog.items })
+    const without = getSuccessBreakdown(character, mission, { useItems: [] })
+
+    assert.equal(withPhone.chance, without.chance + 0.05)
+    assert.ok(withPhone.factors.some(factor => factor.label === 'Burner Phone'))
+  })
+
+  it('uses up consumed items and keeps the character busy for the duration', async () => {
+    const { services, createCharacter } = setupGame({ rng: scriptedRandom(0) })
+    const character = await createCharacter({
+      ...SMUGGLER,
+      inventory: { items: [stack('energy-drink', 2)], drugs: [] }
+    })
+
+    const result = await services.missions.attemptMission(USER_ID, character.id, 'smuggling-1')
+
+    assert.deepEqual(result.consumed, ['energy-drink'])
+    assert.equal(result.character.inventory.items[0].quantity, 1)
+    assert.equal(result.character.busy.activity, catalog.getMission('smuggling-1').title)
+    await assert.rejects(
+      services.travel.travel(USER_ID, character.id, { destination: 'Los Angeles' }),
+      { status: 409, code: 'BUSY' }
+    )
+  })
+})
@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { catalog } from '../src/content/catalog.js'
+import { setupGame, stack, USER_ID } from './helpers.js'
+
+const { supply } = catalog.getNpc('la-dealer-1')
+
+describe('contact stock and cash', () => {
+  it('opens fully stocked and moves goods and cash with each trade', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter()
+
+    const result = await services.trades.executeTrade(USER_ID, character.id, {
+      type: 'buy', npcId: 'la-dealer-1', itemId: 'marijuana', quantity: 5
+    })
+
+    assert.equal(result.npc.stock.marijuana, supply.maxStock - 5)
+    assert.equal(result.npc.cash, supply.cashReserve + character.cash - result.character.cash)
+  })
+
+  it('shares stock between characters', async () => {
+    const { services, createCharacter } = setupGame()
+    const first = await createCharacter()
+    const second = await createCharacter()
+    const deal = { type: 'buy', npcId: 'la-dealer-1', itemId: 'marijuana', quantity: 2 }
+
+    await services.trades.executeTrade(USER_ID, first.id, deal)
+    const result = await services.trades.executeTrade(USER_ID, second.id, deal)
+
+    assert.equal(result.npc.stock.marijuana, supply.maxStock - 4)
+  })
+
+  it('refuses purchases beyond the stock on hand', async () => {
+    const { store, services, createCharacter } = setupGame()
+    const character = await createCharacter()
+    const state = await services.npcs.getNpcState('la-dealer-1')
+    await store.put('npcs', { ...state, stock: { ...state.stock, marijuana: 1 } })
+
+    await assert.rejects(
+      services.trades.executeTrade(USER_ID, character.id, {
+        type: 'buy', npcId: 'la-dealer-1', itemId: 'marijuana', quantity: 2
+      }),
+      { code: 'OUT_OF_STOCK', message: /only has 1x/ }
+    )
+  })
+
+  it('refuses sales the contact cannot pay for', async () => {
+    const { store, services, createCharacter } = setupGame()
+    const character = await createCharacter({ inventory: { items: [stack('cocaine', 5)], drugs: [] } })
+    const state = await services.npcs.getNpcState('la-dealer-1')
+    await store.put('npcs', { ...state, cash: 0 })
+
+    await assert.rejects(
+      services.trades.executeTrade(USER_ID, character.id, {
+        type: 'sell', npcId: 'la-dealer-1', itemId: 'cocaine', quantity: 5
+      }),
+      { code: 'NPC_OUT_OF_CASH' }
+    )
+  })
+
+  it('restocks once the restock interval has passed', async () => {
+    const { store, services } = setupGame()
+    const state = await services.npcs.getNpcState('la-dealer-1')
+    const restockedAt = Date.parse(state.restockedAt) - supply.restockMinutes * 60 * 1000
+    await store.put('npcs', {
+      ...state,
+      cash: 0,
+      stock: { ...state.stock, marijuana: 0 },
+      restockedAt: new Date(restockedAt).toISOString()
+    })
+
+    const restocked = await services.npcs.getNpcState('la-dealer-1')
+
+    assert.equal(restocked.stock.marijuana, supply.maxStock)
+    assert.equal(restocked.cash, supply.cashReserve)
+  })
+})
@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { getNpcQuote, MAX_PRICE_EDGE } from '../../shared/game/market.js'
+import { getRespecCost } from '../../shared/game/perks.js'
+import { getSkillPointsForLevel, getXpForLevel, MAX_SKILL_LEVEL } from '../../shared/game/progression.js'
+import { MAX_REPUTATION } from '../../shared/game/reputation.js'
+import { catalog } from '../src/content/catalog.js'
+import { setupGame, USER_ID } from './helpers.js'
+
+const VETERAN = {
+  level: 5,
+  xp: getXpForLevel(5),
+  skillPoints: 4,
+  cash: 10000,
+  skills: { strength: 5, intelligence: 8, endurance: 5, shooting: 1 }
+}
+
+describe('perks', () => {
+  it('unlocks a perk for skill points', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter(VETERAN)
+
+    const result = await services.skills.unlockPerk(USER_ID, character.id, 'iron-lungs')
+
+    assert.deepEqual(result.character.perks, ['iron-lungs'])
+    assert.equal(result.character.skillPoints, 3)
+    assert.equal(result.character.maxStamina, character.maxStamina + 20)
+  })
+
+  it('lists what still locks a perk', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter({ ...VETERAN, skillPoints: 0 })
+
+    await assert.rejects(
+      services.skills.unlockPerk(USER_ID, character.id, 'brawler'),
+      { status: 400, code: 'PERK_LOCKED', message: 'Brawler is locked: Strength 10, Pack Mule, 2 skill points' }
+    )
+  })
+
+  it('holds one specialization at a time', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter(VETERAN)
+
+    await services.skills.chooseSpecialization(USER_ID, character.id, 'chemist')
+
+    await assert.rejects(
+      services.skills.chooseSpecialization(USER_ID, character.id, 'smuggler'),
+      { status: 400, code: 'SPECIALIZATION_LOCKED', message: 'Smuggler is locked: Respec to change specialization' }
+    )
+  })
+
+  it('refunds every skill point on a paid respec', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter(VETERAN)
+    await services.skills.unlockPerk(USER_ID, character.id, 'silver-tongue')
+    await services.skills.chooseSpecialization(USER_ID, character.id, 'chemist')
+
+    const result = await services.skills.respec(USER_ID, character.id)
+
+    assert.equal(result.character.cash, character.cash - getRespecCost(character))
+    assert.equal(result.character.skillPoints, getSkillPointsForLevel(5))
+    assert.deepEqual(result.character.perks, [])
+    assert.equal(result.character.specialization, null)
+    assert.equal(result.character.skills.intelligence, 1)
+  })
+})
+
+describe('perk pricing', () => {
+  const npc = catalog.getNpc('la-dealer-1')
+  const cocaine = catalog.getItem('cocaine')
+  const plain = { skills: VETERAN.skills }
+
+  it('gets silver tongues better prices both ways', () => {
+    const before = getNpcQuote(npc, cocaine, 1000, 0, plain)
+    const after = getNpcQuote(npc, cocaine, 1000, 0, { ...plain, perks: ['silver-tongue'] })
+
+    assert.ok(after.buy < before.buy)
+    assert.ok(after.sell > before.sell)
+  })
+
+  it('raises only drug sell prices for chemists', () => {
+    const chemist = { ...plain, specialization: 'chemist' }
+    const pistol = catalog.getItem('pistol')
+    const fence = catalog.getNpc('la-fence-1')
+
+    assert.ok(getNpcQuote(npc, cocaine, 1000, 0, chemist).sell > getNpcQuote(npc, cocaine, 1000, 0, plain).sell)
+    assert.equal(getNpcQuote(fence, pistol, 1000, 0, chemist).sell, getNpcQuote(fence, pistol, 1000, 0, plain).sell)
+  })
+
+  it('caps the edge standing, Intelligence and perks give together', () => {
+    const maxed = {
+      skills: { ...VETERAN.skills, intelligence: MAX_SKILL_LEVEL },
+      perks: ['silver-tongue', 'master-cook'],
+      specialization: 'chemist'
+    }
+    const quote = getNpcQuote(npc, cocaine, 1000, MAX_REPUTATION, maxed)
+
+    assert.equal(quote.buy, Math.round(1000 * npc.sellsPriceMultiplier * (1 - MAX_PRICE_EDGE)))
+    assert.equal(quote.sell, Math.round(1000 * npc.buysPriceMultiplier * (1 + MAX_PRICE_EDGE)))
+  })
+})
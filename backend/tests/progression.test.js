@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import {
+  awardXp,
+  getLevelForXp,
+  getMaxHealth,
+  normalizeProgression,
+  STARTING_SKILL_POINTS
+} from '../../shared/game/progression.js'
+import { scriptedRandom, setupGame, USER_ID } from './helpers.js'
+
+const DELIVERY_SKILLS = { strength: 1, intelligence: 1, endurance: 2, shooting: 1 }
+
+describe('progression rules', () => {
+  it('derives the level from lifetime XP', () => {
+    assert.equal(getLevelForXp(0), 1)
+    assert.equal(getLevelForXp(49), 1)
+    assert.equal(getLevelForXp(50), 2)
+    assert.equal(getLevelForXp(149), 2)
+    assert.equal(getLevelForXp(150), 3)
+  })
+
+  it('grants skill points and raises max stats on level-up', () => {
+    const character = {
+      xp: 0, level: 1, skillPoints: 0, skills: { endurance: 1 }, maxHealth: 100, maxStamina: 100, health: 80, stamina: 100
+    }
+
+    const { character: levelled, levelUp } = awardXp(character, 150)
+
+    assert.equal(levelled.level, 3)
+    assert.equal(levelled.skillPoints, 4)
+    assert.equal(levelled.maxHealth, getMaxHealth(3))
+    assert.equal(levelled.health, 100)
+    assert.deepEqual(levelUp, { previousLevel: 1, level: 3, skillPoints: 4, maxHealth: 20, maxStamina: 10 })
+  })
+
+  it('refunds the points a legacy character sank into skills', () => {
+    const legacy = { xp: 50, skills: { strength: 2, intelligence: 1, endurance: 1, shooting: 1 } }
+
+    const character = normalizeProgression(legacy)
+
+    assert.equal(character.level, 2)
+    assert.equal(character.skillPoints, STARTING_SKILL_POINTS + 2 - 1)
+  })
+})
+
+describe('levelling up', () => {
+  it('levels the character up from mission XP', async () => {
+    const { services, createCharacter } = setupGame({ rng: scriptedRandom(0) })
+    const character = await createCharacter({ skills: DELIVERY_SKILLS })
+
+    const result = await services.missions.attemptMission(USER_ID, character.id, 'delivery-1')
+
+    assert.equal(result.levelUp.level, 2)
+    assert.equal(result.character.level, 2)
+    assert.equal(result.character.skillPoints, character.skillPoints + 2)
+  })
+
+  it('spends skill points to raise a skill', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter()
+
+    const result = await services.skills.upgradeSkill(USER_ID, character.id, 'strength')
+
+    assert.equal(result.character.skills.strength, 2)
+    assert.equal(result.character.skillPoints, character.skillPoints - 1)
+  })
+
+  it('refuses upgrades without skill points', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter({ skillPoints: 0 })
+
+    await assert.rejects(
+      services.skills.upgradeSkill(USER_ID, character.id, 'strength'),
+      { status: 400, message: 'Not enough skill points to upgrade this skill!' }
+    )
+  })
+
+  it('gates missions by level', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter({ skills: { strength: 2, intelligence: 6, endurance: 2, shooting: 2 } })
+
+    await assert.rejects(
+      services.missions.attemptMission(USER_ID, character.id, 'information-1'),
+      { status: 400, message: 'You must be level 2 to attempt this mission' }
+    )
+  })
+})
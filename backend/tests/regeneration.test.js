@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { applyRegeneration, REGEN_TICK_MS } from '../../shared/game/regeneration.js'
+import { setupGame } from './helpers.js'
+
+const NOW = Date.parse('2025-01-01T12:00:00.000Z')
+
+/**
+ * A character whose vitals were last brought up to date ms before NOW
+ */
+const hurt = (ms, endurance = 1) => ({
+  skills: { endurance },
+  health: 50,
+  maxHealth: 100,
+  stamina: 10,
+  maxStamina: 100,
+  vitalsUpdatedAt: new Date(NOW - ms).toISOString()
+})
+
+describe('regeneration rules', () => {
+  it('recovers health and stamina per whole tick and keeps the partial tick', () => {
+    const character = applyRegeneration(hurt(10.5 * REGEN_TICK_MS), NOW)
+
+    assert.equal(character.health, 60)
+    assert.equal(character.stamina, 30)
+    assert.equal(character.vitalsUpdatedAt, new Date(NOW - 0.5 * REGEN_TICK_MS).toISOString())
+  })
+
+  it('recovers stamina faster with Endurance', () => {
+    assert.equal(applyRegeneration(hurt(10 * REGEN_TICK_MS, 5), NOW).stamina, 50)
+  })
+
+  it('stops at the maximums and restarts the clock', () => {
+    const character = applyRegeneration(hurt(1000 * REGEN_TICK_MS), NOW)
+
+    assert.equal(character.health, 100)
+    assert.equal(character.stamina, 100)
+    assert.equal(character.vitalsUpdatedAt, new Date(NOW).toISOString())
+  })
+})
+
+describe('regeneration on load', () => {
+  it('brings the vitals up to date when a character is loaded', async () => {
+    const { createCharacter } = setupGame()
+    const character = await createCharacter({
+      health: 50,
+      stamina: 10,
+      vitalsUpdatedAt: new Date(Date.now() - 30 * REGEN_TICK_MS).toISOString()
+    })
+
+    assert.equal(character.health, 80)
+    assert.equal(character.stamina, 70)
+  })
+})
@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { getNpcQuote } from '../../shared/game/market.js'
+import { getXpForLevel } from '../../shared/game/progression.js'
+import { applyReputation, getMissionReputation, MAX_REPUTATION } from '../../shared/game/reputation.js'
+import { catalog } from '../src/content/catalog.js'
+import { scriptedRandom, setupGame, USER_ID } from './helpers.js'
+
+const DELIVERY_SKILLS = { strength: 1, intelligence: 1, endurance: 2, shooting: 1 }
+
+describe('reputation rules', () => {
+  it('rewards the backers and the local underworld on success', () => {
+    const changes = getMissionReputation(catalog.getMission('delivery-1'), true, 'los-angeles-underworld')
+
+    assert.deepEqual(changes, { 'street-gangs': 3, 'los-angeles-underworld': 2 })
+  })
+
+  it('costs half the promised standing on failure and ignores rivals', () => {
+    const changes = getMissionReputation(catalog.getMission('smuggling-1'), false)
+
+    assert.deepEqual(changes, { 'cartel-pacifico': -4 })
+  })
+
+  it('keeps standing within bounds', () => {
+    const character = applyReputation({ reputation: { police: 95 } }, { police: 10 })
+
+    assert.equal(character.reputation.police, MAX_REPUTATION)
+  })
+
+  it('gives better prices both ways to characters in good standing', () => {
+    const npc = catalog.getNpc('la-dealer-1')
+    const item = catalog.getItem('cocaine')
+    const neutral = getNpcQuote(npc, item, 1000)
+    const respected = getNpcQuote(npc, item, 1000, 50)
+    const hostile = getNpcQuote(npc, item, 1000, -50)
+
+    assert.ok(respected.buy < neutral.buy && respected.sell > neutral.sell)
+    assert.ok(hostile.buy > neutral.buy && hostile.sell < neutral.sell)
+  })
+
+  it('never lets a contact pay more for an item than it charges', () => {
+    // Puerto Vallarta's dealer works on a thin margin that top standing would cross
+    const quote = getNpcQuote(catalog.getNpc('pv-dealer-1'), catalog.getItem('cocaine'), 1000, MAX_REPUTATION)
+
+    assert.equal(quote.buy, 935)
+    assert.equal(quote.sell, quote.buy)
+  })
+})
+
+describe('reputation', () => {
+  it('shifts standing after a mission', async () => {
+    const { services, createCharacter } = setupGame({ rng: scriptedRandom(0) })
+    const character = await createCharacter({ skills: DELIVERY_SKILLS })
+
+    const result = await services.missions.attemptMission(USER_ID, character.id, 'delivery-1')
+
+    assert.deepEqual(result.character.reputation, { 'street-gangs': 3, 'los-angeles-underworld': 2 })
+    assert.deepEqual(result.reputation.map(entry => entry.factionId), ['street-gangs', 'los-angeles-underworld'])
+  })
+
+  it('keeps gated missions from characters the faction does not trust', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter({
+      location: 'Miami',
+      level: 6,
+      xp: getXpForLevel(6),
+      skills: { strength: 4, intelligence: 6, endurance: 3, shooting: 8 }
+    })
+
+    await assert.rejects(
+      services.missions.attemptMission(USER_ID, character.id, 'assassination-1'),
+      { status: 400, code: 'REPUTATION_TOO_LOW', message: 'You need a standing of 5 with Cartel del Norte for this mission' }
+    )
+  })
+
+  it('loses money trading straight back with a contact at top standing', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter({
+      location: 'Puerto Vallarta',
+      cash: 100000,
+      reputation: { 'cartel-pacifico': MAX_REPUTATION }
+    })
+    const deal = { npcId: 'pv-dealer-1', itemId: 'cocaine', quantity: 1 }
+
+    await services.trades.executeTrade(USER_ID, character.id, { ...deal, type: 'buy' })
+    const result = await services.trades.executeTrade(USER_ID, character.id, { ...deal, type: 'sell' })
+
+    assert.ok(result.character.cash <= character.cash)
+  })
+
+  it('charges a contact\'s prices shifted by standing with its faction', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter({ reputation: { 'street-gangs': 60 } })
+    const marketPrice = await services.market.getPrice('Los Angeles', 'marijuana')
+    const quote = getNpcQuote(catalog.getNpc('la-dealer-1'), catalog.getItem('marijuana'), marketPrice, 60)
+
+    const result = await services.trades.executeTrade(USER_ID, character.id, {
+      type: 'buy', npcId: 'la-dealer-1', itemId: 'marijuana', quantity: 1
+    })
+
+    assert.equal(result.character.cash, character.cash - quote.buy)
+    assert.ok(quote.buy < getNpcQuote(catalog.getNpc('la-dealer-1'), catalog.getItem('marijuana'), marketPrice).buy)
+  })
+})
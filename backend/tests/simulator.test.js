@@ -0,0 +1,32 @@
+import assert from 'node:assert/strict'
+import { spawnSync } from 'node:child_process'
+import { describe, it } from 'node:test'
+
+const SCRIPT = new URL('../scripts/simulate-missions.js', import.meta.url).pathname
+
+/**
+ * Runs the mission simulator with command line options
+ */
+const simulate = (...args) => spawnSync(process.execPath, [SCRIPT, ...args], { encoding: 'utf8', timeout: 30000 })
+
+describe('mission simulator options', () => {
+  it('prints the usage for --help', () => {
+    const result = simulate('--help')
+
+    assert.equal(result.status, 0)
+    assert.match(result.stdout, /^Usage: npm run simulate/)
+  })
+
+  it('exits with the usage on numbers out of range', () => {
+    const result = simulate('--runs=0')
+
+    assert.equal(result.status, 1)
+    assert.match(result.stderr, /--runs must be a whole number of 1 or more, got "0"/)
+    assert.match(result.stderr, /Usage:/)
+  })
+
+  it('exits with the usage on unknown missions and options', () => {
+    assert.match(simulate('--mission=nowhere-1').stderr, /Unknown mission "nowhere-1"/)
+    assert.equal(simulate('--speed=2').status, 1)
+  })
+})
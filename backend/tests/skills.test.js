@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { getNpcQuote } from '../../shared/game/market.js'
+import { getMissionDamage, getSkillModifiers, getTravelStaminaCost } from '../../shared/game/skills.js'
+import { catalog } from '../src/content/catalog.js'
+import { scriptedRandom, setupGame, USER_ID } from './helpers.js'
+
+const UNTRAINED = { strength: 1, intelligence: 1, endurance: 1, shooting: 1 }
+
+describe('skill modifiers', () => {
+  it('gives an untrained character no bonus', () => {
+    const modifiers = getSkillModifiers(UNTRAINED)
+
+    assert.equal(modifiers.travelStamina, 1)
+    assert.equal(modifiers.buyPrice, 1)
+    assert.equal(modifiers.sellPrice, 1)
+    assert.equal(modifiers.damageTaken, 1)
+    assert.equal(modifiers.evadeChance, 0)
+  })
+
+  it('caps the travel and damage cuts', () => {
+    const modifiers = getSkillModifiers({ strength: 20, intelligence: 1, endurance: 20, shooting: 20 })
+
+    assert.equal(modifiers.travelStamina, 0.6)
+    assert.equal(modifiers.damageTaken, 0.5)
+  })
+
+  it('gets an intelligent character better prices both ways', () => {
+    const npc = catalog.getNpc('la-dealer-1')
+    const item = catalog.getItem('cocaine')
+    const plain = getNpcQuote(npc, item, 1000, 0, { skills: UNTRAINED })
+    const sharp = getNpcQuote(npc, item, 1000, 0, { skills: { ...UNTRAINED, intelligence: 11 } })
+
+    assert.ok(sharp.buy < plain.buy)
+    assert.ok(sharp.sell > plain.sell)
+  })
+})
+
+describe('skills in play', () => {
+  it('cuts the stamina a trip costs', async () => {
+    const { services, createCharacter } = setupGame()
+    const skills = { ...UNTRAINED, strength: 6, endurance: 6 }
+    const character = await createCharacter({ skills })
+    const miami = catalog.getCity('Miami')
+
+    const result = await services.travel.travel(USER_ID, character.id, { destination: 'Miami' })
+
+    assert.ok(getTravelStaminaCost(character, miami) < miami.staminaCost)
+    assert.equal(result.character.stamina, character.stamina - getTravelStaminaCost(character, miami))
+  })
+
+  it('softens the damage of a failed mission', async () => {
+    const { services, createCharacter } = setupGame({ rng: scriptedRandom(0.99) })
+    const skills = { strength: 3, intelligence: 1, endurance: 6, shooting: 6 }
+    const character = await createCharacter({ skills })
+    const mission = catalog.getMission('intimidation-1')
+
+    const result = await services.missions.attemptMission(USER_ID, character.id, 'intimidation-1')
+
+    assert.equal(result.success, false)
+    assert.ok(getMissionDamage(character, mission) < Math.abs(mission.failureConsequences.health))
+    assert.equal(result.character.health, character.health - getMissionDamage(character, mission))
+  })
+})
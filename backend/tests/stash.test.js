@@ -0,0 +1,163 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { POLICE_RAID_HEAT } from '../../shared/game/stash.js'
+import { scriptedRandom, setupGame, stack, USER_ID } from './helpers.js'
+
+const HOUR_MS = 60 * 60 * 1000
+
+/**
+ * A Los Angeles stash holding cocaine, last checked some hours ago
+ */
+const stashCheckedAgo = (hours) => ({
+  city: 'Los Angeles',
+  level: 1,
+  cash: 0,
+  items: [stack('cocaine', 10)],
+  checkedAt: new Date(Date.now() - hours * HOUR_MS).toISOString()
+})
+
+describe('stash houses', () => {
+  it('buys a stash in the character\'s city', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter({ cash: 20000 })
+
+    const result = await services.stash.buyStash(USER_ID, character.id)
+
+    assert.equal(result.character.cash, 12000)
+    assert.deepEqual(result.character.stashes.map(stash => [stash.city, stash.level]), [['Los Angeles', 1]])
+  })
+
+  it('moves items and cash in and out of the local stash', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter({
+      cash: 1000,
+      stashes: [{ ...stashCheckedAgo(0), items: [] }],
+      inventory: { items: [stack('cocaine', 4)], drugs: [] }
+    })
+
+    await services.stash.deposit(USER_ID, character.id, { itemId: 'cocaine', quantity: 4 })
+    await services.stash.deposit(USER_ID, character.id, { cash: 600 })
+    const result = await services.stash.withdraw(USER_ID, character.id, { itemId: 'cocaine', quantity: 1 })
+
+    assert.equal(result.character.cash, 400)
+    assert.deepEqual(result.character.stashes[0].items.map(entry => entry.quantity), [3])
+    assert.equal(result.character.stashes[0].cash, 600)
+    assert.equal(result.character.inventory.items[0].quantity, 1)
+  })
+
+  it('refuses goods that do not fit', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter({
+      stashes: [{ ...stashCheckedAgo(0), items: [stack('body-armor', 20)] }],
+      inventory: { items: [stack('body-armor', 1)], drugs: [] }
+    })
+
+    await assert.rejects(
+      services.stash.deposit(USER_ID, character.id, { itemId: 'body-armor', quantity: 1 }),
+      { status: 400, code: 'STASH_FULL' }
+    )
+  })
+
+  it('only opens a stash in the city it is in', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter({ location: 'Miami', stashes: [stashCheckedAgo(0)] })
+
+    await assert.rejects(
+      services.stash.withdraw(USER_ID, character.id, { itemId: 'cocaine', quantity: 1 }),
+      { status: 404, code: 'NO_STASH' }
+    )
+  })
+
+  it('refuses vehicles', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter({
+      stashes: [stashCheckedAgo(0)],
+      inventory: { items: [stack('sedan', 1)], drugs: [] }
+    })
+
+    await assert.rejects(
+      services.stash.deposit(USER_ID, character.id, { itemId: 'sedan', quantity: 1 }),
+      { status: 400, code: 'NOT_STASHABLE' }
+    )
+  })
+})
+
+describe('stash raids', () => {
+  it('records heat gained while the character owns a stash', async () => {
+    const { services, createCharacter, reload } = setupGame()
+    const character = await createCharacter({ cash: 20000, heat: 50 })
+
+    await services.stash.buyStash(USER_ID, character.id)
+
+    assert.deepEqual((await reload(character.id)).heatHistory.map(point => point.heat), [50])
+  })
+
+  it('rolls past hours at the heat the character had then, not the cooled heat', async () => {
+    const hotHoursAgo = new Date(Date.now() - 10 * HOUR_MS).toISOString()
+    const { services, createCharacter } = setupGame({ rng: scriptedRandom(0.01) })
+    const character = await createCharacter({
+      heat: 0,
+      stashes: [stashCheckedAgo(10)],
+      heatHistory: [{ at: hotHoursAgo, heat: 100 }]
+    })
+
+    const result = await services.stash.deposit(USER_ID, character.id, { cash: 100 })
+
+    assert.equal(result.raids.length, 1)
+    assert.equal(result.raids[0].raider, 'police')
+    assert.equal(result.character.stashes[0].items.length, 0)
+  })
+
+  it('lets the police seize drugs from a wanted character\'s stash', async () => {
+    const { services, createCharacter } = setupGame({ rng: scriptedRandom(0.01) })
+    const character = await createCharacter({ heat: 100, stashes: [stashCheckedAgo(10)] })
+
+    const result = await services.stash.deposit(USER_ID, character.id, { cash: 100 })
+
+    assert.equal(result.raids.length, 1)
+    assert.equal(result.raids[0].raider, 'police')
+    assert.deepEqual(result.character.stashes[0].items, [])
+    assert.equal(result.character.heat, Math.min(100, character.heat + POLICE_RAID_HEAT))
+  })
+
+  it('keeps a raid that happened before an action failed', async () => {
+    const { services, createCharacter, reload } = setupGame({ rng: scriptedRandom(0.01) })
+    const character = await createCharacter({ heat: 100, stashes: [stashCheckedAgo(10)] })
+
+    await assert.rejects(
+      services.stash.withdraw(USER_ID, character.id, { itemId: 'cocaine', quantity: 10 }),
+      { status: 400, message: 'Your stash doesn\'t hold 10x Cocaine' }
+    )
+
+    assert.deepEqual((await reload(character.id)).stashes[0].items, [])
+    const activity = await services.characters.listActivity(USER_ID, character.id)
+    assert.equal(activity.filter(entry => entry.type === 'stash_raided').length, 1)
+    const retry = await services.stash.deposit(USER_ID, character.id, { cash: 100 })
+    assert.deepEqual(retry.raids, [])
+  })
+
+  it('rolls raids on the way out of town', async () => {
+    const { services, createCharacter } = setupGame({ rng: scriptedRandom(0.01) })
+    const character = await createCharacter({ heat: 100, stashes: [stashCheckedAgo(10)] })
+
+    const result = await services.travel.travel(USER_ID, character.id, { destination: 'Miami' })
+
+    assert.equal(result.raids.length, 1)
+    assert.equal(result.character.stashes[0].items.length, 0)
+  })
+
+  it('leaves a stash alone through hours the character was not wanted', async () => {
+    // The same police roll, and no rivals
+    const { services, createCharacter } = setupGame({ rng: scriptedRandom(0.01, 0.99) })
+    const character = await createCharacter({
+      heat: 0,
+      stashes: [stashCheckedAgo(10)],
+      heatHistory: [{ at: new Date(Date.now() - 10 * HOUR_MS).toISOString(), heat: 0 }]
+    })
+
+    const result = await services.stash.deposit(USER_ID, character.id, { cash: 100 })
+
+    assert.deepEqual(result.raids, [])
+    assert.equal(result.character.stashes[0].items[0].quantity, 10)
+  })
+})
@@ -0,0 +1,117 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { getDealPrice } from '../../shared/game/market.js'
+import { catalog } from '../src/content/catalog.js'
+import { setupGame, stack, USER_ID } from './helpers.js'
+
+describe('trades', () => {
+  it('buys from a contact at its deal price and moves the market up', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter()
+    const before = await services.market.getPrice('Los Angeles', 'marijuana')
+    const price = getDealPrice(catalog.getNpc('la-dealer-1'), catalog.getItem('marijuana'), before, {
+      type: 'buy', quantity: 2
+    })
+
+    const result = await services.trades.executeTrade(USER_ID, character.id, {
+      type: 'buy', npcId: 'la-dealer-1', itemId: 'marijuana', quantity: 2
+    })
+
+    const bought = result.character.inventory.items.find(entry => entry.id === 'marijuana')
+    assert.equal(bought.quantity, 2)
+    assert.equal(result.character.cash, character.cash - 2 * price)
+    assert.ok(await services.market.getPrice('Los Angeles', 'marijuana') > before)
+  })
+
+  it('sells to a contact and takes the proceeds', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter({ inventory: { items: [stack('marijuana', 3)], drugs: [] } })
+    const marketPrice = await services.market.getPrice('Los Angeles', 'marijuana')
+    const price = getDealPrice(catalog.getNpc('la-dealer-1'), catalog.getItem('marijuana'), marketPrice, {
+      type: 'sell', quantity: 3
+    })
+
+    const result = await services.trades.executeTrade(USER_ID, character.id, {
+      type: 'sell', npcId: 'la-dealer-1', itemId: 'marijuana', quantity: 3
+    })
+
+    assert.equal(result.character.inventory.items.some(entry => entry.id === 'marijuana'), false)
+    assert.equal(result.character.cash, character.cash + 3 * price)
+  })
+
+  it('sells an unstocked item to a contact buying its category, at a lower share', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter({ inventory: { items: [stack('heroin', 2)], drugs: [] } })
+    const marketPrice = await services.market.getPrice('Los Angeles', 'heroin')
+
+    const result = await services.trades.executeTrade(USER_ID, character.id, {
+      type: 'sell', npcId: 'la-dealer-1', itemId: 'heroin', quantity: 2
+    })
+
+    assert.equal(result.character.cash, character.cash + 2 * Math.round(marketPrice * 0.99 * 0.5))
+    assert.equal('heroin' in result.npc.stock, false)
+  })
+
+  it('loses money buying and selling straight back to the same contact', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter({
+      location: 'Puerto Vallarta',
+      cash: 100000,
+      inventory: { items: [stack('backpack', 1)], drugs: [] }
+    })
+
+    for (const itemId of ['cocaine', 'ecstasy']) {
+      let cash = (await services.characters.getCharacter(USER_ID, character.id)).cash
+      for (let loop = 0; loop < 3; loop++) {
+        const deal = { npcId: 'pv-dealer-1', itemId, quantity: 30 }
+        await services.trades.executeTrade(USER_ID, character.id, { ...deal, type: 'buy' })
+        const { character: after } = await services.trades.executeTrade(USER_ID, character.id, { ...deal, type: 'sell' })
+
+        assert.ok(after.cash < cash, `${itemId} round trip ${loop + 1} made $${after.cash - cash}`)
+        cash = after.cash
+      }
+    }
+  })
+
+  it('refuses items the contact neither stocks nor buys', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter({ inventory: { items: [stack('pistol', 1)], drugs: [] } })
+
+    await assert.rejects(
+      services.trades.executeTrade(USER_ID, character.id, {
+        type: 'sell', npcId: 'la-dealer-1', itemId: 'pistol', quantity: 1
+      }),
+      { status: 400, message: /isn't buying Pistol/ }
+    )
+    await assert.rejects(
+      services.trades.executeTrade(USER_ID, character.id, {
+        type: 'buy', npcId: 'la-dealer-1', itemId: 'heroin', quantity: 1
+      }),
+      { status: 400, message: /doesn't sell Heroin/ }
+    )
+  })
+
+  it('refuses contacts in other cities', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter()
+
+    await assert.rejects(
+      services.trades.executeTrade(USER_ID, character.id, {
+        type: 'buy', npcId: 'pv-dealer-1', itemId: 'marijuana', quantity: 1
+      }),
+      { status: 400, message: /is not in Los Angeles/ }
+    )
+  })
+
+  it('refuses purchases the character cannot pay for', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter({ cash: 0 })
+
+    await assert.rejects(
+      services.trades.executeTrade(USER_ID, character.id, {
+        type: 'buy', npcId: 'la-dealer-1', itemId: 'cocaine', quantity: 1
+      }),
+      { message: 'Not enough cash for this purchase' }
+    )
+  })
+})
@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { scriptedRandom, setupGame, stack, USER_ID } from './helpers.js'
+
+const smuggler = () => ({ inventory: { items: [stack('cocaine', 20)], drugs: [] } })
+
+describe('travel', () => {
+  it('moves the character by public transport for the fare', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter()
+
+    const result = await services.travel.travel(USER_ID, character.id, { destination: 'Miami' })
+
+    assert.equal(result.character.location, 'Miami')
+    assert.equal(result.character.cash, character.cash - 300)
+    assert.ok(result.character.stamina < character.stamina)
+    assert.equal(result.checkpoint, null)
+  })
+
+  it('rejects a trip to the city the character is in', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter()
+
+    await assert.rejects(
+      services.travel.travel(USER_ID, character.id, { destination: 'Los Angeles' }),
+      { status: 400, message: 'You are already in Los Angeles' }
+    )
+  })
+})
+
+describe('border checkpoints', () => {
+  it('waves through a character who is not searched', async () => {
+    const { services, createCharacter } = setupGame({ rng: scriptedRandom(0.99) })
+    const character = await createCharacter(smuggler())
+
+    const result = await services.travel.travel(USER_ID, character.id, { destination: 'Tijuana' })
+
+    assert.equal(result.checkpoint.outcome, 'pass')
+    assert.equal(result.character.location, 'Tijuana')
+    assert.equal(result.character.inventory.items[0].quantity, 20)
+    assert.ok(result.character.heat > 0)
+  })
+
+  it('seizes contraband when a search finds it', async () => {
+    // Searched, no bribe, no arrest
+    const { services, createCharacter } = setupGame({ rng: scriptedRandom(0, 0.99) })
+    const character = await createCharacter(smuggler())
+
+    const result = await services.travel.travel(USER_ID, character.id, { destination: 'Tijuana' })
+
+    assert.equal(result.checkpoint.outcome, 'confiscation')
+    assert.deepEqual(result.checkpoint.confiscated.map(entry => entry.id), ['cocaine'])
+    assert.equal(result.character.inventory.items.length, 0)
+    assert.equal(result.character.location, 'Tijuana')
+  })
+
+  it('jails an arrested smuggler on the near side', async () => {
+    // Searched, no bribe, arrested
+    const { services, createCharacter } = setupGame({ rng: scriptedRandom(0, 0.99, 0) })
+    const character = await createCharacter(smuggler())
+
+    const result = await services.travel.travel(USER_ID, character.id, { destination: 'Tijuana' })
+
+    assert.equal(result.checkpoint.outcome, 'arrest')
+    assert.equal(result.character.location, 'Los Angeles')
+    assert.equal(result.jail.city, 'Los Angeles')
+    assert.equal(result.character.inventory.items.length, 0)
+  })
+})
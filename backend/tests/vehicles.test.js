@@ -0,0 +1,132 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { getCapacity } from '../../shared/game/carry.js'
+import { getXpForLevel } from '../../shared/game/progression.js'
+import { getDistance } from '../../shared/game/vehicles.js'
+import { catalog } from '../src/content/catalog.js'
+import { setupGame, stack, USER_ID } from './helpers.js'
+
+const owning = (...vehicleIds) => ({
+  cash: 5000,
+  inventory: { items: vehicleIds.map(id => stack(id, 1)), drugs: [] }
+})
+
+const withSedanIn = (city) => ({
+  inventory: { items: [stack('sedan', 1)], drugs: [] },
+  vehicles: [{ id: 'sedan', city }]
+})
+
+describe('vehicles', () => {
+  it('are sold by dealers like any other item', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter({ cash: 10000 })
+
+    const result = await services.trades.executeTrade(USER_ID, character.id, {
+      type: 'buy', npcId: 'la-cars-1', itemId: 'sedan', quantity: 1
+    })
+
+    assert.deepEqual(result.character.inventory.items.map(entry => entry.id), ['sedan'])
+  })
+
+  it('charge fuel by distance and keep the driver busy for the trip', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter(owning('sedan'))
+    const distance = getDistance(catalog.getCity('Los Angeles'), catalog.getCity('Miami'))
+
+    const result = await services.travel.travel(USER_ID, character.id, { destination: 'Miami', mode: 'sedan' })
+
+    assert.equal(result.character.location, 'Miami')
+    assert.equal(result.character.cash, character.cash - Math.round(distance * 3))
+    assert.equal(result.character.busy.activity, 'the trip to Miami by Used Sedan')
+    await assert.rejects(
+      services.travel.travel(USER_ID, character.id, { destination: 'New York' }),
+      { status: 409, code: 'BUSY' }
+    )
+  })
+
+  it('keep boats to coastal routes', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter(owning('speedboat'))
+
+    await assert.rejects(
+      services.travel.travel(USER_ID, character.id, { destination: 'Juarez', mode: 'speedboat' }),
+      { status: 400, code: 'ROUTE_UNAVAILABLE', message: 'Boats only sail between coastal cities' }
+    )
+  })
+
+  it('can only be driven when owned', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter(owning())
+
+    await assert.rejects(
+      services.travel.travel(USER_ID, character.id, { destination: 'Miami', mode: 'sedan' }),
+      { status: 400, message: 'You have no vehicle like that parked in Los Angeles' }
+    )
+  })
+})
+
+describe('vehicle locations', () => {
+  it('parks a vehicle where it is bought', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter({ cash: 10000 })
+
+    const result = await services.trades.executeTrade(USER_ID, character.id, {
+      type: 'buy', npcId: 'la-cars-1', itemId: 'sedan', quantity: 1
+    })
+
+    assert.deepEqual(result.character.vehicles, [{ id: 'sedan', city: 'Los Angeles' }])
+  })
+
+  it('parks vehicles owned before locations were kept in the current city', async () => {
+    const { createCharacter } = setupGame()
+    const character = await createCharacter({ ...withSedanIn('Los Angeles'), vehicles: undefined })
+
+    assert.deepEqual(character.vehicles, [{ id: 'sedan', city: 'Los Angeles' }])
+  })
+
+  it('takes the vehicle along on a trip and leaves it there', async () => {
+    const { store, services, createCharacter, reload } = setupGame()
+    const character = await createCharacter(withSedanIn('Los Angeles'))
+
+    const drive = await services.travel.travel(USER_ID, character.id, { destination: 'Miami', mode: 'sedan' })
+    assert.deepEqual(drive.character.vehicles, [{ id: 'sedan', city: 'Miami' }])
+
+    await store.put('characters', { ...drive.character, busy: null })
+    await services.travel.travel(USER_ID, character.id, { destination: 'New York' })
+    await assert.rejects(
+      services.travel.travel(USER_ID, character.id, { destination: 'Miami', mode: 'sedan' }),
+      { status: 400, message: 'You have no vehicle like that parked in New York' }
+    )
+    assert.deepEqual((await reload(character.id)).vehicles, [{ id: 'sedan', city: 'Miami' }])
+  })
+
+  it('only adds cargo space in the city the vehicle is parked in', async () => {
+    const { createCharacter } = setupGame()
+    const here = await createCharacter(withSedanIn('Los Angeles'))
+    const away = await createCharacter(withSedanIn('Miami'))
+    const cargo = catalog.getItem('sedan').vehicle.cargo.weight
+
+    assert.equal(getCapacity(here, catalog.items).weight - getCapacity(away, catalog.items).weight, cargo)
+  })
+
+  it('only sells or drops a vehicle where it is parked', async () => {
+    const { services, createCharacter } = setupGame()
+    const character = await createCharacter({
+      ...withSedanIn('Los Angeles'),
+      location: 'Miami',
+      level: 4,
+      xp: getXpForLevel(4)
+    })
+
+    await assert.rejects(
+      services.trades.executeTrade(USER_ID, character.id, {
+        type: 'sell', npcId: 'miami-marina-1', itemId: 'sedan', quantity: 1
+      }),
+      { status: 400, code: 'VEHICLE_ELSEWHERE' }
+    )
+    await assert.rejects(
+      services.inventory.dropItem(USER_ID, character.id, 'sedan', 1),
+      { status: 400, code: 'VEHICLE_ELSEWHERE' }
+    )
+  })
+})
@@ -6,7 +6,11 @@
  * - AWS Cognito authentication integration
  * - Protected routes for authenticated users
  * - Global HUD display for player stats
+ * - Global level-up notification for any action that awards XP
  * - Route management for all game screens
+ * - Hospital lockout: action screens redirect to the hospital while recovering
+ * - Jail lockout: action screens redirect to the jail while serving a sentence
+ * - Character state comes from the shared character store
  */
 
 import React, { useState, useEffect } from 'react'
@@ -22,15 +26,28 @@ import Missions from './components/game/Missions'
 import Streets from './components/game/Streets'
 import Inventory from './components/game/Inventory'
 import SkillTree from './components/game/SkillTree'
+import Reputation from './components/game/Reputation'
+import Hospital from './components/game/Hospital'
+import Jail from './components/game/Jail'
 import HUD from './components/ui/HUD'
+import LevelUpNotice from './components/ui/LevelUpNotice'
 import LoadingScreen from './components/ui/LoadingScreen'
+import { useCharacter } from './store/CharacterContext'
+import { isHospitalized } from '@shared/game/hospital.js'
+import { isJailed } from '@shared/game/jail.js'
 
 function App() {
   // Authentication and user state
   const [isAuthenticated, setIsAuthenticated] = useState(false)
   const [user, setUser] = useState(null)
-  const [currentCharacter, setCurrentCharacter] = useState(null)
   const [isLoading, setIsLoading] = useState(true)
+  const { currentCharacter, restoreCharacter, clearCharacters } = useCharacter()
+
+  // Downed or jailed characters are kept out of missions, travel, the streets
+  // and their inventory
+  const hospitalized = Boolean(currentCharacter) && isHospitalized(currentCharacter)
+  const jailed = Boolean(currentCharacter) && isJailed(currentCharacter)
+  const lockoutPath = hospitalized ? '/hospital' : jailed ? '/jail' : null
 
   /**
    * Check authentication status on app load
@@ -50,16 +67,13 @@ function App() {
       setUser(currentUser)
       setIsAuthenticated(true)
       
-      // Load current character if exists
-      const savedCharacter = localStorage.getItem('currentCharacter')
-      if (savedCharacter) {
-        setCurrentCharacter(JSON.parse(savedCharacter))
-      }
+      // Reload the last selected character from the API
+      await restoreCharacter()
     } catch (error) {
       console.log('User not authenticated:', error)
       setIsAuthenticated(false)
       setUser(null)
-      setCurrentCharacter(null)
+      clearCharacters()
     } finally {
       setIsLoading(false)
     }
@@ -74,22 +88,12 @@ function App() {
       await window.Auth.signOut()
       setIsAuthenticated(false)
       setUser(null)
-      setCurrentCharacter(null)
-      localStorage.removeItem('currentCharacter')
+      clearCharacters()
     } catch (error) {
       console.error('Error signing out:', error)
     }
   }
 
-  /**
-   * Handles character selection
-   * Updates current character state and saves to local storage
-   */
-  const handleCharacterSelect = (character) => {
-    setCurrentCharacter(character)
-    localStorage.setItem('currentCharacter', JSON.stringify(character))
-  }
-
   // Show loading screen while checking authentication
   if (isLoading) {
     return <LoadingScreen />
@@ -105,6 +109,9 @@ function App() {
         />
       )}
 
+      {/* Level-up notification - shown after any action that levels the character */}
+      {isAuthenticated && currentCharacter && <LevelUpNotice />}
+
       {/* Main content area */}
       <div className={`${isAuthenticated && currentCharacter ? 'pt-16' : ''}`}>
         <Routes>
@@ -135,11 +142,7 @@ function App() {
             path="/characters" 
             element={
               isAuthenticated ? (
-                <CharacterSelect 
-                  user={user}
-                  onCharacterSelect={handleCharacterSelect}
-                  currentCharacter={currentCharacter}
-                />
+                <CharacterSelect user={user} />
               ) : (
                 <Navigate to="/login" replace />
               )
@@ -151,7 +154,7 @@ function App() {
             path="/menu" 
             element={
               isAuthenticated && currentCharacter ? (
-                <MainMenu character={currentCharacter} />
+                <MainMenu />
               ) : (
                 <Navigate to={isAuthenticated ? "/characters" : "/login"} replace />
               )
@@ -161,10 +164,7 @@ function App() {
             path="/travel" 
             element={
               isAuthenticated && currentCharacter ? (
-                <TravelMap 
-                  character={currentCharacter} 
-                  onCharacterUpdate={setCurrentCharacter}
-                />
+                lockoutPath ? <Navigate to={lockoutPath} replace /> : <TravelMap />
               ) : (
                 <Navigate to={isAuthenticated ? "/characters" : "/login"} replace />
               )
@@ -174,10 +174,7 @@ function App() {
             path="/missions" 
             element={
               isAuthenticated && currentCharacter ? (
-                <Missions 
-                  character={currentCharacter} 
-                  onCharacterUpdate={setCurrentCharacter}
-                />
+                lockoutPath ? <Navigate to={lockoutPath} replace /> : <Missions />
               ) : (
                 <Navigate to={isAuthenticated ? "/characters" : "/login"} replace />
               )
@@ -187,10 +184,7 @@ function App() {
             path="/streets" 
             element={
               isAuthenticated && currentCharacter ? (
-                <Streets 
-                  character={currentCharacter} 
-                  onCharacterUpdate={setCurrentCharacter}
-                />
+                lockoutPath ? <Navigate to={lockoutPath} replace /> : <Streets />
               ) : (
                 <Navigate to={isAuthenticated ? "/characters" : "/login"} replace />
               )
@@ -200,10 +194,7 @@ function App() {
             path="/inventory" 
             element={
               isAuthenticated && currentCharacter ? (
-                <Inventory 
-                  character={currentCharacter} 
-                  onCharacterUpdate={setCurrentCharacter}
-                />
+                lockoutPath ? <Navigate to={lockoutPath} replace /> : <Inventory />
               ) : (
                 <Navigate to={isAuthenticated ? "/characters" : "/login"} replace />
               )
@@ -213,10 +204,38 @@ function App() {
             path="/skills" 
             element={
               isAuthenticated && currentCharacter ? (
-                <SkillTree 
-                  character={currentCharacter} 
-                  onCharacterUpdate={setCurrentCharacter}
-                />
+                <SkillTree />
+              ) : (
+                <Navigate to={isAuthenticated ? "/characters" : "/login"} replace />
+              )
+            } 
+          />
+          <Route 
+            path="/reputation" 
+            element={
+              isAuthenticated && currentCharacter ? (
+                <Reputation />
+              ) : (
+                <Navigate to={isAuthenticated ? "/characters" : "/login"} replace />
+              )
+            } 
+          />
+
+          <Route 
+            path="/hospital" 
+            element={
+              isAuthenticated && currentCharacter ? (
+                hospitalized ? <Hospital /> : <Navigate to="/menu" replace />
+              ) : (
+                <Navigate to={isAuthenticated ? "/characters" : "/login"} replace />
+              )
+            } 
+          />
+          <Route 
+            path="/jail" 
+            element={
+              isAuthenticated && currentCharacter ? (
+                jailed ? <Jail /> : <Navigate to="/menu" replace />
               ) : (
                 <Navigate to={isAuthenticated ? "/characters" : "/login"} replace />
               )
@@ -8,15 +8,24 @@
  * - Select existing characters to play
  * - Delete characters with confirmation
  * - Character stats preview
- * - Integration with DynamoDB for persistence
+ * - Persistence through the game API
  */
 
 import React, { useState, useEffect } from 'react'
-import { API } from 'aws-amplify'
+import { useCharacter } from '../../store/CharacterContext'
+import { catalog } from '../../content/catalog'
+
+const CharacterSelect = ({ user }) => {
+  const {
+    characters,
+    currentCharacter,
+    loadCharacters: fetchCharacters,
+    createCharacter: saveNewCharacter,
+    deleteCharacter: removeCharacter,
+    selectCharacter
+  } = useCharacter()
 
-const CharacterSelect = ({ user, onCharacterSelect, currentCharacter }) => {
   // Component state
-  const [characters, setCharacters] = useState([])
   const [isLoading, setIsLoading] = useState(true)
   const [showCreateForm, setShowCreateForm] = useState(false)
   const [isCreating, setIsCreating] = useState(false)
@@ -29,15 +38,8 @@ const CharacterSelect = ({ user, onCharacterSelect, currentCharacter }) => {
     startingLocation: 'Los Angeles'
   })
 
-  // Available starting locations
-  const startingLocations = [
-    { id: 'los-angeles', name: 'Los Angeles', country: 'USA', description: 'City of Angels, city of opportunities' },
-    { id: 'miami', name: 'Miami', country: 'USA', description: 'Vice and paradise in the sunshine state' },
-    { id: 'new-york', name: 'New York', country: 'USA', description: 'The concrete jungle where dreams are made' },
-    { id: 'tijuana', name: 'Tijuana', country: 'Mexico', description: 'Border town with endless possibilities' },
-    { id: 'juarez', name: 'Juarez', country: 'Mexico', description: 'Industrial hub of the north' },
-    { id: 'puerto-vallarta', name: 'Puerto Vallarta', country: 'Mexico', description: 'Coastal paradise with hidden dangers' }
-  ]
+  // Starting locations come from the shared content catalog
+  const { startingLocations } = catalog
 
   /**
    * Load user's characters on component mount
@@ -55,14 +57,7 @@ const CharacterSelect = ({ user, onCharacterSelect, currentCharacter }) => {
       setIsLoading(true)
       setError('')
 
-      // TODO: Replace with actual API call to fetch characters
-      // For now, use mock data or localStorage
-      const savedCharacters = localStorage.getItem(`characters_${user.username}`)
-      if (savedCharacters) {
-        setCharacters(JSON.parse(savedCharacters))
-      } else {
-        setCharacters([])
-      }
+      await fetchCharacters()
     } catch (error) {
       console.error('Error loading characters:', error)
       setError('Failed to load characters. Please try again.')
@@ -100,35 +95,11 @@ const CharacterSelect = ({ user, onCharacterSelect, currentCharacter }) => {
         throw new Error('Maximum of 3 characters allowed per account')
       }
 
-      // Create character object
-      const character = {
-        id: Date.now().toString(), // Simple ID generation for demo
-        userId: user.username,
+      // Server assigns the ID and starting stats
+      await saveNewCharacter({
         name: newCharacter.name.trim(),
-        location: newCharacter.startingLocation,
-        level: 1,
-        xp: 0,
-        cash: 1000, // Starting cash
-        health: 100,
-        stamina: 100,
-        skills: {
-          strength: 1,
-          intelligence: 1,
-          endurance: 1,
-          shooting: 1
-        },
-        inventory: {
-          items: [],
-          drugs: []
-        },
-        completedMissions: [],
-        createdAt: new Date().toISOString()
-      }
-
-      // TODO: Replace with actual API call to create character
-      const updatedCharacters = [...characters, character]
-      setCharacters(updatedCharacters)
-      localStorage.setItem(`characters_${user.username}`, JSON.stringify(updatedCharacters))
+        startingLocation: newCharacter.startingLocation
+      })
 
       // Reset form and close modal
       setNewCharacter({ name: '', startingLocation: 'Los Angeles' })
@@ -148,15 +119,8 @@ const CharacterSelect = ({ user, onCharacterSelect, currentCharacter }) => {
     try {
       setError('')
 
-      // TODO: Replace with actual API call to delete character
-      const updatedCharacters = characters.filter(char => char.id !== characterId)
-      setCharacters(updatedCharacters)
-      localStorage.setItem(`characters_${user.username}`, JSON.stringify(updatedCharacters))
-
-      // Clear current character if it was deleted
-      if (currentCharacter && currentCharacter.id === characterId) {
-        localStorage.removeItem('currentCharacter')
-      }
+      // Store also clears the selection if this was the active character
+      await removeCharacter(characterId)
 
       setDeleteConfirm(null)
     } catch (error) {
@@ -165,13 +129,6 @@ const CharacterSelect = ({ user, onCharacterSelect, currentCharacter }) => {
     }
   }
 
-  /**
-   * Calculates character level based on XP
-   */
-  const calculateLevel = (xp) => {
-    return Math.floor(xp / 100) + 1
-  }
-
   if (isLoading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -228,7 +185,7 @@ const CharacterSelect = ({ user, onCharacterSelect, currentCharacter }) => {
                       </div>
 
                       <div className="space-y-2 text-sm">
-                        <p><span className="text-gray-400">Level:</span> {calculateLevel(character.xp)}</p>
+                        <p><span className="text-gray-400">Level:</span> {character.level}</p>
                         <p><span className="text-gray-400">Location:</span> {character.location}</p>
                         <p><span className="text-gray-400">Cash:</span> <span className="text-green-400">${character.cash.toLocaleString()}</span></p>
                         <p><span className="text-gray-400">XP:</span> <span className="text-blue-400">{character.xp}</span></p>
@@ -246,7 +203,7 @@ const CharacterSelect = ({ user, onCharacterSelect, currentCharacter }) => {
                     </div>
 
                     <button
-                      onClick={() => onCharacterSelect(character)}
+                      onClick={() => selectCharacter(character)}
                       className={`btn-primary w-full mt-4 ${
                         currentCharacter && currentCharacter.id === character.id 
                           ? 'bg-green-600 hover:bg-green-700' 
@@ -335,7 +292,7 @@ const CharacterSelect = ({ user, onCharacterSelect, currentCharacter }) => {
                     ))}
                   </select>
                   <p className="text-xs text-gray-500 mt-1">
-                    {startingLocations.find(loc => loc.name === newCharacter.startingLocation)?.description}
+                    {startingLocations.find(loc => loc.name === newCharacter.startingLocation)?.tagline}
                   </p>
                 </div>
 
@@ -0,0 +1,151 @@
+/**
+ * Hospital Component
+ * Recovery screen for a downed character (health reached 0)
+ *
+ * Features:
+ * - Live countdown until the character is discharged
+ * - Admission summary: city, medical bill and any drugs lost
+ * - Pay for early release, priced by the recovery time left
+ * - Reloads the character from the server when recovery ends
+ * - Missions, travel and trading stay locked while recovering
+ */
+
+import React, { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { getEarlyReleaseCost, getRecoveryRemaining } from '@shared/game/hospital.js'
+import { hospitalApi } from '../../services/api'
+import { useCharacter } from '../../store/CharacterContext'
+
+const Hospital = () => {
+  const { currentCharacter: character, applyAction, refreshCharacter } = useCharacter()
+  const [now, setNow] = useState(Date.now())
+  const [isProcessing, setIsProcessing] = useState(false)
+
+  const remaining = getRecoveryRemaining(character, now)
+  const releaseCost = getEarlyReleaseCost(character, now)
+  const admission = character.hospital
+  const recovered = remaining === 0
+
+  /**
+   * Ticks the countdown every second
+   */
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  /**
+   * Picks up the server-side discharge once recovery is over
+   */
+  useEffect(() => {
+    if (admission && recovered) {
+      refreshCharacter(character.id).catch(error => {
+        console.error('Error refreshing character:', error)
+      })
+    }
+  }, [admission?.releaseAt, recovered])
+
+  /**
+   * Formats the remaining recovery time as m:ss
+   */
+  const formatCountdown = (ms) => {
+    const totalSeconds = Math.ceil(ms / 1000)
+    const minutes = Math.floor(totalSeconds / 60)
+    const seconds = String(totalSeconds % 60).padStart(2, '0')
+    return `${minutes}:${seconds}`
+  }
+
+  /**
+   * Pays for early release
+   */
+  const handleEarlyRelease = async () => {
+    setIsProcessing(true)
+
+    try {
+      // Server charges the fee and discharges the character
+      const result = await applyAction(hospitalApi.release(character.id))
+      alert(result.message)
+    } catch (error) {
+      console.error('Error paying for release:', error)
+      alert(error.message || 'Failed to pay for release. Please try again.')
+    } finally {
+      setIsProcessing(false)
+    }
+  }
+
+  if (!admission) return null
+
+  return (
+    <div className="min-h-screen py-8 px-4">
+      <div className="max-w-2xl mx-auto">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <div className="text-6xl mb-4">🏥</div>
+          <h1 className="text-4xl font-bold text-muted-gold glow-text mb-2">
+            Hospital
+          </h1>
+          <p className="text-gray-400 text-lg">
+            You collapsed and were taken to hospital in {admission.city}
+          </p>
+        </div>
+
+        {/* Recovery Countdown */}
+        <div className="card text-center mb-6">
+          <h2 className="text-xl font-bold text-pale-white mb-2">Recovery Time Left</h2>
+          <div className="text-5xl font-bold text-red-400 mb-2">
+            {formatCountdown(remaining)}
+          </div>
+          <p className="text-sm text-gray-400">
+            Missions, travel and trading are unavailable until you are discharged
+          </p>
+        </div>
+
+        {/* Admission Summary */}
+        <div className="card mb-6">
+          <h2 className="text-xl font-bold text-muted-gold mb-4">Admission</h2>
+          <div className="space-y-2 text-sm">
+            <div className="flex justify-between">
+              <span className="text-gray-400">Medical bill</span>
+              <span className="text-red-400">-${admission.bill.toLocaleString()}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-400">Cash on hand</span>
+              <span className="text-green-400">${character.cash.toLocaleString()}</span>
+            </div>
+            {admission.drugsLost.length > 0 ? (
+              <div>
+                <span className="text-gray-400">Drugs lost while you were out:</span>
+                <ul className="mt-1 space-y-1">
+                  {admission.drugsLost.map(drug => (
+                    <li key={drug.id} className="flex justify-between text-red-400">
+                      <span>{drug.name}</span>
+                      <span>-{drug.quantity}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ) : (
+              <div className="text-gray-400">Your stash made it through untouched.</div>
+            )}
+          </div>
+        </div>
+
+        {/* Actions */}
+        <div className="flex flex-col sm:flex-row gap-4">
+          <button
+            onClick={handleEarlyRelease}
+            disabled={isProcessing || character.cash < releaseCost}
+            className="btn-primary flex-1"
+          >
+            {isProcessing ? 'Processing...' : `Pay $${releaseCost.toLocaleString()} for Early Release`}
+          </button>
+          <Link to="/menu" className="btn-secondary flex-1 text-center">
+            Back to Menu
+          </Link>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default Hospital
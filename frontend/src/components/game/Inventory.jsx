@@ -7,16 +7,55 @@
  * - Use consumable items (health kits, energy drinks, etc.)
  * - Drop/delete items from inventory
  * - Item filtering by type
- * - Item details and descriptions
+ * - Item details and descriptions, with what each consumable does taken
+ *   from its catalog use (including status effects and their side effects)
+ * - Equip/Unequip weapons and armor into the loadout slots (primary,
+ *   sidearm, melee, armor) with a paper doll showing the loadout, its
+ *   firepower and armor, and each item's gear stats
+ * - Load against carry capacity (weight and volume), with each item's
+ *   weight and bags' extra capacity in its details
+ * - Stash house in the current city: buy or upgrade it, see its capacity
+ *   and raid risk, and transfer items (not vehicles) and cash between the
+ *   character and the stash; stashes in other cities are listed with what
+ *   they hold
+ * - Vehicles owned, with their cargo space, travel stats and where they are
+ *   parked in the details
  */
 
 import React, { useState } from 'react'
-
-const Inventory = ({ character, onCharacterUpdate }) => {
+import { getLoadStatus, getRoomFor } from '@shared/game/carry.js'
+import { getStatusEffect } from '@shared/game/effects.js'
+import { getEquipped, getLoadoutStats } from '@shared/game/equipment.js'
+import {
+  canStash,
+  getMaxStashLevel,
+  getRaidRisk,
+  getStash,
+  getStashLevel,
+  getStashPrice,
+  getStashRoomFor,
+  getStashStatus
+} from '@shared/game/stash.js'
+import { getVehicleCities } from '@shared/game/vehicles.js'
+import { catalog } from '../../content/catalog'
+import { inventoryApi, stashApi } from '../../services/api'
+import { useCharacter } from '../../store/CharacterContext'
+
+const Inventory = () => {
+  const { currentCharacter: character, applyAction } = useCharacter()
   const [selectedItem, setSelectedItem] = useState(null)
   const [showItemModal, setShowItemModal] = useState(false)
   const [filterType, setFilterType] = useState('all')
   const [isProcessing, setIsProcessing] = useState(false)
+  const [stashCash, setStashCash] = useState('')
+
+  // Loadout slots around the paper doll
+  const slotDefinitions = {
+    primary: { label: 'Primary', icon: '🔫' },
+    sidearm: { label: 'Sidearm', icon: '🔫' },
+    melee: { label: 'Melee', icon: '🔪' },
+    armor: { label: 'Armor', icon: '🦺' }
+  }
 
   /**
    * Gets item type color for UI display
@@ -27,6 +66,7 @@ const Inventory = ({ character, onCharacterUpdate }) => {
       case 'weapon': return 'text-red-400'
       case 'equipment': return 'text-blue-400'
       case 'consumable': return 'text-yellow-400'
+      case 'vehicle': return 'text-purple-400'
       default: return 'text-gray-400'
     }
   }
@@ -40,10 +80,25 @@ const Inventory = ({ character, onCharacterUpdate }) => {
       case 'weapon': return '🔫'
       case 'equipment': return '🛡️'
       case 'consumable': return '💊'
+      case 'vehicle': return '🚗'
       default: return '📦'
     }
   }
 
+  /**
+   * Lines describing what using a consumable does
+   */
+  const getUseEffects = (item) => {
+    const use = catalog.getItem(item.id)?.use || {}
+    const effect = getStatusEffect(use.effect)
+
+    return [
+      use.health && `Restores ${use.health} health`,
+      use.stamina && `Restores ${use.stamina} stamina`,
+      effect && `${effect.icon} ${effect.name} for ${effect.durationMinutes} min: ${effect.description}`
+    ].filter(Boolean)
+  }
+
   /**
    * Filters inventory items by type
    */
@@ -77,116 +132,104 @@ const Inventory = ({ character, onCharacterUpdate }) => {
     setIsProcessing(true)
 
     try {
-      let updatedCharacter = { ...character }
-      let effectMessage = ''
-
-      // Apply item effects based on item ID
-      switch (item.id) {
-        case 'health-kit':
-          const healthGain = Math.min(50, 100 - updatedCharacter.health)
-          updatedCharacter.health = Math.min(100, updatedCharacter.health + 50)
-          effectMessage = `Restored ${healthGain} health`
-          break
-          
-        case 'energy-drink':
-          const staminaGain = Math.min(25, 100 - updatedCharacter.stamina)
-          updatedCharacter.stamina = Math.min(100, updatedCharacter.stamina + 25)
-          effectMessage = `Restored ${staminaGain} stamina`
-          break
-          
-        case 'steroids':
-          // Temporary effect - in a full implementation, this would be tracked with a timer
-          effectMessage = 'Temporary strength boost applied!'
-          break
-          
-        default:
-          effectMessage = `Used ${item.name}`
-      }
-
-      // Remove one item from inventory
-      const itemIndex = updatedCharacter.inventory.items.findIndex(i => i.id === item.id)
-      if (itemIndex !== -1) {
-        updatedCharacter.inventory.items[itemIndex].quantity -= 1
-        
-        // Remove item if quantity reaches 0
-        if (updatedCharacter.inventory.items[itemIndex].quantity <= 0) {
-          updatedCharacter.inventory.items.splice(itemIndex, 1)
-        }
-      }
-
-      // Update character
-      onCharacterUpdate(updatedCharacter)
-      localStorage.setItem('currentCharacter', JSON.stringify(updatedCharacter))
-
-      // Add to activity log
-      const activity = {
-        id: Date.now(),
-        type: 'item_used',
-        message: `Used ${item.name}: ${effectMessage}`,
-        timestamp: new Date().toISOString()
-      }
-      
-      const savedActivity = localStorage.getItem(`activity_${character.id}`) || '[]'
-      const activityList = JSON.parse(savedActivity)
-      activityList.unshift(activity)
-      localStorage.setItem(`activity_${character.id}`, JSON.stringify(activityList.slice(0, 50)))
+      // Server applies the item's effect and removes one from the stack
+      const result = await applyAction(inventoryApi.use(character.id, item.id))
 
       setShowItemModal(false)
       setSelectedItem(null)
-      alert(effectMessage)
+      alert(result.message)
 
     } catch (error) {
       console.error('Use item error:', error)
-      alert('Failed to use item. Please try again.')
+      alert(error.message || 'Failed to use item. Please try again.')
     } finally {
       setIsProcessing(false)
     }
   }
 
   /**
-   * Drops/deletes an item from inventory
+   * Equips a weapon or armor, or takes it off when already equipped
    */
-  const dropItem = async (item, quantity = 1) => {
+  const toggleEquip = async (item) => {
     setIsProcessing(true)
 
     try {
-      let updatedCharacter = { ...character }
-
-      // Remove items from inventory
-      const itemIndex = updatedCharacter.inventory.items.findIndex(i => i.id === item.id)
-      if (itemIndex !== -1) {
-        updatedCharacter.inventory.items[itemIndex].quantity -= quantity
-        
-        // Remove item if quantity reaches 0 or below
-        if (updatedCharacter.inventory.items[itemIndex].quantity <= 0) {
-          updatedCharacter.inventory.items.splice(itemIndex, 1)
-        }
-      }
+      const action = isEquipped(item)
+        ? inventoryApi.unequip(character.id, item.id)
+        : inventoryApi.equip(character.id, item.id)
+      await applyAction(action)
+    } catch (error) {
+      console.error('Equip item error:', error)
+      alert(error.message || 'Failed to change equipment. Please try again.')
+    } finally {
+      setIsProcessing(false)
+    }
+  }
 
-      // Update character
-      onCharacterUpdate(updatedCharacter)
-      localStorage.setItem('currentCharacter', JSON.stringify(updatedCharacter))
+  /**
+   * Drops/deletes an item from inventory
+   */
+  const dropItem = async (item, quantity = 1) => {
+    setIsProcessing(true)
 
-      // Add to activity log
-      const activity = {
-        id: Date.now(),
-        type: 'item_dropped',
-        message: `Dropped ${quantity}x ${item.name}`,
-        timestamp: new Date().toISOString()
-      }
-      
-      const savedActivity = localStorage.getItem(`activity_${character.id}`) || '[]'
-      const activityList = JSON.parse(savedActivity)
-      activityList.unshift(activity)
-      localStorage.setItem(`activity_${character.id}`, JSON.stringify(activityList.slice(0, 50)))
+    try {
+      const result = await applyAction(inventoryApi.drop(character.id, item.id, quantity))
 
       setShowItemModal(false)
       setSelectedItem(null)
-      alert(`Dropped ${quantity}x ${item.name}`)
+      alert(result.message)
 
     } catch (error) {
       console.error('Drop item error:', error)
-      alert('Failed to drop item. Please try again.')
+      alert(error.message || 'Failed to drop item. Please try again.')
+    } finally {
+      setIsProcessing(false)
+    }
+  }
+
+  /**
+   * Buys a stash house in the current city, or upgrades the one there
+   */
+  const buyOrUpgradeStash = async (price, name) => {
+    if (!window.confirm(`Pay $${price.toLocaleString()} for a ${name} in ${character.location}?`)) return
+
+    setIsProcessing(true)
+
+    try {
+      const action = localStash ? stashApi.upgrade(character.id) : stashApi.buy(character.id)
+      const result = await applyAction(action)
+      alert(result.message)
+    } catch (error) {
+      console.error('Stash purchase error:', error)
+      alert(error.message || 'Failed to buy the stash. Please try again.')
+    } finally {
+      setIsProcessing(false)
+    }
+  }
+
+  /**
+   * Moves items ({ itemId, quantity }) or cash ({ cash }) into the local
+   * stash ('deposit') or out of it ('withdraw'). Raids found on the way
+   * are reported.
+   */
+  const transferStash = async (direction, transfer) => {
+    setIsProcessing(true)
+
+    try {
+      const action = direction === 'deposit'
+        ? stashApi.deposit(character.id, transfer)
+        : stashApi.withdraw(character.id, transfer)
+      const result = await applyAction(action)
+
+      if (result.raids?.length > 0) {
+        alert(result.message)
+      }
+      if (transfer.cash) {
+        setStashCash('')
+      }
+    } catch (error) {
+      console.error('Stash transfer error:', error)
+      alert(error.message || 'Failed to move goods. Please try again.')
     } finally {
       setIsProcessing(false)
     }
@@ -212,8 +255,50 @@ const Inventory = ({ character, onCharacterUpdate }) => {
     }, 0)
   }
 
+  const equipped = getEquipped(character, catalog.items)
+  const loadout = getLoadoutStats(character, catalog.items)
+  const getGear = (item) => catalog.getItem(item.id)?.gear || null
+  const getVehicle = (item) => catalog.getItem(item.id)?.vehicle || null
+  const isEquipped = (item) => equipped[getGear(item)?.slot]?.id === item.id
+
+  /**
+   * Renders one loadout slot of the paper doll
+   */
+  const renderSlot = (slot) => {
+    const item = equipped[slot]
+
+    return (
+      <div className={`p-3 rounded-lg border-2 text-center ${item ? 'border-muted-gold' : 'border-dashed border-gray-600'}`}>
+        <div className="text-xs text-gray-400">{slotDefinitions[slot].label}</div>
+        <div className="text-2xl">{item ? slotDefinitions[slot].icon : '➖'}</div>
+        <div className={`text-sm font-semibold ${item ? 'text-pale-white' : 'text-gray-500'}`}>
+          {item ? item.name : 'Empty'}
+        </div>
+        {item && (
+          <button
+            onClick={() => toggleEquip(item)}
+            className="text-xs text-red-400 hover:text-red-300 mt-1"
+            disabled={isProcessing}
+          >
+            Unequip
+          </button>
+        )}
+      </div>
+    )
+  }
+
   const inventoryItems = getFilteredItems()
   const totalItems = character.inventory?.items?.reduce((sum, item) => sum + item.quantity, 0) || 0
+  const loadStatus = getLoadStatus(character, catalog.items)
+
+  // Stash house in the current city and the ones elsewhere
+  const currentCity = catalog.getCity(character.location)
+  const localStash = getStash(character, character.location)
+  const otherStashes = (character.stashes || []).filter(stash => stash.city !== character.location)
+  const stashStatus = localStash && getStashStatus(localStash, catalog.items)
+  const raidRisk = localStash && getRaidRisk(character, localStash)
+  const nextStashLevel = getStashLevel((localStash?.level || 0) + 1)
+  const carriedItems = (character.inventory?.items || []).filter(item => canStash(catalog.items[item.id]))
 
   return (
     <div className="min-h-screen py-8 px-4">
@@ -229,15 +314,197 @@ const Inventory = ({ character, onCharacterUpdate }) => {
           <div className="flex justify-center space-x-6 mt-4 text-sm">
             <span>📦 Items: <span className="text-blue-400">{totalItems}</span></span>
             <span>💰 Est. Value: <span className="text-green-400">${getTotalInventoryValue().toLocaleString()}</span></span>
+            <span>
+              🎒 Load: <span className={loadStatus.overloaded ? 'text-red-400' : 'text-blue-400'}>
+                {loadStatus.load.weight}/{loadStatus.capacity.weight} kg, {loadStatus.load.volume}/{loadStatus.capacity.volume} L
+              </span>
+            </span>
+          </div>
+        </div>
+
+        {/* Loadout Paper Doll */}
+        <div className="card mb-6">
+          <h2 className="text-xl font-bold text-muted-gold mb-4">Loadout</h2>
+          <div className="grid grid-cols-3 gap-4 items-center max-w-xl mx-auto">
+            {renderSlot('melee')}
+            {renderSlot('armor')}
+            {renderSlot('primary')}
+            <div></div>
+            <div className="text-7xl text-center" aria-hidden="true">🧍</div>
+            <div></div>
+            {renderSlot('sidearm')}
+            <div></div>
+            <div></div>
+          </div>
+          <div className="flex justify-center space-x-6 mt-4 text-sm">
+            <span>🎯 Firepower: <span className="text-red-400">{Math.round(loadout.gunPower)}</span></span>
+            <span>🔪 Melee: <span className="text-orange-400">{Math.round(loadout.meleePower)}</span></span>
+            <span>🛡️ Armor: <span className="text-blue-400">{loadout.armor}</span></span>
           </div>
         </div>
 
+        {/* Stash House */}
+        <div className="card mb-6">
+          <h2 className="text-xl font-bold text-muted-gold mb-4">
+            🏠 Stash House - {character.location}
+          </h2>
+
+          {localStash ? (
+            <div className="space-y-4">
+              <div className="flex flex-wrap gap-x-6 gap-y-2 text-sm">
+                <span>{getStashLevel(localStash.level).name}</span>
+                <span>
+                  📦 Storage: <span className="text-blue-400">
+                    {stashStatus.load.weight}/{stashStatus.capacity.weight} kg, {stashStatus.load.volume}/{stashStatus.capacity.volume} L
+                  </span>
+                </span>
+                <span>💰 Stashed: <span className="text-green-400">${localStash.cash.toLocaleString()}</span></span>
+                <span>
+                  🚔 Raid risk per day: <span className="text-red-400">
+                    police {Math.round(raidRisk.police * 100)}%, rivals {Math.round(raidRisk.rivals * 100)}%
+                  </span>
+                </span>
+              </div>
+              <p className="text-xs text-gray-500">
+                Police raids get likelier with every wanted star and seize drugs, weapons and cash; rivals take everything.
+              </p>
+
+              {/* Cash transfer */}
+              <div className="flex flex-wrap items-center gap-2">
+                <input
+                  type="number"
+                  min="1"
+                  value={stashCash}
+                  onChange={(e) => setStashCash(e.target.value)}
+                  placeholder="Amount"
+                  className="input-field w-32"
+                  aria-label="Cash to move"
+                />
+                <button
+                  onClick={() => transferStash('deposit', { cash: Number(stashCash) })}
+                  className="btn-secondary text-sm py-2"
+                  disabled={isProcessing || !(Number(stashCash) > 0)}
+                >
+                  Stash Cash
+                </button>
+                <button
+                  onClick={() => transferStash('withdraw', { cash: Number(stashCash) })}
+                  className="btn-secondary text-sm py-2"
+                  disabled={isProcessing || !(Number(stashCash) > 0)}
+                >
+                  Take Cash
+                </button>
+              </div>
+
+              {/* Item transfer */}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <h3 className="font-bold text-pale-white mb-2">Carried</h3>
+                  {carriedItems.length > 0 ? carriedItems.map(item => {
+                    const room = getStashRoomFor(localStash, catalog.items[item.id], catalog.items)
+                    return (
+                      <div key={item.id} className="flex items-center justify-between bg-deep-gray p-2 rounded mb-2 text-sm">
+                        <span>{item.name} x{item.quantity}</span>
+                        <span className="space-x-2">
+                          <button
+                            onClick={() => transferStash('deposit', { itemId: item.id, quantity: 1 })}
+                            className="text-blue-400 hover:text-blue-300"
+                            disabled={isProcessing || room < 1}
+                          >
+                            Stash 1
+                          </button>
+                          <button
+                            onClick={() => transferStash('deposit', { itemId: item.id, quantity: Math.min(item.quantity, room) })}
+                            className="text-blue-400 hover:text-blue-300"
+                            disabled={isProcessing || room < 1}
+                          >
+                            Stash All
+                          </button>
+                        </span>
+                      </div>
+                    )
+                  }) : (
+                    <p className="text-sm text-gray-500">Nothing to stash</p>
+                  )}
+                </div>
+                <div>
+                  <h3 className="font-bold text-pale-white mb-2">In Stash</h3>
+                  {localStash.items.length > 0 ? localStash.items.map(item => {
+                    const room = getRoomFor(character, catalog.items[item.id], catalog.items)
+                    return (
+                      <div key={item.id} className="flex items-center justify-between bg-deep-gray p-2 rounded mb-2 text-sm">
+                        <span>{item.name} x{item.quantity}</span>
+                        <span className="space-x-2">
+                          <button
+                            onClick={() => transferStash('withdraw', { itemId: item.id, quantity: 1 })}
+                            className="text-green-400 hover:text-green-300"
+                            disabled={isProcessing || room < 1}
+                          >
+                            Take 1
+                          </button>
+                          <button
+                            onClick={() => transferStash('withdraw', { itemId: item.id, quantity: Math.min(item.quantity, room) })}
+                            className="text-green-400 hover:text-green-300"
+                            disabled={isProcessing || room < 1}
+                          >
+                            Take All
+                          </button>
+                        </span>
+                      </div>
+                    )
+                  }) : (
+                    <p className="text-sm text-gray-500">The stash is empty</p>
+                  )}
+                </div>
+              </div>
+
+              {localStash.level < getMaxStashLevel() && (
+                <button
+                  onClick={() => buyOrUpgradeStash(getStashPrice(currentCity, nextStashLevel.level), nextStashLevel.name)}
+                  className="btn-primary"
+                  disabled={isProcessing || character.cash < getStashPrice(currentCity, nextStashLevel.level)}
+                >
+                  Upgrade to {nextStashLevel.name} (${getStashPrice(currentCity, nextStashLevel.level).toLocaleString()})
+                </button>
+              )}
+            </div>
+          ) : (
+            <div className="space-y-3">
+              <p className="text-sm text-gray-400">
+                A stash keeps goods and cash in {character.location} while you travel, out of reach of border
+                checkpoints. Stored goods can still be raided by the police or found by rivals.
+              </p>
+              <button
+                onClick={() => buyOrUpgradeStash(getStashPrice(currentCity, 1), nextStashLevel.name)}
+                className="btn-primary"
+                disabled={isProcessing || character.cash < getStashPrice(currentCity, 1)}
+              >
+                Buy {nextStashLevel.name} (${getStashPrice(currentCity, 1).toLocaleString()})
+              </button>
+            </div>
+          )}
+
+          {otherStashes.length > 0 && (
+            <div className="mt-4 pt-4 border-t border-gray-700 text-sm">
+              <h3 className="font-bold text-pale-white mb-2">Other Stashes</h3>
+              {otherStashes.map(stash => (
+                <div key={stash.city} className="flex justify-between text-gray-400">
+                  <span>{stash.city} ({getStashLevel(stash.level).name})</span>
+                  <span>
+                    {stash.items.reduce((sum, item) => sum + item.quantity, 0)} items, ${stash.cash.toLocaleString()}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
         {/* Filter Tabs */}
         <div className="card mb-6">
           <div className="flex items-center justify-between">
             <h2 className="text-xl font-bold text-muted-gold">Filter Items</h2>
             <div className="flex space-x-2">
-              {['all', 'drug', 'weapon', 'equipment', 'consumable'].map(type => (
+              {['all', 'drug', 'weapon', 'equipment', 'consumable', 'vehicle'].map(type => (
                 <button
                   key={type}
                   onClick={() => setFilterType(type)}
@@ -267,6 +534,9 @@ const Inventory = ({ character, onCharacterUpdate }) => {
                   <div className="flex items-center space-x-2">
                     <span className="text-2xl">{getItemTypeIcon(item.type)}</span>
                     <h3 className="font-bold text-pale-white">{item.name}</h3>
+                    {isEquipped(item) && (
+                      <span className="text-xs px-2 py-0.5 rounded bg-muted-gold text-charcoal">Equipped</span>
+                    )}
                   </div>
                   <span className={`text-sm font-bold ${getItemTypeColor(item.type)}`}>
                     {item.type}
@@ -291,6 +561,18 @@ const Inventory = ({ character, onCharacterUpdate }) => {
                       Use
                     </button>
                   )}
+                  {getGear(item) && (
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation()
+                        toggleEquip(item)
+                      }}
+                      className="btn-secondary flex-1 text-sm py-2"
+                      disabled={isProcessing}
+                    >
+                      {isEquipped(item) ? 'Unequip' : 'Equip'}
+                    </button>
+                  )}
                   <button
                     onClick={(e) => {
                       e.stopPropagation()
@@ -352,29 +634,75 @@ const Inventory = ({ character, onCharacterUpdate }) => {
                   <span>Quantity:</span>
                   <span className="font-bold text-muted-gold">{selectedItem.quantity}</span>
                 </div>
+                {catalog.items[selectedItem.id] && !getVehicle(selectedItem) && (
+                  <div className="flex justify-between">
+                    <span>Weight:</span>
+                    <span className="text-gray-300">
+                      {catalog.items[selectedItem.id].weight} kg, {catalog.items[selectedItem.id].volume} L each
+                    </span>
+                  </div>
+                )}
+                {catalog.items[selectedItem.id]?.carry && (
+                  <div className="flex justify-between">
+                    <span>Carry Capacity:</span>
+                    <span className="text-green-400">
+                      +{catalog.items[selectedItem.id].carry.weight} kg, +{catalog.items[selectedItem.id].carry.volume} L
+                    </span>
+                  </div>
+                )}
                 
                 {selectedItem.type === 'consumable' && (
                   <div className="bg-deep-gray p-3 rounded-lg">
                     <h4 className="font-bold text-green-400 mb-2">Effects:</h4>
-                    <div className="text-sm text-gray-300">
-                      {selectedItem.id === 'health-kit' && '• Restores 50 health points'}
-                      {selectedItem.id === 'energy-drink' && '• Restores 25 stamina points'}
-                      {selectedItem.id === 'steroids' && '• Temporary strength boost'}
+                    <div className="text-sm text-gray-300 space-y-1">
+                      {getUseEffects(selectedItem).map(line => (
+                        <div key={line}>• {line}</div>
+                      ))}
                     </div>
                   </div>
                 )}
 
-                {selectedItem.type === 'weapon' && (
+                {getGear(selectedItem) && (
                   <div className="bg-deep-gray p-3 rounded-lg">
-                    <h4 className="font-bold text-red-400 mb-2">Weapon Stats:</h4>
-                    <div className="text-sm text-gray-300">
-                      • Increases combat effectiveness
-                      • Required for certain missions
+                    <h4 className="font-bold text-red-400 mb-2">Gear Stats:</h4>
+                    <div className="text-sm text-gray-300 space-y-1">
+                      <div>• Slot: {slotDefinitions[getGear(selectedItem).slot].label}</div>
+                      {getGear(selectedItem).damage !== undefined && (
+                        <div>• Damage {getGear(selectedItem).damage}, accuracy {Math.round(getGear(selectedItem).accuracy * 100)}%</div>
+                      )}
+                      {getGear(selectedItem).armor !== undefined && (
+                        <div>• Armor {getGear(selectedItem).armor} (cuts mission damage by {getGear(selectedItem).armor}%)</div>
+                      )}
+                      <div>• Equipped gear improves missions that weigh Shooting or Strength and helps escape the police</div>
                     </div>
                   </div>
                 )}
 
-                {selectedItem.type === 'equipment' && (
+                {getVehicle(selectedItem) && (
+                  <div className="bg-deep-gray p-3 rounded-lg">
+                    <h4 className="font-bold text-purple-400 mb-2">Vehicle Stats:</h4>
+                    <div className="text-sm text-gray-300 space-y-1">
+                      <div>
+                        • Cargo {getVehicle(selectedItem).cargo.weight} kg,{' '}
+                        {getVehicle(selectedItem).cargo.volume} L
+                      </div>
+                      <div>
+                        • Speed {getVehicle(selectedItem).speed}, fuel ${getVehicle(selectedItem).fuelCost} per map unit
+                      </div>
+                      <div>• Stamina per trip x{getVehicle(selectedItem).stamina}</div>
+                      {getVehicle(selectedItem).detection !== 0 && (
+                        <div>
+                          • Border search chance {getVehicle(selectedItem).detection > 0 ? '+' : '-'}
+                          {Math.round(Math.abs(getVehicle(selectedItem).detection) * 100)}%
+                        </div>
+                      )}
+                      <div>• Parked in {getVehicleCities(character, selectedItem.id).join(', ')}</div>
+                      <div>• Pick it as the travel mode on the travel map from where it is parked</div>
+                    </div>
+                  </div>
+                )}
+
+                {selectedItem.type === 'equipment' && !getGear(selectedItem) && (
                   <div className="bg-deep-gray p-3 rounded-lg">
                     <h4 className="font-bold text-blue-400 mb-2">Equipment Benefits:</h4>
                     <div className="text-sm text-gray-300">
@@ -386,6 +714,15 @@ const Inventory = ({ character, onCharacterUpdate }) => {
               </div>
 
               <div className="flex space-x-3">
+                {getGear(selectedItem) && (
+                  <button
+                    onClick={() => toggleEquip(selectedItem)}
+                    className="btn-primary flex-1"
+                    disabled={isProcessing}
+                  >
+                    {isEquipped(selectedItem) ? 'Unequip' : 'Equip'}
+                  </button>
+                )}
                 {selectedItem.type === 'consumable' && (
                   <button
                     onClick={() => useItem(selectedItem)}
@@ -0,0 +1,203 @@
+/**
+ * Jail Component
+ * Holding screen for an arrested character
+ *
+ * Features:
+ * - Live countdown until the sentence is served
+ * - Arrest summary: city, charge, bail and contraband seized
+ * - Post bail to walk out immediately
+ * - Do time: spend stamina to shorten the sentence and cool heat
+ * - Jailbreak attempt with its odds, heat and failure penalty spelled out
+ * - Reloads the character from the server when the sentence ends
+ * - Missions, travel and trading stay locked while jailed
+ */
+
+import React, { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import {
+  DO_TIME_STAMINA,
+  JAILBREAK_STAMINA,
+  getJailbreakChance,
+  getSentenceRemaining
+} from '@shared/game/jail.js'
+import { applyRegeneration } from '@shared/game/regeneration.js'
+import { jailApi } from '../../services/api'
+import { useCharacter } from '../../store/CharacterContext'
+
+const Jail = () => {
+  const { currentCharacter, applyAction, refreshCharacter } = useCharacter()
+  const [now, setNow] = useState(Date.now())
+  const [isProcessing, setIsProcessing] = useState(false)
+
+  // Include stamina regenerated since the last save
+  const character = applyRegeneration(currentCharacter, now)
+  const remaining = getSentenceRemaining(character, now)
+  const arrest = character.jail
+  const served = remaining === 0
+
+  /**
+   * Ticks the countdown every second
+   */
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  /**
+   * Picks up the server-side release once the sentence is served
+   */
+  useEffect(() => {
+    if (arrest && served) {
+      refreshCharacter(character.id).catch(error => {
+        console.error('Error refreshing character:', error)
+      })
+    }
+  }, [arrest?.releaseAt, served])
+
+  /**
+   * Formats the remaining sentence as m:ss
+   */
+  const formatCountdown = (ms) => {
+    const totalSeconds = Math.ceil(ms / 1000)
+    const minutes = Math.floor(totalSeconds / 60)
+    const seconds = String(totalSeconds % 60).padStart(2, '0')
+    return `${minutes}:${seconds}`
+  }
+
+  /**
+   * Runs a jail action and reports the outcome
+   */
+  const handleAction = async (request) => {
+    setIsProcessing(true)
+
+    try {
+      // Server applies the action and releases the character when it frees them
+      const result = await applyAction(request(character.id))
+      alert(result.message)
+    } catch (error) {
+      console.error('Jail action error:', error)
+      alert(error.message || 'Action failed. Please try again.')
+    } finally {
+      setIsProcessing(false)
+    }
+  }
+
+  if (!arrest) return null
+
+  return (
+    <div className="min-h-screen py-8 px-4">
+      <div className="max-w-2xl mx-auto">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <div className="text-6xl mb-4">🚔</div>
+          <h1 className="text-4xl font-bold text-muted-gold glow-text mb-2">
+            Jail
+          </h1>
+          <p className="text-gray-400 text-lg">
+            You were locked up in {arrest.city}
+          </p>
+        </div>
+
+        {/* Sentence Countdown */}
+        <div className="card text-center mb-6">
+          <h2 className="text-xl font-bold text-pale-white mb-2">Sentence Left</h2>
+          <div className="text-5xl font-bold text-red-400 mb-2">
+            {formatCountdown(remaining)}
+          </div>
+          <p className="text-sm text-gray-400">
+            Missions, travel and trading are unavailable until you are released
+          </p>
+        </div>
+
+        {/* Arrest Summary */}
+        <div className="card mb-6">
+          <h2 className="text-xl font-bold text-muted-gold mb-4">Booking Sheet</h2>
+          <div className="space-y-2 text-sm">
+            <div className="flex justify-between">
+              <span className="text-gray-400">Charge</span>
+              <span className="text-pale-white text-right">{arrest.reason}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-400">Bail</span>
+              <span className="text-red-400">${arrest.bail.toLocaleString()}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-400">Cash on hand</span>
+              <span className="text-green-400">${character.cash.toLocaleString()}</span>
+            </div>
+            {arrest.confiscated.length > 0 ? (
+              <div>
+                <span className="text-gray-400">Seized as evidence:</span>
+                <ul className="mt-1 space-y-1">
+                  {arrest.confiscated.map(item => (
+                    <li key={item.id} className="flex justify-between text-red-400">
+                      <span>{item.name}</span>
+                      <span>-{item.quantity}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ) : (
+              <div className="text-gray-400">They found nothing on you.</div>
+            )}
+          </div>
+        </div>
+
+        {/* Inside Activities */}
+        <div className="card mb-6">
+          <h2 className="text-xl font-bold text-muted-gold mb-4">Inside</h2>
+          <div className="space-y-4 text-sm">
+            <div className="flex items-center justify-between gap-4">
+              <div>
+                <div className="font-bold text-pale-white">Do Time</div>
+                <div className="text-gray-400">
+                  Keep your head down: shorter sentence, less heat. Costs {DO_TIME_STAMINA} stamina.
+                </div>
+              </div>
+              <button
+                onClick={() => handleAction(jailApi.serveTime)}
+                disabled={isProcessing || character.stamina < DO_TIME_STAMINA}
+                className="btn-secondary px-4 py-2"
+              >
+                Do Time
+              </button>
+            </div>
+            <div className="flex items-center justify-between gap-4">
+              <div>
+                <div className="font-bold text-pale-white">Jailbreak</div>
+                <div className="text-gray-400">
+                  {Math.round(getJailbreakChance(character) * 100)}% chance. Escaping sends your heat soaring;
+                  getting caught adds time and hurts. Costs {JAILBREAK_STAMINA} stamina.
+                </div>
+              </div>
+              <button
+                onClick={() => handleAction(jailApi.jailbreak)}
+                disabled={isProcessing || character.stamina < JAILBREAK_STAMINA}
+                className="btn-secondary px-4 py-2"
+              >
+                Break Out
+              </button>
+            </div>
+            <div className="text-xs text-gray-500">Stamina: {character.stamina}/{character.maxStamina}</div>
+          </div>
+        </div>
+
+        {/* Actions */}
+        <div className="flex flex-col sm:flex-row gap-4">
+          <button
+            onClick={() => handleAction(jailApi.postBail)}
+            disabled={isProcessing || character.cash < arrest.bail}
+            className="btn-primary flex-1"
+          >
+            {isProcessing ? 'Processing...' : `Post $${arrest.bail.toLocaleString()} Bail`}
+          </button>
+          <Link to="/menu" className="btn-secondary flex-1 text-center">
+            Back to Menu
+          </Link>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default Jail
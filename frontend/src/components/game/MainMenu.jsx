@@ -7,13 +7,21 @@
  * - Navigation buttons to all game sections
  * - Recent activity feed
  * - Quick stats display
+ * - Notices while the character is in hospital, in jail or busy with a mission
  * - Responsive grid layout inspired by GTA V loading screens
  */
 
 import React, { useState, useEffect } from 'react'
 import { Link } from 'react-router-dom'
+import { isHospitalized } from '@shared/game/hospital.js'
+import { isJailed } from '@shared/game/jail.js'
+import { getBusyRemaining, isBusy } from '@shared/game/missions.js'
+import { getLevelProgress } from '@shared/game/progression.js'
+import { characterApi } from '../../services/api'
+import { useCharacter } from '../../store/CharacterContext'
 
-const MainMenu = ({ character }) => {
+const MainMenu = () => {
+  const { currentCharacter: character } = useCharacter()
   const [recentActivity, setRecentActivity] = useState([])
   const [timeOfDay, setTimeOfDay] = useState('')
 
@@ -30,19 +38,14 @@ const MainMenu = ({ character }) => {
   }, [])
 
   /**
-   * Loads recent player activity from localStorage or API
+   * Loads recent player activity from the API
    */
-  const loadRecentActivity = () => {
-    // TODO: Replace with actual API call
-    const savedActivity = localStorage.getItem(`activity_${character.id}`)
-    if (savedActivity) {
-      setRecentActivity(JSON.parse(savedActivity))
-    } else {
-      // Default activity for new characters
-      setRecentActivity([
-        { id: 1, type: 'character_created', message: 'Character created', timestamp: new Date().toISOString() },
-        { id: 2, type: 'location_arrived', message: `Arrived in ${character.location}`, timestamp: new Date().toISOString() }
-      ])
+  const loadRecentActivity = async () => {
+    try {
+      setRecentActivity(await characterApi.getActivity(character.id))
+    } catch (error) {
+      console.error('Error loading activity:', error)
+      setRecentActivity([])
     }
   }
 
@@ -63,21 +66,10 @@ const MainMenu = ({ character }) => {
   }
 
   /**
-   * Calculates character level based on XP
+   * Converts a stat to a bar width against its maximum
    */
-  const calculateLevel = (xp) => {
-    return Math.floor(xp / 100) + 1
-  }
-
-  /**
-   * Calculates XP progress to next level
-   */
-  const getXPProgress = (xp) => {
-    const currentLevel = calculateLevel(xp)
-    const xpForCurrentLevel = (currentLevel - 1) * 100
-    const xpForNextLevel = currentLevel * 100
-    const progress = ((xp - xpForCurrentLevel) / (xpForNextLevel - xpForCurrentLevel)) * 100
-    return Math.min(progress, 100)
+  const getPercent = (value, max) => {
+    return Math.min((value / max) * 100, 100)
   }
 
   /**
@@ -100,10 +92,23 @@ const MainMenu = ({ character }) => {
   const getActivityIcon = (type) => {
     switch (type) {
       case 'mission_completed': return '✅'
+      case 'mission_failed': return '❌'
+      case 'chain_completed': return '📜'
+      case 'item_used': return '💊'
+      case 'item_dropped': return '🗑️'
       case 'item_purchased': return '🛒'
       case 'item_sold': return '💰'
       case 'location_arrived': return '📍'
       case 'skill_upgraded': return '⭐'
+      case 'level_up': return '🎉'
+      case 'hospitalized': return '🏥'
+      case 'hospital_released': return '🚑'
+      case 'police_encounter': return '🚨'
+      case 'border_checkpoint': return '🛂'
+      case 'arrested': return '🚔'
+      case 'jail_released': return '🔓'
+      case 'jailbreak': return '🏃'
+      case 'jailbreak_failed': return '⛓️'
       case 'character_created': return '👤'
       default: return '📝'
     }
@@ -146,6 +151,13 @@ const MainMenu = ({ character }) => {
       path: '/skills',
       color: 'from-yellow-600 to-yellow-800'
     },
+    {
+      title: 'Reputation',
+      description: 'Standing with cartels, gangs and cops',
+      icon: '🤝',
+      path: '/reputation',
+      color: 'from-red-600 to-red-800'
+    },
     {
       title: 'Characters',
       description: 'Switch between characters',
@@ -168,6 +180,44 @@ const MainMenu = ({ character }) => {
           </p>
         </div>
 
+        {/* Hospital Notice */}
+        {isHospitalized(character) && (
+          <Link
+            to="/hospital"
+            className="block card border-red-500 text-center mb-8 hover:border-muted-gold transition-colors"
+          >
+            <span className="text-2xl mr-2">🏥</span>
+            <span className="font-bold text-red-400">You are recovering in hospital.</span>
+            <span className="text-gray-400"> Missions, travel, trading and your inventory are locked - tap to view your recovery.</span>
+          </Link>
+        )}
+
+        {/* Jail Notice */}
+        {isJailed(character) && (
+          <Link
+            to="/jail"
+            className="block card border-red-500 text-center mb-8 hover:border-muted-gold transition-colors"
+          >
+            <span className="text-2xl mr-2">🚔</span>
+            <span className="font-bold text-red-400">You are in jail in {character.jail.city}.</span>
+            <span className="text-gray-400"> Missions, travel, trading and your inventory are locked - tap to post bail or do your time.</span>
+          </Link>
+        )}
+
+        {/* Busy Notice */}
+        {isBusy(character) && (
+          <Link
+            to="/missions"
+            className="block card border-yellow-500 text-center mb-8 hover:border-muted-gold transition-colors"
+          >
+            <span className="text-2xl mr-2">⏱️</span>
+            <span className="font-bold text-yellow-400">You are busy with {character.busy.activity}.</span>
+            <span className="text-gray-400">
+              {' '}Missions, travel and trading are locked for another {Math.ceil(getBusyRemaining(character) / 60000)} min.
+            </span>
+          </Link>
+        )}
+
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
           {/* Left Column - Character Stats */}
           <div className="lg:col-span-1 space-y-6">
@@ -179,13 +229,13 @@ const MainMenu = ({ character }) => {
                 {/* Level and XP */}
                 <div>
                   <div className="flex justify-between items-center mb-2">
-                    <span className="text-sm font-medium">Level {calculateLevel(character.xp)}</span>
+                    <span className="text-sm font-medium">Level {character.level}</span>
                     <span className="text-sm text-gray-400">{character.xp} XP</span>
                   </div>
                   <div className="w-full bg-gray-700 rounded-full h-2">
                     <div 
                       className="bg-gradient-to-r from-muted-gold to-yellow-500 h-2 rounded-full transition-all duration-300"
-                      style={{ width: `${getXPProgress(character.xp)}%` }}
+                      style={{ width: `${getLevelProgress(character.xp).percent}%` }}
                     />
                   </div>
                 </div>
@@ -194,12 +244,12 @@ const MainMenu = ({ character }) => {
                 <div>
                   <div className="flex justify-between items-center mb-2">
                     <span className="text-sm font-medium">Health</span>
-                    <span className="text-sm text-gray-400">{character.health}/100</span>
+                    <span className="text-sm text-gray-400">{character.health}/{character.maxHealth}</span>
                   </div>
                   <div className="w-full bg-gray-700 rounded-full h-2">
                     <div 
                       className="bg-gradient-to-r from-green-500 to-green-600 h-2 rounded-full transition-all duration-300"
-                      style={{ width: `${character.health}%` }}
+                      style={{ width: `${getPercent(character.health, character.maxHealth)}%` }}
                     />
                   </div>
                 </div>
@@ -208,12 +258,12 @@ const MainMenu = ({ character }) => {
                 <div>
                   <div className="flex justify-between items-center mb-2">
                     <span className="text-sm font-medium">Stamina</span>
-                    <span className="text-sm text-gray-400">{character.stamina}/100</span>
+                    <span className="text-sm text-gray-400">{character.stamina}/{character.maxStamina}</span>
                   </div>
                   <div className="w-full bg-gray-700 rounded-full h-2">
                     <div 
                       className="bg-gradient-to-r from-blue-500 to-blue-600 h-2 rounded-full transition-all duration-300"
-                      style={{ width: `${character.stamina}%` }}
+                      style={{ width: `${getPercent(character.stamina, character.maxStamina)}%` }}
                     />
                   </div>
                 </div>
@@ -229,6 +279,12 @@ const MainMenu = ({ character }) => {
                   <span className="text-sm font-medium">Total Skills</span>
                   <span className="text-lg font-bold text-blue-400">{getTotalSkillPoints()}</span>
                 </div>
+
+                {/* Unspent Skill Points */}
+                <div className="flex justify-between items-center p-3 bg-deep-gray rounded-lg">
+                  <span className="text-sm font-medium">Skill Points</span>
+                  <span className="text-lg font-bold text-muted-gold">{character.skillPoints}</span>
+                </div>
               </div>
             </div>
 
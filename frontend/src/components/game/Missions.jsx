@@ -5,9 +5,26 @@
  * Features:
  * - Mobile-first responsive design with touch-friendly interactions
  * - Mission list with clear difficulty indicators and visual hierarchy
- * - Skill-based success probability calculation with transparent mechanics
+ * - Server-side mission resolution - the client only displays the outcome
  * - Mission completion with rewards (cash + XP) and failure consequences
  * - Location-based mission filtering for enhanced gameplay depth
+ * - Level-gated missions shown locked until the character reaches their level
+ * - Repeatable contracts generated for the character's level and city, on a
+ *   board that refreshes on a timer
+ * - Story missions can be replayed once their cooldown has passed
+ * - Storyline tracker with branching choices; storyline mission steps are
+ *   listed on the board with their prerequisites
+ * - Shows the heat each attempt draws and how wanted stars cut the odds
+ * - Shows each mission's faction standing changes; reputation-gated
+ *   missions stay locked until the character has the standing
+ * - Stamina cost, duration and required/optional items on every mission;
+ *   the confirmation modal itemizes the odds (base rate, each skill's
+ *   contribution, heat penalty, item bonuses) and lets the player choose
+ *   which optional items to bring
+ * - Busy banner while a timed mission is underway
+ * - Failure damage shown after Endurance and Shooting soften it
+ * - Requirements and odds use effective skills, including active status
+ *   effects, and perk bonuses appear in the odds breakdown
  * - Back button navigation for seamless user experience
  * - Professional loading states and error handling
  * - Accessibility support with proper ARIA labels
@@ -21,181 +38,87 @@
 
 import React, { useState, useEffect } from 'react'
 import { BackButtonHeader } from '../ui/BackButton'
-
-const Missions = ({ character, onCharacterUpdate }) => {
+import StoryChains from './StoryChains'
+import { getCooldownRemaining } from '@shared/game/contracts.js'
+import { getEffectiveSkills, resolveEffects } from '@shared/game/effects.js'
+import { applyHeatDecay, getMissionHeat } from '@shared/game/heat.js'
+import { getBusyRemaining, getDurationMs, getSuccessBreakdown, isBusy } from '@shared/game/missions.js'
+import { applyRegeneration } from '@shared/game/regeneration.js'
+import { getMissingReputation } from '@shared/game/reputation.js'
+import { getMissionCash, getMissionDamage } from '@shared/game/skills.js'
+import { catalog } from '../../content/catalog'
+import { missionApi } from '../../services/api'
+import { useCharacter } from '../../store/CharacterContext'
+
+const Missions = () => {
+  const { currentCharacter, applyAction } = useCharacter()
+  const character = applyHeatDecay(applyRegeneration(resolveEffects(currentCharacter)))
+  const effectiveSkills = getEffectiveSkills(character)
   const [availableMissions, setAvailableMissions] = useState([])
+  const [boardRefreshAt, setBoardRefreshAt] = useState(null)
+  const [now, setNow] = useState(Date.now())
   const [selectedMission, setSelectedMission] = useState(null)
+  const [useItems, setUseItems] = useState([])
   const [showConfirmation, setShowConfirmation] = useState(false)
   const [isAttempting, setIsAttempting] = useState(false)
   const [missionResult, setMissionResult] = useState(null)
   const [filterDifficulty, setFilterDifficulty] = useState('all')
 
-  // Mission database with varying difficulties and requirements
-  const missionDatabase = [
-    {
-      id: 'delivery-1',
-      title: 'Package Delivery',
-      description: 'Deliver a mysterious package across town. No questions asked.',
-      difficulty: 'Easy',
-      location: 'Any',
-      requirements: { strength: 1, intelligence: 1, endurance: 2, shooting: 1 },
-      rewards: { cash: 500, xp: 50 },
-      failureConsequences: { health: -10, cash: -100 },
-      successRate: 0.8
-    },
-    {
-      id: 'intimidation-1',
-      title: 'Debt Collection',
-      description: 'Convince a debtor to pay up. Use whatever methods necessary.',
-      difficulty: 'Easy',
-      location: 'Any',
-      requirements: { strength: 3, intelligence: 1, endurance: 1, shooting: 1 },
-      rewards: { cash: 750, xp: 75 },
-      failureConsequences: { health: -15, stamina: -20 },
-      successRate: 0.7
-    },
-    {
-      id: 'smuggling-1',
-      title: 'Border Run',
-      description: 'Transport goods across the border without detection.',
-      difficulty: 'Medium',
-      location: 'Tijuana',
-      requirements: { strength: 2, intelligence: 4, endurance: 3, shooting: 2 },
-      rewards: { cash: 1200, xp: 120 },
-      failureConsequences: { health: -25, cash: -300 },
-      successRate: 0.6
-    },
-    {
-      id: 'heist-1',
-      title: 'Jewelry Store Job',
-      description: 'Quick in and out. Grab the diamonds and disappear.',
-      difficulty: 'Hard',
-      location: 'Los Angeles',
-      requirements: { strength: 3, intelligence: 5, endurance: 4, shooting: 6 },
-      rewards: { cash: 2500, xp: 250 },
-      failureConsequences: { health: -40, stamina: -30, cash: -500 },
-      successRate: 0.4
-    },
-    {
-      id: 'assassination-1',
-      title: 'Eliminate Target',
-      description: 'Take out a rival gang member. Clean and professional.',
-      difficulty: 'Hard',
-      location: 'Miami',
-      requirements: { strength: 4, intelligence: 6, endurance: 3, shooting: 8 },
-      rewards: { cash: 3000, xp: 300 },
-      failureConsequences: { health: -50, stamina: -40, cash: -750 },
-      successRate: 0.3
-    },
-    {
-      id: 'drug-lab-1',
-      title: 'Lab Protection',
-      description: 'Guard a drug lab from police raids. Stay alert.',
-      difficulty: 'Medium',
-      location: 'Juarez',
-      requirements: { strength: 4, intelligence: 2, endurance: 5, shooting: 4 },
-      rewards: { cash: 1500, xp: 150 },
-      failureConsequences: { health: -30, stamina: -25 },
-      successRate: 0.5
-    },
-    {
-      id: 'money-laundering-1',
-      title: 'Clean the Books',
-      description: 'Help launder money through legitimate businesses.',
-      difficulty: 'Medium',
-      location: 'New York',
-      requirements: { strength: 1, intelligence: 7, endurance: 2, shooting: 1 },
-      rewards: { cash: 1800, xp: 180 },
-      failureConsequences: { health: -20, cash: -400 },
-      successRate: 0.6
-    },
-    {
-      id: 'cartel-meeting-1',
-      title: 'Cartel Negotiation',
-      description: 'Represent your organization in high-stakes negotiations.',
-      difficulty: 'Hard',
-      location: 'Puerto Vallarta',
-      requirements: { strength: 5, intelligence: 8, endurance: 4, shooting: 5 },
-      rewards: { cash: 4000, xp: 400 },
-      failureConsequences: { health: -60, stamina: -50, cash: -1000 },
-      successRate: 0.25
-    },
-    {
-      id: 'street-racing-1',
-      title: 'Underground Race',
-      description: 'Win an illegal street race with high stakes.',
-      difficulty: 'Easy',
-      location: 'Los Angeles',
-      requirements: { strength: 2, intelligence: 3, endurance: 4, shooting: 1 },
-      rewards: { cash: 800, xp: 80 },
-      failureConsequences: { health: -20, stamina: -15 },
-      successRate: 0.7
-    },
-    {
-      id: 'information-1',
-      title: 'Intel Gathering',
-      description: 'Infiltrate a rival organization and gather intelligence.',
-      difficulty: 'Medium',
-      location: 'Any',
-      requirements: { strength: 2, intelligence: 6, endurance: 3, shooting: 2 },
-      rewards: { cash: 1000, xp: 100 },
-      failureConsequences: { health: -25, stamina: -20 },
-      successRate: 0.6
-    }
-  ]
-
   /**
-   * Load available missions on component mount
+   * Load available missions on mount and after every change to the character
    */
   useEffect(() => {
     loadAvailableMissions()
-  }, [character])
+  }, [currentCharacter])
+
+  /**
+   * Keeps board and cooldown countdowns current
+   */
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 30000)
+    return () => clearInterval(timer)
+  }, [])
+
+  /**
+   * Reloads when the contract board is due to be replaced
+   */
+  useEffect(() => {
+    if (!boardRefreshAt) return
+
+    const delay = Math.max(1000, Date.parse(boardRefreshAt) - Date.now())
+    const timer = setTimeout(loadAvailableMissions, delay)
+    return () => clearTimeout(timer)
+  }, [boardRefreshAt])
 
   /**
-   * Filters missions based on location and completion status
+   * Loads missions available to the character from the server
+   * Contracts, cooldowns, location filtering and success odds are all
+   * decided server-side
    */
-  const loadAvailableMissions = () => {
-    const completedMissionIds = character.completedMissions || []
-    
-    const filtered = missionDatabase.filter(mission => {
-      // Filter out completed missions
-      if (completedMissionIds.includes(mission.id)) {
-        return false
-      }
-      
-      // Filter by location (Any location missions are always available)
-      if (mission.location !== 'Any' && mission.location !== character.location) {
-        return false
-      }
-      
-      return true
-    })
-    
-    setAvailableMissions(filtered)
+  const loadAvailableMissions = async () => {
+    try {
+      const { missions, refreshAt } = await missionApi.list(character.id)
+      setAvailableMissions(missions)
+      setBoardRefreshAt(refreshAt)
+    } catch (error) {
+      console.error('Error loading missions:', error)
+      setAvailableMissions([])
+    }
   }
 
   /**
-   * Calculates success probability based on character skills vs mission requirements
+   * Label for where a mission comes from
    */
-  const calculateSuccessRate = (mission) => {
-    const { requirements } = mission
-    const { skills } = character
-    
-    let totalRequirement = 0
-    let totalSkill = 0
-    
-    Object.keys(requirements).forEach(skill => {
-      totalRequirement += requirements[skill]
-      totalSkill += skills[skill] || 1
-    })
-    
-    // Base success rate from mission + skill bonus/penalty
-    const skillRatio = totalSkill / totalRequirement
-    const adjustedRate = mission.successRate * Math.min(skillRatio, 2) // Cap at 2x base rate
-    
-    return Math.min(Math.max(adjustedRate, 0.1), 0.95) // Min 10%, max 95%
+  const getMissionKind = (mission) => {
+    if (mission.chain) return `${mission.chain.icon} ${mission.chain.title} storyline`
+    return mission.contract ? '🔁 Repeatable contract' : '📖 Story mission'
   }
 
+  /**
+   * Formats a countdown in whole minutes
+   */
+  const formatMinutes = (ms) => `${Math.ceil(ms / 60000)} min`
+
   /**
    * Gets difficulty color for UI display
    */
@@ -209,26 +132,57 @@ const Missions = ({ character, onCharacterUpdate }) => {
   }
 
   /**
-   * Checks if character meets minimum requirements for mission
+   * Formats a mission's standing changes, e.g. "Police -5"
+   */
+  const formatReputation = (reputation) => {
+    return Object.entries(reputation || {})
+      .map(([factionId, change]) => `${catalog.getFaction(factionId).name} ${change > 0 ? '+' : ''}${change}`)
+      .join(', ')
+  }
+
+  /**
+   * Quantity of an item the character is carrying
    */
-  const meetsRequirements = (mission) => {
-    const { requirements } = mission
-    const { skills } = character
-    
-    return Object.keys(requirements).every(skill => {
-      return (skills[skill] || 1) >= requirements[skill]
-    })
+  const getHeld = (itemId) => character.inventory?.items?.find(item => item.id === itemId)?.quantity || 0
+
+  /**
+   * Formats a success factor: the base rate as "40%", everything else as
+   * what it adds to the odds, e.g. "+12%" or "-8%"
+   */
+  const formatFactor = (factor) => {
+    const percent = Math.round(factor.value * 100)
+    if (factor.kind === 'base') return `${percent}%`
+    return `${factor.value >= 0 ? '+' : '-'}${Math.abs(percent)}%`
   }
 
   /**
-   * Handles mission selection
+   * Color for a success factor by whether it helps or hurts the odds
+   */
+  const getFactorColor = (factor) => {
+    if (factor.kind === 'base') return 'text-gray-200'
+    return factor.value < 0 ? 'text-red-400' : 'text-green-400'
+  }
+
+  /**
+   * Handles mission selection - every optional item carried is brought
+   * along by default
    */
   const handleMissionSelect = (mission) => {
     setSelectedMission(mission)
+    setUseItems((mission.items?.optional || []).map(entry => entry.itemId).filter(itemId => getHeld(itemId) > 0))
     setShowConfirmation(true)
     setMissionResult(null)
   }
 
+  /**
+   * Toggles bringing an optional item on the selected mission
+   */
+  const toggleItem = (itemId) => {
+    setUseItems(current => (current.includes(itemId)
+      ? current.filter(id => id !== itemId)
+      : [...current, itemId]))
+  }
+
   /**
    * Attempts to complete the selected mission
    */
@@ -238,72 +192,20 @@ const Missions = ({ character, onCharacterUpdate }) => {
     setIsAttempting(true)
 
     try {
-      // Calculate success probability
-      const successRate = calculateSuccessRate(selectedMission)
-      const randomRoll = Math.random()
-      const isSuccess = randomRoll <= successRate
-
-      let updatedCharacter = { ...character }
-      let resultMessage = ''
-
-      if (isSuccess) {
-        // Mission Success
-        updatedCharacter.cash += selectedMission.rewards.cash
-        updatedCharacter.xp += selectedMission.rewards.xp
-        updatedCharacter.completedMissions = [...(character.completedMissions || []), selectedMission.id]
-        
-        resultMessage = `Mission completed successfully! Earned $${selectedMission.rewards.cash} and ${selectedMission.rewards.xp} XP.`
-        
-        // Add to activity log
-        const activity = {
-          id: Date.now(),
-          type: 'mission_completed',
-          message: `Completed mission: ${selectedMission.title}`,
-          timestamp: new Date().toISOString()
-        }
-        
-        const savedActivity = localStorage.getItem(`activity_${character.id}`) || '[]'
-        const activityList = JSON.parse(savedActivity)
-        activityList.unshift(activity)
-        localStorage.setItem(`activity_${character.id}`, JSON.stringify(activityList.slice(0, 50)))
-      } else {
-        // Mission Failure
-        const consequences = selectedMission.failureConsequences
-        
-        if (consequences.health) {
-          updatedCharacter.health = Math.max(0, updatedCharacter.health + consequences.health)
-        }
-        if (consequences.stamina) {
-          updatedCharacter.stamina = Math.max(0, updatedCharacter.stamina + consequences.stamina)
-        }
-        if (consequences.cash) {
-          updatedCharacter.cash = Math.max(0, updatedCharacter.cash + consequences.cash)
-        }
-        
-        resultMessage = `Mission failed! Lost ${Math.abs(consequences.health || 0)} health, ${Math.abs(consequences.stamina || 0)} stamina, and $${Math.abs(consequences.cash || 0)}.`
-      }
-
-      // Update character
-      onCharacterUpdate(updatedCharacter)
-      localStorage.setItem('currentCharacter', JSON.stringify(updatedCharacter))
+      // Server checks requirements, rolls the outcome and applies the result
+      const result = await applyAction(missionApi.attempt(character.id, selectedMission.id, useItems))
 
       // Show result
       setMissionResult({
-        success: isSuccess,
-        message: resultMessage,
+        success: result.success,
+        message: result.message,
         mission: selectedMission
       })
-
-      // Reload available missions
-      setTimeout(() => {
-        loadAvailableMissions()
-      }, 1000)
-
     } catch (error) {
       console.error('Mission attempt error:', error)
       setMissionResult({
         success: false,
-        message: 'Mission attempt failed due to an error. Please try again.',
+        message: error.message || 'Mission attempt failed due to an error. Please try again.',
         mission: selectedMission
       })
     } finally {
@@ -321,6 +223,9 @@ const Missions = ({ character, onCharacterUpdate }) => {
     return availableMissions.filter(mission => mission.difficulty === filterDifficulty)
   }
 
+  const busy = isBusy(character, now)
+  const breakdown = selectedMission && getSuccessBreakdown(character, selectedMission, { useItems, items: catalog.items })
+
   return (
     <div className="min-h-screen py-4 px-4 pb-20">
       <div className="max-w-6xl mx-auto">
@@ -343,12 +248,33 @@ const Missions = ({ character, onCharacterUpdate }) => {
             <div className="bg-deep-gray bg-opacity-50 px-3 py-2 rounded-lg border border-gray-600">
               <span>💰 Cash: <span className="text-green-400 font-bold">${character.cash.toLocaleString()}</span></span>
             </div>
+            {boardRefreshAt && (
+              <div className="bg-deep-gray bg-opacity-50 px-3 py-2 rounded-lg border border-gray-600">
+                <span>🔁 New contracts in <span className="text-muted-gold font-semibold">
+                  {formatMinutes(Math.max(0, Date.parse(boardRefreshAt) - now))}
+                </span></span>
+              </div>
+            )}
+            <div className="bg-deep-gray bg-opacity-50 px-3 py-2 rounded-lg border border-gray-600">
+              <span>❤️ Health: <span className="text-red-400 font-bold">{character.health}/{character.maxHealth}</span></span>
+            </div>
             <div className="bg-deep-gray bg-opacity-50 px-3 py-2 rounded-lg border border-gray-600">
-              <span>❤️ Health: <span className="text-red-400 font-bold">{character.health}/100</span></span>
+              <span>⚡ Stamina: <span className="text-yellow-400 font-bold">{character.stamina}/{character.maxStamina}</span></span>
             </div>
           </div>
         </div>
 
+        {/* Busy Banner */}
+        {busy && (
+          <div className="card border-yellow-500 text-center mb-6">
+            <span className="text-2xl mr-2">⏱️</span>
+            <span className="font-bold text-yellow-400">Busy with {character.busy.activity}</span>
+            <span className="text-gray-400"> - free in {formatMinutes(getBusyRemaining(character, now))}</span>
+          </div>
+        )}
+
+        <StoryChains />
+
         {/* Difficulty Filter */}
         <div className="card mb-6">
           <div className="flex items-center justify-between">
@@ -375,8 +301,16 @@ const Missions = ({ character, onCharacterUpdate }) => {
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
           {getFilteredMissions().length > 0 ? (
             getFilteredMissions().map(mission => {
-              const successRate = calculateSuccessRate(mission)
-              const canAttempt = meetsRequirements(mission)
+              const successRate = mission.successChance
+              const missingReputation = getMissingReputation(character, mission)
+              const cooldown = getCooldownRemaining(character, mission.id, now)
+              const missingPrerequisites = mission.missingPrerequisites || []
+              const missingItems = mission.missingItems || []
+              const hasStamina = character.stamina >= mission.staminaCost
+              const durationMinutes = getDurationMs(mission) / 60000
+              const canAttempt = mission.meetsLevel && mission.meetsRequirements && mission.meetsReputation &&
+                cooldown === 0 && missingPrerequisites.length === 0 && missingItems.length === 0 &&
+                hasStamina && !busy
               
               return (
                 <div
@@ -393,16 +327,19 @@ const Missions = ({ character, onCharacterUpdate }) => {
                     </span>
                   </div>
 
-                  <p className="text-sm text-gray-300 mb-4">
+                  <p className="text-sm text-gray-300 mb-2">
                     {mission.description}
                   </p>
+                  <div className="text-xs text-gray-400 mb-4">
+                    {getMissionKind(mission)}
+                  </div>
 
                   {/* Requirements */}
                   <div className="mb-4">
                     <h4 className="text-sm font-semibold text-gray-300 mb-2">Requirements</h4>
                     <div className="grid grid-cols-2 gap-2 text-xs">
                       {Object.entries(mission.requirements).map(([skill, required]) => {
-                        const playerSkill = character.skills[skill] || 1
+                        const playerSkill = effectiveSkills[skill] || 1
                         const meets = playerSkill >= required
                         
                         return (
@@ -415,15 +352,56 @@ const Missions = ({ character, onCharacterUpdate }) => {
                     </div>
                   </div>
 
+                  {/* Cost and Items */}
+                  <div className="mb-4 text-xs space-y-1">
+                    <div className="flex justify-between">
+                      <span className={hasStamina ? 'text-gray-300' : 'text-red-400'}>⚡ {mission.staminaCost} stamina</span>
+                      <span className="text-gray-300">{durationMinutes > 0 ? `⏱️ ${durationMinutes} min` : '⏱️ Instant'}</span>
+                    </div>
+                    {(mission.items?.required || []).map(entry => {
+                      const held = entry.anyOf.some(itemId => getHeld(itemId) > 0)
+
+                      return (
+                        <div key={entry.anyOf.join('|')} className={held ? 'text-green-400' : 'text-red-400'}>
+                          🔧 Needs {entry.anyOf.map(itemId => catalog.items[itemId].name).join(' or ')}
+                          {entry.consumed && ' (used up)'}
+                        </div>
+                      )
+                    })}
+                    {(mission.items?.optional || []).map(entry => (
+                      <div key={entry.itemId} className={getHeld(entry.itemId) > 0 ? 'text-blue-400' : 'text-gray-500'}>
+                        ➕ {catalog.items[entry.itemId].name}: +{Math.round(entry.bonus * 100)}%
+                        {entry.consumed && ' (used up)'}
+                      </div>
+                    ))}
+                  </div>
+
                   {/* Rewards */}
                   <div className="mb-4">
                     <h4 className="text-sm font-semibold text-gray-300 mb-2">Rewards</h4>
                     <div className="flex justify-between text-sm">
-                      <span className="text-green-400">${mission.rewards.cash}</span>
+                      <span className="text-green-400">${getMissionCash(character, mission)}</span>
                       <span className="text-blue-400">{mission.rewards.xp} XP</span>
                     </div>
                   </div>
 
+                  {/* Faction Standing */}
+                  {mission.reputation && (
+                    <div className="mb-4 text-xs">
+                      <h4 className="text-sm font-semibold text-gray-300 mb-2">Reputation</h4>
+                      <div className="flex flex-wrap gap-2">
+                        {Object.entries(mission.reputation).map(([factionId, change]) => (
+                          <span
+                            key={factionId}
+                            className={`px-2 py-1 rounded bg-deep-gray ${change > 0 ? 'text-green-400' : 'text-red-400'}`}
+                          >
+                            {catalog.getFaction(factionId).icon} {change > 0 ? '+' : ''}{change}
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
                   {/* Success Rate */}
                   <div className="mb-4">
                     <div className="flex justify-between items-center mb-2">
@@ -445,12 +423,50 @@ const Missions = ({ character, onCharacterUpdate }) => {
                     📍 {mission.location}
                   </div>
 
-                  {!canAttempt && (
+                  {!mission.meetsLevel ? (
+                    <div className="text-center py-2">
+                      <span className="text-red-400 text-sm font-bold">
+                        🔒 Requires Level {mission.requiredLevel}
+                      </span>
+                    </div>
+                  ) : !mission.meetsRequirements ? (
                     <div className="text-center py-2">
                       <span className="text-red-400 text-sm font-bold">
                         Insufficient Skills
                       </span>
                     </div>
+                  ) : cooldown > 0 ? (
+                    <div className="text-center py-2">
+                      <span className="text-yellow-400 text-sm font-bold">
+                        ⏳ Available again in {formatMinutes(cooldown)}
+                      </span>
+                    </div>
+                  ) : missingItems.length > 0 ? (
+                    <div className="text-center py-2">
+                      <span className="text-red-400 text-sm font-bold">
+                        🔒 Needs {missingItems.join(', ')}
+                      </span>
+                    </div>
+                  ) : !hasStamina ? (
+                    <div className="text-center py-2">
+                      <span className="text-red-400 text-sm font-bold">
+                        Not enough stamina
+                      </span>
+                    </div>
+                  ) : missingPrerequisites.length > 0 ? (
+                    <div className="text-center py-2">
+                      <span className="text-red-400 text-sm font-bold">
+                        🔒 Needs {missingPrerequisites.join(', ')}
+                      </span>
+                    </div>
+                  ) : missingReputation.length > 0 && (
+                    <div className="text-center py-2 space-y-1">
+                      {missingReputation.map(gate => (
+                        <div key={gate.factionId} className="text-red-400 text-sm font-bold">
+                          🔒 Requires {gate.required} with {catalog.getFaction(gate.factionId).name} ({gate.standing})
+                        </div>
+                      ))}
+                    </div>
                   )}
                 </div>
               )
@@ -461,7 +477,7 @@ const Missions = ({ character, onCharacterUpdate }) => {
               <h3 className="text-xl font-bold text-gray-400 mb-2">No Missions Available</h3>
               <p className="text-gray-500">
                 {filterDifficulty === 'all' 
-                  ? 'All missions completed or travel to other locations for more opportunities.'
+                  ? 'Travel to other locations for more opportunities, or wait for new contracts.'
                   : `No ${filterDifficulty} missions available. Try a different difficulty or location.`
                 }
               </p>
@@ -483,23 +499,80 @@ const Missions = ({ character, onCharacterUpdate }) => {
                   {selectedMission.description}
                 </p>
 
+                {/* Success Factors */}
+                <div className="bg-deep-gray rounded-lg p-3 mb-4 text-sm space-y-1">
+                  {breakdown.factors.map(factor => (
+                    <div key={factor.label} className="flex justify-between">
+                      <span className="text-gray-300">{factor.label}</span>
+                      <span className={getFactorColor(factor)}>
+                        {formatFactor(factor)}
+                      </span>
+                    </div>
+                  ))}
+                  <div className="flex justify-between border-t border-gray-600 pt-1 font-bold">
+                    <span>Success Rate:</span>
+                    <span className="text-muted-gold">{Math.round(breakdown.chance * 100)}%</span>
+                  </div>
+                </div>
+
+                {/* Optional Items */}
+                {(selectedMission.items?.optional || []).some(entry => getHeld(entry.itemId) > 0) && (
+                  <div className="mb-4 text-sm text-left">
+                    <div className="text-gray-300 font-semibold mb-1">Bring along:</div>
+                    {selectedMission.items.optional
+                      .filter(entry => getHeld(entry.itemId) > 0)
+                      .map(entry => (
+                        <label key={entry.itemId} className="flex items-center gap-2 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={useItems.includes(entry.itemId)}
+                            onChange={() => toggleItem(entry.itemId)}
+                            disabled={isAttempting}
+                          />
+                          <span>
+                            {catalog.items[entry.itemId].name} (+{Math.round(entry.bonus * 100)}%)
+                            {entry.consumed && <span className="text-red-400"> - used up</span>}
+                          </span>
+                        </label>
+                      ))}
+                  </div>
+                )}
+
                 <div className="space-y-2 text-sm">
                   <div className="flex justify-between">
-                    <span>Success Rate:</span>
-                    <span className="text-muted-gold font-bold">
-                      {Math.round(calculateSuccessRate(selectedMission) * 100)}%
+                    <span>Stamina Cost:</span>
+                    <span className="text-yellow-400">{selectedMission.staminaCost}</span>
+                  </div>
+                  {getDurationMs(selectedMission) > 0 && (
+                    <div className="flex justify-between">
+                      <span>Takes:</span>
+                      <span className="text-gray-300">{getDurationMs(selectedMission) / 60000} min (busy until done)</span>
+                    </div>
+                  )}
+                  <div className="flex justify-between">
+                    <span>Heat Gained:</span>
+                    <span className="text-red-400">
+                      +{getMissionHeat(selectedMission, true)} (+{getMissionHeat(selectedMission, false)} if it fails)
                     </span>
                   </div>
                   <div className="flex justify-between">
                     <span>Potential Reward:</span>
                     <span className="text-green-400">
-                      ${selectedMission.rewards.cash} + {selectedMission.rewards.xp} XP
+                      ${getMissionCash(character, selectedMission)} + {selectedMission.rewards.xp} XP
                     </span>
                   </div>
+                  {selectedMission.reputation && (
+                    <div className="flex justify-between gap-4">
+                      <span>Reputation:</span>
+                      <span className="text-right text-gray-300">
+                        {formatReputation(selectedMission.reputation)}
+                      </span>
+                    </div>
+                  )}
                   <div className="flex justify-between">
                     <span>Failure Risk:</span>
                     <span className="text-red-400">
-                      -{Math.abs(selectedMission.failureConsequences.health || 0)} HP, 
+                      -{getMissionDamage(character, selectedMission, catalog.items)} HP, 
                       ${Math.abs(selectedMission.failureConsequences.cash || 0)}
                     </span>
                   </div>
@@ -0,0 +1,138 @@
+/**
+ * Reputation Component
+ * Faction standing overview for the current character
+ *
+ * Features:
+ * - Standing (-100 to 100) and tier with every cartel, gang, the police and
+ *   each city's underworld
+ * - Price effect with the faction's contacts in Streets
+ * - Missions each faction's standing unlocks, with the standing required
+ * - Contacts that belong to each faction and where to find them
+ */
+
+import React from 'react'
+import { BackButtonHeader } from '../ui/BackButton'
+import {
+  MAX_REPUTATION,
+  getReputationPriceFactors,
+  getReputationTier,
+  getStanding
+} from '@shared/game/reputation.js'
+import { catalog } from '../../content/catalog'
+import { useCharacter } from '../../store/CharacterContext'
+
+// Faction groups in display order
+const FACTION_GROUPS = [
+  { title: 'Cartels', types: ['cartel'] },
+  { title: 'Streets & Law', types: ['gang', 'law'] },
+  { title: 'City Underworlds', types: ['underworld'] }
+]
+
+const Reputation = () => {
+  const { currentCharacter: character } = useCharacter()
+
+  /**
+   * Missions gated on a faction, with the standing each needs
+   */
+  const getGatedMissions = (factionId) => {
+    return catalog.missions
+      .filter(mission => mission.minReputation?.[factionId] !== undefined)
+      .map(mission => ({ id: mission.id, title: mission.title, required: mission.minReputation[factionId] }))
+  }
+
+  /**
+   * Left offset and width of the standing bar, drawn out from the centre
+   */
+  const getBarStyle = (standing) => {
+    const width = (Math.abs(standing) / MAX_REPUTATION) * 50
+    return { left: `${standing < 0 ? 50 - width : 50}%`, width: `${width}%` }
+  }
+
+  return (
+    <div className="min-h-screen py-4 px-4 pb-20">
+      <div className="max-w-6xl mx-auto">
+        <BackButtonHeader
+          title="Reputation"
+          to="/menu"
+          className="mb-6"
+        />
+
+        <p className="text-center text-gray-400 text-base md:text-lg mb-6">
+          Missions win you friends and make you enemies. Standing unlocks jobs and better prices.
+        </p>
+
+        {FACTION_GROUPS.map(group => (
+          <div key={group.title} className="mb-8">
+            <h2 className="text-xl font-bold text-muted-gold mb-4">{group.title}</h2>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              {catalog.factions
+                .filter(faction => group.types.includes(faction.type))
+                .map(faction => {
+                  const standing = getStanding(character, faction.id)
+                  const tier = getReputationTier(standing)
+                  const priceShift = Math.round((1 - getReputationPriceFactors(standing).buy) * 100)
+                  const contacts = catalog.npcs.filter(npc => npc.faction === faction.id)
+                  const gatedMissions = getGatedMissions(faction.id)
+
+                  return (
+                    <div key={faction.id} className="card">
+                      <div className="flex items-center justify-between mb-3">
+                        <div className="flex items-center space-x-3">
+                          <span className="text-3xl">{faction.icon}</span>
+                          <div>
+                            <h3 className="text-lg font-bold text-pale-white">{faction.name}</h3>
+                            <p className={`text-sm font-bold ${tier.color}`}>{tier.label}</p>
+                          </div>
+                        </div>
+                        <div className={`text-2xl font-bold ${tier.color}`}>
+                          {standing > 0 ? '+' : ''}{standing}
+                        </div>
+                      </div>
+
+                      <p className="text-sm text-gray-300 mb-3">{faction.description}</p>
+
+                      {/* Standing Bar */}
+                      <div className="relative w-full bg-gray-700 rounded-full h-2 mb-4">
+                        <div className="absolute left-1/2 top-0 h-2 w-px bg-gray-400" />
+                        <div
+                          className={`absolute top-0 h-2 rounded-full ${standing < 0 ? 'bg-red-500' : 'bg-green-500'}`}
+                          style={getBarStyle(standing)}
+                        />
+                      </div>
+
+                      <div className="space-y-2 text-xs">
+                        {contacts.length > 0 && (
+                          <div>
+                            <span className="text-gray-400">Contacts: </span>
+                            <span className="text-pale-white">
+                              {contacts.map(npc => `${npc.name} (${npc.city})`).join(', ')}
+                            </span>
+                            {priceShift !== 0 && (
+                              <span className={priceShift > 0 ? 'text-green-400' : 'text-red-400'}>
+                                {' '}· {Math.abs(priceShift)}% {priceShift > 0 ? 'better' : 'worse'} prices
+                              </span>
+                            )}
+                          </div>
+                        )}
+                        {gatedMissions.map(mission => (
+                          <div
+                            key={mission.id}
+                            className={standing >= mission.required ? 'text-green-400' : 'text-gray-400'}
+                          >
+                            {standing >= mission.required ? '🔓' : '🔒'} {mission.title} at {mission.required}
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )
+                })}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default Reputation
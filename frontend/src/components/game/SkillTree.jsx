@@ -1,93 +1,84 @@
 /**
  * SkillTree Component
- * Manages character skill progression and XP spending
+ * Manages character skill progression and skill point spending
  * 
  * Features:
  * - Display all four skills: Strength, Intelligence, Endurance, Shooting
- * - Show current skill levels and XP costs for upgrades
- * - Allow spending XP to improve skills
+ * - Show current skill levels and skill point costs for upgrades
+ * - Allow spending skill points (earned by levelling up) to improve skills
  * - Visual skill progression with level caps
- * - Skill descriptions and benefits
+ * - Skill descriptions, with the benefits each skill gives at its current
+ *   level taken from the shared skill modifiers
+ * - Perk tree under each skill: nodes unlock at skill thresholds, build on
+ *   earlier perks and show why they are still locked
+ * - Mutually exclusive specializations (Enforcer, Smuggler, Chemist) that
+ *   open their own perks
+ * - Paid respec that resets skills, perks and specialization
+ * - Effective levels with active status effects (benefits follow them;
+ *   upgrades and perk thresholds use the trained level)
  */
 
 import React, { useState } from 'react'
 import { Link } from 'react-router-dom'
+import { MAX_SKILL_LEVEL, getSkillPointsForLevel, getSkillUpgradeCost } from '@shared/game/progression.js'
+import { getEffectiveSkills } from '@shared/game/effects.js'
+import {
+  PERKS,
+  SPECIALIZATIONS,
+  getPerk,
+  getPerkLocks,
+  getRespecCost,
+  getSpecialization,
+  getSpecializationLocks
+} from '@shared/game/perks.js'
+import { getSkillBenefits } from '@shared/game/skills.js'
+import { skillApi } from '../../services/api'
+import { useCharacter } from '../../store/CharacterContext'
 
-const SkillTree = ({ character, onCharacterUpdate }) => {
+const SkillTree = () => {
+  const { currentCharacter: character, applyAction } = useCharacter()
   const [isUpgrading, setIsUpgrading] = useState(false)
   const [selectedSkill, setSelectedSkill] = useState(null)
 
-  // Skill definitions with descriptions and benefits
+  // Skill definitions; benefits come from the skill modifiers
   const skillDefinitions = {
     strength: {
       name: 'Strength',
       description: 'Physical power and combat effectiveness',
-      icon: '💪',
-      benefits: [
-        'Increases mission success rate for physical tasks',
-        'Reduces stamina cost for travel',
-        'Improves intimidation in negotiations',
-        'Unlocks strength-based missions'
-      ]
+      icon: '💪'
     },
     intelligence: {
       name: 'Intelligence',
       description: 'Mental acuity and strategic thinking',
-      icon: '🧠',
-      benefits: [
-        'Increases mission success rate for planning tasks',
-        'Better prices when trading with NPCs',
-        'Unlocks complex heist missions',
-        'Improves hacking and tech-based activities'
-      ]
+      icon: '🧠'
     },
     endurance: {
       name: 'Endurance',
       description: 'Stamina and resilience',
-      icon: '🏃',
-      benefits: [
-        'Increases maximum stamina',
-        'Faster stamina regeneration',
-        'Survive dangerous missions better',
-        'Reduced travel fatigue'
-      ]
+      icon: '🏃'
     },
     shooting: {
       name: 'Shooting',
       description: 'Firearms proficiency and accuracy',
-      icon: '🎯',
-      benefits: [
-        'Increases mission success rate for combat',
-        'Unlocks weapon-based missions',
-        'Better performance in shootouts',
-        'Access to advanced weaponry'
-      ]
+      icon: '🎯'
     }
   }
 
-  /**
-   * Calculates XP cost for next skill level
-   * Cost increases exponentially with level
-   */
-  const getUpgradeCost = (currentLevel) => {
-    return Math.floor(100 * Math.pow(1.5, currentLevel))
-  }
-
   /**
    * Handles skill upgrade
-   * Deducts XP and increases skill level
+   * Spends skill points and increases skill level
    */
   const upgradeSkill = async (skillName) => {
     const currentLevel = character.skills[skillName]
-    const cost = getUpgradeCost(currentLevel)
+    const cost = getSkillUpgradeCost(currentLevel)
 
     // Validation
-    if (character.xp < cost) {
-      alert('Not enough XP to upgrade this skill!')
+    if (character.skillPoints < cost) {
+      alert('Not enough skill points to upgrade this skill!')
       return
     }
 
-    if (currentLevel >= 20) {
+    if (currentLevel >= MAX_SKILL_LEVEL) {
       alert('This skill is already at maximum level!')
       return
     }
@@ -95,53 +86,122 @@ const SkillTree = ({ character, onCharacterUpdate }) => {
     setIsUpgrading(true)
 
     try {
-      // Create updated character with new skill level and reduced XP
-      const updatedCharacter = {
-        ...character,
-        xp: character.xp - cost,
-        skills: {
-          ...character.skills,
-          [skillName]: currentLevel + 1
-        }
-      }
-
-      // Update character in parent component
-      onCharacterUpdate(updatedCharacter)
-
-      // Save to localStorage
-      localStorage.setItem('currentCharacter', JSON.stringify(updatedCharacter))
-
-      // Update characters list
-      const savedCharacters = localStorage.getItem(`characters_${character.userId}`)
-      if (savedCharacters) {
-        const characters = JSON.parse(savedCharacters)
-        const updatedCharacters = characters.map(char => 
-          char.id === character.id ? updatedCharacter : char
-        )
-        localStorage.setItem(`characters_${character.userId}`, JSON.stringify(updatedCharacters))
-      }
-
-      // Add activity log
-      const activity = {
-        id: Date.now(),
-        type: 'skill_upgraded',
-        message: `Upgraded ${skillDefinitions[skillName].name} to level ${currentLevel + 1}`,
-        timestamp: new Date().toISOString()
-      }
-
-      const savedActivity = localStorage.getItem(`activity_${character.id}`)
-      const activityList = savedActivity ? JSON.parse(savedActivity) : []
-      activityList.unshift(activity)
-      localStorage.setItem(`activity_${character.id}`, JSON.stringify(activityList.slice(0, 10)))
-
+      // Server deducts skill points, raises the skill and logs the upgrade
+      await applyAction(skillApi.upgrade(character.id, skillName))
     } catch (error) {
       console.error('Error upgrading skill:', error)
-      alert('Failed to upgrade skill. Please try again.')
+      alert(error.message || 'Failed to upgrade skill. Please try again.')
+    } finally {
+      setIsUpgrading(false)
+    }
+  }
+
+  /**
+   * Unlocks a perk for skill points
+   */
+  const unlockPerk = async (perk) => {
+    setIsUpgrading(true)
+
+    try {
+      await applyAction(skillApi.unlockPerk(character.id, perk.id))
+    } catch (error) {
+      console.error('Error unlocking perk:', error)
+      alert(error.message || 'Failed to unlock perk. Please try again.')
     } finally {
       setIsUpgrading(false)
     }
   }
 
+  /**
+   * Takes a specialization after confirming it locks out the others
+   */
+  const chooseSpecialization = async (specialization) => {
+    if (!window.confirm(`Specialize as ${specialization.name}? The other specializations stay locked until you respec.`)) {
+      return
+    }
+
+    setIsUpgrading(true)
+
+    try {
+      await applyAction(skillApi.specialize(character.id, specialization.id))
+    } catch (error) {
+      console.error('Error choosing specialization:', error)
+      alert(error.message || 'Failed to choose specialization. Please try again.')
+    } finally {
+      setIsUpgrading(false)
+    }
+  }
+
+  /**
+   * Pays for a respec after confirming it
+   */
+  const respec = async () => {
+    if (!window.confirm(`Reset all skills, perks and your specialization for $${respecCost.toLocaleString()}?`)) {
+      return
+    }
+
+    setIsUpgrading(true)
+
+    try {
+      await applyAction(skillApi.respec(character.id))
+    } catch (error) {
+      console.error('Error respeccing:', error)
+      alert(error.message || 'Failed to respec. Please try again.')
+    } finally {
+      setIsUpgrading(false)
+    }
+  }
+
+  /**
+   * Node style for a perk or specialization: owned, available or locked
+   */
+  const getNodeClass = (owned, locked) => {
+    if (owned) return 'border-muted-gold bg-muted-gold/10'
+    if (locked) return 'border-gray-700 bg-deep-gray opacity-60'
+    return 'border-green-500 bg-deep-gray hover:bg-gray-700 cursor-pointer'
+  }
+
+  /**
+   * Renders one perk node: owned, unlockable, or locked with the reasons
+   */
+  const renderPerkNode = (perk, skillName) => {
+    const owned = ownedPerks.includes(perk.id)
+    const locks = owned ? [] : getPerkLocks(character, perk)
+    const specialization = getSpecialization(perk.specialization)
+
+    return (
+      <button
+        onClick={() => unlockPerk(perk)}
+        disabled={owned || locks.length > 0 || isUpgrading}
+        className={`w-full text-left p-3 rounded-lg border-2 transition-colors ${getNodeClass(owned, locks.length > 0)}`}
+      >
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-2">
+            <span className="text-xl">{owned || !locks.length ? perk.icon : '🔒'}</span>
+            <span className="font-semibold text-pale-white">{perk.name}</span>
+            {specialization && (
+              <span className="text-xs px-2 py-0.5 rounded bg-purple-900 text-purple-300">
+                {specialization.icon} {specialization.name}
+              </span>
+            )}
+          </div>
+          <span className="text-xs text-gray-400">
+            {owned ? 'Unlocked' : `${skillName} ${perk.threshold} · ${perk.cost} pt${perk.cost === 1 ? '' : 's'}`}
+          </span>
+        </div>
+        <div className="text-sm text-gray-300 mt-1">{perk.description}</div>
+        {perk.requires && !owned && (
+          <div className="text-xs text-gray-500 mt-1">
+            Requires {perk.requires.map(perkId => getPerk(perkId).name).join(', ')}
+          </div>
+        )}
+        {locks.length > 0 && (
+          <div className="text-xs text-red-400 mt-1">Needs: {locks.join(', ')}</div>
+        )}
+      </button>
+    )
+  }
+
   /**
    * Gets skill level color based on progression
    */
@@ -156,9 +216,14 @@ const SkillTree = ({ character, onCharacterUpdate }) => {
    * Gets skill progress bar width
    */
   const getProgressWidth = (level) => {
-    return Math.min((level / 20) * 100, 100)
+    return Math.min((level / MAX_SKILL_LEVEL) * 100, 100)
   }
 
+  const ownedPerks = character.perks || []
+  const currentSpecialization = getSpecialization(character.specialization)
+  const respecCost = getRespecCost(character)
+  const effectiveSkills = getEffectiveSkills(character)
+
   return (
     <div className="min-h-screen bg-charcoal p-4">
       <div className="max-w-6xl mx-auto">
@@ -174,9 +239,9 @@ const SkillTree = ({ character, onCharacterUpdate }) => {
           </div>
           <div className="text-right">
             <div className="text-2xl font-bold text-muted-gold">
-              {character.xp.toLocaleString()} XP
+              {character.skillPoints} {character.skillPoints === 1 ? 'Point' : 'Points'}
             </div>
-            <div className="text-sm text-gray-400">Available Experience</div>
+            <div className="text-sm text-gray-400">Available Skill Points</div>
           </div>
         </div>
 
@@ -184,8 +249,14 @@ const SkillTree = ({ character, onCharacterUpdate }) => {
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
           {Object.entries(skillDefinitions).map(([skillKey, skill]) => {
             const currentLevel = character.skills[skillKey]
-            const upgradeCost = getUpgradeCost(currentLevel)
-            const canUpgrade = character.xp >= upgradeCost && currentLevel < 20
+            const effectChange = effectiveSkills[skillKey] - currentLevel
+            const upgradeCost = getSkillUpgradeCost(currentLevel)
+            const canUpgrade = character.skillPoints >= upgradeCost && currentLevel < MAX_SKILL_LEVEL
+            const skillPerks = PERKS
+              .filter(perk => perk.skill === skillKey)
+              .sort((a, b) => a.threshold - b.threshold)
+            const perks = skillPerks.filter(perk => !perk.specialization)
+            const specPerks = skillPerks.filter(perk => perk.specialization)
 
             return (
               <div key={skillKey} className="card">
@@ -204,6 +275,14 @@ const SkillTree = ({ character, onCharacterUpdate }) => {
                   <div className="text-right">
                     <div className={`text-2xl font-bold ${getSkillColor(currentLevel)}`}>
                       {currentLevel}
+                      {effectChange !== 0 && (
+                        <span
+                          className={`text-sm ml-1 ${effectChange > 0 ? 'text-green-400' : 'text-red-400'}`}
+                          title="From active status effects"
+                        >
+                          ({effectChange > 0 ? '+' : ''}{effectChange})
+                        </span>
+                      )}
                     </div>
                     <div className="text-xs text-gray-500">Level</div>
                   </div>
@@ -213,7 +292,7 @@ const SkillTree = ({ character, onCharacterUpdate }) => {
                 <div className="mb-4">
                   <div className="flex justify-between text-sm text-gray-400 mb-1">
                     <span>Progress</span>
-                    <span>{currentLevel}/20</span>
+                    <span>{currentLevel}/{MAX_SKILL_LEVEL}</span>
                   </div>
                   <div className="w-full bg-deep-gray rounded-full h-2">
                     <div 
@@ -226,10 +305,10 @@ const SkillTree = ({ character, onCharacterUpdate }) => {
                 {/* Upgrade Section */}
                 <div className="flex items-center justify-between mb-4">
                   <div>
-                    {currentLevel < 20 ? (
+                    {currentLevel < MAX_SKILL_LEVEL ? (
                       <div className="text-sm text-gray-400">
                         Next level: <span className="text-muted-gold font-semibold">
-                          {upgradeCost.toLocaleString()} XP
+                          {upgradeCost} {upgradeCost === 1 ? 'point' : 'points'}
                         </span>
                       </div>
                     ) : (
@@ -238,7 +317,7 @@ const SkillTree = ({ character, onCharacterUpdate }) => {
                       </div>
                     )}
                   </div>
-                  {currentLevel < 20 && (
+                  {currentLevel < MAX_SKILL_LEVEL && (
                     <button
                       onClick={() => upgradeSkill(skillKey)}
                       disabled={!canUpgrade || isUpgrading}
@@ -264,7 +343,7 @@ const SkillTree = ({ character, onCharacterUpdate }) => {
                   
                   {selectedSkill === skillKey && (
                     <div className="mt-3 space-y-1">
-                      {skill.benefits.map((benefit, index) => (
+                      {getSkillBenefits(skillKey, effectiveSkills[skillKey]).map((benefit, index) => (
                         <div key={index} className="text-sm text-gray-300 flex items-start">
                           <span className="text-muted-gold mr-2">•</span>
                           {benefit}
@@ -273,11 +352,98 @@ const SkillTree = ({ character, onCharacterUpdate }) => {
                     </div>
                   )}
                 </div>
+
+                {/* Perk Tree */}
+                <div className="mt-4 pt-4 border-t border-gray-700">
+                  <div className="text-sm font-semibold text-gray-400 mb-3">Perks</div>
+                  {perks.map((perk, index) => (
+                    <div key={perk.id}>
+                      {/* Connector from the prerequisite; solid once it is unlocked */}
+                      {index > 0 && (
+                        <div className={`ml-6 h-4 border-l-2 ${
+                          (perk.requires || []).every(perkId => ownedPerks.includes(perkId))
+                            ? 'border-muted-gold'
+                            : 'border-dashed border-gray-600'
+                        }`}></div>
+                      )}
+                      {renderPerkNode(perk, skill.name)}
+                    </div>
+                  ))}
+                  {specPerks.map(perk => (
+                    <div key={perk.id} className="mt-3">
+                      {renderPerkNode(perk, skill.name)}
+                    </div>
+                  ))}
+                </div>
               </div>
             )
           })}
         </div>
 
+        {/* Specializations */}
+        <div className="card mb-8">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-xl font-bold text-pale-white">Specialization</h3>
+            <span className="text-sm text-gray-400">
+              {currentSpecialization ? `${currentSpecialization.icon} ${currentSpecialization.name}` : 'Pick one - the others lock until you respec'}
+            </span>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {SPECIALIZATIONS.map(specialization => {
+              const chosen = character.specialization === specialization.id
+              const locks = chosen ? [] : getSpecializationLocks(character, specialization)
+              const specPerks = PERKS.filter(perk => perk.specialization === specialization.id)
+
+              return (
+                <button
+                  key={specialization.id}
+                  onClick={() => chooseSpecialization(specialization)}
+                  disabled={chosen || locks.length > 0 || isUpgrading}
+                  className={`text-left p-4 rounded-lg border-2 transition-colors ${getNodeClass(chosen, locks.length > 0)}`}
+                >
+                  <div className="flex items-center space-x-2 mb-2">
+                    <span className="text-2xl">{specialization.icon}</span>
+                    <span className="text-lg font-bold text-pale-white">{specialization.name}</span>
+                    {chosen && <span className="text-xs text-muted-gold">Chosen</span>}
+                  </div>
+                  <div className="text-sm text-gray-300 mb-2">{specialization.description}</div>
+                  <div className="text-xs text-gray-500">
+                    Level {specialization.minLevel}, {Object.entries(specialization.skills)
+                      .map(([skill, level]) => `${skillDefinitions[skill].name} ${level}`)
+                      .join(', ')}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    Opens: {specPerks.map(perk => perk.name).join(', ')}
+                  </div>
+                  {locks.length > 0 && (
+                    <div className="text-xs text-red-400 mt-1">Needs: {locks.join(', ')}</div>
+                  )}
+                </button>
+              )
+            })}
+          </div>
+        </div>
+
+        {/* Respec */}
+        <div className="card mb-8 flex items-center justify-between">
+          <div>
+            <h3 className="text-xl font-bold text-pale-white">Respec</h3>
+            <p className="text-sm text-gray-400">
+              Reset every skill to 1, drop all perks and your specialization, and get back
+              all {getSkillPointsForLevel(character.level)} skill points earned so far.
+            </p>
+          </div>
+          <button
+            onClick={respec}
+            disabled={isUpgrading || character.cash < respecCost}
+            className={`px-4 py-2 rounded-lg font-semibold ${
+              character.cash >= respecCost ? 'btn-secondary' : 'bg-gray-600 text-gray-400 cursor-not-allowed'
+            }`}
+          >
+            Respec (${respecCost.toLocaleString()})
+          </button>
+        </div>
+
         {/* Character Stats Summary */}
         <div className="card mb-8">
           <h3 className="text-xl font-bold text-pale-white mb-4">Character Overview</h3>
@@ -302,7 +468,7 @@ const SkillTree = ({ character, onCharacterUpdate }) => {
             </div>
             <div className="text-center">
               <div className="text-2xl font-bold text-red-400">
-                {character.health}/100
+                {character.health}/{character.maxHealth}
               </div>
               <div className="text-sm text-gray-400">Health</div>
             </div>
@@ -0,0 +1,168 @@
+/**
+ * StoryChains Component
+ * Storyline tracker shown above the mission board
+ *
+ * Features:
+ * - Active, locked and completed storylines with step-by-step progress
+ * - Branch taken at each choice shown in the history trail
+ * - Current step: where to attempt mission steps, buttons for choices,
+ *   prerequisites and a complete button for objectives
+ * - Final payout for each storyline
+ */
+
+import React, { useState, useEffect } from 'react'
+import { ANY_LOCATION } from '@shared/content/schema.js'
+import { chainApi } from '../../services/api'
+import { useCharacter } from '../../store/CharacterContext'
+
+const StoryChains = () => {
+  const { currentCharacter: character, applyAction } = useCharacter()
+  const [chains, setChains] = useState([])
+  const [isAdvancing, setIsAdvancing] = useState(false)
+
+  /**
+   * Reloads storylines after every change to the character
+   */
+  useEffect(() => {
+    loadChains()
+  }, [character])
+
+  /**
+   * Fetches storylines and the character's progress
+   */
+  const loadChains = async () => {
+    try {
+      setChains(await chainApi.list(character.id))
+    } catch (error) {
+      console.error('Error loading storylines:', error)
+      setChains([])
+    }
+  }
+
+  /**
+   * Completes the current choice or objective step
+   */
+  const handleAdvance = async (chainId, optionId = null) => {
+    setIsAdvancing(true)
+
+    try {
+      const result = await applyAction(chainApi.advance(character.id, chainId, optionId))
+      alert(result.message)
+    } catch (error) {
+      console.error('Storyline error:', error)
+      alert(error.message || 'Could not advance the storyline. Please try again.')
+    } finally {
+      setIsAdvancing(false)
+    }
+  }
+
+  /**
+   * Where and how to tackle a mission step
+   */
+  const getMissionHint = (step) => {
+    if (step.location && step.location !== ANY_LOCATION && step.location !== character.location) {
+      return `Travel to ${step.location} to attempt this step.`
+    }
+    return 'Attempt this step from the mission board below.'
+  }
+
+  if (chains.length === 0) return null
+
+  return (
+    <div className="card mb-6">
+      <h2 className="text-xl font-bold text-muted-gold mb-4">Storylines</h2>
+
+      <div className="space-y-4">
+        {chains.map(chain => {
+          const step = chain.currentStep
+
+          return (
+            <div
+              key={chain.id}
+              className={`p-4 bg-deep-gray rounded-lg border border-gray-600 ${chain.status === 'locked' ? 'opacity-60' : ''}`}
+            >
+              <div className="flex justify-between items-start mb-2">
+                <h3 className="text-lg font-bold text-pale-white">
+                  {chain.icon} {chain.title}
+                </h3>
+                <span className="text-xs text-gray-400 text-right">
+                  Payout: <span className="text-green-400">${chain.payout.cash.toLocaleString()}</span> +{' '}
+                  <span className="text-blue-400">{chain.payout.xp} XP</span>
+                </span>
+              </div>
+              <p className="text-sm text-gray-300 mb-3">{chain.description}</p>
+
+              {/* Progress Trail */}
+              {chain.history.length > 0 && (
+                <div className="flex flex-wrap gap-2 mb-3 text-xs">
+                  {chain.history.map(done => (
+                    <span key={done.id} className="px-2 py-1 rounded bg-gray-700 text-green-400">
+                      ✅ {done.title}{done.choice && `: ${done.choice}`}
+                    </span>
+                  ))}
+                </div>
+              )}
+
+              {chain.status === 'locked' && (
+                <div className="text-sm text-red-400 font-bold">🔒 Unlocks at level {chain.minLevel}</div>
+              )}
+              {chain.status === 'completed' && (
+                <div className="text-sm text-green-400 font-bold">🏁 Storyline complete</div>
+              )}
+
+              {/* Current Step */}
+              {step && (
+                <div className="border-t border-gray-600 pt-3">
+                  <div className="text-xs text-muted-gold mb-1">Step {chain.history.length + 1}</div>
+                  <div className="font-bold text-pale-white">{step.title}</div>
+                  <p className="text-sm text-gray-400 mb-2">{step.description}</p>
+
+                  {step.missing.length > 0 && (
+                    <div className="text-xs text-red-400 mb-2">Needs: {step.missing.join(', ')}</div>
+                  )}
+
+                  {step.type === 'mission' && (
+                    <div className="text-xs text-gray-300">📋 {getMissionHint(step)}</div>
+                  )}
+
+                  {step.type === 'choice' && (
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                      {step.options.map(option => (
+                        <button
+                          key={option.id}
+                          onClick={() => handleAdvance(chain.id, option.id)}
+                          disabled={isAdvancing || character.cash < (option.cost?.cash || 0)}
+                          className="text-left p-3 rounded-lg bg-gray-800 border border-gray-600 hover:border-muted-gold disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                        >
+                          <div className="font-bold text-pale-white">
+                            {option.label}
+                            {option.cost && (
+                              <span className="text-red-400"> (${option.cost.cash.toLocaleString()})</span>
+                            )}
+                          </div>
+                          <div className="text-xs text-gray-400">{option.description}</div>
+                        </button>
+                      ))}
+                    </div>
+                  )}
+
+                  {step.type === 'objective' && (
+                    <button
+                      onClick={() => handleAdvance(chain.id)}
+                      disabled={isAdvancing || step.missing.length > 0}
+                      className="btn-primary px-4 py-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {isAdvancing ? 'Working...' : 'Complete Step'}
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default StoryChains
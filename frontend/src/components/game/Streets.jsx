@@ -5,9 +5,25 @@
  * Features:
  * - Mobile-first responsive design with touch-friendly interactions
  * - Location-based NPCs with different inventories and personalities
- * - Dynamic pricing system that fluctuates over time for realistic economy
+ * - Prices come from the city's shared market, which drifts over time and
+ *   reacts to every player's trades
+ * - Price history sparkline and trend arrow for every item
+ * - Contacts hold limited stock and cash, shared with every other player,
+ *   and restock on a schedule
+ * - Contacts also buy unstocked items in the categories they deal in, at a
+ *   lower price, so goods can be carried between cities for profit
  * - Comprehensive buy/sell transactions with inventory management
- * - Different NPC types (dealers, merchants, fences) with unique offerings
+ * - Different NPC types (dealers, merchants, fences, vehicle dealers) with
+ *   unique offerings
+ * - Rarer contacts stay locked until the character reaches their level
+ * - Contacts refuse to deal when the character's wanted level is too high
+ * - Each contact belongs to a faction; standing with it shifts their prices
+ * - Intelligence gives a better deal with every contact
+ * - Bigger orders move the price against the player as they go, so the
+ *   unit price of a deal depends on its size
+ * - Purchases are limited by what the character can carry (weight and
+ *   volume); the header shows the current load
+ * - Vehicles can only be sold in the city they are parked in
  * - Professional transaction validation and error handling
  * - Back button navigation for seamless user experience
  * - Accessibility support with proper ARIA labels
@@ -21,229 +37,212 @@
 
 import React, { useState, useEffect } from 'react'
 import { BackButtonHeader } from '../ui/BackButton'
-
-const Streets = ({ character, onCharacterUpdate }) => {
-  const [npcs, setNpcs] = useState([])
-  const [selectedNpc, setSelectedNpc] = useState(null)
+import Sparkline from '../ui/Sparkline'
+import { getLoadStatus, getRoomFor } from '@shared/game/carry.js'
+import { getEffectiveSkills } from '@shared/game/effects.js'
+import { applyHeatDecay, getNpcHeatTolerance, npcWillDeal } from '@shared/game/heat.js'
+import { getDealPrice, getNpcQuote } from '@shared/game/market.js'
+import { getRequiredLevel, meetsLevel } from '@shared/game/progression.js'
+import { getReputationPriceFactors, getReputationTier, getStanding } from '@shared/game/reputation.js'
+import { getSkillModifiers } from '@shared/game/skills.js'
+import { getParkedCount } from '@shared/game/vehicles.js'
+import { catalog } from '../../content/catalog'
+import { marketApi, npcApi, tradeApi } from '../../services/api'
+import { useCharacter } from '../../store/CharacterContext'
+
+const Streets = () => {
+  const { currentCharacter, applyAction } = useCharacter()
+  // Include heat that has cooled off since the last save
+  const character = applyHeatDecay(currentCharacter)
+  const [market, setMarket] = useState(null)
+  const [holdings, setHoldings] = useState({}) // npcId -> { stock, cash, restockAt }
+  const [selectedNpcId, setSelectedNpcId] = useState(null)
   const [selectedItem, setSelectedItem] = useState(null)
   const [transactionType, setTransactionType] = useState('buy') // 'buy' or 'sell'
   const [quantity, setQuantity] = useState(1)
   const [showTransaction, setShowTransaction] = useState(false)
   const [isProcessing, setIsProcessing] = useState(false)
 
-  // Item database with base prices and descriptions
-  const itemDatabase = {
-    // Drugs
-    'marijuana': { name: 'Marijuana', type: 'drug', basePrice: 50, description: 'High-quality cannabis' },
-    'cocaine': { name: 'Cocaine', type: 'drug', basePrice: 200, description: 'Pure Colombian powder' },
-    'heroin': { name: 'Heroin', type: 'drug', basePrice: 300, description: 'Black tar heroin' },
-    'ecstasy': { name: 'Ecstasy', type: 'drug', basePrice: 25, description: 'Party pills' },
-    'meth': { name: 'Methamphetamine', type: 'drug', basePrice: 150, description: 'Crystal meth' },
-    
-    // Weapons
-    'pistol': { name: 'Pistol', type: 'weapon', basePrice: 500, description: '9mm handgun' },
-    'shotgun': { name: 'Shotgun', type: 'weapon', basePrice: 800, description: 'Pump-action shotgun' },
-    'rifle': { name: 'Assault Rifle', type: 'weapon', basePrice: 1500, description: 'Military-grade rifle' },
-    'knife': { name: 'Combat Knife', type: 'weapon', basePrice: 100, description: 'Sharp tactical blade' },
-    
-    // Equipment
-    'body-armor': { name: 'Body Armor', type: 'equipment', basePrice: 1000, description: 'Bulletproof vest' },
-    'lockpicks': { name: 'Lockpicks', type: 'equipment', basePrice: 75, description: 'Professional lockpicking set' },
-    'fake-id': { name: 'Fake ID', type: 'equipment', basePrice: 250, description: 'High-quality forged documents' },
-    'burner-phone': { name: 'Burner Phone', type: 'equipment', basePrice: 50, description: 'Untraceable communication' },
-    
-    // Consumables
-    'health-kit': { name: 'Health Kit', type: 'consumable', basePrice: 100, description: 'Restores 50 health' },
-    'energy-drink': { name: 'Energy Drink', type: 'consumable', basePrice: 20, description: 'Restores 25 stamina' },
-    'steroids': { name: 'Steroids', type: 'consumable', basePrice: 200, description: 'Temporary strength boost' }
-  }
+  /**
+   * Load the market and contacts' stock on mount and after travel
+   */
+  useEffect(() => {
+    setSelectedNpcId(null)
+    loadMarket()
+    loadHoldings()
+  }, [character.location])
 
-  // NPC database with location-specific inventories
-  const npcDatabase = {
-    'Los Angeles': [
-      {
-        id: 'la-dealer-1',
-        name: 'Miguel "El Jefe"',
-        type: 'Drug Dealer',
-        description: 'Veteran dealer with premium products',
-        inventory: ['marijuana', 'cocaine', 'ecstasy'],
-        buysPriceMultiplier: 0.7,
-        sellsPriceMultiplier: 1.3,
-        avatar: '🕴️'
-      },
-      {
-        id: 'la-fence-1',
-        name: 'Tony the Fence',
-        type: 'Fence',
-        description: 'Buys and sells stolen goods',
-        inventory: ['pistol', 'knife', 'lockpicks', 'fake-id'],
-        buysPriceMultiplier: 0.6,
-        sellsPriceMultiplier: 1.4,
-        avatar: '🥷'
-      },
-      {
-        id: 'la-medic-1',
-        name: 'Dr. Rodriguez',
-        type: 'Street Medic',
-        description: 'No questions asked medical supplies',
-        inventory: ['health-kit', 'steroids', 'energy-drink'],
-        buysPriceMultiplier: 0.8,
-        sellsPriceMultiplier: 1.2,
-        avatar: '👨‍⚕️'
-      }
-    ],
-    'Miami': [
-      {
-        id: 'miami-dealer-1',
-        name: 'Carlos "Scarface"',
-        type: 'Drug Lord',
-        description: 'High-end dealer with connections',
-        inventory: ['cocaine', 'heroin', 'meth'],
-        buysPriceMultiplier: 0.8,
-        sellsPriceMultiplier: 1.2,
-        avatar: '👑'
-      },
-      {
-        id: 'miami-arms-1',
-        name: 'Viktor the Russian',
-        type: 'Arms Dealer',
-        description: 'Military surplus and heavy weapons',
-        inventory: ['shotgun', 'rifle', 'body-armor', 'pistol'],
-        buysPriceMultiplier: 0.7,
-        sellsPriceMultiplier: 1.3,
-        avatar: '🔫'
-      }
-    ],
-    'New York': [
-      {
-        id: 'ny-dealer-1',
-        name: 'Johnny "The Nose"',
-        type: 'Street Dealer',
-        description: 'Old-school dealer with street smarts',
-        inventory: ['marijuana', 'ecstasy', 'burner-phone'],
-        buysPriceMultiplier: 0.75,
-        sellsPriceMultiplier: 1.25,
-        avatar: '🤵'
-      },
-      {
-        id: 'ny-tech-1',
-        name: 'Hacker Sam',
-        type: 'Tech Specialist',
-        description: 'Digital goods and equipment',
-        inventory: ['fake-id', 'burner-phone', 'lockpicks'],
-        buysPriceMultiplier: 0.6,
-        sellsPriceMultiplier: 1.4,
-        avatar: '💻'
-      }
-    ],
-    'Tijuana': [
-      {
-        id: 'tj-dealer-1',
-        name: 'Eduardo "El Lobo"',
-        type: 'Cartel Dealer',
-        description: 'Connected to major cartels',
-        inventory: ['marijuana', 'cocaine', 'heroin', 'meth'],
-        buysPriceMultiplier: 0.5,
-        sellsPriceMultiplier: 1.5,
-        avatar: '🐺'
-      },
-      {
-        id: 'tj-smuggler-1',
-        name: 'Rosa the Smuggler',
-        type: 'Smuggler',
-        description: 'Moves goods across borders',
-        inventory: ['fake-id', 'body-armor', 'knife'],
-        buysPriceMultiplier: 0.7,
-        sellsPriceMultiplier: 1.3,
-        avatar: '🚚'
-      }
-    ],
-    'Juarez': [
-      {
-        id: 'jz-dealer-1',
-        name: 'Pablo "El Martillo"',
-        type: 'Enforcer',
-        description: 'Muscle for hire and weapons dealer',
-        inventory: ['pistol', 'shotgun', 'knife', 'steroids'],
-        buysPriceMultiplier: 0.8,
-        sellsPriceMultiplier: 1.2,
-        avatar: '🔨'
-      }
-    ],
-    'Puerto Vallarta': [
-      {
-        id: 'pv-dealer-1',
-        name: 'Isabella "La Reina"',
-        type: 'Resort Dealer',
-        description: 'Supplies the tourist trade',
-        inventory: ['marijuana', 'ecstasy', 'cocaine', 'energy-drink'],
-        buysPriceMultiplier: 0.9,
-        sellsPriceMultiplier: 1.1,
-        avatar: '👸'
-      }
-    ]
-  }
+  /**
+   * Reloads the market when its next price tick is due
+   */
+  useEffect(() => {
+    if (!market) return
+
+    const delay = Math.max(1000, Date.parse(market.nextTickAt) - Date.now())
+    const timer = setTimeout(loadMarket, delay)
+    return () => clearTimeout(timer)
+  }, [market?.nextTickAt])
 
   /**
-   * Load NPCs for current location on component mount
+   * Reloads contacts' stock when the next one is due to restock
    */
+  const nextRestockAt = Math.min(...Object.values(holdings).map(h => Date.parse(h.restockAt)))
+
   useEffect(() => {
-    loadLocationNpcs()
-  }, [character.location])
+    if (!Number.isFinite(nextRestockAt)) return
+
+    const delay = Math.max(1000, nextRestockAt - Date.now())
+    const timer = setTimeout(loadHoldings, delay)
+    return () => clearTimeout(timer)
+  }, [nextRestockAt])
 
   /**
-   * Loads NPCs available in the current location
+   * Fetches stock, cash and restock times of the city's contacts
    */
-  const loadLocationNpcs = () => {
-    const locationNpcs = npcDatabase[character.location] || []
-    
-    // Add dynamic pricing fluctuations
-    const npcsWithPricing = locationNpcs.map(npc => ({
-      ...npc,
-      currentPrices: generateDynamicPrices(npc)
-    }))
-    
-    setNpcs(npcsWithPricing)
+  const loadHoldings = async () => {
+    try {
+      const list = await npcApi.list(character.id)
+      setHoldings(Object.fromEntries(list.map(npc => [npc.id, npc])))
+    } catch (error) {
+      console.error('Error loading contacts:', error)
+    }
   }
 
   /**
-   * Generates dynamic prices for NPC inventory
+   * Fetches current prices for the character's city
    */
-  const generateDynamicPrices = (npc) => {
+  const loadMarket = async () => {
+    try {
+      setMarket(await marketApi.get(character.id))
+    } catch (error) {
+      console.error('Error loading market:', error)
+    }
+  }
+
+  /**
+   * Character's standing with the NPC's faction
+   */
+  const getNpcStanding = (npc) => {
+    return npc.faction ? getStanding(character, npc.faction) : 0
+  }
+
+  /**
+   * Quotes every item the NPC sells or buys at the current market prices
+   */
+  const getNpcPrices = (npc) => {
     const prices = {}
-    
-    npc.inventory.forEach(itemId => {
-      const item = itemDatabase[itemId]
-      if (item) {
-        // Add random fluctuation (-20% to +30%)
-        const fluctuation = 0.8 + (Math.random() * 0.5)
-        const buyPrice = Math.round(item.basePrice * npc.buysPriceMultiplier * fluctuation)
-        const sellPrice = Math.round(item.basePrice * npc.sellsPriceMultiplier * fluctuation)
-        
-        prices[itemId] = {
-          buy: sellPrice, // Price player pays to buy from NPC
-          sell: buyPrice  // Price NPC pays to buy from player
-        }
+    if (!market) return prices
+    const standing = getNpcStanding(npc)
+
+    catalog.itemList.forEach(item => {
+      const entry = market.items[item.id]
+      if (!entry) return
+
+      const quote = getNpcQuote(npc, item, entry.price, standing, character)
+      if (quote.buy !== null || quote.sell !== null) {
+        prices[item.id] = quote
       }
     })
-    
+
     return prices
   }
 
+  const npcs = catalog.getNpcsInCity(character.location).map(npc => ({
+    ...npc,
+    currentPrices: getNpcPrices(npc),
+    onHand: holdings[npc.id] || null
+  }))
+  const selectedNpc = npcs.find(npc => npc.id === selectedNpcId) || null
+
   /**
-   * Gets player's inventory quantity for an item
+   * Gets player's inventory quantity for an item; vehicles only count in
+   * the city they are parked in
    */
   const getPlayerItemQuantity = (itemId) => {
+    if (catalog.items[itemId]?.vehicle) return getParkedCount(character, itemId)
     if (!character.inventory || !character.inventory.items) return 0
     const item = character.inventory.items.find(i => i.id === itemId)
     return item ? item.quantity : 0
   }
 
+  // Player items the selected contact buys but doesn't stock
+  const wantedItems = selectedNpc
+    ? (character.inventory?.items || []).filter(owned =>
+        !selectedNpc.inventory.includes(owned.id) &&
+        selectedNpc.currentPrices[owned.id]?.sell &&
+        getPlayerItemQuantity(owned.id) > 0
+      )
+    : []
+
+  /**
+   * Arrow and color for a market trend
+   */
+  const getTrendIndicator = (trend) => {
+    switch (trend) {
+      case 'up': return { symbol: '▲', color: 'text-red-400' }
+      case 'down': return { symbol: '▼', color: 'text-green-400' }
+      default: return { symbol: '▬', color: 'text-gray-400' }
+    }
+  }
+
+  /**
+   * Units of an item a contact has in stock
+   */
+  const getNpcStock = (npc, itemId) => npc.onHand?.stock[itemId] || 0
+
+  /**
+   * Units of an item that still fit in what the player can carry
+   */
+  const getCarryRoom = (itemId) => getRoomFor(character, catalog.items[itemId], catalog.items)
+
+  /**
+   * Unit price of a deal of a quantity with a contact, as the server
+   * prices it (see market rules)
+   */
+  const getDealUnitPrice = (npc, itemId, type, count) => {
+    return getDealPrice(npc, catalog.items[itemId], market.items[itemId].price, {
+      type,
+      quantity: count,
+      standing: getNpcStanding(npc),
+      character
+    })
+  }
+
+  /**
+   * Most units that can change hands: limited by cash, stock and carry
+   * capacity when buying, by what the player owns and the contact can pay
+   * when selling
+   */
+  const getMaxQuantity = (npc, itemId, type) => {
+    const price = npc.currentPrices[itemId]
+    if (!price || !npc.onHand) return 0
+
+    if (type === 'sell') {
+      return Math.min(getPlayerItemQuantity(itemId), Math.floor(npc.onHand.cash / price.sell))
+    }
+
+    // Each unit bought costs a little more, so trim to what the cash covers
+    let max = Math.min(Math.floor(character.cash / price.buy), getNpcStock(npc, itemId), getCarryRoom(itemId))
+    while (max > 0 && getDealUnitPrice(npc, itemId, 'buy', max) * max > character.cash) {
+      max -= 1
+    }
+    return max
+  }
+
+  /**
+   * Formats a contact's next restock as a local time
+   */
+  const formatRestockTime = (restockAt) => {
+    return new Date(restockAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+  }
+
   /**
    * Handles NPC selection
    */
   const handleNpcSelect = (npc) => {
-    setSelectedNpc(npc)
+    if (!meetsLevel(character, npc) || !npcWillDeal(npc, character)) return
+
+    setSelectedNpcId(npc.id)
     setSelectedItem(null)
     setTransactionType('buy')
     setQuantity(1)
@@ -268,99 +267,42 @@ const Streets = ({ character, onCharacterUpdate }) => {
     setIsProcessing(true)
 
     try {
-      const item = itemDatabase[selectedItem]
+      const item = catalog.items[selectedItem]
       const price = selectedNpc.currentPrices[selectedItem]
       
       if (!item || !price) {
         throw new Error('Invalid item or pricing')
       }
-
-      let updatedCharacter = { ...character }
-      let totalCost = 0
-      let resultMessage = ''
-
-      if (transactionType === 'buy') {
-        // Buying from NPC
-        totalCost = price.buy * quantity
-        
-        if (updatedCharacter.cash < totalCost) {
-          throw new Error('Not enough cash for this purchase')
-        }
-
-        // Deduct cash
-        updatedCharacter.cash -= totalCost
-
-        // Add items to inventory
-        if (!updatedCharacter.inventory) {
-          updatedCharacter.inventory = { items: [], drugs: [] }
-        }
-        if (!updatedCharacter.inventory.items) {
-          updatedCharacter.inventory.items = []
-        }
-
-        const existingItem = updatedCharacter.inventory.items.find(i => i.id === selectedItem)
-        if (existingItem) {
-          existingItem.quantity += quantity
-        } else {
-          updatedCharacter.inventory.items.push({
-            id: selectedItem,
-            name: item.name,
-            type: item.type,
-            quantity: quantity
-          })
-        }
-
-        resultMessage = `Bought ${quantity}x ${item.name} for $${totalCost.toLocaleString()}`
-      } else {
-        // Selling to NPC
-        const playerQuantity = getPlayerItemQuantity(selectedItem)
-        
-        if (playerQuantity < quantity) {
-          throw new Error('Not enough items to sell')
-        }
-
-        totalCost = price.sell * quantity
-
-        // Add cash
-        updatedCharacter.cash += totalCost
-
-        // Remove items from inventory
-        const itemIndex = updatedCharacter.inventory.items.findIndex(i => i.id === selectedItem)
-        if (itemIndex !== -1) {
-          updatedCharacter.inventory.items[itemIndex].quantity -= quantity
-          
-          // Remove item if quantity reaches 0
-          if (updatedCharacter.inventory.items[itemIndex].quantity <= 0) {
-            updatedCharacter.inventory.items.splice(itemIndex, 1)
-          }
-        }
-
-        resultMessage = `Sold ${quantity}x ${item.name} for $${totalCost.toLocaleString()}`
+      if (transactionType === 'buy' && getNpcStock(selectedNpc, selectedItem) < quantity) {
+        throw new Error(`${selectedNpc.name} doesn't have that many in stock`)
+      }
+      if (transactionType === 'buy' && getCarryRoom(selectedItem) < quantity) {
+        throw new Error(`You can't carry that much ${item.name}`)
+      }
+      if (quantity > getMaxQuantity(selectedNpc, selectedItem, transactionType)) {
+        throw new Error(transactionType === 'buy'
+          ? 'Not enough cash for this purchase'
+          : `${selectedNpc.name} can't afford that right now`)
       }
 
-      // Update character
-      onCharacterUpdate(updatedCharacter)
-      localStorage.setItem('currentCharacter', JSON.stringify(updatedCharacter))
+      // Server validates the trade, updates cash and inventory, and logs it
+      const result = await applyAction(tradeApi.execute(character.id, {
+        npcId: selectedNpc.id,
+        type: transactionType,
+        itemId: selectedItem,
+        quantity
+      }))
 
-      // Add to activity log
-      const activity = {
-        id: Date.now(),
-        type: transactionType === 'buy' ? 'item_purchased' : 'item_sold',
-        message: resultMessage,
-        timestamp: new Date().toISOString()
-      }
-      
-      const savedActivity = localStorage.getItem(`activity_${character.id}`) || '[]'
-      const activityList = JSON.parse(savedActivity)
-      activityList.unshift(activity)
-      localStorage.setItem(`activity_${character.id}`, JSON.stringify(activityList.slice(0, 50)))
+      // Trades move the market; show the new prices right away
+      setMarket(result.market)
+      setHoldings(prev => ({ ...prev, [result.npc.id]: result.npc }))
 
       // Close transaction modal
       setShowTransaction(false)
       setSelectedItem(null)
       
       // Show success message
-      alert(resultMessage)
+      alert(result.message)
 
     } catch (error) {
       console.error('Transaction error:', error)
@@ -379,10 +321,14 @@ const Streets = ({ character, onCharacterUpdate }) => {
       case 'weapon': return 'text-red-400'
       case 'equipment': return 'text-blue-400'
       case 'consumable': return 'text-yellow-400'
+      case 'vehicle': return 'text-purple-400'
       default: return 'text-gray-400'
     }
   }
 
+  const loadStatus = getLoadStatus(character, catalog.items)
+  const intelligenceEdge = Math.round((1 - getSkillModifiers(getEffectiveSkills(character)).buyPrice) * 100)
+
   return (
     <div className="min-h-screen py-8 px-4">
       <div className="max-w-6xl mx-auto">
@@ -397,6 +343,14 @@ const Streets = ({ character, onCharacterUpdate }) => {
           <div className="flex justify-center space-x-6 mt-4 text-sm">
             <span>📍 Location: <span className="text-muted-gold">{character.location}</span></span>
             <span>💰 Cash: <span className="text-green-400">${character.cash.toLocaleString()}</span></span>
+            <span>
+              🎒 Load: <span className={loadStatus.overloaded ? 'text-red-400' : 'text-blue-400'}>
+                {loadStatus.load.weight}/{loadStatus.capacity.weight} kg, {loadStatus.load.volume}/{loadStatus.capacity.volume} L
+              </span>
+            </span>
+            {intelligenceEdge > 0 && (
+              <span>🧠 Intelligence: <span className="text-green-400">{intelligenceEdge}% better prices</span></span>
+            )}
           </div>
         </div>
 
@@ -408,29 +362,62 @@ const Streets = ({ character, onCharacterUpdate }) => {
               
               {npcs.length > 0 ? (
                 <div className="space-y-4">
-                  {npcs.map(npc => (
-                    <div
-                      key={npc.id}
-                      onClick={() => handleNpcSelect(npc)}
-                      className={`npc-card cursor-pointer transition-all duration-300 ${
-                        selectedNpc && selectedNpc.id === npc.id 
-                          ? 'border-muted-gold bg-gradient-to-r from-deep-gray to-yellow-900' 
-                          : ''
-                      }`}
-                    >
-                      <div className="flex items-center space-x-3 mb-2">
-                        <span className="text-2xl">{npc.avatar}</span>
-                        <div>
-                          <h3 className="font-bold text-pale-white">{npc.name}</h3>
-                          <p className="text-sm text-gray-400">{npc.type}</p>
+                  {npcs.map(npc => {
+                    const unlocked = meetsLevel(character, npc)
+                    const tooHot = !npcWillDeal(npc, character)
+                    const faction = npc.faction ? catalog.getFaction(npc.faction) : null
+                    const standing = getNpcStanding(npc)
+                    const tier = getReputationTier(standing)
+                    const priceShift = Math.round((1 - getReputationPriceFactors(standing).buy) * 100)
+
+                    return (
+                      <div
+                        key={npc.id}
+                        onClick={() => handleNpcSelect(npc)}
+                        className={`npc-card transition-all duration-300 ${
+                          unlocked && !tooHot ? 'cursor-pointer' : 'opacity-60 cursor-not-allowed'
+                        } ${
+                          selectedNpc && selectedNpc.id === npc.id 
+                            ? 'border-muted-gold bg-gradient-to-r from-deep-gray to-yellow-900' 
+                            : ''
+                        }`}
+                      >
+                        <div className="flex items-center space-x-3 mb-2">
+                          <span className="text-2xl">{npc.avatar}</span>
+                          <div>
+                            <h3 className="font-bold text-pale-white">{npc.name}</h3>
+                            <p className="text-sm text-gray-400">{npc.type}</p>
+                          </div>
                         </div>
+                        <p className="text-xs text-gray-300">{npc.description}</p>
+                        {faction && (
+                          <div className="mt-2 text-xs">
+                            <span className="text-gray-400">{faction.icon} {faction.name} · </span>
+                            <span className={tier.color}>{tier.label}</span>
+                            {priceShift !== 0 && (
+                              <span className={priceShift > 0 ? 'text-green-400' : 'text-red-400'}>
+                                {' '}· {Math.abs(priceShift)}% {priceShift > 0 ? 'better' : 'worse'} prices
+                              </span>
+                            )}
+                          </div>
+                        )}
+                        {!unlocked ? (
+                          <div className="mt-2 text-xs text-red-400">
+                            🔒 Deals with level {getRequiredLevel(npc)}+ only
+                          </div>
+                        ) : tooHot ? (
+                          <div className="mt-2 text-xs text-red-400">
+                            🚨 Won't deal above {getNpcHeatTolerance(npc)} wanted stars
+                          </div>
+                        ) : (
+                          <div className="mt-2 text-xs text-muted-gold">
+                            {npc.inventory.length} items available
+                            {npc.buys && ` · Buys ${Object.keys(npc.buys).join(', ')}`}
+                          </div>
+                        )}
                       </div>
-                      <p className="text-xs text-gray-300">{npc.description}</p>
-                      <div className="mt-2 text-xs text-muted-gold">
-                        {npc.inventory.length} items available
-                      </div>
-                    </div>
-                  ))}
+                    )
+                  })}
                 </div>
               ) : (
                 <div className="text-center py-8">
@@ -451,17 +438,27 @@ const Streets = ({ character, onCharacterUpdate }) => {
                       {selectedNpc.avatar} {selectedNpc.name}
                     </h2>
                     <p className="text-gray-400">{selectedNpc.description}</p>
+                    {selectedNpc.onHand && (
+                      <p className="text-sm text-gray-400 mt-1">
+                        💰 Cash on hand: <span className="text-green-400">${selectedNpc.onHand.cash.toLocaleString()}</span>
+                        {' · '}🚚 Restocks at {formatRestockTime(selectedNpc.onHand.restockAt)}
+                      </p>
+                    )}
                   </div>
                 </div>
 
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                   {selectedNpc.inventory.map(itemId => {
-                    const item = itemDatabase[itemId]
+                    const item = catalog.items[itemId]
                     const price = selectedNpc.currentPrices[itemId]
+                    const marketEntry = market?.items[itemId]
                     const playerQuantity = getPlayerItemQuantity(itemId)
+                    const npcStock = getNpcStock(selectedNpc, itemId)
                     
                     if (!item || !price) return null
 
+                    const trend = getTrendIndicator(marketEntry.trend)
+
                     return (
                       <div key={itemId} className="card bg-deep-gray">
                         <div className="flex justify-between items-start mb-3">
@@ -473,6 +470,13 @@ const Streets = ({ character, onCharacterUpdate }) => {
 
                         <p className="text-sm text-gray-300 mb-4">{item.description}</p>
 
+                        <div className="flex items-center justify-between mb-3">
+                          <Sparkline values={marketEntry.history} trend={marketEntry.trend} />
+                          <span className={`text-sm font-bold ${trend.color}`} title="Market trend">
+                            {trend.symbol} ${Math.round(marketEntry.price).toLocaleString()}
+                          </span>
+                        </div>
+
                         <div className="space-y-2 text-sm mb-4">
                           <div className="flex justify-between">
                             <span>Buy Price:</span>
@@ -482,6 +486,12 @@ const Streets = ({ character, onCharacterUpdate }) => {
                             <span>Sell Price:</span>
                             <span className="text-green-400">${price.sell}</span>
                           </div>
+                          <div className="flex justify-between">
+                            <span>In Stock:</span>
+                            <span className={npcStock > 0 ? 'text-pale-white' : 'text-red-400'}>
+                              {npcStock > 0 ? npcStock : 'Sold out'}
+                            </span>
+                          </div>
                           <div className="flex justify-between">
                             <span>You Own:</span>
                             <span className="text-blue-400">{playerQuantity}</span>
@@ -492,14 +502,14 @@ const Streets = ({ character, onCharacterUpdate }) => {
                           <button
                             onClick={() => handleItemSelect(itemId, 'buy')}
                             className="btn-secondary flex-1 text-sm py-2"
-                            disabled={character.cash < price.buy}
+                            disabled={getMaxQuantity(selectedNpc, itemId, 'buy') === 0}
                           >
                             Buy
                           </button>
                           <button
                             onClick={() => handleItemSelect(itemId, 'sell')}
                             className="btn-secondary flex-1 text-sm py-2"
-                            disabled={playerQuantity === 0}
+                            disabled={getMaxQuantity(selectedNpc, itemId, 'sell') === 0}
                           >
                             Sell
                           </button>
@@ -508,6 +518,39 @@ const Streets = ({ character, onCharacterUpdate }) => {
                     )
                   })}
                 </div>
+
+                {/* Player items this contact buys but doesn't stock */}
+                {wantedItems.length > 0 && (
+                  <div className="mt-6">
+                    <h3 className="text-lg font-bold text-muted-gold mb-3">Also Buying From You</h3>
+                    <div className="space-y-2">
+                      {wantedItems.map(owned => {
+                        const item = catalog.items[owned.id]
+                        const price = selectedNpc.currentPrices[owned.id]
+
+                        return (
+                          <div key={owned.id} className="flex items-center justify-between bg-deep-gray rounded p-3 text-sm">
+                            <div>
+                              <span className="font-bold text-pale-white">{item.name}</span>
+                              <span className={`ml-2 ${getItemTypeColor(item.type)}`}>{item.type}</span>
+                              <div className="text-gray-400">You own {getPlayerItemQuantity(owned.id)}</div>
+                            </div>
+                            <div className="flex items-center space-x-3">
+                              <span className="text-green-400">${price.sell}</span>
+                              <button
+                                onClick={() => handleItemSelect(owned.id, 'sell')}
+                                className="btn-secondary text-sm px-4 py-2"
+                                disabled={getMaxQuantity(selectedNpc, owned.id, 'sell') === 0}
+                              >
+                                Sell
+                              </button>
+                            </div>
+                          </div>
+                        )
+                      })}
+                    </div>
+                  </div>
+                )}
               </div>
             ) : (
               <div className="card text-center py-12">
@@ -528,16 +571,16 @@ const Streets = ({ character, onCharacterUpdate }) => {
               </h2>
 
               <div className="text-center mb-6">
-                <h3 className="text-lg font-bold mb-2">{itemDatabase[selectedItem].name}</h3>
+                <h3 className="text-lg font-bold mb-2">{catalog.items[selectedItem].name}</h3>
                 <p className="text-sm text-gray-400 mb-4">
-                  {itemDatabase[selectedItem].description}
+                  {catalog.items[selectedItem].description}
                 </p>
 
                 <div className="space-y-3">
                   <div className="flex justify-between">
                     <span>Price per item:</span>
                     <span className={transactionType === 'buy' ? 'text-red-400' : 'text-green-400'}>
-                      ${selectedNpc.currentPrices[selectedItem][transactionType]}
+                      ${getDealUnitPrice(selectedNpc, selectedItem, transactionType, quantity)}
                     </span>
                   </div>
 
@@ -553,9 +596,7 @@ const Streets = ({ character, onCharacterUpdate }) => {
                       <span className="w-12 text-center">{quantity}</span>
                       <button
                         onClick={() => {
-                          const maxQuantity = transactionType === 'buy' 
-                            ? Math.floor(character.cash / selectedNpc.currentPrices[selectedItem].buy)
-                            : getPlayerItemQuantity(selectedItem)
+                          const maxQuantity = getMaxQuantity(selectedNpc, selectedItem, transactionType)
                           setQuantity(Math.min(maxQuantity, quantity + 1))
                         }}
                         className="btn-secondary px-2 py-1 text-sm"
@@ -568,13 +609,20 @@ const Streets = ({ character, onCharacterUpdate }) => {
                   <div className="flex justify-between font-bold text-lg">
                     <span>Total:</span>
                     <span className={transactionType === 'buy' ? 'text-red-400' : 'text-green-400'}>
-                      ${(selectedNpc.currentPrices[selectedItem][transactionType] * quantity).toLocaleString()}
+                      ${(getDealUnitPrice(selectedNpc, selectedItem, transactionType, quantity) * quantity).toLocaleString()}
                     </span>
                   </div>
 
                   {transactionType === 'buy' && (
                     <div className="text-sm text-gray-400">
-                      Remaining cash: ${(character.cash - (selectedNpc.currentPrices[selectedItem].buy * quantity)).toLocaleString()}
+                      Remaining cash: ${(character.cash - getDealUnitPrice(selectedNpc, selectedItem, 'buy', quantity) * quantity).toLocaleString()}
+                    </div>
+                  )}
+                  {transactionType === 'buy' && (
+                    <div className="text-sm text-gray-400">
+                      Adds {Math.round(catalog.items[selectedItem].weight * quantity * 100) / 100} kg,{' '}
+                      {Math.round(catalog.items[selectedItem].volume * quantity * 100) / 100} L
+                      {getCarryRoom(selectedItem) !== Infinity && ` (room for ${getCarryRoom(selectedItem)})`}
                     </div>
                   )}
                 </div>
@@ -594,7 +642,7 @@ const Streets = ({ character, onCharacterUpdate }) => {
                 <button
                   onClick={processTransaction}
                   className="btn-primary flex-1 disabled:opacity-50 disabled:cursor-not-allowed"
-                  disabled={isProcessing || (transactionType === 'buy' && character.cash < selectedNpc.currentPrices[selectedItem].buy * quantity)}
+                  disabled={isProcessing || quantity > getMaxQuantity(selectedNpc, selectedItem, transactionType)}
                 >
                   {isProcessing ? 'Processing...' : (transactionType === 'buy' ? 'Buy' : 'Sell')}
                 </button>
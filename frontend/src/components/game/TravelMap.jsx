@@ -5,10 +5,21 @@
  * Features:
  * - Mobile-first responsive design with touch-friendly interactions
  * - Visual map with clickable city locations optimized for mobile
- * - Travel cost and stamina requirements with clear visual feedback
+ * - Travel cost and stamina requirements with clear visual feedback;
+ *   Strength and Endurance lower the stamina each trip costs, counted with
+ *   active status effects (e.g. a steroid rush or crash)
+ * - Load bar for what the character carries against capacity; travelling
+ *   overloaded costs extra stamina
+ * - Travel mode choice in the confirmation: public transport at the
+ *   destination's flat cost, or any vehicle parked in the current city
+ *   (fuel by distance, time on the road, its own stamina, cargo space and
+ *   border search risk), which is then parked at the destination; boats
+ *   only between coastal cities
  * - Professional confirmation modal with detailed cost breakdown
  * - Real-time updates to character location with smooth animations
  * - Separate regions (Mexico vs USA) with distinct visual styling
+ * - Border crossings show the heat they draw and the estimated checkpoint
+ *   risk (search chance, its factors, bribe and arrest odds) before travel
  * - Back button navigation for seamless user experience
  * - Accessibility support with proper ARIA labels and keyboard navigation
  * 
@@ -21,73 +32,54 @@
 
 import React, { useState } from 'react'
 import { BackButtonHeader } from '../ui/BackButton'
+import { getCheckpointRisk, isBorderCrossing } from '@shared/game/border.js'
+import { getLoadStatus, getOverloadMultiplier } from '@shared/game/carry.js'
+import { getActiveEffects, resolveEffects } from '@shared/game/effects.js'
+import { applyHeatDecay, getTravelHeat } from '@shared/game/heat.js'
+import { applyRegeneration } from '@shared/game/regeneration.js'
+import { getTravelStaminaCost } from '@shared/game/skills.js'
+import { PUBLIC_TRANSPORT, getTravelOptions } from '@shared/game/vehicles.js'
+import { catalog } from '../../content/catalog'
+import { travelApi } from '../../services/api'
+import { useCharacter } from '../../store/CharacterContext'
 
-const TravelMap = ({ character, onCharacterUpdate }) => {
+const TravelMap = () => {
+  const { currentCharacter, applyAction } = useCharacter()
+  // Include expired effects and stamina regenerated since the last save in the trip checks
+  const character = applyHeatDecay(applyRegeneration(resolveEffects(currentCharacter)))
+  const skillEffects = getActiveEffects(character).filter(({ effect }) => effect.skills)
   const [selectedCity, setSelectedCity] = useState(null)
   const [showConfirmation, setShowConfirmation] = useState(false)
-  const [isTravel, setIsTraveling] = useState(false)
-
-  // Available cities with travel costs and requirements
-  const cities = {
-    usa: [
-      {
-        id: 'los-angeles',
-        name: 'Los Angeles',
-        country: 'USA',
-        description: 'City of Angels - Entertainment capital with endless opportunities',
-        travelCost: 200,
-        staminaCost: 15,
-        coordinates: { x: 15, y: 65 }
-      },
-      {
-        id: 'miami',
-        name: 'Miami',
-        country: 'USA', 
-        description: 'Vice City - Tropical paradise with a dark underbelly',
-        travelCost: 300,
-        staminaCost: 20,
-        coordinates: { x: 85, y: 75 }
-      },
-      {
-        id: 'new-york',
-        name: 'New York',
-        country: 'USA',
-        description: 'The Big Apple - Where fortunes are made and lost',
-        travelCost: 250,
-        staminaCost: 18,
-        coordinates: { x: 80, y: 35 }
-      }
-    ],
-    mexico: [
-      {
-        id: 'tijuana',
-        name: 'Tijuana',
-        country: 'Mexico',
-        description: 'Border town - Gateway between two worlds',
-        travelCost: 150,
-        staminaCost: 12,
-        coordinates: { x: 20, y: 80 }
-      },
-      {
-        id: 'juarez',
-        name: 'Juarez',
-        country: 'Mexico',
-        description: 'Industrial hub - Manufacturing and smuggling center',
-        travelCost: 180,
-        staminaCost: 14,
-        coordinates: { x: 45, y: 70 }
-      },
-      {
-        id: 'puerto-vallarta',
-        name: 'Puerto Vallarta',
-        country: 'Mexico',
-        description: 'Coastal paradise - Tourist destination with hidden secrets',
-        travelCost: 220,
-        staminaCost: 16,
-        coordinates: { x: 25, y: 85 }
-      }
-    ]
-  }
+  const [isTraveling, setIsTraveling] = useState(false)
+  const [travelMode, setTravelMode] = useState(PUBLIC_TRANSPORT)
+
+  // Ways to make the selected trip and the one picked
+  const currentCity = catalog.getCity(character.location)
+  const travelOptions = selectedCity ? getTravelOptions(character, currentCity, selectedCity, catalog.items) : []
+  const selectedOption = travelOptions.find(option => option.id === travelMode) || travelOptions[0]
+
+  // Heat and checkpoint risk of the selected trip (border crossings only)
+  const travelHeat = selectedCity ? getTravelHeat(currentCity, selectedCity) : 0
+  const checkpointRisk = isBorderCrossing(currentCity, selectedCity)
+    ? getCheckpointRisk(character, selectedOption.vehicle)
+    : null
+
+  // What the character carries against capacity, and the travel penalty for
+  // overloading on public transport and in the picked mode
+  const loadStatus = getLoadStatus(character, catalog.items)
+  const overloadMultiplier = getOverloadMultiplier(character, catalog.items)
+  const tripOverload = selectedOption ? getOverloadMultiplier(character, catalog.items, selectedOption.vehicle) : 1
+
+  /**
+   * Stamina a trip by public transport costs this character (cut by
+   * Strength and Endurance, raised when overloaded)
+   */
+  const getStaminaCost = (city) => getTravelStaminaCost(character, city, catalog.items)
+
+  /**
+   * Formats a probability as a whole percentage
+   */
+  const formatPercent = (chance) => `${Math.round(chance * 100)}%`
 
   /**
    * Handles city selection
@@ -97,6 +89,7 @@ const TravelMap = ({ character, onCharacterUpdate }) => {
       return // Can't travel to current location
     }
     setSelectedCity(city)
+    setTravelMode(PUBLIC_TRANSPORT)
     setShowConfirmation(true)
   }
 
@@ -109,47 +102,38 @@ const TravelMap = ({ character, onCharacterUpdate }) => {
     setIsTraveling(true)
 
     try {
-      // Check if player has enough resources
-      if (character.cash < selectedCity.travelCost) {
-        alert('Not enough cash for this trip!')
+      // Check if player has enough resources for the picked mode
+      if (!selectedOption.available) {
+        alert(selectedOption.reason)
         return
       }
 
-      if (character.stamina < selectedCity.staminaCost) {
-        alert('Not enough stamina for this trip!')
+      if (character.cash < selectedOption.cash) {
+        alert('Not enough cash for this trip!')
         return
       }
 
-      // Update character with new location and deduct costs
-      const updatedCharacter = {
-        ...character,
-        location: selectedCity.name,
-        cash: character.cash - selectedCity.travelCost,
-        stamina: Math.max(0, character.stamina - selectedCity.staminaCost)
+      if (character.stamina < selectedOption.stamina) {
+        alert('Not enough stamina for this trip!')
+        return
       }
 
-      // TODO: Save to backend API
-      onCharacterUpdate(updatedCharacter)
-      localStorage.setItem('currentCharacter', JSON.stringify(updatedCharacter))
-
-      // Add to activity log
-      const activity = {
-        id: Date.now(),
-        type: 'location_arrived',
-        message: `Traveled to ${selectedCity.name}`,
-        timestamp: new Date().toISOString()
-      }
-      
-      const savedActivity = localStorage.getItem(`activity_${character.id}`) || '[]'
-      const activityList = JSON.parse(savedActivity)
-      activityList.unshift(activity)
-      localStorage.setItem(`activity_${character.id}`, JSON.stringify(activityList.slice(0, 50)))
+      // Server deducts costs, moves the character and logs the trip
+      const result = await applyAction(travelApi.travel(character.id, {
+        destination: selectedCity.name,
+        mode: selectedOption.id
+      }))
 
       setShowConfirmation(false)
       setSelectedCity(null)
+
+      // Report what happened at the border checkpoint and to any stash
+      if (result.checkpoint || result.raids?.length > 0) {
+        alert(result.message)
+      }
     } catch (error) {
       console.error('Travel error:', error)
-      alert('Travel failed. Please try again.')
+      alert(error.message || 'Travel failed. Please try again.')
     } finally {
       setIsTraveling(false)
     }
@@ -159,7 +143,7 @@ const TravelMap = ({ character, onCharacterUpdate }) => {
    * Gets all cities as a flat array
    */
   const getAllCities = () => {
-    return [...cities.usa, ...cities.mexico]
+    return [...catalog.getCitiesByRegion('usa'), ...catalog.getCitiesByRegion('mexico')]
   }
 
   return (
@@ -182,8 +166,27 @@ const TravelMap = ({ character, onCharacterUpdate }) => {
               <span>💰 Cash: <span className="text-green-400 font-bold">${character.cash.toLocaleString()}</span></span>
             </div>
             <div className="bg-deep-gray bg-opacity-50 px-3 py-2 rounded-lg border border-gray-600">
-              <span>⚡ Stamina: <span className="text-blue-400 font-bold">{character.stamina}/100</span></span>
+              <span>⚡ Stamina: <span className="text-blue-400 font-bold">{character.stamina}/{character.maxStamina}</span></span>
+            </div>
+          </div>
+          <div className="max-w-md mx-auto mt-4 text-sm">
+            <div className="flex justify-between text-gray-400 mb-1">
+              <span>🎒 Load</span>
+              <span className={loadStatus.overloaded ? 'text-red-400 font-bold' : 'text-gray-300'}>
+                {loadStatus.load.weight}/{loadStatus.capacity.weight} kg · {loadStatus.load.volume}/{loadStatus.capacity.volume} L
+              </span>
+            </div>
+            <div className="w-full bg-gray-700 rounded-full h-2">
+              <div
+                className={`h-2 rounded-full ${loadStatus.overloaded ? 'bg-red-500' : loadStatus.used > 0.8 ? 'bg-yellow-500' : 'bg-green-500'}`}
+                style={{ width: `${Math.min(100, loadStatus.used * 100)}%` }}
+              />
             </div>
+            {overloadMultiplier > 1 && (
+              <p className="text-xs text-red-400 mt-1">
+                Overloaded on public transport: travel costs {formatPercent(overloadMultiplier - 1)} more stamina
+              </p>
+            )}
           </div>
         </div>
 
@@ -212,7 +215,7 @@ const TravelMap = ({ character, onCharacterUpdate }) => {
             {/* City Markers - Enhanced for Mobile */}
             {getAllCities().map(city => {
               const isCurrentLocation = city.name === character.location
-              const canAfford = character.cash >= city.travelCost && character.stamina >= city.staminaCost
+              const canAfford = character.cash >= city.travelCost && character.stamina >= getStaminaCost(city)
               
               return (
                 <button
@@ -230,8 +233,8 @@ const TravelMap = ({ character, onCharacterUpdate }) => {
                     left: `${city.coordinates.x}%`,
                     top: `${city.coordinates.y}%`
                   }}
-                  title={`${city.name} - $${city.travelCost} / ${city.staminaCost} stamina`}
-                  aria-label={`Travel to ${city.name}. Cost: $${city.travelCost}, Stamina: ${city.staminaCost}`}
+                  title={`${city.name} - $${city.travelCost} / ${getStaminaCost(city)} stamina`}
+                  aria-label={`Travel to ${city.name}. Cost: $${city.travelCost}, Stamina: ${getStaminaCost(city)}`}
                 >
                   <div className="text-center p-2">
                     <div className={`text-2xl md:text-3xl mb-1 ${isCurrentLocation ? 'animate-pulse' : ''}`}>
@@ -251,7 +254,7 @@ const TravelMap = ({ character, onCharacterUpdate }) => {
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
           {getAllCities().map(city => {
             const isCurrentLocation = city.name === character.location
-            const canAfford = character.cash >= city.travelCost && character.stamina >= city.staminaCost
+            const canAfford = character.cash >= city.travelCost && character.stamina >= getStaminaCost(city)
             
             return (
               <div
@@ -286,8 +289,8 @@ const TravelMap = ({ character, onCharacterUpdate }) => {
                     </div>
                     <div className="flex justify-between text-sm">
                       <span>Stamina Cost:</span>
-                      <span className={character.stamina >= city.staminaCost ? 'text-blue-400' : 'text-red-400'}>
-                        {city.staminaCost}
+                      <span className={character.stamina >= getStaminaCost(city) ? 'text-blue-400' : 'text-red-400'}>
+                        {getStaminaCost(city)}
                       </span>
                     </div>
                   </div>
@@ -320,28 +323,119 @@ const TravelMap = ({ character, onCharacterUpdate }) => {
                 </p>
 
                 <div className="space-y-3 text-sm">
+                  {/* Travel Mode */}
+                  <div className="space-y-2 text-left" role="radiogroup" aria-label="Travel mode">
+                    {travelOptions.map(option => (
+                      <button
+                        key={option.id}
+                        type="button"
+                        role="radio"
+                        aria-checked={option.id === selectedOption.id}
+                        onClick={() => setTravelMode(option.id)}
+                        disabled={!option.available || isTraveling}
+                        className={`w-full p-3 rounded-lg border-2 transition-colors ${
+                          option.id === selectedOption.id ? 'border-muted-gold bg-deep-gray' : 'border-gray-600 bg-deep-gray bg-opacity-50'
+                        } ${option.available ? 'hover:border-muted-gold' : 'opacity-50 cursor-not-allowed'}`}
+                      >
+                        <div className="flex justify-between items-center">
+                          <span className="font-semibold">{option.icon} {option.name}</span>
+                          <span className="text-xs text-gray-400">
+                            {option.minutes > 0 ? `${option.minutes} min` : 'Instant'}
+                          </span>
+                        </div>
+                        {option.available ? (
+                          <div className="flex justify-between text-xs text-gray-400 mt-1">
+                            <span>${option.cash.toLocaleString()}{option.vehicle ? ' fuel' : ''} · {option.stamina} stamina</span>
+                            {option.vehicle && (
+                              <span>
+                                Cargo {option.vehicle.vehicle.cargo.weight} kg
+                                {option.vehicle.vehicle.detection !== 0 && travelHeat > 0 &&
+                                  ` · search ${option.vehicle.vehicle.detection > 0 ? '+' : '-'}${formatPercent(Math.abs(option.vehicle.vehicle.detection))}`}
+                              </span>
+                            )}
+                          </div>
+                        ) : (
+                          <div className="text-xs text-red-400 mt-1">{option.reason}</div>
+                        )}
+                      </button>
+                    ))}
+                  </div>
+
                   <div className="bg-deep-gray bg-opacity-50 p-3 rounded-lg">
                     <div className="flex justify-between items-center mb-2">
-                      <span>Travel Cost:</span>
-                      <span className="text-red-400 font-bold">-${selectedCity.travelCost}</span>
+                      <span>{selectedOption.vehicle ? 'Fuel Cost:' : 'Travel Cost:'}</span>
+                      <span className="text-red-400 font-bold">-${selectedOption.cash.toLocaleString()}</span>
                     </div>
                     <div className="flex justify-between items-center">
                       <span>Stamina Cost:</span>
-                      <span className="text-blue-400 font-bold">-{selectedCity.staminaCost}</span>
+                      <span className="text-blue-400 font-bold">-{selectedOption.stamina}</span>
                     </div>
+                    {selectedOption.minutes > 0 && (
+                      <div className="flex justify-between items-center mt-2">
+                        <span>⏱️ Time on the way:</span>
+                        <span className="text-yellow-400 font-bold">{selectedOption.minutes} min (busy)</span>
+                      </div>
+                    )}
+                    {tripOverload > 1 && (
+                      <div className="text-xs text-red-400 text-right">
+                        🎒 Overloaded: +{formatPercent(tripOverload - 1)} stamina
+                      </div>
+                    )}
+                    {skillEffects.length > 0 && (
+                      <div className="text-xs text-gray-400 text-right">
+                        With {skillEffects.map(({ effect }) => `${effect.icon} ${effect.name}`).join(', ')}
+                      </div>
+                    )}
+                    {travelHeat > 0 && (
+                      <div className="flex justify-between items-center mt-2">
+                        <span>🚨 Border Crossing:</span>
+                        <span className="text-red-400 font-bold">
+                          +{travelHeat} heat
+                        </span>
+                      </div>
+                    )}
                   </div>
-                  
+
+                  {/* Border Checkpoint Risk */}
+                  {checkpointRisk && (
+                    <div className="bg-deep-gray bg-opacity-50 p-3 rounded-lg border border-red-700 text-left">
+                      <div className="flex justify-between items-center mb-2">
+                        <span className="font-semibold">🛂 Checkpoint Search Risk:</span>
+                        <span className="text-red-400 font-bold">{formatPercent(checkpointRisk.searchChance)}</span>
+                      </div>
+                      <ul className="space-y-1 text-xs text-gray-400 mb-2">
+                        {checkpointRisk.factors.map(factor => (
+                          <li key={factor.label} className="flex justify-between">
+                            <span>{factor.label}</span>
+                            <span className={factor.value > 0 ? 'text-red-400' : 'text-green-400'}>
+                              {factor.value > 0 ? '+' : '-'}{formatPercent(Math.abs(factor.value))}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                      {checkpointRisk.carryingContraband ? (
+                        <p className="text-xs text-gray-300">
+                          If searched: {formatPercent(checkpointRisk.bribeChance)} chance a ${checkpointRisk.bribeCost.toLocaleString()} bribe
+                          works, otherwise your drugs and weapons are seized
+                          ({formatPercent(checkpointRisk.arrestChance)} chance of arrest).
+                        </p>
+                      ) : (
+                        <p className="text-xs text-green-400">You're clean: a search will find nothing.</p>
+                      )}
+                    </div>
+                  )}
+
                   <div className="bg-deep-gray bg-opacity-50 p-3 rounded-lg border border-muted-gold">
                     <div className="flex justify-between items-center mb-2">
                       <span className="font-semibold">Remaining Cash:</span>
                       <span className="text-green-400 font-bold">
-                        ${(character.cash - selectedCity.travelCost).toLocaleString()}
+                        ${(character.cash - selectedOption.cash).toLocaleString()}
                       </span>
                     </div>
                     <div className="flex justify-between items-center">
                       <span className="font-semibold">Remaining Stamina:</span>
                       <span className="text-blue-400 font-bold">
-                        {Math.max(0, character.stamina - selectedCity.staminaCost)}/100
+                        {Math.max(0, character.stamina - selectedOption.stamina)}/{character.maxStamina}
                       </span>
                     </div>
                   </div>
@@ -5,6 +5,10 @@
  * Features:
  * - Mobile-first responsive design with collapsible navigation
  * - Real-time display of character stats (health, stamina, cash, XP, level)
+ * - Live health/stamina regeneration with a countdown until each is full
+ * - Wanted stars next to health and stamina, cooling off live
+ * - Active buffs and debuffs with stacks and time left; expiries and their
+ *   side effects (e.g. the steroid crash) land live
  * - Touch-friendly hamburger menu for mobile devices
  * - Desktop-optimized horizontal layout for larger screens
  * - Smooth animations and professional visual polish
@@ -23,12 +27,26 @@
 
 import React, { useState, useEffect } from 'react'
 import { Link, useLocation } from 'react-router-dom'
+import WantedStars from './WantedStars'
+import { getActiveEffects, resolveEffects } from '@shared/game/effects.js'
+import { applyHeatDecay } from '@shared/game/heat.js'
+import { getLevelProgress } from '@shared/game/progression.js'
+import { applyRegeneration, getTimeToFull } from '@shared/game/regeneration.js'
 
-const HUD = ({ character, onLogout }) => {
+const HUD = ({ character: savedCharacter, onLogout }) => {
   const [showMenu, setShowMenu] = useState(false)
   const [isMobile, setIsMobile] = useState(false)
+  const [now, setNow] = useState(Date.now())
   const location = useLocation()
 
+  /**
+   * Ticks the clock every second so regeneration and countdowns stay live
+   */
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [])
+
   /**
    * Detect mobile screen size and update state
    * Ensures proper responsive behavior
@@ -66,37 +84,42 @@ const HUD = ({ character, onLogout }) => {
   }
 
   /**
-   * Calculates level based on XP using game formula
+   * Formats a countdown in milliseconds as m:ss (or h:mm:ss)
    */
-  const calculateLevel = (xp) => {
-    return Math.floor(xp / 100) + 1
+  const formatCountdown = (ms) => {
+    const totalSeconds = Math.ceil(ms / 1000)
+    const hours = Math.floor(totalSeconds / 3600)
+    const minutes = Math.floor((totalSeconds % 3600) / 60)
+    const seconds = String(totalSeconds % 60).padStart(2, '0')
+
+    return hours > 0
+      ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+      : `${minutes}:${seconds}`
   }
 
   /**
-   * Calculates XP needed for next level
+   * Converts a stat to a percentage of its maximum
    */
-  const getXPForNextLevel = (xp) => {
-    const currentLevel = calculateLevel(xp)
-    const xpForNextLevel = currentLevel * 100
-    return xpForNextLevel - xp
+  const getPercent = (value, max) => {
+    return Math.min((value / max) * 100, 100)
   }
 
   /**
    * Gets health bar color based on health percentage
    * Professional color coding for game UI
    */
-  const getHealthColor = (health) => {
-    if (health >= 70) return 'bg-green-500'
-    if (health >= 30) return 'bg-yellow-500'
+  const getHealthColor = (healthPercent) => {
+    if (healthPercent >= 70) return 'bg-green-500'
+    if (healthPercent >= 30) return 'bg-yellow-500'
     return 'bg-red-500'
   }
 
   /**
    * Gets stamina bar color based on stamina percentage
    */
-  const getStaminaColor = (stamina) => {
-    if (stamina >= 50) return 'bg-blue-500'
-    if (stamina >= 20) return 'bg-yellow-500'
+  const getStaminaColor = (staminaPercent) => {
+    if (staminaPercent >= 50) return 'bg-blue-500'
+    if (staminaPercent >= 20) return 'bg-yellow-500'
     return 'bg-red-500'
   }
 
@@ -114,7 +137,14 @@ const HUD = ({ character, onLogout }) => {
     { path: '/characters', label: 'Characters', icon: '👤' }
   ]
 
-  if (!character) return null
+  if (!savedCharacter) return null
+
+  // Saved vitals plus expired effects, regeneration and heat decay since the last save
+  const character = applyHeatDecay(applyRegeneration(resolveEffects(savedCharacter, now), now), now)
+  const activeEffects = getActiveEffects(character, now)
+  const timeToFull = getTimeToFull(character, now)
+  const healthPercent = getPercent(character.health, character.maxHealth)
+  const staminaPercent = getPercent(character.stamina, character.maxStamina)
 
   return (
     <>
@@ -131,7 +161,7 @@ const HUD = ({ character, onLogout }) => {
                   {character.name}
                 </h3>
                 <p className="text-xs text-gray-400 truncate">
-                  Lv.{calculateLevel(character.xp)} • {character.location}
+                  Lv.{character.level} • {character.location}
                 </p>
               </div>
 
@@ -146,16 +176,28 @@ const HUD = ({ character, onLogout }) => {
                 </div>
 
                 {/* Health */}
-                <div className="flex items-center space-x-1">
+                <div
+                  className="flex items-center space-x-1"
+                  title={timeToFull.health > 0 ? `Full in ${formatCountdown(timeToFull.health)}` : 'Full health'}
+                >
                   <span className="text-xs text-red-400">❤️</span>
                   <span className="text-xs font-medium">{character.health}</span>
                 </div>
 
                 {/* Stamina */}
-                <div className="flex items-center space-x-1">
+                <div
+                  className="flex items-center space-x-1"
+                  title={timeToFull.stamina > 0 ? `Full in ${formatCountdown(timeToFull.stamina)}` : 'Full stamina'}
+                >
                   <span className="text-xs text-blue-400">⚡</span>
                   <span className="text-xs font-medium">{character.stamina}</span>
+                  {timeToFull.stamina > 0 && (
+                    <span className="text-[10px] text-gray-500">{formatCountdown(timeToFull.stamina)}</span>
+                  )}
                 </div>
+
+                {/* Wanted Level */}
+                <WantedStars heat={character.heat} className="text-xs" />
               </div>
 
               {/* Right: Hamburger Menu */}
@@ -184,7 +226,7 @@ const HUD = ({ character, onLogout }) => {
                   {character.name}
                 </h3>
                 <p className="text-sm text-gray-400">
-                  Level {calculateLevel(character.xp)} • {character.location}
+                  Level {character.level} • {character.location}
                 </p>
               </div>
 
@@ -194,11 +236,16 @@ const HUD = ({ character, onLogout }) => {
                   <span className="text-xs font-medium">HP</span>
                   <div className="w-16 h-2 bg-gray-700 rounded-full overflow-hidden">
                     <div 
-                      className={`h-full ${getHealthColor(character.health)} transition-all duration-300`}
-                      style={{ width: `${character.health}%` }}
+                      className={`h-full ${getHealthColor(healthPercent)} transition-all duration-300`}
+                      style={{ width: `${healthPercent}%` }}
                     />
                   </div>
-                  <span className="text-xs">{character.health}/100</span>
+                  <span className="text-xs">{character.health}/{character.maxHealth}</span>
+                  {timeToFull.health > 0 && (
+                    <span className="text-xs text-gray-500" title="Time until full health">
+                      ⏱ {formatCountdown(timeToFull.health)}
+                    </span>
+                  )}
                 </div>
               </div>
 
@@ -208,11 +255,24 @@ const HUD = ({ character, onLogout }) => {
                   <span className="text-xs font-medium">STA</span>
                   <div className="w-16 h-2 bg-gray-700 rounded-full overflow-hidden">
                     <div 
-                      className={`h-full ${getStaminaColor(character.stamina)} transition-all duration-300`}
-                      style={{ width: `${character.stamina}%` }}
+                      className={`h-full ${getStaminaColor(staminaPercent)} transition-all duration-300`}
+                      style={{ width: `${staminaPercent}%` }}
                     />
                   </div>
-                  <span className="text-xs">{character.stamina}/100</span>
+                  <span className="text-xs">{character.stamina}/{character.maxStamina}</span>
+                  {timeToFull.stamina > 0 && (
+                    <span className="text-xs text-gray-500" title="Time until full stamina">
+                      ⏱ {formatCountdown(timeToFull.stamina)}
+                    </span>
+                  )}
+                </div>
+              </div>
+
+              {/* Wanted Level */}
+              <div className="hud-stat">
+                <div className="flex items-center space-x-2">
+                  <span className="text-xs font-medium">WANTED</span>
+                  <WantedStars heat={character.heat} className="text-sm" />
                 </div>
               </div>
             </div>
@@ -237,7 +297,7 @@ const HUD = ({ character, onLogout }) => {
                     {formatNumber(character.xp)} XP
                   </span>
                   <span className="text-xs text-gray-400">
-                    ({getXPForNextLevel(character.xp)} to next)
+                    ({formatNumber(getLevelProgress(character.xp).xpToNext)} to next)
                   </span>
                 </div>
               </div>
@@ -256,6 +316,25 @@ const HUD = ({ character, onLogout }) => {
               </button>
             </div>
           </div>
+
+          {/* Status Effects */}
+          {activeEffects.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2 mt-1">
+              {activeEffects.map(({ id, stacks, remaining, effect }) => (
+                <span
+                  key={id}
+                  className={`text-xs px-2 py-0.5 rounded border ${
+                    effect.kind === 'buff'
+                      ? 'border-green-600 text-green-400'
+                      : 'border-red-600 text-red-400'
+                  }`}
+                  title={effect.description}
+                >
+                  {effect.icon} {effect.name}{stacks > 1 ? ` x${stacks}` : ''} • {formatCountdown(remaining)}
+                </span>
+              ))}
+            </div>
+          )}
         </div>
       </div>
 
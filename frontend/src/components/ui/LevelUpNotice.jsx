@@ -0,0 +1,64 @@
+/**
+ * LevelUpNotice Component
+ * Celebrates a level-up reported by any game action
+ *
+ * Features:
+ * - Reads the pending level-up from the character store
+ * - Shows the new level with skill point and max stat gains
+ * - Links straight to the Skill Tree to spend the new points
+ * - Dismissable overlay that sits above every game screen
+ */
+
+import React from 'react'
+import { Link } from 'react-router-dom'
+import { useCharacter } from '../../store/CharacterContext'
+
+const LevelUpNotice = () => {
+  const { levelUp, dismissLevelUp } = useCharacter()
+
+  if (!levelUp) return null
+
+  const gains = [
+    { label: 'Skill Points', value: `+${levelUp.skillPoints}`, color: 'text-muted-gold' },
+    { label: 'Max Health', value: `+${levelUp.maxHealth}`, color: 'text-red-400' },
+    { label: 'Max Stamina', value: `+${levelUp.maxStamina}`, color: 'text-blue-400' }
+  ]
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4"
+      role="dialog"
+      aria-labelledby="level-up-title"
+    >
+      <div className="card max-w-sm w-full text-center">
+        <div className="text-5xl mb-2">⭐</div>
+        <h2 id="level-up-title" className="text-3xl font-bold text-muted-gold glow-text mb-1">
+          Level Up!
+        </h2>
+        <p className="text-gray-400 mb-6">
+          Level {levelUp.previousLevel} → <span className="text-pale-white font-bold">Level {levelUp.level}</span>
+        </p>
+
+        <div className="grid grid-cols-3 gap-3 mb-6">
+          {gains.map(gain => (
+            <div key={gain.label} className="bg-deep-gray rounded-lg p-3">
+              <div className={`text-xl font-bold ${gain.color}`}>{gain.value}</div>
+              <div className="text-xs text-gray-400">{gain.label}</div>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex space-x-4">
+          <button onClick={dismissLevelUp} className="btn-secondary flex-1">
+            Continue
+          </button>
+          <Link to="/skills" onClick={dismissLevelUp} className="btn-primary flex-1">
+            Spend Points
+          </Link>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default LevelUpNotice
@@ -0,0 +1,48 @@
+/**
+ * Sparkline Component
+ * Compact line chart for a short series of values
+ *
+ * Features:
+ * - Scales the series to fit a small fixed-size SVG
+ * - Colors the line by trend (up, down or flat)
+ * - Renders nothing until there are at least two points
+ */
+
+import React from 'react'
+
+const TREND_COLORS = {
+  up: '#f87171',
+  down: '#4ade80',
+  flat: '#9ca3af'
+}
+
+const Sparkline = ({ values, trend = 'flat', width = 96, height = 24 }) => {
+  if (!values || values.length < 2) return null
+
+  const min = Math.min(...values)
+  const max = Math.max(...values)
+  const range = max - min || 1
+  const step = width / (values.length - 1)
+
+  const points = values
+    .map((value, index) => {
+      const x = index * step
+      const y = height - ((value - min) / range) * (height - 2) - 1
+      return `${x.toFixed(1)},${y.toFixed(1)}`
+    })
+    .join(' ')
+
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} aria-hidden="true">
+      <polyline
+        points={points}
+        fill="none"
+        stroke={TREND_COLORS[trend] || TREND_COLORS.flat}
+        strokeWidth="1.5"
+        strokeLinejoin="round"
+      />
+    </svg>
+  )
+}
+
+export default Sparkline
@@ -0,0 +1,30 @@
+/**
+ * WantedStars Component
+ * Police attention shown as a row of wanted stars
+ *
+ * Features:
+ * - Filled stars for the current wanted level, dim stars for the rest
+ * - Tooltip with the exact heat value
+ * - Compact size for the HUD
+ */
+
+import React from 'react'
+import { MAX_WANTED_LEVEL, getWantedLevel } from '@shared/game/heat.js'
+
+const WantedStars = ({ heat = 0, className = '' }) => {
+  const stars = getWantedLevel(heat)
+
+  return (
+    <span
+      className={`whitespace-nowrap ${className}`}
+      title={`Heat ${Math.round(heat)}/100`}
+      aria-label={`Wanted level ${stars} of ${MAX_WANTED_LEVEL}`}
+    >
+      {Array.from({ length: MAX_WANTED_LEVEL }, (_, index) => (
+        <span key={index} className={index < stars ? 'text-red-500' : 'text-gray-600'}>★</span>
+      ))}
+    </span>
+  )
+}
+
+export default WantedStars
@@ -0,0 +1,17 @@
+/**
+ * Frontend content catalog
+ * Bundles the shared JSON content files and builds the validated catalog.
+ * Components read items, factions, NPCs, cities and starting locations from here
+ * instead of keeping their own copies.
+ */
+
+import { buildCatalog } from '@shared/content/loader.js'
+import items from '@shared/content/data/items.json'
+import cities from '@shared/content/data/cities.json'
+import factions from '@shared/content/data/factions.json'
+import npcs from '@shared/content/data/npcs.json'
+import missions from '@shared/content/data/missions.json'
+import contracts from '@shared/content/data/contracts.json'
+import chains from '@shared/content/data/chains.json'
+
+export const catalog = buildCatalog({ items, cities, factions, npcs, missions, contracts, chains })
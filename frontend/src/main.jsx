@@ -10,6 +10,7 @@ import React from 'react'
 import ReactDOM from 'react-dom/client'
 import { BrowserRouter } from 'react-router-dom'
 import App from './App.jsx'
+import { CharacterProvider } from './store/CharacterContext'
 import './index.css'
 
 // Mock AWS Amplify Auth for local testing
@@ -58,7 +59,7 @@ window.mockAuth = {
   
   signOut: () => {
     localStorage.removeItem('mockUser')
-    localStorage.removeItem('currentCharacter')
+    localStorage.removeItem('currentCharacterId')
     return Promise.resolve()
   }
 }
@@ -70,7 +71,9 @@ window.Auth = window.mockAuth
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <BrowserRouter>
-      <App />
+      <CharacterProvider>
+        <App />
+      </CharacterProvider>
     </BrowserRouter>
   </React.StrictMode>,
 )
\ No newline at end of file
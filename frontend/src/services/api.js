@@ -0,0 +1,199 @@
+/**
+ * Game API client
+ * Thin axios wrapper around the Express backend (/backend)
+ *
+ * - Base URL comes from VITE_API_URL, defaulting to /api (proxied by Vite in dev)
+ * - Every request carries the mock-auth username as X-User-Id
+ * - Failed requests reject with an Error whose message is the server's
+ *   error message, so components can show it directly
+ */
+
+import axios from 'axios'
+
+const apiClient = axios.create({
+  baseURL: import.meta.env.VITE_API_URL || '/api',
+  headers: { 'Content-Type': 'application/json' }
+})
+
+/**
+ * Attach the current user's identity to each request
+ */
+apiClient.interceptors.request.use((config) => {
+  const savedUser = localStorage.getItem('mockUser')
+  if (savedUser) {
+    config.headers['X-User-Id'] = JSON.parse(savedUser).username
+  }
+  return config
+})
+
+/**
+ * Unwrap response bodies and normalize errors
+ */
+apiClient.interceptors.response.use(
+  (response) => response.data,
+  (error) => {
+    const serverError = error.response?.data?.error
+    const normalized = new Error(serverError?.message || error.message || 'Request failed')
+    normalized.status = error.response?.status
+    normalized.code = serverError?.code
+    return Promise.reject(normalized)
+  }
+)
+
+/**
+ * Character roster and activity log
+ */
+export const characterApi = {
+  list: async () => {
+    const { characters } = await apiClient.get('/characters')
+    return characters
+  },
+
+  get: async (characterId) => {
+    const { character } = await apiClient.get(`/characters/${characterId}`)
+    return character
+  },
+
+  create: async ({ name, startingLocation }) => {
+    const { character } = await apiClient.post('/characters', { name, startingLocation })
+    return character
+  },
+
+  remove: async (characterId) => {
+    await apiClient.delete(`/characters/${characterId}`)
+  },
+
+  getActivity: async (characterId) => {
+    const { activity } = await apiClient.get(`/characters/${characterId}/activity`)
+    return activity
+  }
+}
+
+/**
+ * Game actions - each resolves to { character, message, ... }
+ */
+export const missionApi = {
+  // Returns { missions, refreshAt } - refreshAt is when the contract board is replaced
+  list: async (characterId) => {
+    return apiClient.get(`/characters/${characterId}/missions`)
+  },
+
+  // useItems lists the optional items to bring (null brings everything carried)
+  attempt: async (characterId, missionId, useItems = null) => {
+    return apiClient.post(`/characters/${characterId}/missions/${missionId}`, { useItems })
+  }
+}
+
+export const chainApi = {
+  list: async (characterId) => {
+    const { chains } = await apiClient.get(`/characters/${characterId}/chains`)
+    return chains
+  },
+
+  // optionId picks the branch on choice steps
+  advance: async (characterId, chainId, optionId = null) => {
+    return apiClient.post(`/characters/${characterId}/chains/${chainId}/advance`, { optionId })
+  }
+}
+
+export const npcApi = {
+  list: async (characterId) => {
+    const { npcs } = await apiClient.get(`/characters/${characterId}/npcs`)
+    return npcs
+  }
+}
+
+export const tradeApi = {
+  execute: async (characterId, trade) => {
+    return apiClient.post(`/characters/${characterId}/trades`, trade)
+  }
+}
+
+export const marketApi = {
+  get: async (characterId) => {
+    const { market } = await apiClient.get(`/characters/${characterId}/market`)
+    return market
+  }
+}
+
+export const travelApi = {
+  travel: async (characterId, trip) => {
+    return apiClient.post(`/characters/${characterId}/travel`, trip)
+  }
+}
+
+export const inventoryApi = {
+  use: async (characterId, itemId) => {
+    return apiClient.post(`/characters/${characterId}/inventory/${itemId}/use`)
+  },
+
+  drop: async (characterId, itemId, quantity) => {
+    return apiClient.post(`/characters/${characterId}/inventory/${itemId}/drop`, { quantity })
+  },
+
+  equip: async (characterId, itemId) => {
+    return apiClient.post(`/characters/${characterId}/inventory/${itemId}/equip`)
+  },
+
+  unequip: async (characterId, itemId) => {
+    return apiClient.post(`/characters/${characterId}/inventory/${itemId}/unequip`)
+  }
+}
+
+export const stashApi = {
+  buy: async (characterId) => {
+    return apiClient.post(`/characters/${characterId}/stash/buy`)
+  },
+
+  upgrade: async (characterId) => {
+    return apiClient.post(`/characters/${characterId}/stash/upgrade`)
+  },
+
+  deposit: async (characterId, transfer) => {
+    return apiClient.post(`/characters/${characterId}/stash/deposit`, transfer)
+  },
+
+  withdraw: async (characterId, transfer) => {
+    return apiClient.post(`/characters/${characterId}/stash/withdraw`, transfer)
+  }
+}
+
+export const skillApi = {
+  upgrade: async (characterId, skill) => {
+    return apiClient.post(`/characters/${characterId}/skills/${skill}/upgrade`)
+  },
+
+  unlockPerk: async (characterId, perkId) => {
+    return apiClient.post(`/characters/${characterId}/skills/perks/${perkId}`)
+  },
+
+  specialize: async (characterId, specializationId) => {
+    return apiClient.post(`/characters/${characterId}/skills/specialization/${specializationId}`)
+  },
+
+  respec: async (characterId) => {
+    return apiClient.post(`/characters/${characterId}/skills/respec`)
+  }
+}
+
+export const hospitalApi = {
+  release: async (characterId) => {
+    return apiClient.post(`/characters/${characterId}/hospital/release`)
+  }
+}
+
+export const jailApi = {
+  postBail: async (characterId) => {
+    return apiClient.post(`/characters/${characterId}/jail/bail`)
+  },
+
+  serveTime: async (characterId) => {
+    return apiClient.post(`/characters/${characterId}/jail/time`)
+  },
+
+  jailbreak: async (characterId) => {
+    return apiClient.post(`/characters/${characterId}/jail/jailbreak`)
+  }
+}
+
+export default apiClient
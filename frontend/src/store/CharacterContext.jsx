@@ -0,0 +1,152 @@
+/**
+ * Character Store
+ * Single source of truth for the player's roster and active character.
+ *
+ * Every gameplay mutation goes through applyAction(): the API performs and
+ * saves the change (auto-save after each main action), and the saved
+ * character it returns is applied to the store exactly once. Components
+ * never write characters themselves.
+ *
+ * Usage:
+ *   const { currentCharacter, applyAction } = useCharacter()
+ *   await applyAction(travelApi.travel(currentCharacter.id, trip))
+ */
+
+import React, { createContext, useCallback, useContext, useMemo, useReducer } from 'react'
+import { characterApi } from '../services/api'
+import { characterReducer, initialCharacterState } from './characterReducer'
+
+const CharacterContext = createContext(null)
+
+// Session-only pointer to the selected character; the data itself lives on the server
+const SELECTED_CHARACTER_KEY = 'currentCharacterId'
+
+export const CharacterProvider = ({ children }) => {
+  const [state, dispatch] = useReducer(characterReducer, initialCharacterState)
+
+  /**
+   * Loads the player's roster from the API
+   */
+  const loadCharacters = useCallback(async () => {
+    const characters = await characterApi.list()
+    dispatch({ type: 'roster/loaded', characters })
+    return characters
+  }, [])
+
+  /**
+   * Restores the last selected character after a page reload
+   */
+  const restoreCharacter = useCallback(async () => {
+    const characterId = localStorage.getItem(SELECTED_CHARACTER_KEY)
+    if (!characterId) return null
+
+    try {
+      const character = await characterApi.get(characterId)
+      dispatch({ type: 'character/selected', character })
+      return character
+    } catch (error) {
+      console.error('Failed to restore character:', error)
+      localStorage.removeItem(SELECTED_CHARACTER_KEY)
+      return null
+    }
+  }, [])
+
+  /**
+   * Reloads the active character from the API, picking up changes the
+   * server applies over time (e.g. a finished hospital stay)
+   */
+  const refreshCharacter = useCallback(async (characterId) => {
+    const character = await characterApi.get(characterId)
+    dispatch({ type: 'character/updated', character })
+    return character
+  }, [])
+
+  /**
+   * Makes a roster character the active one
+   */
+  const selectCharacter = useCallback((character) => {
+    dispatch({ type: 'character/selected', character })
+    localStorage.setItem(SELECTED_CHARACTER_KEY, character.id)
+  }, [])
+
+  /**
+   * Creates a character and adds it to the roster
+   */
+  const createCharacter = useCallback(async (fields) => {
+    const character = await characterApi.create(fields)
+    dispatch({ type: 'roster/added', character })
+    return character
+  }, [])
+
+  /**
+   * Deletes a character, clearing the selection if it was active
+   */
+  const deleteCharacter = useCallback(async (characterId) => {
+    await characterApi.remove(characterId)
+    dispatch({ type: 'roster/removed', characterId })
+    if (localStorage.getItem(SELECTED_CHARACTER_KEY) === characterId) {
+      localStorage.removeItem(SELECTED_CHARACTER_KEY)
+    }
+  }, [])
+
+  /**
+   * Applies a game action: awaits the API request and stores the saved
+   * character it resolves with. A level-up reported by the action is kept
+   * for the level-up notification. Returns the full API result.
+   */
+  const applyAction = useCallback(async (request) => {
+    const result = await request
+    if (result?.character) {
+      dispatch({ type: 'character/updated', character: result.character })
+    }
+    if (result?.levelUp) {
+      dispatch({ type: 'progression/leveledUp', levelUp: result.levelUp })
+    }
+    return result
+  }, [])
+
+  /**
+   * Hides the level-up notification
+   */
+  const dismissLevelUp = useCallback(() => {
+    dispatch({ type: 'progression/dismissed' })
+  }, [])
+
+  /**
+   * Forgets all character state (logout)
+   */
+  const clearCharacters = useCallback(() => {
+    dispatch({ type: 'store/cleared' })
+    localStorage.removeItem(SELECTED_CHARACTER_KEY)
+  }, [])
+
+  const value = useMemo(() => ({
+    ...state,
+    loadCharacters,
+    restoreCharacter,
+    refreshCharacter,
+    selectCharacter,
+    createCharacter,
+    deleteCharacter,
+    applyAction,
+    dismissLevelUp,
+    clearCharacters
+  }), [state, loadCharacters, restoreCharacter, refreshCharacter, selectCharacter, createCharacter, deleteCharacter, applyAction, dismissLevelUp, clearCharacters])
+
+  return (
+    <CharacterContext.Provider value={value}>
+      {children}
+    </CharacterContext.Provider>
+  )
+}
+
+/**
+ * Hook for reading and updating the character store
+ */
+export const useCharacter = () => {
+  const context = useContext(CharacterContext)
+  if (!context) {
+    throw new Error('useCharacter must be used inside a CharacterProvider')
+  }
+  return context
+}
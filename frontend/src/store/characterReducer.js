@@ -0,0 +1,77 @@
+/**
+ * Character store reducer
+ * Pure state transitions for the character roster and the active character.
+ *
+ * The active character is always the same object as its roster entry, so an
+ * update is applied once and is visible everywhere (HUD, screens, roster).
+ *
+ * levelUp holds the most recent level-up reported by an action until the
+ * player dismisses the notification.
+ */
+
+export const initialCharacterState = {
+  characters: [],
+  currentCharacter: null,
+  rosterLoaded: false,
+  levelUp: null
+}
+
+/**
+ * Replaces a character in the roster, or appends it if missing
+ */
+const upsertCharacter = (characters, character) => {
+  const exists = characters.some(c => c.id === character.id)
+  return exists
+    ? characters.map(c => (c.id === character.id ? character : c))
+    : [...characters, character]
+}
+
+export const characterReducer = (state, action) => {
+  switch (action.type) {
+    case 'roster/loaded': {
+      // Keep the active character in sync with the freshly loaded roster
+      const current = state.currentCharacter
+        ? action.characters.find(c => c.id === state.currentCharacter.id) || null
+        : null
+      return { ...state, characters: action.characters, currentCharacter: current, rosterLoaded: true }
+    }
+
+    case 'roster/added':
+      return { ...state, characters: upsertCharacter(state.characters, action.character) }
+
+    case 'roster/removed':
+      return {
+        ...state,
+        characters: state.characters.filter(c => c.id !== action.characterId),
+        currentCharacter: state.currentCharacter?.id === action.characterId ? null : state.currentCharacter
+      }
+
+    case 'character/selected':
+      return {
+        ...state,
+        characters: upsertCharacter(state.characters, action.character),
+        currentCharacter: action.character
+      }
+
+    case 'character/updated':
+      return {
+        ...state,
+        characters: upsertCharacter(state.characters, action.character),
+        currentCharacter: state.currentCharacter?.id === action.character.id
+          ? action.character
+          : state.currentCharacter
+      }
+
+    case 'progression/leveledUp':
+      return { ...state, levelUp: action.levelUp }
+
+    case 'progression/dismissed':
+      return { ...state, levelUp: null }
+
+    case 'store/cleared':
+      return initialCharacterState
+
+    default:
+      return state
+  }
+}
@@ -0,0 +1,66 @@
+import React from 'react'
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { cleanup, fireEvent, render, screen } from '@testing-library/react'
+import { catalog } from '../src/content/catalog'
+import Streets from '../src/components/game/Streets'
+
+const HOUR_MS = 60 * 60 * 1000
+
+const character = {
+  id: 'character-1',
+  name: 'Tester',
+  location: 'Los Angeles',
+  level: 1,
+  xp: 0,
+  cash: 1000,
+  health: 100,
+  stamina: 100,
+  skills: { strength: 1, intelligence: 1, endurance: 1, shooting: 1 },
+  perks: [],
+  effects: [],
+  inventory: { items: [{ id: 'heroin', name: 'Heroin', type: 'drug', quantity: 2 }], drugs: [] },
+  equipment: {},
+  vehicles: [],
+  reputation: {},
+  heat: 0,
+  heatUpdatedAt: new Date().toISOString()
+}
+
+vi.mock('../src/store/CharacterContext', () => ({
+  useCharacter: () => ({ currentCharacter: character, applyAction: vi.fn() })
+}))
+
+vi.mock('../src/services/api', () => ({
+  marketApi: {
+    get: async () => ({
+      city: 'Los Angeles',
+      nextTickAt: new Date(Date.now() + HOUR_MS).toISOString(),
+      items: Object.fromEntries(catalog.itemList.map(item => [
+        item.id,
+        { price: item.basePrice, trend: 'flat', history: [item.basePrice] }
+      ]))
+    })
+  },
+  npcApi: {
+    list: async () => catalog.getNpcsInCity('Los Angeles').map(npc => ({
+      id: npc.id,
+      stock: {},
+      cash: 50000,
+      restockAt: new Date(Date.now() + HOUR_MS).toISOString()
+    }))
+  },
+  tradeApi: { execute: vi.fn() }
+}))
+
+afterEach(cleanup)
+
+describe('Streets', () => {
+  it('lists player items a contact buys but does not stock', async () => {
+    render(<Streets />)
+
+    fireEvent.click(await screen.findByText(catalog.getNpc('la-dealer-1').name))
+
+    expect(await screen.findByText('Also Buying From You')).toBeTruthy()
+    expect(screen.getByText('You own 2')).toBeTruthy()
+  })
+})
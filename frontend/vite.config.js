@@ -1,15 +1,35 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { fileURLToPath } from 'node:url'
+
+// Game content and rules shared with the backend
+const sharedDir = fileURLToPath(new URL('../shared', import.meta.url))
 
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: {
+      '@shared': sharedDir
+    }
+  },
   server: {
     port: 3000,
-    host: true
+    host: true,
+    fs: {
+      allow: ['.', sharedDir]
+    },
+    // Forward API calls to the Express backend during development
+    proxy: {
+      '/api': 'http://localhost:4000'
+    }
   },
   build: {
     outDir: 'dist',
     sourcemap: true
+  },
+  // Component tests render into a simulated DOM
+  test: {
+    environment: 'jsdom'
   }
 })
\ No newline at end of file
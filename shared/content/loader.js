@@ -0,0 +1,299 @@
+/**
+ * Content catalog loader
+ * Turns the raw JSON content files into a validated, indexed catalog.
+ *
+ * Loading fails fast with a ContentValidationError when:
+ * - a file's version does not match CONTENT_VERSION
+ * - a record does not match its schema (see schema.js)
+ * - ids are duplicated
+ * - a reference is broken (NPC city, stock item or faction, mission or
+ *   contract location or faction, faction city, chain step, item or
+ *   location, consumable status effect)
+ * - a consumable has no use, or gear doesn't fit its slot (weapons need
+ *   damage and accuracy, armor needs an armor value)
+ * - a chain's steps are malformed (missing mission fields, choices without
+ *   options)
+ *
+ * The loader is environment-agnostic: the frontend feeds it JSON bundled by
+ * Vite, the backend feeds it JSON read from disk.
+ */
+
+import {
+  ANY_LOCATION,
+  CONTENT_VERSION,
+  ContentValidationError,
+  chainMissionStepSchema,
+  chainSchema,
+  citySchema,
+  contractTemplateSchema,
+  factionSchema,
+  itemSchema,
+  missionSchema,
+  npcSchema,
+  validateRecord
+} from './schema.js'
+import { getStatusEffect } from '../game/effects.js'
+
+// Content files: key in the sources object -> list property and record schema
+const CONTENT_FILES = {
+  items: { schema: itemSchema, label: 'item' },
+  cities: { schema: citySchema, label: 'city' },
+  factions: { schema: factionSchema, label: 'faction' },
+  npcs: { schema: npcSchema, label: 'npc' },
+  missions: { schema: missionSchema, label: 'mission' },
+  contracts: { schema: contractTemplateSchema, label: 'contract' },
+  chains: { schema: chainSchema, label: 'chain' }
+}
+
+/**
+ * Validates one content file and returns its records
+ */
+const readContentFile = (name, source, errors) => {
+  const { schema, label } = CONTENT_FILES[name]
+
+  if (!source || typeof source !== 'object') {
+    errors.push(`${name}.json is missing`)
+    return []
+  }
+  if (source.version !== CONTENT_VERSION) {
+    errors.push(`${name}.json has version ${source.version}, expected ${CONTENT_VERSION}`)
+  }
+
+  const records = Array.isArray(source[name]) ? source[name] : []
+  if (!Array.isArray(source[name])) {
+    errors.push(`${name}.json must contain a "${name}" array`)
+  }
+
+  const seenIds = new Set()
+  records.forEach((record, index) => {
+    const path = `${label}[${record?.id ?? index}]`
+    validateRecord(record, schema, path, errors)
+
+    if (record?.id !== undefined) {
+      if (seenIds.has(record.id)) errors.push(`${path} has a duplicate id`)
+      seenIds.add(record.id)
+    }
+  })
+
+  return records
+}
+
+/**
+ * Reports item ids in a mission's item needs that don't exist
+ */
+const checkMissionItems = (items, itemIds, path, errors) => {
+  const required = items?.required || []
+  const optional = items?.optional || []
+
+  required.forEach((entry, index) => {
+    if (!entry.anyOf.length) errors.push(`${path}.items.required[${index}] needs at least one item`)
+    entry.anyOf
+      .filter(itemId => !itemIds.has(itemId))
+      .forEach(itemId => errors.push(`${path}.items.required[${index}] references unknown item "${itemId}"`))
+  })
+  optional
+    .filter(entry => !itemIds.has(entry.itemId))
+    .forEach(entry => errors.push(`${path}.items.optional references unknown item "${entry.itemId}"`))
+}
+
+/**
+ * Reports skill weights for skills the mission doesn't require
+ */
+const checkSkillWeights = (record, path, errors) => {
+  Object.keys(record.skillWeights || {})
+    .filter(skill => record.requirements?.[skill] === undefined)
+    .forEach(skill => errors.push(`${path}.skillWeights weights "${skill}", which is not in requirements`))
+}
+
+/**
+ * Checks that a chain's steps link up and each step type has what it needs
+ */
+const validateChain = (chain, { itemIds, cityNames, checkFactions }, errors) => {
+  const path = `chain[${chain.id}]`
+  const stepIds = new Set()
+
+  chain.steps.forEach(step => {
+    if (stepIds.has(step.id)) errors.push(`${path}.step[${step.id}] has a duplicate id`)
+    stepIds.add(step.id)
+  })
+
+  /**
+   * Reports a next pointer that doesn't lead to a step
+   */
+  const checkNext = (next, stepPath) => {
+    if (next !== undefined && !stepIds.has(next)) {
+      errors.push(`${stepPath}.next references unknown step "${next}"`)
+    }
+  }
+
+  if (!stepIds.has(chain.start)) {
+    errors.push(`${path}.start references unknown step "${chain.start}"`)
+  }
+  checkFactions(chain.payout.reputation, `${path}.payout.reputation`)
+
+  chain.steps.forEach(step => {
+    const stepPath = `${path}.step[${step.id}]`
+
+    if (step.type === 'mission') {
+      validateRecord(step, chainMissionStepSchema, stepPath, errors)
+      if (step.location !== ANY_LOCATION && step.location !== undefined && !cityNames.has(step.location)) {
+        errors.push(`${stepPath}.location references unknown city "${step.location}"`)
+      }
+      checkFactions(step.reputation, `${stepPath}.reputation`)
+      checkMissionItems(step.items, itemIds, stepPath, errors)
+      checkSkillWeights(step, stepPath, errors)
+    }
+
+    if (step.type === 'choice') {
+      const options = step.options || []
+      if (!options.length) errors.push(`${stepPath} is a choice without options`)
+      if (step.next !== undefined) errors.push(`${stepPath} is a choice; use each option's next`)
+      options.forEach(option => checkNext(option.next, `${stepPath}.option[${option.id}]`))
+    } else {
+      if (step.options !== undefined) errors.push(`${stepPath} has options but is not a choice`)
+      checkNext(step.next, stepPath)
+    }
+
+    Object.keys(step.requires?.items || {})
+      .filter(itemId => !itemIds.has(itemId))
+      .forEach(itemId => errors.push(`${stepPath}.requires.items references unknown item "${itemId}"`))
+  })
+}
+
+/**
+ * Checks cross-file references
+ */
+const validateReferences = ({ items, cities, factions, npcs, missions, contracts, chains }, errors) => {
+  const itemIds = new Set(items.map(i => i.id))
+  const cityNames = new Set(cities.map(c => c.name))
+  const factionIds = new Set(factions.map(f => f.id))
+
+  /**
+   * Reports faction ids in a standings map that don't exist
+   */
+  const checkFactions = (standings, path) => {
+    Object.keys(standings || {})
+      .filter(factionId => !factionIds.has(factionId))
+      .forEach(factionId => errors.push(`${path} references unknown faction "${factionId}"`))
+  }
+
+  items.forEach(item => {
+    if (item.type === 'consumable' && !item.use) {
+      errors.push(`item[${item.id}] is a consumable without a use`)
+    }
+    if (item.use?.effect !== undefined && !getStatusEffect(item.use.effect)) {
+      errors.push(`item[${item.id}].use.effect references unknown status effect "${item.use.effect}"`)
+    }
+    if (item.gear?.slot === 'armor' && item.gear.armor === undefined) {
+      errors.push(`item[${item.id}].gear needs an armor value for the armor slot`)
+    }
+    if (item.gear && item.gear.slot !== 'armor' && (item.gear.damage === undefined || item.gear.accuracy === undefined)) {
+      errors.push(`item[${item.id}].gear needs damage and accuracy for the ${item.gear.slot} slot`)
+    }
+    if ((item.type === 'vehicle') !== Boolean(item.vehicle)) {
+      errors.push(`item[${item.id}] needs vehicle stats exactly when its type is vehicle`)
+    }
+  })
+
+  factions.forEach(faction => {
+    if (faction.city !== undefined && !cityNames.has(faction.city)) {
+      errors.push(`faction[${faction.id}].city references unknown city "${faction.city}"`)
+    }
+  })
+
+  npcs.forEach(npc => {
+    if (!cityNames.has(npc.city)) {
+      errors.push(`npc[${npc.id}].city references unknown city "${npc.city}"`)
+    }
+    npc.inventory
+      .filter(itemId => !itemIds.has(itemId))
+      .forEach(itemId => errors.push(`npc[${npc.id}].inventory references unknown item "${itemId}"`))
+    if (npc.faction !== undefined && !factionIds.has(npc.faction)) {
+      errors.push(`npc[${npc.id}].faction references unknown faction "${npc.faction}"`)
+    }
+  })
+
+  missions.forEach(mission => {
+    if (mission.location !== ANY_LOCATION && !cityNames.has(mission.location)) {
+      errors.push(`mission[${mission.id}].location references unknown city "${mission.location}"`)
+    }
+    checkFactions(mission.minReputation, `mission[${mission.id}].minReputation`)
+    checkFactions(mission.reputation, `mission[${mission.id}].reputation`)
+    checkMissionItems(mission.items, itemIds, `mission[${mission.id}]`, errors)
+    checkSkillWeights(mission, `mission[${mission.id}]`, errors)
+  })
+
+  contracts.forEach(template => {
+    (template.locations || [])
+      .filter(location => !cityNames.has(location))
+      .forEach(location => errors.push(`contract[${template.id}].locations references unknown city "${location}"`))
+    if (!template.titles.length || !template.descriptions.length) {
+      errors.push(`contract[${template.id}] needs at least one title and description`)
+    }
+    checkFactions(template.reputation, `contract[${template.id}].reputation`)
+    checkMissionItems(template.items, itemIds, `contract[${template.id}]`, errors)
+    checkSkillWeights(template, `contract[${template.id}]`, errors)
+  })
+
+  chains.forEach(chain => validateChain(chain, { itemIds, cityNames, checkFactions }, errors))
+
+  if (!cities.some(c => c.startingLocation)) {
+    errors.push('cities.json must mark at least one startingLocation')
+  }
+}
+
+/**
+ * Recursively freezes catalog data so consumers cannot mutate shared content
+ */
+const deepFreeze = (value) => {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze)
+    Object.freeze(value)
+  }
+  return value
+}
+
+/**
+ * Builds the catalog from raw content files
+ * sources: { items, cities, factions, npcs, missions, contracts, chains } - parsed
+ * JSON of each file
+ */
+export const buildCatalog = (sources) => {
+  const errors = []
+  const content = Object.fromEntries(
+    Object.keys(CONTENT_FILES).map(name => [name, readContentFile(name, sources[name], errors)])
+  )
+
+  if (!errors.length) {
+    validateReferences(content, errors)
+  }
+  if (errors.length) {
+    throw new ContentValidationError(errors)
+  }
+
+  const { items, cities, factions, npcs, missions, contracts, chains } = deepFreeze(structuredClone(content))
+  const itemsById = Object.fromEntries(items.map(i => [i.id, i]))
+
+  return Object.freeze({
+    version: CONTENT_VERSION,
+    items: Object.freeze(itemsById),
+    itemList: items,
+    cities,
+    factions,
+    npcs,
+    missions,
+    contractTemplates: contracts,
+    chains,
+    startingLocations: Object.freeze(cities.filter(c => c.startingLocation)),
+
+    getItem: (itemId) => itemsById[itemId] || null,
+    getCity: (name) => cities.find(c => c.name === name) || null,
+    getCitiesByRegion: (region) => cities.filter(c => c.region === region),
+    getFaction: (factionId) => factions.find(f => f.id === factionId) || null,
+    getCityUnderworld: (name) => factions.find(f => f.city === name) || null,
+    getNpc: (npcId) => npcs.find(n => n.id === npcId) || null,
+    getNpcsInCity: (name) => npcs.filter(n => n.city === name),
+    getChain: (chainId) => chains.find(c => c.id === chainId) || null,
+    getMission: (missionId) => missions.find(m => m.id === missionId) || null
+  })
+}
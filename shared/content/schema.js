@@ -0,0 +1,427 @@
+/**
+ * Content schema
+ * Declarative field specs for every content file plus a tiny validator.
+ *
+ * Field spec options:
+ * - type:      'string' | 'number' | 'boolean' | 'object' | 'array'
+ * - required:  field must be present
+ * - enum:      allowed values
+ * - min / max: numeric bounds
+ * - shape:     nested field specs for objects with fixed keys
+ * - keys:      allowed keys for map-like objects (e.g. skill requirements)
+ * - values:    spec applied to every value of a map-like object
+ * - items:     spec applied to every array element
+ */
+
+export const CONTENT_VERSION = 1
+
+export const ITEM_TYPES = ['drug', 'weapon', 'equipment', 'consumable', 'vehicle']
+export const SKILLS = ['strength', 'intelligence', 'endurance', 'shooting']
+export const GEAR_SLOTS = ['primary', 'sidearm', 'melee', 'armor']
+export const VEHICLE_MODES = ['car', 'van', 'boat', 'plane']
+export const REGIONS = ['usa', 'mexico']
+export const DIFFICULTIES = ['Easy', 'Medium', 'Hard']
+export const FACTION_TYPES = ['cartel', 'gang', 'law', 'underworld']
+export const CHAIN_STEP_TYPES = ['mission', 'choice', 'objective']
+
+// Missions with this location are offered in every city
+export const ANY_LOCATION = 'Any'
+
+export const itemSchema = {
+  id: { type: 'string', required: true },
+  name: { type: 'string', required: true },
+  type: { type: 'string', required: true, enum: ITEM_TYPES },
+  basePrice: { type: 'number', required: true, min: 0 },
+  // Per unit, in kilograms and litres
+  weight: { type: 'number', required: true, min: 0 },
+  volume: { type: 'number', required: true, min: 0 },
+  description: { type: 'string', required: true },
+  // Extra carry capacity while carried (bags); each item counts once
+  carry: {
+    type: 'object',
+    shape: {
+      weight: { type: 'number', required: true, min: 0 },
+      volume: { type: 'number', required: true, min: 0 }
+    }
+  },
+  // What using a consumable does: health and stamina restored, status effect applied
+  use: {
+    type: 'object',
+    shape: {
+      health: { type: 'number', min: 0 },
+      stamina: { type: 'number', min: 0 },
+      effect: { type: 'string' }
+    }
+  },
+  // Equippable weapons and armor: the loadout slot and combat stats
+  gear: {
+    type: 'object',
+    shape: {
+      slot: { type: 'string', required: true, enum: GEAR_SLOTS },
+      damage: { type: 'number', min: 0 },
+      accuracy: { type: 'number', min: 0, max: 1 },
+      armor: { type: 'number', min: 0, max: 100 }
+    }
+  },
+  // Vehicles: cargo capacity, speed (map units per minute), fuel ($ per map
+  // unit), stamina multiplier and change in border search chance
+  vehicle: {
+    type: 'object',
+    shape: {
+      mode: { type: 'string', required: true, enum: VEHICLE_MODES },
+      cargo: {
+        type: 'object',
+        required: true,
+        shape: {
+          weight: { type: 'number', required: true, min: 0 },
+          volume: { type: 'number', required: true, min: 0 }
+        }
+      },
+      speed: { type: 'number', required: true, min: 0.1 },
+      fuelCost: { type: 'number', required: true, min: 0 },
+      stamina: { type: 'number', required: true, min: 0 },
+      detection: { type: 'number', required: true, min: -1, max: 1 }
+    }
+  }
+}
+
+export const citySchema = {
+  id: { type: 'string', required: true },
+  name: { type: 'string', required: true },
+  country: { type: 'string', required: true },
+  region: { type: 'string', required: true, enum: REGIONS },
+  description: { type: 'string', required: true },
+  tagline: { type: 'string', required: true },
+  startingLocation: { type: 'boolean' },
+  travelCost: { type: 'number', required: true, min: 0 },
+  staminaCost: { type: 'number', required: true, min: 0 },
+  // Price of a stash house here; upgrades cost multiples of it
+  stashPrice: { type: 'number', required: true, min: 0 },
+  // Boats only sail between coastal cities
+  coastal: { type: 'boolean' },
+  // Market price multiplier per item type (missing types default to 1)
+  priceModifiers: { type: 'object', keys: ITEM_TYPES, values: { type: 'number', min: 0 } },
+  // Multiplier on generated contract rewards (defaults to 1)
+  contractPay: { type: 'number', min: 0 },
+  coordinates: {
+    type: 'object',
+    required: true,
+    shape: {
+      x: { type: 'number', required: true, min: 0, max: 100 },
+      y: { type: 'number', required: true, min: 0, max: 100 }
+    }
+  }
+}
+
+export const factionSchema = {
+  id: { type: 'string', required: true },
+  name: { type: 'string', required: true },
+  type: { type: 'string', required: true, enum: FACTION_TYPES },
+  icon: { type: 'string', required: true },
+  description: { type: 'string', required: true },
+  // Underworld factions belong to one city
+  city: { type: 'string' }
+}
+
+export const npcSchema = {
+  id: { type: 'string', required: true },
+  name: { type: 'string', required: true },
+  type: { type: 'string', required: true },
+  city: { type: 'string', required: true },
+  // Faction whose standing sets this contact's prices
+  faction: { type: 'string' },
+  description: { type: 'string', required: true },
+  avatar: { type: 'string', required: true },
+  inventory: { type: 'array', required: true, items: { type: 'string' } },
+  buysPriceMultiplier: { type: 'number', required: true, min: 0 },
+  sellsPriceMultiplier: { type: 'number', required: true, min: 0 },
+  // Item types bought from players even when not stocked, with the share of
+  // the market price paid for them
+  buys: { type: 'object', keys: ITEM_TYPES, values: { type: 'number', min: 0 } },
+  // Most wanted stars the contact still deals with (defaults to 3)
+  maxWantedLevel: { type: 'number', min: 0, max: 5 },
+  minLevel: { type: 'number', min: 1 },
+  // Units of each item held after a restock, cash on hand for buying from
+  // players, and how often both are replenished
+  supply: {
+    type: 'object',
+    required: true,
+    shape: {
+      maxStock: { type: 'number', required: true, min: 0 },
+      cashReserve: { type: 'number', required: true, min: 0 },
+      restockMinutes: { type: 'number', required: true, min: 1 }
+    }
+  }
+}
+
+// Faction id -> standing (keys are checked against factions.json by the loader)
+const factionStandings = {
+  type: 'object',
+  values: { type: 'number', min: -100, max: 100 }
+}
+
+const statChanges = {
+  type: 'object',
+  keys: ['health', 'stamina', 'cash'],
+  values: { type: 'number' }
+}
+
+// Items a mission needs or can make use of. Each required entry is met by
+// carrying any one of its items; optional items add to the odds when the
+// player brings them. Consumed items are used up by the attempt.
+const missionItems = {
+  type: 'object',
+  shape: {
+    required: {
+      type: 'array',
+      items: {
+        type: 'object',
+        shape: {
+          anyOf: { type: 'array', required: true, items: { type: 'string' } },
+          consumed: { type: 'boolean' }
+        }
+      }
+    },
+    optional: {
+      type: 'array',
+      items: {
+        type: 'object',
+        shape: {
+          itemId: { type: 'string', required: true },
+          // Added to the success chance, e.g. 0.1 for +10%
+          bonus: { type: 'number', required: true, min: 0, max: 1 },
+          consumed: { type: 'boolean' }
+        }
+      }
+    }
+  }
+}
+
+export const missionSchema = {
+  id: { type: 'string', required: true },
+  title: { type: 'string', required: true },
+  description: { type: 'string', required: true },
+  difficulty: { type: 'string', required: true, enum: DIFFICULTIES },
+  location: { type: 'string', required: true },
+  minLevel: { type: 'number', min: 1 },
+  // Standing needed with each listed faction before the mission is offered
+  minReputation: factionStandings,
+  requirements: {
+    type: 'object',
+    required: true,
+    keys: SKILLS,
+    values: { type: 'number', min: 1 }
+  },
+  // How much each required skill counts towards the odds (defaults to the
+  // requirement levels); only skills listed in requirements may be weighted
+  skillWeights: {
+    type: 'object',
+    keys: SKILLS,
+    values: { type: 'number', min: 0 }
+  },
+  rewards: {
+    type: 'object',
+    required: true,
+    shape: {
+      cash: { type: 'number', required: true, min: 0 },
+      xp: { type: 'number', required: true, min: 0 }
+    }
+  },
+  failureConsequences: { ...statChanges, required: true },
+  // Standing gained (or lost) with each faction on success
+  reputation: factionStandings,
+  successRate: { type: 'number', required: true, min: 0, max: 1 },
+  // Stamina spent on every attempt (defaults by difficulty)
+  staminaCost: { type: 'number', min: 0 },
+  // Minutes the character is busy after an attempt (instant when missing)
+  durationMinutes: { type: 'number', min: 0 },
+  items: missionItems
+}
+
+// Repeatable contract templates: the generator picks a title and
+// description, scales requirements and rewards to the character's level
+// and the city's contractPay
+export const contractTemplateSchema = {
+  id: { type: 'string', required: true },
+  name: { type: 'string', required: true },
+  titles: { type: 'array', required: true, items: { type: 'string' } },
+  descriptions: { type: 'array', required: true, items: { type: 'string' } },
+  difficulty: { type: 'string', required: true, enum: DIFFICULTIES },
+  minLevel: { type: 'number', min: 1 },
+  // Cities the contract is offered in (every city when missing)
+  locations: { type: 'array', items: { type: 'string' } },
+  requirements: missionSchema.requirements,
+  skillWeights: missionSchema.skillWeights,
+  rewards: missionSchema.rewards,
+  rewardsPerLevel: { ...missionSchema.rewards, required: true },
+  failureConsequences: missionSchema.failureConsequences,
+  successRate: missionSchema.successRate,
+  reputation: factionStandings,
+  staminaCost: missionSchema.staminaCost,
+  durationMinutes: missionSchema.durationMinutes,
+  items: missionItems
+}
+
+// Story flags are free-form strings set by chain steps and checked by
+// later steps and chains
+const storyFlags = { type: 'array', items: { type: 'string' } }
+
+// Prerequisites checked before a chain step can be completed
+const stepPrerequisites = {
+  type: 'object',
+  shape: {
+    // Item id -> quantity the character must be carrying
+    items: { type: 'object', values: { type: 'number', min: 1 } },
+    flags: storyFlags
+  }
+}
+
+const chainOptionSchema = {
+  id: { type: 'string', required: true },
+  label: { type: 'string', required: true },
+  description: { type: 'string', required: true },
+  cost: {
+    type: 'object',
+    shape: {
+      cash: { type: 'number', required: true, min: 0 }
+    }
+  },
+  setFlags: storyFlags,
+  // Step the option leads to (the chain ends when missing)
+  next: { type: 'string' }
+}
+
+// Mission steps are resolved like story missions and need their fields;
+// the loader applies this on top of chainStepSchema for type 'mission'
+export const chainMissionStepSchema = {
+  difficulty: missionSchema.difficulty,
+  location: missionSchema.location,
+  requirements: missionSchema.requirements,
+  skillWeights: missionSchema.skillWeights,
+  rewards: missionSchema.rewards,
+  failureConsequences: missionSchema.failureConsequences,
+  successRate: missionSchema.successRate,
+  reputation: factionStandings,
+  staminaCost: missionSchema.staminaCost,
+  durationMinutes: missionSchema.durationMinutes,
+  items: missionItems
+}
+
+export const chainStepSchema = {
+  id: { type: 'string', required: true },
+  // mission: attempted from the mission board; choice: the player picks an
+  // option; objective: completed once the prerequisites are met
+  type: { type: 'string', required: true, enum: CHAIN_STEP_TYPES },
+  title: { type: 'string', required: true },
+  description: { type: 'string', required: true },
+  requires: stepPrerequisites,
+  setFlags: storyFlags,
+  // Step that follows (the chain ends when missing); choices use their
+  // options' next instead
+  next: { type: 'string' },
+  options: { type: 'array', items: { type: 'object', shape: chainOptionSchema } }
+}
+
+// Multi-step storylines. A chain is offered once the character reaches
+// minLevel and holds every flag in requiresFlags, starts at `start`, and
+// pays out when its last step is done.
+export const chainSchema = {
+  id: { type: 'string', required: true },
+  title: { type: 'string', required: true },
+  icon: { type: 'string', required: true },
+  description: { type: 'string', required: true },
+  minLevel: { type: 'number', min: 1 },
+  requiresFlags: storyFlags,
+  start: { type: 'string', required: true },
+  steps: { type: 'array', required: true, items: { type: 'object', shape: chainStepSchema } },
+  payout: {
+    type: 'object',
+    required: true,
+    shape: {
+      cash: { type: 'number', required: true, min: 0 },
+      xp: { type: 'number', required: true, min: 0 },
+      reputation: factionStandings
+    }
+  },
+  completionFlags: storyFlags
+}
+
+/**
+ * Error thrown when content fails validation - lists every problem found
+ */
+export class ContentValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid game content:\n- ${errors.join('\n- ')}`)
+    this.name = 'ContentValidationError'
+    this.errors = errors
+  }
+}
+
+/**
+ * Returns the spec type name for a value
+ */
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array'
+  if (value === null) return 'null'
+  return typeof value
+}
+
+/**
+ * Validates a single value against a field spec
+ * Pushes human-readable messages onto errors; returns nothing
+ */
+const validateValue = (value, spec, path, errors) => {
+  if (value === undefined) {
+    if (spec.required) errors.push(`${path} is required`)
+    return
+  }
+
+  if (typeOf(value) !== spec.type) {
+    errors.push(`${path} must be of type ${spec.type}`)
+    return
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${spec.enum.join(', ')}`)
+  }
+  if (spec.min !== undefined && value < spec.min) {
+    errors.push(`${path} must be >= ${spec.min}`)
+  }
+  if (spec.max !== undefined && value > spec.max) {
+    errors.push(`${path} must be <= ${spec.max}`)
+  }
+  if (spec.type === 'string' && !value.trim()) {
+    errors.push(`${path} must not be empty`)
+  }
+
+  if (spec.shape) {
+    validateRecord(value, spec.shape, path, errors)
+  }
+  if (spec.keys) {
+    Object.keys(value)
+      .filter(key => !spec.keys.includes(key))
+      .forEach(key => errors.push(`${path}.${key} is not an allowed key`))
+  }
+  if (spec.values) {
+    Object.entries(value).forEach(([key, entry]) => validateValue(entry, spec.values, `${path}.${key}`, errors))
+  }
+  if (spec.items) {
+    value.forEach((entry, index) => validateValue(entry, spec.items, `${path}[${index}]`, errors))
+  }
+}
+
+/**
+ * Validates an object against a schema (map of field specs)
+ */
+export const validateRecord = (record, schema, path, errors = []) => {
+  if (typeOf(record) !== 'object') {
+    errors.push(`${path} must be an object`)
+    return errors
+  }
+
+  Object.entries(schema).forEach(([field, spec]) => {
+    validateValue(record[field], spec, `${path}.${field}`, errors)
+  })
+
+  return errors
+}
@@ -0,0 +1,189 @@
+/**
+ * Border rules
+ * Every trip between the USA and Mexico passes a checkpoint.
+ *
+ * - the search chance rises with drugs and weapons carried and with heat,
+ *   and falls with Intelligence, Smuggler perks and a Fake ID in the
+ *   inventory; the vehicle crossed in (if any) raises or lowers it by its
+ *   detection
+ * - a search only matters if contraband (drugs or weapons) is found
+ * - when it is, the guard may take a bribe (better odds with Intelligence,
+ *   only if the character can pay); otherwise the contraband is seized, and
+ *   a big enough load gets the character arrested (see jail rules)
+ */
+
+import { getEffectiveSkills } from './effects.js'
+import { getWantedLevel } from './heat.js'
+import { getCharacterModifiers, getSkillModifiers } from './skills.js'
+
+const CONTRABAND_TYPES = ['drug', 'weapon']
+const FAKE_ID = 'fake-id'
+
+const BASE_SEARCH_CHANCE = 0.15
+const SEARCH_PER_DRUG = 0.01
+const MAX_DRUG_SEARCH = 0.35
+const SEARCH_PER_WEAPON = 0.03
+const MAX_WEAPON_SEARCH = 0.2
+const SEARCH_PER_STAR = 0.05
+const FAKE_ID_CUT = 0.15
+const MIN_SEARCH_CHANCE = 0.05
+const MAX_SEARCH_CHANCE = 0.9
+
+const BASE_BRIBE_CHANCE = 0.4
+const MAX_BRIBE_CHANCE = 0.85
+const BRIBE_PER_DRUG = 20
+const BRIBE_PER_WEAPON = 150
+const MIN_BRIBE = 200
+
+const BASE_ARREST_CHANCE = 0.1
+const ARREST_PER_DRUG = 0.01
+const ARREST_PER_WEAPON = 0.04
+const MAX_ARREST_CHANCE = 0.7
+
+export const CONFISCATION_HEAT = 10
+export const ARREST_HEAT = 20
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max)
+
+/**
+ * Whether a trip between two cities crosses the border
+ */
+export const isBorderCrossing = (fromCity, toCity) => {
+  return Boolean(fromCity && toCity) && fromCity.region !== toCity.region
+}
+
+/**
+ * Units of drugs and weapons the character is carrying
+ */
+export const getContraband = (character) => {
+  const items = character.inventory?.items || []
+  const count = (type) => items
+    .filter(item => item.type === type)
+    .reduce((total, item) => total + item.quantity, 0)
+
+  return { drugs: count('drug'), weapons: count('weapon') }
+}
+
+const hasFakeId = (character) => {
+  return (character.inventory?.items || []).some(item => item.id === FAKE_ID && item.quantity > 0)
+}
+
+/**
+ * Estimated checkpoint risk with the factors behind the search chance,
+ * crossing in a vehicle (a catalog item) or on public transport (null).
+ * Each factor is { label, value } where value is a change in probability.
+ */
+export const getCheckpointRisk = (character, vehicle = null) => {
+  const contraband = getContraband(character)
+  const skills = getEffectiveSkills(character)
+  const intelligence = skills.intelligence || 1
+  const skillCut = getSkillModifiers(skills).searchCut
+  const modifiers = getCharacterModifiers(character)
+  const stars = getWantedLevel(character.heat)
+
+  const factors = [
+    { label: 'Routine checks', value: BASE_SEARCH_CHANCE },
+    { label: `Drugs carried (${contraband.drugs})`, value: Math.min(MAX_DRUG_SEARCH, contraband.drugs * SEARCH_PER_DRUG) },
+    { label: `Weapons carried (${contraband.weapons})`, value: Math.min(MAX_WEAPON_SEARCH, contraband.weapons * SEARCH_PER_WEAPON) },
+    { label: `Wanted level (${stars}★)`, value: stars * SEARCH_PER_STAR },
+    { label: `Intelligence (${intelligence})`, value: -skillCut },
+    { label: 'Perks', value: skillCut - modifiers.searchCut },
+    { label: 'Fake ID', value: hasFakeId(character) ? -FAKE_ID_CUT : 0 },
+    { label: vehicle?.name, value: vehicle ? vehicle.vehicle.detection : 0 }
+  ].filter(factor => factor.value !== 0)
+
+  const searchChance = clamp(
+    factors.reduce((total, factor) => total + factor.value, 0),
+    MIN_SEARCH_CHANCE,
+    MAX_SEARCH_CHANCE
+  )
+  const bribeCost = Math.max(MIN_BRIBE, contraband.drugs * BRIBE_PER_DRUG + contraband.weapons * BRIBE_PER_WEAPON)
+
+  return {
+    searchChance,
+    factors,
+    contraband,
+    carryingContraband: contraband.drugs + contraband.weapons > 0,
+    bribeCost,
+    bribeChance: character.cash >= bribeCost
+      ? Math.min(MAX_BRIBE_CHANCE, BASE_BRIBE_CHANCE + modifiers.bribeChance)
+      : 0,
+    arrestChance: Math.min(
+      MAX_ARREST_CHANCE,
+      BASE_ARREST_CHANCE + contraband.drugs * ARREST_PER_DRUG + contraband.weapons * ARREST_PER_WEAPON
+    )
+  }
+}
+
+/**
+ * Removes all drugs and weapons. Returns the updated character and what was seized.
+ */
+export const confiscateContraband = (character) => {
+  const items = character.inventory?.items || []
+  const confiscated = items
+    .filter(item => CONTRABAND_TYPES.includes(item.type))
+    .map(item => ({ id: item.id, name: item.name, type: item.type, quantity: item.quantity }))
+
+  return {
+    character: {
+      ...character,
+      inventory: { ...character.inventory, items: items.filter(item => !CONTRABAND_TYPES.includes(item.type)) }
+    },
+    confiscated
+  }
+}
+
+/**
+ * Rolls the checkpoint for a character crossing the border (in a vehicle,
+ * or null on public transport).
+ * outcome is 'pass', 'bribe', 'confiscation' or 'arrest'. Arrests leave
+ * the contraband in place for the arrest itself to seize; heat changes are
+ * left to the caller (see CONFISCATION_HEAT and ARREST_HEAT).
+ */
+export const resolveCheckpoint = (character, { rng, vehicle = null }) => {
+  const risk = getCheckpointRisk(character, vehicle)
+  const searched = rng() < risk.searchChance
+  const checkpoint = { searched, outcome: 'pass', bribe: 0, confiscated: [] }
+
+  if (!searched || !risk.carryingContraband) {
+    return { character, checkpoint }
+  }
+
+  if (rng() < risk.bribeChance) {
+    return {
+      character: { ...character, cash: character.cash - risk.bribeCost },
+      checkpoint: { ...checkpoint, outcome: 'bribe', bribe: risk.bribeCost }
+    }
+  }
+
+  if (rng() < risk.arrestChance) {
+    return { character, checkpoint: { ...checkpoint, outcome: 'arrest' } }
+  }
+
+  const seized = confiscateContraband(character)
+
+  return {
+    character: seized.character,
+    checkpoint: { ...checkpoint, outcome: 'confiscation', confiscated: seized.confiscated }
+  }
+}
+
+/**
+ * One-line summary of a checkpoint for result messages
+ */
+export const describeCheckpoint = (checkpoint) => {
+  const seized = checkpoint.confiscated.map(item => `${item.quantity}x ${item.name}`).join(', ')
+
+  switch (checkpoint.outcome) {
+    case 'bribe':
+      return `🛂 Searched at the border. A $${checkpoint.bribe.toLocaleString()} bribe made the guard look the other way.`
+    case 'confiscation':
+      return `🛂 Searched at the border. Customs seized ${seized}.`
+    case 'arrest':
+      return '🛂 Searched at the border and arrested!'
+    default:
+      return checkpoint.searched
+        ? '🛂 Searched at the border and waved through.'
+        : '🛂 Waved through the border checkpoint.'
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * Carry rules
+ * Everything a character carries has weight (kg) and volume (litres), from
+ * the item catalog, and there is only so much one person can haul.
+ *
+ * - capacity starts at a base and grows with Strength (status effects
+ *   count); bags and other carry items add their own capacity, each item
+ *   once however many are carried
+ * - a vehicle adds its cargo space: the roomiest one parked in the
+ *   character's city while buying and holding goods, and on a trip only
+ *   the vehicle travelled in (none on public transport)
+ * - purchases that would go over capacity are refused
+ * - a character can still end up overloaded (loot, a steroid crash, a bag
+ *   dropped); travel then costs extra stamina, more the further over
+ */
+
+import { getEffectiveSkills } from './effects.js'
+
+const BASE_CARRY_WEIGHT = 20
+const BASE_CARRY_VOLUME = 30
+const CARRY_WEIGHT_PER_STRENGTH = 2
+const CARRY_VOLUME_PER_STRENGTH = 2
+
+// Extra travel stamina per 100% over capacity, and the most it can add
+const OVERLOAD_STAMINA_PER_EXCESS = 2
+const MAX_OVERLOAD_MULTIPLIER = 3
+
+const round = (value) => Math.round(value * 100) / 100
+
+const getCarried = (character) => character.inventory?.items || []
+
+/**
+ * Total weight and volume of a list of item stacks ({ id, quantity }),
+ * e.g. an inventory or a stash (items is the catalog item map)
+ */
+export const getItemsLoad = (entries, items) => {
+  return entries.reduce((load, entry) => {
+    const item = items[entry.id]
+    if (!item) return load
+
+    return {
+      weight: round(load.weight + item.weight * entry.quantity),
+      volume: round(load.volume + item.volume * entry.quantity)
+    }
+  }, { weight: 0, volume: 0 })
+}
+
+/**
+ * Total weight and volume of everything the character carries
+ */
+export const getLoad = (character, items) => getItemsLoad(getCarried(character), items)
+
+/**
+ * The vehicle with the most cargo space parked in the character's city
+ * (see vehicle rules), or null
+ */
+export const getRoomiestVehicle = (character, items) => {
+  return (character.vehicles || [])
+    .filter(vehicle => vehicle.city === character.location)
+    .map(vehicle => items[vehicle.id])
+    .filter(item => item?.vehicle)
+    .reduce((best, item) => (!best || item.vehicle.cargo.weight > best.vehicle.cargo.weight ? item : best), null)
+}
+
+/**
+ * How much weight and volume the character can carry. Pass { vehicle } (a
+ * catalog item, or null for none) to count a trip's vehicle; otherwise the
+ * roomiest vehicle parked in the character's city counts.
+ */
+export const getCapacity = (character, items, options = {}) => {
+  const strength = getEffectiveSkills(character).strength || 1
+  const vehicle = 'vehicle' in options ? options.vehicle : getRoomiestVehicle(character, items)
+  const bags = getCarried(character)
+    .map(entry => items[entry.id]?.carry)
+    .filter(Boolean)
+
+  return [...bags, ...(vehicle ? [vehicle.vehicle.cargo] : [])].reduce((capacity, carry) => ({
+    weight: capacity.weight + carry.weight,
+    volume: capacity.volume + carry.volume
+  }), {
+    weight: BASE_CARRY_WEIGHT + (strength - 1) * CARRY_WEIGHT_PER_STRENGTH,
+    volume: BASE_CARRY_VOLUME + (strength - 1) * CARRY_VOLUME_PER_STRENGTH
+  })
+}
+
+/**
+ * Load against capacity, with the share of capacity used on the fuller
+ * of the two measures (1 = exactly full)
+ */
+export const getLoadStatus = (character, items, options = {}) => {
+  const load = getLoad(character, items)
+  const capacity = getCapacity(character, items, options)
+  const used = Math.max(load.weight / capacity.weight, load.volume / capacity.volume)
+
+  return { load, capacity, used, overloaded: used > 1 }
+}
+
+/**
+ * Most units of an item the character can add without going over
+ * capacity. Carry items (bags) bring their own room, so they always fit.
+ */
+export const getRoomFor = (character, item, items) => {
+  if (item.carry) return Infinity
+
+  const { load, capacity } = getLoadStatus(character, items)
+  const byWeight = item.weight > 0 ? (capacity.weight - load.weight) / item.weight : Infinity
+  const byVolume = item.volume > 0 ? (capacity.volume - load.volume) / item.volume : Infinity
+
+  return Math.max(0, Math.floor(Math.min(byWeight, byVolume) + 1e-9))
+}
+
+/**
+ * Multiplier on travel stamina for carrying more than capacity on a trip
+ * in a vehicle (null for public transport)
+ */
+export const getOverloadMultiplier = (character, items, vehicle = null) => {
+  const { used } = getLoadStatus(character, items, { vehicle })
+  if (used <= 1) return 1
+
+  return Math.min(MAX_OVERLOAD_MULTIPLIER, 1 + (used - 1) * OVERLOAD_STAMINA_PER_EXCESS)
+}
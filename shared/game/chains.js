@@ -0,0 +1,170 @@
+/**
+ * Chain rules
+ * Mission chains are multi-step storylines authored in chains.json. A
+ * character's progress is kept on the character:
+ *
+ * - chains:     { [chainId]: { step, history, choices, startedAt, completedAt } }
+ *               step is the current step id (null once the chain is done)
+ * - storyFlags: flags set by steps, choices and finished chains; later steps
+ *               and chains can require them
+ *
+ * A chain is active once the character reaches its level and holds its
+ * required flags, and starts at its `start` step. Mission steps are listed
+ * on the mission board and resolved like any mission; choice steps move to
+ * the picked option's step; objective steps complete once their
+ * prerequisites are met. Finishing the last step pays out the chain.
+ */
+
+import { awardXp } from './progression.js'
+import { applyReputation } from './reputation.js'
+
+export const CHAIN_PREFIX = 'chain-'
+
+/**
+ * Mission board id for a chain's mission step
+ */
+export const getChainMissionId = (chain, step) => `${CHAIN_PREFIX}${chain.id}.${step.id}`
+
+/**
+ * Whether a mission id belongs to a chain step
+ */
+export const isChainMissionId = (missionId) => missionId.startsWith(CHAIN_PREFIX)
+
+/**
+ * Splits a chain mission id into { chainId, stepId }, or null for other ids
+ */
+export const parseChainMissionId = (missionId) => {
+  if (!isChainMissionId(missionId)) return null
+
+  const [chainId, stepId] = missionId.slice(CHAIN_PREFIX.length).split('.')
+  return chainId && stepId ? { chainId, stepId } : null
+}
+
+/**
+ * Whether the character holds every flag listed
+ */
+export const hasFlags = (character, flags = []) => {
+  const held = character.storyFlags || []
+  return flags.every(flag => held.includes(flag))
+}
+
+/**
+ * Character's progress through a chain, or null when not started
+ */
+export const getChainState = (character, chain) => character.chains?.[chain.id] || null
+
+/**
+ * Whether the chain is open to the character
+ */
+export const isChainUnlocked = (character, chain) => {
+  return character.level >= (chain.minLevel || 1) && hasFlags(character, chain.requiresFlags)
+}
+
+/**
+ * Whether the character has finished the chain
+ */
+export const isChainComplete = (character, chain) => Boolean(getChainState(character, chain)?.completedAt)
+
+/**
+ * Step the character is on, or null when the chain is locked or finished
+ */
+export const getCurrentStep = (character, chain) => {
+  const state = getChainState(character, chain)
+  if (state?.completedAt || !isChainUnlocked(character, chain)) return null
+
+  const stepId = state ? state.step : chain.start
+  return chain.steps.find(step => step.id === stepId) || null
+}
+
+/**
+ * Unmet prerequisites of a step as [{ kind: 'item', itemId, quantity } |
+ * { kind: 'flag', flag }]
+ */
+export const getMissingPrerequisites = (character, step) => {
+  const items = character.inventory?.items || []
+  const held = (itemId) => items.find(item => item.id === itemId)?.quantity || 0
+
+  const missingItems = Object.entries(step.requires?.items || {})
+    .filter(([itemId, quantity]) => held(itemId) < quantity)
+    .map(([itemId, quantity]) => ({ kind: 'item', itemId, quantity }))
+  const missingFlags = (step.requires?.flags || [])
+    .filter(flag => !hasFlags(character, [flag]))
+    .map(flag => ({ kind: 'flag', flag }))
+
+  return [...missingItems, ...missingFlags]
+}
+
+/**
+ * Human-readable prerequisite, using the catalog's item map for names
+ */
+export const describePrerequisite = (prerequisite, items) => {
+  if (prerequisite.kind === 'item') {
+    return `${prerequisite.quantity}x ${items[prerequisite.itemId]?.name || prerequisite.itemId}`
+  }
+  return `story progress: ${prerequisite.flag}`
+}
+
+/**
+ * Mission-shaped record for a chain's mission step, so it can be listed
+ * and resolved like any other mission
+ */
+export const toChainMission = (chain, step) => {
+  const { type, setFlags, next, requires, ...mission } = step
+
+  return {
+    ...mission,
+    id: getChainMissionId(chain, step),
+    chain: { id: chain.id, title: chain.title, icon: chain.icon, stepId: step.id }
+  }
+}
+
+/**
+ * Completes the current step (with the picked option for choices) and
+ * moves to the next one. Returns the updated character and whether the
+ * chain is now finished; the payout is applied separately.
+ */
+export const advanceChain = (character, chain, step, { option = null, now = Date.now() } = {}) => {
+  const state = getChainState(character, chain) || {
+    step: chain.start,
+    history: [],
+    choices: {},
+    startedAt: new Date(now).toISOString(),
+    completedAt: null
+  }
+  const next = option ? option.next : step.next
+  const finished = !next
+  const flags = [
+    ...(step.setFlags || []),
+    ...(option?.setFlags || []),
+    ...(finished ? chain.completionFlags || [] : [])
+  ]
+
+  return {
+    character: {
+      ...character,
+      storyFlags: [...new Set([...(character.storyFlags || []), ...flags])],
+      chains: {
+        ...character.chains,
+        [chain.id]: {
+          ...state,
+          step: next || null,
+          history: [...state.history, step.id],
+          choices: option ? { ...state.choices, [step.id]: option.id } : state.choices,
+          completedAt: finished ? new Date(now).toISOString() : null
+        }
+      }
+    },
+    finished
+  }
+}
+
+/**
+ * Pays out a finished chain. Returns the updated character and level-up.
+ */
+export const applyChainPayout = (character, chain) => {
+  const { payout } = chain
+  const award = awardXp(character, payout.xp)
+  const paid = applyReputation({ ...award.character, cash: award.character.cash + payout.cash }, payout.reputation || {})
+
+  return { character: paid, levelUp: award.levelUp }
+}
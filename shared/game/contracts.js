@@ -0,0 +1,136 @@
+/**
+ * Contract rules
+ * Alongside the hand-written story missions, every character gets a board
+ * of repeatable contracts generated from templates (delivery, collection,
+ * smuggling, hit, heist).
+ *
+ * - a board holds BOARD_SIZE contracts for one city and is replaced every
+ *   BOARD_REFRESH_MS, or as soon as the character is in another city
+ * - only templates the character's level allows, and that are offered in
+ *   the city, are drawn
+ * - skill requirements grow with level; cash and XP rewards grow with
+ *   level and the city's contractPay
+ * - a contract is gone once attempted, win or lose
+ * - story missions can be replayed once their cooldown (by difficulty)
+ *   has passed since the last completion
+ */
+
+import { MAX_SKILL_LEVEL } from './progression.js'
+
+export const BOARD_SIZE = 4
+export const BOARD_REFRESH_MS = 30 * 60 * 1000
+export const CONTRACT_PREFIX = 'contract-'
+
+const MINUTE_MS = 60 * 1000
+const LEVELS_PER_REQUIREMENT = 4
+
+const STORY_COOLDOWN_MS = {
+  Easy: 30 * MINUTE_MS,
+  Medium: 60 * MINUTE_MS,
+  Hard: 120 * MINUTE_MS
+}
+
+const pick = (list, rng) => list[Math.floor(rng() * list.length)]
+
+/**
+ * Whether a mission id belongs to a generated contract
+ */
+export const isContractId = (missionId) => missionId.startsWith(CONTRACT_PREFIX)
+
+/**
+ * Whether a template can be offered to a character of this level in a city
+ */
+export const isTemplateOffered = (template, level, cityName) => {
+  return level >= (template.minLevel || 1) &&
+    (!template.locations || template.locations.includes(cityName))
+}
+
+/**
+ * Builds one contract from a template. The result has the same shape as a
+ * story mission so it is listed and resolved the same way.
+ */
+export const generateContract = (template, { id, city, level, rng }) => {
+  const levelsAbove = level - 1
+  const requirementBonus = Math.floor(levelsAbove / LEVELS_PER_REQUIREMENT)
+  const pay = city.contractPay ?? 1
+
+  return {
+    id,
+    template: template.id,
+    contract: true,
+    title: pick(template.titles, rng),
+    description: pick(template.descriptions, rng),
+    difficulty: template.difficulty,
+    location: city.name,
+    requirements: Object.fromEntries(
+      Object.entries(template.requirements)
+        .map(([skill, required]) => [skill, Math.min(MAX_SKILL_LEVEL, required + requirementBonus)])
+    ),
+    ...(template.skillWeights && { skillWeights: template.skillWeights }),
+    rewards: {
+      cash: Math.round((template.rewards.cash + levelsAbove * template.rewardsPerLevel.cash) * pay),
+      xp: template.rewards.xp + levelsAbove * template.rewardsPerLevel.xp
+    },
+    failureConsequences: template.failureConsequences,
+    successRate: template.successRate,
+    ...(template.reputation && { reputation: template.reputation }),
+    ...(template.staminaCost !== undefined && { staminaCost: template.staminaCost }),
+    ...(template.durationMinutes && { durationMinutes: template.durationMinutes }),
+    ...(template.items && { items: template.items })
+  }
+}
+
+/**
+ * Generates a fresh board of contracts for a character in a city
+ */
+export const generateBoard = (templates, { city, level, rng, now = Date.now() }) => {
+  const offered = templates.filter(template => isTemplateOffered(template, level, city.name))
+  const boardKey = now.toString(36)
+
+  return {
+    city: city.name,
+    refreshedAt: new Date(now).toISOString(),
+    refreshAt: new Date(now + BOARD_REFRESH_MS).toISOString(),
+    contracts: offered.length === 0
+      ? []
+      : Array.from({ length: BOARD_SIZE }, (_, index) => generateContract(pick(offered, rng), {
+        id: `${CONTRACT_PREFIX}${boardKey}-${index + 1}`,
+        city,
+        level,
+        rng
+      }))
+  }
+}
+
+/**
+ * Whether a board should be replaced for a character now in cityName
+ */
+export const isBoardStale = (board, cityName, now = Date.now()) => {
+  return !board || board.city !== cityName || Date.parse(board.refreshAt) <= now
+}
+
+/**
+ * Cooldown after completing a story mission
+ */
+export const getStoryCooldownMs = (mission) => STORY_COOLDOWN_MS[mission.difficulty] || 0
+
+/**
+ * Milliseconds until a story mission can be attempted again (0 when ready)
+ */
+export const getCooldownRemaining = (character, missionId, now = Date.now()) => {
+  const availableAt = character.missionCooldowns?.[missionId]
+  return availableAt ? Math.max(0, Date.parse(availableAt) - now) : 0
+}
+
+/**
+ * Starts a story mission's cooldown after it was completed
+ */
+export const startCooldown = (character, mission, now = Date.now()) => {
+  return {
+    ...character,
+    missionCooldowns: {
+      ...character.missionCooldowns,
+      [mission.id]: new Date(now + getStoryCooldownMs(mission)).toISOString()
+    }
+  }
+}
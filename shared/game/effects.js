@@ -0,0 +1,150 @@
+/**
+ * Status effect rules
+ * Temporary buffs and debuffs from consumables, timed in real time so they
+ * run out while the player is offline too.
+ *
+ * - an effect raises or lowers skills (effective skills never drop below 1)
+ *   and adds to the skill modifiers while it lasts
+ * - stacking decides what applying an effect that is already active does:
+ *   refresh restarts its timer, extend adds its duration to the time left,
+ *   stack adds a stack (up to maxStacks, each stack counting in full) and
+ *   restarts the timer
+ * - when an effect runs out its side effects land: health lost (never
+ *   below 1) and a follow-up effect that starts at the moment of expiry,
+ *   e.g. the crash after a steroid rush
+ *
+ * Active effects are kept on the character as
+ * effects: [{ id, stacks, expiresAt }].
+ */
+
+export const STATUS_EFFECTS = [
+  {
+    id: 'steroid-rush',
+    name: 'Steroid Rush',
+    icon: '💉',
+    kind: 'buff',
+    description: '+3 Strength and 10% less damage taken. Crashes hard when it wears off.',
+    durationMinutes: 30,
+    stacking: 'refresh',
+    skills: { strength: 3 },
+    modifiers: { damageTaken: -0.1 },
+    onExpire: { health: -25, effect: 'steroid-crash' }
+  },
+  {
+    id: 'steroid-crash',
+    name: 'Steroid Crash',
+    icon: '🤕',
+    kind: 'debuff',
+    description: '-2 Strength, -1 Endurance and slower stamina recovery.',
+    durationMinutes: 20,
+    stacking: 'extend',
+    skills: { strength: -2, endurance: -1 },
+    modifiers: { staminaRegen: -1 }
+  },
+  {
+    id: 'wired',
+    name: 'Wired',
+    icon: '⚡',
+    kind: 'buff',
+    description: '+1 stamina recovered per minute per stack.',
+    durationMinutes: 10,
+    stacking: 'stack',
+    maxStacks: 3,
+    modifiers: { staminaRegen: 1 }
+  }
+]
+
+const MINUTE_MS = 60 * 1000
+
+export const getStatusEffect = (effectId) => STATUS_EFFECTS.find(effect => effect.id === effectId) || null
+
+/**
+ * Effects still running at a moment, each with its definition
+ */
+export const getActiveEffects = (character, now = Date.now()) => {
+  return (character.effects || [])
+    .filter(entry => Date.parse(entry.expiresAt) > now)
+    .map(entry => ({ ...entry, effect: getStatusEffect(entry.id), remaining: Date.parse(entry.expiresAt) - now }))
+    .filter(entry => entry.effect)
+}
+
+/**
+ * Applies an effect starting at a moment, following its stacking rule
+ */
+export const applyEffect = (character, effectId, now = Date.now()) => {
+  const effect = getStatusEffect(effectId)
+  const duration = effect.durationMinutes * MINUTE_MS
+  const effects = character.effects || []
+  const current = effects.find(entry => entry.id === effectId && Date.parse(entry.expiresAt) > now)
+
+  let entry = { id: effectId, stacks: 1, expiresAt: new Date(now + duration).toISOString() }
+  if (current && effect.stacking === 'extend') {
+    entry = { ...current, expiresAt: new Date(Date.parse(current.expiresAt) + duration).toISOString() }
+  }
+  if (current && effect.stacking === 'stack') {
+    entry = { ...entry, stacks: Math.min(effect.maxStacks || 1, current.stacks + 1) }
+  }
+
+  return {
+    ...character,
+    effects: [...effects.filter(other => other.id !== effectId), entry]
+  }
+}
+
+/**
+ * Runs out every effect that has expired by now, oldest first, applying
+ * side effects as they land. A follow-up effect starts when its parent
+ * expires, so it may itself have run out already.
+ */
+export const resolveEffects = (character, now = Date.now()) => {
+  let updated = character
+
+  for (;;) {
+    const expired = (updated.effects || [])
+      .filter(entry => Date.parse(entry.expiresAt) <= now)
+      .sort((a, b) => a.expiresAt.localeCompare(b.expiresAt))[0]
+    if (!expired) return updated
+
+    const expiredAt = Date.parse(expired.expiresAt)
+    const onExpire = getStatusEffect(expired.id)?.onExpire || {}
+    updated = { ...updated, effects: updated.effects.filter(entry => entry !== expired) }
+
+    if (onExpire.health) {
+      updated.health = Math.max(1, Math.min(updated.maxHealth, updated.health + onExpire.health))
+    }
+    if (onExpire.effect) {
+      updated = applyEffect(updated, onExpire.effect, expiredAt)
+    }
+  }
+}
+
+/**
+ * Skills with every active effect applied
+ */
+export const getEffectiveSkills = (character, now = Date.now()) => {
+  const changes = {}
+  getActiveEffects(character, now).forEach(({ effect, stacks }) => {
+    Object.entries(effect.skills || {}).forEach(([skill, change]) => {
+      changes[skill] = (changes[skill] || 0) + change * stacks
+    })
+  })
+
+  const skills = { ...character.skills }
+  Object.entries(changes).forEach(([skill, change]) => {
+    skills[skill] = Math.max(1, (skills[skill] || 1) + change)
+  })
+  return skills
+}
+
+/**
+ * Modifier deltas from active effects, summed by key
+ */
+export const getEffectModifiers = (character, now = Date.now()) => {
+  const totals = {}
+  getActiveEffects(character, now).forEach(({ effect, stacks }) => {
+    Object.entries(effect.modifiers || {}).forEach(([key, value]) => {
+      totals[key] = (totals[key] || 0) + value * stacks
+    })
+  })
+  return totals
+}
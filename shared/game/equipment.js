@@ -0,0 +1,117 @@
+/**
+ * Equipment rules
+ * Weapons and armor a character carries can be equipped into a loadout:
+ * one item each in the primary, sidearm, melee and armor slots. Gear
+ * stats come from the item catalog (`gear`).
+ *
+ * - firepower of a weapon is its damage times its accuracy; the primary
+ *   counts in full and the sidearm as backup at half
+ * - missions that weigh Shooting get a bonus from gun firepower, and
+ *   missions that weigh Strength one from the melee weapon, by each
+ *   skill's share of the mission's weights (capped)
+ * - armor cuts the health lost to a failed mission by its armor value
+ * - firepower helps fight clear of a police encounter (evade chance)
+ * - equipped items stay in the inventory; a slot empties when its item is
+ *   no longer carried (dropped, sold, seized)
+ *
+ * The loadout is kept on the character as
+ * equipment: { primary, sidearm, melee, armor } (item ids or null).
+ */
+
+import { GEAR_SLOTS } from '../content/schema.js'
+
+const SIDEARM_SHARE = 0.5
+const MISSION_BONUS_PER_FIREPOWER = 0.005
+const MAX_MISSION_BONUS = 0.15
+const EVADE_PER_FIREPOWER = 0.003
+const MAX_EVADE_BONUS = 0.15
+
+export const EMPTY_LOADOUT = Object.freeze(Object.fromEntries(GEAR_SLOTS.map(slot => [slot, null])))
+
+const isCarried = (character, itemId) => {
+  return (character.inventory?.items || []).some(item => item.id === itemId && item.quantity > 0)
+}
+
+const getFirepower = (item) => (item ? item.gear.damage * item.gear.accuracy : 0)
+
+/**
+ * Catalog items in each slot of the character's loadout (null when empty)
+ */
+export const getEquipped = (character, items) => {
+  return Object.fromEntries(GEAR_SLOTS.map(slot => {
+    const itemId = character.equipment?.[slot]
+    const item = itemId && isCarried(character, itemId) ? items[itemId] : null
+    return [slot, item?.gear?.slot === slot ? item : null]
+  }))
+}
+
+/**
+ * Combat numbers of the loadout: gun and melee firepower and armor value
+ */
+export const getLoadoutStats = (character, items) => {
+  const equipped = getEquipped(character, items)
+
+  return {
+    gunPower: getFirepower(equipped.primary) + getFirepower(equipped.sidearm) * SIDEARM_SHARE,
+    meleePower: getFirepower(equipped.melee),
+    armor: equipped.armor?.gear.armor || 0
+  }
+}
+
+/**
+ * Odds bonus the loadout gives a mission with the given skill weights
+ */
+export const getGearMissionBonus = (character, weights, items) => {
+  const totalWeight = Object.values(weights).reduce((total, weight) => total + weight, 0)
+  if (totalWeight === 0) return 0
+
+  const { gunPower, meleePower } = getLoadoutStats(character, items)
+  const power = gunPower * (weights.shooting || 0) / totalWeight + meleePower * (weights.strength || 0) / totalWeight
+
+  return Math.min(MAX_MISSION_BONUS, power * MISSION_BONUS_PER_FIREPOWER)
+}
+
+/**
+ * Multiplier armor applies to health lost on a failed mission
+ */
+export const getArmorMultiplier = (character, items) => {
+  return 1 - getLoadoutStats(character, items).armor / 100
+}
+
+/**
+ * Chance firepower adds to evading the police
+ */
+export const getGearEvadeBonus = (character, items) => {
+  const { gunPower, meleePower } = getLoadoutStats(character, items)
+  return Math.min(MAX_EVADE_BONUS, (gunPower + meleePower) * EVADE_PER_FIREPOWER)
+}
+
+/**
+ * Puts a carried item into its slot, replacing whatever was there
+ */
+export const equipItem = (character, item) => ({
+  ...character,
+  equipment: { ...EMPTY_LOADOUT, ...character.equipment, [item.gear.slot]: item.id }
+})
+
+/**
+ * Empties the slot holding an item
+ */
+export const unequipItem = (character, itemId) => ({
+  ...character,
+  equipment: Object.fromEntries(GEAR_SLOTS.map(slot => {
+    const equipped = character.equipment?.[slot] ?? null
+    return [slot, equipped === itemId ? null : equipped]
+  }))
+})
+
+/**
+ * Empties slots whose item is no longer carried
+ */
+export const unequipMissing = (character) => {
+  const stale = GEAR_SLOTS
+    .map(slot => character.equipment?.[slot])
+    .filter(itemId => itemId && !isCarried(character, itemId))
+
+  return stale.reduce(unequipItem, character)
+}
@@ -0,0 +1,171 @@
+/**
+ * Heat rules
+ * Heat (0-100) is how much attention law enforcement is paying to a
+ * character. Missions, large drug trades and border crossings raise it, and
+ * it cools off in real time, including while the player is offline.
+ *
+ * Every 20 heat is one wanted star (0-5). Stars:
+ * - lower mission success chances
+ * - make contacts refuse to deal once past their tolerance
+ * - give missions and drug deals a chance of a police encounter, which
+ *   the character either evades or is busted in (and arrested, see jail
+ *   rules)
+ */
+
+import { getGearEvadeBonus } from './equipment.js'
+import { getCharacterModifiers } from './skills.js'
+
+export const MAX_HEAT = 100
+export const MAX_WANTED_LEVEL = 5
+export const HEAT_DECAY_TICK_MS = 60 * 1000
+
+const HEAT_PER_STAR = MAX_HEAT / MAX_WANTED_LEVEL
+const HEAT_DECAY_PER_TICK = 1
+
+const MISSION_HEAT = { Easy: 4, Medium: 8, Hard: 15 }
+const FAILED_MISSION_HEAT_FACTOR = 1.5
+const DRUG_TRADE_HEAT_PER = 1000 // One heat per $1,000 of drugs changing hands
+const MAX_TRADE_HEAT = 15
+const BORDER_CROSSING_HEAT = 10
+
+const SUCCESS_PENALTY_PER_STAR = 0.05
+const DEFAULT_NPC_TOLERANCE = 3
+
+const ENCOUNTER_CHANCE_PER_STAR = 0.07
+const BASE_EVADE_CHANCE = 0.35
+const MAX_EVADE_CHANCE = 0.85
+const EVADE_STAMINA_COST = 10
+const EVADE_HEAT = 5
+
+const clampHeat = (heat) => Math.min(MAX_HEAT, Math.max(0, heat))
+
+/**
+ * Wanted stars (0-5) for a heat value
+ */
+export const getWantedLevel = (heat = 0) => {
+  return Math.min(MAX_WANTED_LEVEL, Math.floor(heat / HEAT_PER_STAR))
+}
+
+/**
+ * Timestamp (ms) the heat decay clock started from
+ */
+const getHeatClock = (character) => {
+  return Date.parse(character.heatUpdatedAt || character.updatedAt || 0)
+}
+
+/**
+ * Applies the heat decay earned since heatUpdatedAt
+ */
+export const applyHeatDecay = (character, now = Date.now()) => {
+  const heat = character.heat || 0
+  if (heat <= 0) {
+    return { ...character, heat: 0, heatUpdatedAt: new Date(now).toISOString() }
+  }
+
+  const clock = getHeatClock(character)
+  const ticks = Math.floor((now - clock) / HEAT_DECAY_TICK_MS)
+  if (ticks <= 0) return character
+
+  const cooled = Math.max(0, heat - ticks * HEAT_DECAY_PER_TICK)
+
+  return {
+    ...character,
+    heat: cooled,
+    heatUpdatedAt: cooled === 0
+      ? new Date(now).toISOString()
+      : new Date(clock + ticks * HEAT_DECAY_TICK_MS).toISOString()
+  }
+}
+
+/**
+ * Adds (or removes, when negative) heat
+ */
+export const addHeat = (character, amount) => {
+  return { ...character, heat: clampHeat((character.heat || 0) + amount) }
+}
+
+/**
+ * Heat drawn by a mission attempt; failures attract more attention
+ */
+export const getMissionHeat = (mission, success) => {
+  const heat = MISSION_HEAT[mission.difficulty] || 0
+  return success ? heat : Math.round(heat * FAILED_MISSION_HEAT_FACTOR)
+}
+
+/**
+ * Heat drawn by a trade: only drug deals worth $1,000 or more are noticed
+ */
+export const getTradeHeat = (item, total) => {
+  if (item.type !== 'drug') return 0
+  return Math.min(MAX_TRADE_HEAT, Math.floor(total / DRUG_TRADE_HEAT_PER))
+}
+
+/**
+ * Heat drawn by a trip: crossing between the USA and Mexico is watched
+ */
+export const getTravelHeat = (fromCity, toCity) => {
+  return fromCity && fromCity.region !== toCity.region ? BORDER_CROSSING_HEAT : 0
+}
+
+/**
+ * Multiplier applied to mission success chances at the character's heat
+ */
+export const getHeatSuccessMultiplier = (character) => {
+  return 1 - getWantedLevel(character.heat) * SUCCESS_PENALTY_PER_STAR
+}
+
+/**
+ * Most wanted stars a contact will still deal with
+ */
+export const getNpcHeatTolerance = (npc) => npc.maxWantedLevel ?? DEFAULT_NPC_TOLERANCE
+
+/**
+ * Whether a contact will deal with the character at their current heat
+ */
+export const npcWillDeal = (npc, character) => {
+  return getWantedLevel(character.heat) <= getNpcHeatTolerance(npc)
+}
+
+/**
+ * Chance of evading the police, from Strength, Endurance, perks and the
+ * firepower of the equipped loadout (items is the catalog item map)
+ */
+export const getEvadeChance = (character, items = {}) => {
+  const bonus = getCharacterModifiers(character).evadeChance + getGearEvadeBonus(character, items)
+  return Math.min(MAX_EVADE_CHANCE, BASE_EVADE_CHANCE + bonus)
+}
+
+/**
+ * Rolls for a police encounter after an action that raised heat.
+ * Returns the updated character and the encounter, or a null encounter
+ * when the police didn't show up. A 'busted' character is returned
+ * unchanged for the caller to arrest.
+ */
+export const rollPoliceEncounter = (character, { rng, items = {} }) => {
+  const stars = getWantedLevel(character.heat)
+  if (stars === 0 || rng() >= stars * ENCOUNTER_CHANCE_PER_STAR) {
+    return { character, encounter: null }
+  }
+
+  if (rng() < getEvadeChance(character, items)) {
+    const staminaLost = Math.min(character.stamina, EVADE_STAMINA_COST)
+
+    return {
+      character: addHeat({ ...character, stamina: character.stamina - staminaLost }, EVADE_HEAT),
+      encounter: { outcome: 'evaded', stars, staminaLost }
+    }
+  }
+
+  return { character, encounter: { outcome: 'busted', stars, staminaLost: 0 } }
+}
+
+/**
+ * One-line summary of a police encounter for result messages
+ */
+export const describeEncounter = (encounter) => {
+  if (encounter.outcome === 'evaded') {
+    return `🚨 The police spotted you, but you got away (-${encounter.staminaLost} stamina).`
+  }
+
+  return '🚨 Busted by the police!'
+}
@@ -0,0 +1,129 @@
+/**
+ * Hospital rules
+ * A character whose health reaches 0 is downed and admitted to the hospital
+ * in their current city.
+ *
+ * - admission charges a medical bill (a share of cash, with a minimum)
+ * - there is a chance the character loses part of every drug stack carried
+ * - missions, travel, trading and the inventory are locked until the
+ *   recovery period ends
+ * - the player can pay to be released early; the price shrinks as the
+ *   remaining recovery time does
+ * - on release health is restored to at least half of max health
+ */
+
+export const RECOVERY_MS = 10 * 60 * 1000
+
+const BILL_SHARE = 0.1
+const MIN_BILL = 100
+const DRUG_LOSS_CHANCE = 0.5
+const DRUG_LOSS_SHARE = 0.5
+const RELEASE_HEALTH_SHARE = 0.5
+const EARLY_RELEASE_PER_MINUTE = 25
+const MIN_EARLY_RELEASE = 100
+
+/**
+ * Whether the character is still recovering
+ */
+export const isHospitalized = (character, now = Date.now()) => {
+  return Boolean(character.hospital) && Date.parse(character.hospital.releaseAt) > now
+}
+
+/**
+ * Milliseconds of recovery left (0 when not hospitalized)
+ */
+export const getRecoveryRemaining = (character, now = Date.now()) => {
+  if (!character.hospital) return 0
+  return Math.max(0, Date.parse(character.hospital.releaseAt) - now)
+}
+
+/**
+ * Price to check out before the recovery period ends
+ */
+export const getEarlyReleaseCost = (character, now = Date.now()) => {
+  const minutesLeft = Math.ceil(getRecoveryRemaining(character, now) / 60000)
+  return Math.max(MIN_EARLY_RELEASE, minutesLeft * EARLY_RELEASE_PER_MINUTE)
+}
+
+/**
+ * Medical bill charged on admission, capped at the cash on hand
+ */
+export const getMedicalBill = (character) => {
+  return Math.min(character.cash, Math.max(MIN_BILL, Math.round(character.cash * BILL_SHARE)))
+}
+
+/**
+ * Rolls for lost drugs. Returns the updated items and what was lost.
+ */
+const loseDrugs = (items, rng) => {
+  if (rng() >= DRUG_LOSS_CHANCE) {
+    return { items, lost: [] }
+  }
+
+  const lost = []
+  const remaining = items
+    .map(item => {
+      if (item.type !== 'drug') return item
+
+      const quantity = Math.ceil(item.quantity * DRUG_LOSS_SHARE)
+      lost.push({ id: item.id, name: item.name, quantity })
+      return { ...item, quantity: item.quantity - quantity }
+    })
+    .filter(item => item.quantity > 0)
+
+  return { items: remaining, lost }
+}
+
+/**
+ * Admits a downed character (health 0) to hospital.
+ * Returns the updated character and the admission record, or a null
+ * admission when the character is still standing.
+ */
+export const admitToHospital = (character, { rng, now = Date.now() }) => {
+  if (character.health > 0 || isHospitalized(character, now)) {
+    return { character, admission: null }
+  }
+
+  const bill = getMedicalBill(character)
+  const { items, lost } = loseDrugs(character.inventory?.items || [], rng)
+
+  const admission = {
+    city: character.location,
+    admittedAt: new Date(now).toISOString(),
+    releaseAt: new Date(now + RECOVERY_MS).toISOString(),
+    bill,
+    drugsLost: lost
+  }
+
+  return {
+    character: {
+      ...character,
+      health: 0,
+      cash: character.cash - bill,
+      inventory: { ...character.inventory, items },
+      hospital: admission
+    },
+    admission
+  }
+}
+
+/**
+ * Checks a character out of hospital with recovered health
+ */
+export const releaseFromHospital = (character) => {
+  return {
+    ...character,
+    hospital: null,
+    health: Math.max(character.health, Math.ceil(character.maxHealth * RELEASE_HEALTH_SHARE))
+  }
+}
+
+/**
+ * Releases the character once the recovery period has passed
+ */
+export const dischargeIfRecovered = (character, now = Date.now()) => {
+  if (character.hospital && !isHospitalized(character, now)) {
+    return releaseFromHospital(character)
+  }
+  return character
+}
@@ -0,0 +1,196 @@
+/**
+ * Jail rules
+ * Police busts, failed missions and border checkpoints can arrest a
+ * character. An arrest seizes all drugs and weapons and jails the character
+ * in their current city.
+ *
+ * - the sentence grows with wanted stars and the contraband seized
+ * - bail is set from heat and cash on hand; paying it releases immediately
+ * - doing time (keeping your head down) costs stamina, shortens the
+ *   sentence and cools heat
+ * - a jailbreak is a risky mission: success frees the character but sends
+ *   heat soaring, failure adds time and hurts
+ * - serving the full sentence releases the character with heat halved
+ * - missions, travel, trading and the inventory are locked while jailed
+ */
+
+import { confiscateContraband } from './border.js'
+import { getEffectiveSkills } from './effects.js'
+import { addHeat, getWantedLevel } from './heat.js'
+
+const MINUTE_MS = 60 * 1000
+
+const BASE_SENTENCE_MS = 10 * MINUTE_MS
+const SENTENCE_PER_STAR_MS = 3 * MINUTE_MS
+const SENTENCE_PER_10_DRUGS_MS = MINUTE_MS
+const SENTENCE_PER_WEAPON_MS = MINUTE_MS
+const MAX_SENTENCE_MS = 60 * MINUTE_MS
+
+const BASE_BAIL = 500
+const BAIL_PER_HEAT = 40
+const BAIL_CASH_SHARE = 0.1
+
+const SERVED_HEAT_SHARE = 0.5
+
+export const DO_TIME_STAMINA = 20
+const DO_TIME_CUT_MS = 3 * MINUTE_MS
+const DO_TIME_HEAT_RELIEF = 10
+
+export const JAILBREAK_STAMINA = 30
+const BASE_JAILBREAK_CHANCE = 0.15
+const JAILBREAK_CHANCE_PER_SKILL = 0.03
+const MAX_JAILBREAK_CHANCE = 0.6
+const JAILBREAK_HEAT = 30
+const JAILBREAK_PENALTY_MS = 10 * MINUTE_MS
+const JAILBREAK_INJURY = 20
+
+const MISSION_ARREST_CHANCE = { Easy: 0.05, Medium: 0.1, Hard: 0.15 }
+const MISSION_ARREST_PER_STAR = 0.05
+
+/**
+ * Whether the character is still locked up
+ */
+export const isJailed = (character, now = Date.now()) => {
+  return Boolean(character.jail) && Date.parse(character.jail.releaseAt) > now
+}
+
+/**
+ * Milliseconds of the sentence left (0 when not jailed)
+ */
+export const getSentenceRemaining = (character, now = Date.now()) => {
+  if (!character.jail) return 0
+  return Math.max(0, Date.parse(character.jail.releaseAt) - now)
+}
+
+/**
+ * Bail for a character, from heat and cash on hand
+ */
+export const getBail = (character) => {
+  return Math.round(BASE_BAIL + (character.heat || 0) * BAIL_PER_HEAT + character.cash * BAIL_CASH_SHARE)
+}
+
+/**
+ * Sentence length for an arrest
+ */
+const getSentenceMs = (character, confiscated) => {
+  const drugs = confiscated
+    .filter(item => item.type === 'drug')
+    .reduce((total, item) => total + item.quantity, 0)
+  const weapons = confiscated
+    .filter(item => item.type === 'weapon')
+    .reduce((total, item) => total + item.quantity, 0)
+
+  const sentence = BASE_SENTENCE_MS +
+    getWantedLevel(character.heat) * SENTENCE_PER_STAR_MS +
+    Math.floor(drugs / 10) * SENTENCE_PER_10_DRUGS_MS +
+    weapons * SENTENCE_PER_WEAPON_MS
+
+  return Math.min(MAX_SENTENCE_MS, sentence)
+}
+
+/**
+ * Chance a failed mission ends in arrest
+ */
+export const getMissionArrestChance = (character, mission) => {
+  return (MISSION_ARREST_CHANCE[mission.difficulty] || 0) +
+    getWantedLevel(character.heat) * MISSION_ARREST_PER_STAR
+}
+
+/**
+ * Arrests a character: seizes contraband and starts the sentence.
+ * Returns the updated character and the arrest record.
+ */
+export const arrestCharacter = (character, { reason, now = Date.now() }) => {
+  const { character: searched, confiscated } = confiscateContraband(character)
+  const sentenceMs = getSentenceMs(character, confiscated)
+
+  const arrest = {
+    city: character.location,
+    reason,
+    arrestedAt: new Date(now).toISOString(),
+    releaseAt: new Date(now + sentenceMs).toISOString(),
+    bail: getBail(character),
+    confiscated
+  }
+
+  return {
+    character: { ...searched, jail: arrest },
+    arrest
+  }
+}
+
+/**
+ * One-line summary of an arrest for result messages
+ */
+export const describeArrest = (arrest) => {
+  const minutes = Math.round((Date.parse(arrest.releaseAt) - Date.parse(arrest.arrestedAt)) / MINUTE_MS)
+  const seized = arrest.confiscated.length > 0
+    ? ` Seized: ${arrest.confiscated.map(item => `${item.quantity}x ${item.name}`).join(', ')}.`
+    : ''
+
+  return `🚔 Arrested in ${arrest.city}. Sentence: ${minutes} min, bail set at $${arrest.bail.toLocaleString()}.${seized}`
+}
+
+/**
+ * Lets the character out of jail
+ */
+export const releaseFromJail = (character) => {
+  return { ...character, jail: null }
+}
+
+/**
+ * Releases the character once the sentence is served; a full sentence
+ * takes the edge off their heat
+ */
+export const releaseIfServed = (character, now = Date.now()) => {
+  if (character.jail && !isJailed(character, now)) {
+    return releaseFromJail({ ...character, heat: Math.floor((character.heat || 0) * SERVED_HEAT_SHARE) })
+  }
+  return character
+}
+
+/**
+ * Keeps your head down for a while: shorter sentence, less heat
+ */
+export const doTime = (character, now = Date.now()) => {
+  const releaseAt = Math.max(now, Date.parse(character.jail.releaseAt) - DO_TIME_CUT_MS)
+
+  return addHeat({
+    ...character,
+    stamina: character.stamina - DO_TIME_STAMINA,
+    jail: { ...character.jail, releaseAt: new Date(releaseAt).toISOString() }
+  }, -DO_TIME_HEAT_RELIEF)
+}
+
+/**
+ * Chance a jailbreak succeeds, from Strength and Intelligence (with
+ * status effects)
+ */
+export const getJailbreakChance = (character) => {
+  const { strength = 1, intelligence = 1 } = getEffectiveSkills(character)
+  const bonus = (strength - 1 + intelligence - 1) * JAILBREAK_CHANCE_PER_SKILL
+  return Math.min(MAX_JAILBREAK_CHANCE, BASE_JAILBREAK_CHANCE + bonus)
+}
+
+/**
+ * Attempts to break out. Returns the updated character and whether it worked.
+ */
+export const attemptJailbreak = (character, { rng }) => {
+  const tired = { ...character, stamina: character.stamina - JAILBREAK_STAMINA }
+
+  if (rng() < getJailbreakChance(character)) {
+    return { character: addHeat(releaseFromJail(tired), JAILBREAK_HEAT), escaped: true }
+  }
+
+  const releaseAt = Date.parse(character.jail.releaseAt) + JAILBREAK_PENALTY_MS
+
+  return {
+    character: {
+      ...tired,
+      // Guards rough you up but you are never left for dead
+      health: Math.max(1, tired.health - JAILBREAK_INJURY),
+      jail: { ...character.jail, releaseAt: new Date(releaseAt).toISOString() }
+    },
+    escaped: false
+  }
+}
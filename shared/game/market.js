@@ -0,0 +1,114 @@
+/**
+ * Market rules
+ * Every city keeps one market price per item, simulated by the market
+ * service (drift, supply and demand, history). These helpers turn a market
+ * price into NPC quotes, deal prices and trend indicators.
+ *
+ * NPC multipliers are from the NPC's point of view:
+ * - sellsPriceMultiplier: the NPC sells to the player (player buys)
+ * - buysPriceMultiplier:  the NPC buys from the player (player sells)
+ * - buys[itemType]:       the NPC buys an item it does not stock, at a
+ *                         lower share of the market price
+ *
+ * An NPC only sells what it stocks, but buys anything it stocks or any
+ * item in a category listed in `buys`. Standing with the NPC's faction
+ * shifts both prices (see reputation rules), and so do the character's
+ * Intelligence and perks (see skill modifiers). Together they improve a
+ * price by at most MAX_PRICE_EDGE. An NPC never pays more for an item than
+ * it charges for it, so no shift turns buying and selling straight back
+ * into a profit.
+ *
+ * Every trade moves the market price by its own size (buying raises it,
+ * selling lowers it). A deal is quoted on the average of the price before
+ * and after that move, so a big order pays for the move it causes and
+ * can't be sold straight back at the inflated price for a profit.
+ */
+
+import { getReputationPriceFactors } from './reputation.js'
+import { getCharacterModifiers } from './skills.js'
+
+export const MARKET_TICK_MS = 5 * 60 * 1000
+export const PRICE_HISTORY_LENGTH = 24
+export const TRADE_IMPACT_PER_UNIT = 0.01
+// Most that standing, Intelligence and perks together improve a price
+export const MAX_PRICE_EDGE = 0.25
+
+// Relative change over the trend window that counts as moving
+const TREND_THRESHOLD = 0.02
+const TREND_WINDOW = 6
+
+const toUnitPrice = (marketPrice, multiplier) => Math.max(1, Math.round(marketPrice * multiplier))
+
+/**
+ * Whether the NPC keeps the item in stock
+ */
+export const npcStocksItem = (npc, item) => npc.inventory.includes(item.id)
+
+/**
+ * Share of the market price the NPC pays for an item, or null when the NPC
+ * won't buy it
+ */
+export const getNpcBuyMultiplier = (npc, item) => {
+  if (npcStocksItem(npc, item)) return npc.buysPriceMultiplier
+  return npc.buys?.[item.type] ?? null
+}
+
+/**
+ * Unit prices an NPC quotes for an item at the given market price, for a
+ * character with the given standing with the NPC's faction, skills and perks.
+ * buy is null when the NPC doesn't stock the item; sell is null when the
+ * NPC won't take it. The character's edge is capped and sell never
+ * exceeds buy.
+ */
+export const getNpcQuote = (npc, item, marketPrice, standing = 0, character = {}) => {
+  const buyMultiplier = getNpcBuyMultiplier(npc, item)
+  const factors = getReputationPriceFactors(standing)
+  const modifiers = getCharacterModifiers(character)
+  const drugSellPrice = item.type === 'drug' ? modifiers.drugSellPrice : 1
+  const buyFactor = Math.max(1 - MAX_PRICE_EDGE, factors.buy * modifiers.buyPrice)
+  const sellFactor = Math.min(1 + MAX_PRICE_EDGE, factors.sell * modifiers.sellPrice * drugSellPrice)
+
+  const buy = npcStocksItem(npc, item)
+    ? toUnitPrice(marketPrice, npc.sellsPriceMultiplier * buyFactor)
+    : null
+  const sell = buyMultiplier === null
+    ? null
+    : toUnitPrice(marketPrice, buyMultiplier * sellFactor)
+
+  return { buy, sell: buy === null || sell === null ? sell : Math.min(sell, buy) }
+}
+
+/**
+ * Relative change a trade makes to the market price: positive when the
+ * player buys, negative when they sell
+ */
+export const getTradeImpact = (type, quantity) => {
+  return quantity * TRADE_IMPACT_PER_UNIT * (type === 'buy' ? 1 : -1)
+}
+
+/**
+ * Unit price of a deal of a quantity with an NPC ({ type, quantity,
+ * standing, character }): the NPC's quote on the average of the market
+ * price before and after the trade's own impact. null when the NPC won't
+ * make the deal.
+ */
+export const getDealPrice = (npc, item, marketPrice, { type, quantity, standing = 0, character = {} }) => {
+  const settledPrice = marketPrice * (1 + getTradeImpact(type, quantity) / 2)
+  return getNpcQuote(npc, item, settledPrice, standing, character)[type]
+}
+
+/**
+ * Direction of the recent price movement: 'up', 'down' or 'flat'
+ */
+export const getTrend = (history) => {
+  if (!history || history.length < 2) return 'flat'
+
+  const recent = history.slice(-TREND_WINDOW)
+  const first = recent[0]
+  const last = recent[recent.length - 1]
+  const change = (last - first) / first
+
+  if (change > TREND_THRESHOLD) return 'up'
+  if (change < -TREND_THRESHOLD) return 'down'
+  return 'flat'
+}
@@ -0,0 +1,192 @@
+/**
+ * Mission rules
+ * How the odds of a mission are worked out and what an attempt costs.
+ *
+ * - odds start at the mission's success rate and are weighed skill by
+ *   skill: each skill's level (status effects included) against its
+ *   requirement, counting up to 2x, moves the odds by its share of the
+ *   mission's skill weights, so a surplus in a skill the mission barely
+ *   uses can't carry it
+ * - perks that boost a weighted skill, the equipped loadout (see equipment
+ *   rules) and each optional item brought along add their bonus, wanted
+ *   stars cut the odds, and the result is kept between 10% and 95%
+ * - every attempt costs stamina up front (staminaCost, or a default by
+ *   difficulty)
+ * - missions with a duration keep the character busy until they finish:
+ *   no other missions, trades or travel in the meantime
+ * - required items must be carried (any one item of each entry); optional
+ *   items are the player's choice. Items marked consumed are used up by
+ *   the attempt, win or lose
+ */
+
+import { getEffectiveSkills } from './effects.js'
+import { getGearMissionBonus } from './equipment.js'
+import { getHeatSuccessMultiplier, getWantedLevel } from './heat.js'
+import { getPerkMissionBonuses } from './perks.js'
+
+const MIN_SUCCESS_CHANCE = 0.1
+const MAX_SUCCESS_CHANCE = 0.95
+const MAX_SKILL_MULTIPLIER = 2
+
+const DEFAULT_STAMINA_COST = { Easy: 10, Medium: 20, Hard: 30 }
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max)
+
+const getHeld = (character, itemId) => {
+  return character.inventory?.items?.find(item => item.id === itemId)?.quantity || 0
+}
+
+/**
+ * Stamina an attempt costs
+ */
+export const getStaminaCost = (mission) => mission.staminaCost ?? DEFAULT_STAMINA_COST[mission.difficulty] ?? 0
+
+/**
+ * How long the mission keeps the character busy (0 for instant missions)
+ */
+export const getDurationMs = (mission) => (mission.durationMinutes || 0) * 60 * 1000
+
+/**
+ * Checks if character meets minimum skill requirements for a mission
+ */
+export const meetsRequirements = (character, mission) => {
+  const skills = getEffectiveSkills(character)
+  return Object.keys(mission.requirements).every(skill => {
+    return (skills[skill] || 1) >= mission.requirements[skill]
+  })
+}
+
+/**
+ * Required item entries the character can't satisfy, as lists of the
+ * item ids that would do
+ */
+export const getMissingItems = (character, mission) => {
+  return (mission.items?.required || [])
+    .filter(entry => !entry.anyOf.some(itemId => getHeld(character, itemId) > 0))
+    .map(entry => entry.anyOf)
+}
+
+/**
+ * Optional items the character is carrying and chose to bring.
+ * useItems lists the chosen item ids; null brings everything carried.
+ */
+export const getOptionalItemsUsed = (character, mission, useItems = null) => {
+  return (mission.items?.optional || [])
+    .filter(entry => getHeld(character, entry.itemId) > 0)
+    .filter(entry => useItems === null || useItems.includes(entry.itemId))
+}
+
+/**
+ * Item ids an attempt uses up: the first carried item of each consumed
+ * required entry, plus the consumed optional items brought along
+ */
+export const getConsumedItems = (character, mission, useItems = null) => {
+  const required = (mission.items?.required || [])
+    .filter(entry => entry.consumed)
+    .map(entry => entry.anyOf.find(itemId => getHeld(character, itemId) > 0))
+    .filter(Boolean)
+  const optional = getOptionalItemsUsed(character, mission, useItems)
+    .filter(entry => entry.consumed)
+    .map(entry => entry.itemId)
+
+  return [...required, ...optional]
+}
+
+/**
+ * Relative weight of each skill in a mission's odds: skillWeights when
+ * set, otherwise the requirements themselves. Skills weighted 0 don't
+ * count.
+ */
+export const getSkillWeights = (mission) => {
+  return Object.fromEntries(
+    Object.entries(mission.skillWeights || mission.requirements)
+      .filter(([skill, weight]) => weight > 0 && mission.requirements[skill] !== undefined)
+  )
+}
+
+/**
+ * Success chance with the factors behind it. Each factor is
+ * { label, kind, value } where value is what it adds to the chance, so the
+ * values always sum to the chance:
+ *
+ * - base:  the mission's success rate
+ * - skill: one per weighted skill, from how far the skill is above (or
+ *          below) its requirement, scaled by the skill's share of the weight
+ * - heat:  the wanted-star penalty
+ * - item:  optional items brought along
+ * - limit: the 10% floor / 95% cap, when reached
+ *
+ * items is the catalog's item map, used for item names.
+ */
+export const getSuccessBreakdown = (character, mission, { useItems = null, items = {} } = {}) => {
+  const base = mission.successRate
+  const weights = getSkillWeights(mission)
+  const totalWeight = Object.values(weights).reduce((total, weight) => total + weight, 0)
+  const skills = getEffectiveSkills(character)
+
+  const skillFactors = Object.entries(weights).map(([skill, weight]) => {
+    const level = skills[skill] || 1
+    const required = mission.requirements[skill]
+    const ratio = Math.min(level / required, MAX_SKILL_MULTIPLIER)
+    const share = weight / totalWeight
+
+    return {
+      label: `${skill[0].toUpperCase()}${skill.slice(1)} ${level} vs ${required} (${Math.round(share * 100)}% weight)`,
+      kind: 'skill',
+      value: base * share * (ratio - 1)
+    }
+  })
+
+  const perkFactors = getPerkMissionBonuses(character, Object.keys(weights))
+    .map(bonus => ({ ...bonus, kind: 'perk' }))
+  const gearBonus = getGearMissionBonus(character, weights, items)
+  const gearFactors = gearBonus > 0 ? [{ label: 'Loadout', kind: 'gear', value: gearBonus }] : []
+
+  const skilled = [...skillFactors, ...perkFactors, ...gearFactors].reduce((total, factor) => total + factor.value, base)
+  const heatPenalty = skilled * (getHeatSuccessMultiplier(character) - 1)
+  const itemFactors = getOptionalItemsUsed(character, mission, useItems).map(entry => ({
+    label: items[entry.itemId]?.name || entry.itemId,
+    kind: 'item',
+    value: entry.bonus
+  }))
+
+  const raw = skilled + heatPenalty + itemFactors.reduce((total, factor) => total + factor.value, 0)
+  const chance = clamp(raw, MIN_SUCCESS_CHANCE, MAX_SUCCESS_CHANCE)
+
+  const factors = [
+    { label: 'Base odds', kind: 'base', value: base },
+    ...skillFactors,
+    ...perkFactors,
+    ...gearFactors,
+    ...(heatPenalty < 0 ? [{ label: `Wanted level (${getWantedLevel(character.heat)}★)`, kind: 'heat', value: heatPenalty }] : []),
+    ...itemFactors,
+    ...(chance !== raw ? [{ label: raw > chance ? 'Odds cap' : 'Odds floor', kind: 'limit', value: chance - raw }] : [])
+  ]
+
+  return { chance, factors }
+}
+
+/**
+ * Whether the character is tied up in a mission
+ */
+export const isBusy = (character, now = Date.now()) => {
+  return Boolean(character.busy) && Date.parse(character.busy.until) > now
+}
+
+/**
+ * Milliseconds until the character is free (0 when not busy)
+ */
+export const getBusyRemaining = (character, now = Date.now()) => {
+  return character.busy ? Math.max(0, Date.parse(character.busy.until) - now) : 0
+}
+
+/**
+ * Marks the character busy with a mission for its duration (instant
+ * missions clear any finished busy record)
+ */
+export const startBusy = (character, mission, now = Date.now()) => {
+  const duration = getDurationMs(mission)
+  if (duration === 0) return { ...character, busy: null }
+
+  return { ...character, busy: { activity: mission.title, until: new Date(now + duration).toISOString() } }
+}
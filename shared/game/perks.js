@@ -0,0 +1,277 @@
+/**
+ * Perk rules
+ * The branching part of the skill tree. Skill levels unlock perks, and a
+ * character can take one specialization that opens its own perks.
+ *
+ * - a perk needs its skill at the perk's threshold, every perk it builds
+ *   on, the specialization it belongs to (if any) and costs skill points
+ * - a specialization needs a character level and skill levels; only one
+ *   can be held at a time
+ * - perks and specializations add to the skill modifiers (see skill
+ *   modifiers) and may raise the odds of missions that weigh a skill
+ * - a respec costs cash, resets every skill to 1, drops all perks and the
+ *   specialization, and refunds every skill point earned
+ *
+ * Progress is kept on the character as perks: [perkId, ...] and
+ * specialization: specializationId | null.
+ *
+ * Modifier keys match getSkillModifiers, plus:
+ * - missionCash:   added to the multiplier on mission cash rewards
+ * - drugSellPrice: added to the multiplier on drugs sold to NPCs
+ */
+
+export const SPECIALIZATIONS = [
+  {
+    id: 'enforcer',
+    name: 'Enforcer',
+    icon: '🥊',
+    description: 'Muscle for hire. Hits harder, shrugs off more and slips the police.',
+    minLevel: 5,
+    skills: { strength: 5, shooting: 5 },
+    modifiers: { damageTaken: -0.1, evadeChance: 0.05 },
+    missionBonus: { strength: 0.03, shooting: 0.03 }
+  },
+  {
+    id: 'smuggler',
+    name: 'Smuggler',
+    icon: '🧳',
+    description: 'Moves product across borders. Lighter on the road and harder to search.',
+    minLevel: 5,
+    skills: { intelligence: 5, endurance: 5 },
+    modifiers: { travelStamina: -0.1, searchCut: 0.05, bribeChance: 0.1 }
+  },
+  {
+    id: 'chemist',
+    name: 'Chemist',
+    icon: '⚗️',
+    description: 'Knows the product inside out. Gets top dollar for every gram.',
+    minLevel: 5,
+    skills: { intelligence: 7 },
+    modifiers: { drugSellPrice: 0.1 },
+    missionBonus: { intelligence: 0.03 }
+  }
+]
+
+export const PERKS = [
+  {
+    id: 'pack-mule',
+    name: 'Pack Mule',
+    icon: '🎒',
+    skill: 'strength',
+    threshold: 5,
+    cost: 1,
+    description: 'Travel costs 10% less stamina.',
+    modifiers: { travelStamina: -0.1 }
+  },
+  {
+    id: 'brawler',
+    name: 'Brawler',
+    icon: '👊',
+    skill: 'strength',
+    threshold: 10,
+    cost: 2,
+    requires: ['pack-mule'],
+    description: '+5% odds on missions that weigh Strength and 5% less damage.',
+    modifiers: { damageTaken: -0.05 },
+    missionBonus: { strength: 0.05 }
+  },
+  {
+    id: 'silver-tongue',
+    name: 'Silver Tongue',
+    icon: '🗣️',
+    skill: 'intelligence',
+    threshold: 5,
+    cost: 1,
+    description: 'Contacts charge 3% less and pay 3% more.',
+    modifiers: { buyPrice: -0.03, sellPrice: 0.03 }
+  },
+  {
+    id: 'money-launderer',
+    name: 'Money Launderer',
+    icon: '🧺',
+    skill: 'intelligence',
+    threshold: 10,
+    cost: 2,
+    requires: ['silver-tongue'],
+    description: 'Mission cash rewards are 10% higher.',
+    modifiers: { missionCash: 0.1 }
+  },
+  {
+    id: 'iron-lungs',
+    name: 'Iron Lungs',
+    icon: '🫁',
+    skill: 'endurance',
+    threshold: 5,
+    cost: 1,
+    description: '+20 max stamina.',
+    modifiers: { maxStamina: 20 }
+  },
+  {
+    id: 'second-wind',
+    name: 'Second Wind',
+    icon: '🌬️',
+    skill: 'endurance',
+    threshold: 10,
+    cost: 2,
+    requires: ['iron-lungs'],
+    description: '+2 stamina recovered per minute.',
+    modifiers: { staminaRegen: 2 }
+  },
+  {
+    id: 'dual-wield',
+    name: 'Dual Wield',
+    icon: '🔫',
+    skill: 'shooting',
+    threshold: 5,
+    cost: 1,
+    description: '+5% odds on missions that weigh Shooting.',
+    missionBonus: { shooting: 0.05 }
+  },
+  {
+    id: 'marksman',
+    name: 'Marksman',
+    icon: '🎯',
+    skill: 'shooting',
+    threshold: 10,
+    cost: 2,
+    requires: ['dual-wield'],
+    description: '+5% more odds on Shooting missions and 5% less damage.',
+    modifiers: { damageTaken: -0.05 },
+    missionBonus: { shooting: 0.05 }
+  },
+  {
+    id: 'intimidator',
+    name: 'Intimidator',
+    icon: '😠',
+    skill: 'strength',
+    threshold: 8,
+    cost: 2,
+    specialization: 'enforcer',
+    description: '+10% chance to evade the police.',
+    modifiers: { evadeChance: 0.1 }
+  },
+  {
+    id: 'false-bottom',
+    name: 'False Bottom',
+    icon: '📦',
+    skill: 'intelligence',
+    threshold: 8,
+    cost: 2,
+    specialization: 'smuggler',
+    description: 'Border search chance cut by a further 10%.',
+    modifiers: { searchCut: 0.1 }
+  },
+  {
+    id: 'master-cook',
+    name: 'Master Cook',
+    icon: '🧪',
+    skill: 'intelligence',
+    threshold: 8,
+    cost: 2,
+    specialization: 'chemist',
+    description: 'Drugs sell for a further 15% more.',
+    modifiers: { drugSellPrice: 0.15 }
+  }
+]
+
+const RESPEC_BASE_COST = 1000
+const RESPEC_COST_PER_LEVEL = 250
+
+export const getPerk = (perkId) => PERKS.find(perk => perk.id === perkId) || null
+
+export const getSpecialization = (specializationId) => {
+  return SPECIALIZATIONS.find(specialization => specialization.id === specializationId) || null
+}
+
+/**
+ * Perks and the specialization the character holds, as one list of
+ * effect sources
+ */
+const getEffectSources = (character) => {
+  const perks = (character.perks || []).map(getPerk).filter(Boolean)
+  const specialization = getSpecialization(character.specialization)
+  return specialization ? [specialization, ...perks] : perks
+}
+
+/**
+ * Modifier deltas from the character's perks and specialization, summed
+ * by key
+ */
+export const getPerkModifiers = (character) => {
+  const totals = {}
+  getEffectSources(character).forEach(source => {
+    Object.entries(source.modifiers || {}).forEach(([key, value]) => {
+      totals[key] = (totals[key] || 0) + value
+    })
+  })
+  return totals
+}
+
+/**
+ * Odds bonuses for a mission from perks and the specialization, as
+ * [{ label, value }] for every source boosting a skill the mission weighs
+ */
+export const getPerkMissionBonuses = (character, weightedSkills) => {
+  return getEffectSources(character)
+    .map(source => ({
+      label: source.name,
+      value: weightedSkills
+        .reduce((total, skill) => total + (source.missionBonus?.[skill] || 0), 0)
+    }))
+    .filter(bonus => bonus.value > 0)
+}
+
+/**
+ * Why a perk can't be unlocked yet, as readable reasons (empty when it can)
+ */
+export const getPerkLocks = (character, perk) => {
+  const owned = character.perks || []
+  const locks = []
+
+  if (owned.includes(perk.id)) return ['Already unlocked']
+  if (perk.specialization && character.specialization !== perk.specialization) {
+    locks.push(`${getSpecialization(perk.specialization).name} only`)
+  }
+  if ((character.skills[perk.skill] || 1) < perk.threshold) {
+    locks.push(`${perk.skill[0].toUpperCase()}${perk.skill.slice(1)} ${perk.threshold}`)
+  }
+  const missing = (perk.requires || []).filter(perkId => !owned.includes(perkId))
+  missing.forEach(perkId => locks.push(getPerk(perkId).name))
+  if (character.skillPoints < perk.cost) {
+    locks.push(`${perk.cost} skill point${perk.cost === 1 ? '' : 's'}`)
+  }
+
+  return locks
+}
+
+/**
+ * Why a specialization can't be taken, as readable reasons (empty when it can)
+ */
+export const getSpecializationLocks = (character, specialization) => {
+  if (character.specialization === specialization.id) return ['Already chosen']
+  if (character.specialization) return ['Respec to change specialization']
+
+  const locks = []
+  if (character.level < specialization.minLevel) {
+    locks.push(`Level ${specialization.minLevel}`)
+  }
+  Object.entries(specialization.skills)
+    .filter(([skill, level]) => (character.skills[skill] || 1) < level)
+    .forEach(([skill, level]) => locks.push(`${skill[0].toUpperCase()}${skill.slice(1)} ${level}`))
+
+  return locks
+}
+
+/**
+ * Unlocks a perk, spending its skill points
+ */
+export const unlockPerk = (character, perk) => ({
+  ...character,
+  skillPoints: character.skillPoints - perk.cost,
+  perks: [...(character.perks || []), perk.id]
+})
+
+/**
+ * Cash a respec costs at the character's level
+ */
+export const getRespecCost = (character) => RESPEC_BASE_COST + (character.level - 1) * RESPEC_COST_PER_LEVEL
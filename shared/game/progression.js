@@ -0,0 +1,182 @@
+/**
+ * Progression rules
+ * Levels, skill points and the stats that grow with level.
+ *
+ * - xp is lifetime experience and never goes down
+ * - level is derived from xp; every level-up grants skill points and
+ *   raises max health and max stamina
+ * - Endurance raises max stamina on top of the level bonus (see the skill
+ *   modifiers)
+ * - skillPoints are the currency spent in the skill tree
+ * - content records (missions, NPCs) may declare a minLevel gate
+ */
+
+import { getCharacterModifiers } from './skills.js'
+
+export const MAX_LEVEL = 50
+export const MAX_SKILL_LEVEL = 20
+
+// Going from level L to L+1 costs XP_STEP * L experience
+const XP_STEP = 50
+
+export const STARTING_SKILL_POINTS = 3
+export const SKILL_POINTS_PER_LEVEL = 2
+
+const BASE_MAX_HEALTH = 100
+const BASE_MAX_STAMINA = 100
+const HEALTH_PER_LEVEL = 10
+const STAMINA_PER_LEVEL = 5
+
+/**
+ * Total lifetime XP needed to reach a level
+ */
+export const getXpForLevel = (level) => {
+  return (XP_STEP * level * (level - 1)) / 2
+}
+
+/**
+ * Level reached with a given amount of lifetime XP
+ */
+export const getLevelForXp = (xp) => {
+  let level = 1
+  while (level < MAX_LEVEL && xp >= getXpForLevel(level + 1)) {
+    level++
+  }
+  return level
+}
+
+/**
+ * Progress through the current level, for XP bars
+ */
+export const getLevelProgress = (xp) => {
+  const level = getLevelForXp(xp)
+
+  if (level >= MAX_LEVEL) {
+    return { level, xpIntoLevel: 0, xpForLevel: 0, xpToNext: 0, percent: 100 }
+  }
+
+  const levelStart = getXpForLevel(level)
+  const xpForLevel = getXpForLevel(level + 1) - levelStart
+  const xpIntoLevel = xp - levelStart
+
+  return {
+    level,
+    xpIntoLevel,
+    xpForLevel,
+    xpToNext: xpForLevel - xpIntoLevel,
+    percent: Math.min((xpIntoLevel / xpForLevel) * 100, 100)
+  }
+}
+
+export const getMaxHealth = (level) => BASE_MAX_HEALTH + (level - 1) * HEALTH_PER_LEVEL
+
+/**
+ * Max stamina at a level, raised by the character's Endurance and perks
+ */
+export const getMaxStamina = (level, character = {}) => {
+  return BASE_MAX_STAMINA + (level - 1) * STAMINA_PER_LEVEL + getCharacterModifiers(character).maxStamina
+}
+
+/**
+ * Recomputes max health and max stamina after a level or skill change.
+ * Current values are clamped to the new maximums but never topped up.
+ */
+export const applyMaxStats = (character) => {
+  const maxHealth = getMaxHealth(character.level)
+  const maxStamina = getMaxStamina(character.level, character)
+
+  return {
+    ...character,
+    maxHealth,
+    maxStamina,
+    health: Math.min(character.health, maxHealth),
+    stamina: Math.min(character.stamina, maxStamina)
+  }
+}
+
+/**
+ * Skill points earned in total by a given level
+ */
+export const getSkillPointsForLevel = (level) => {
+  return STARTING_SKILL_POINTS + (level - 1) * SKILL_POINTS_PER_LEVEL
+}
+
+/**
+ * Skill point cost to raise a skill from its current level
+ * 1 point up to level 4, then one more point every 5 levels
+ */
+export const getSkillUpgradeCost = (skillLevel) => {
+  return Math.floor(skillLevel / 5) + 1
+}
+
+/**
+ * Level required by a gated content record (mission, NPC)
+ */
+export const getRequiredLevel = (record) => record.minLevel || 1
+
+export const meetsLevel = (character, record) => {
+  return character.level >= getRequiredLevel(record)
+}
+
+/**
+ * Brings a stored character up to the current progression rules.
+ * Max stats are always re-derived so rule changes apply to old saves.
+ * Characters saved before levels existed spent XP directly on skills, so
+ * the points already sunk into skills are subtracted from the points
+ * their XP has earned.
+ */
+export const normalizeProgression = (character) => {
+  if (character.skillPoints !== undefined) return applyMaxStats(character)
+
+  const level = getLevelForXp(character.xp || 0)
+  const spent = Object.values(character.skills || {}).reduce((total, skillLevel) => {
+    for (let l = 1; l < skillLevel; l++) total += getSkillUpgradeCost(l)
+    return total
+  }, 0)
+
+  return applyMaxStats({
+    ...character,
+    level,
+    skillPoints: Math.max(0, getSkillPointsForLevel(level) - spent)
+  })
+}
+
+/**
+ * Adds lifetime XP and applies any level-ups.
+ * Returns the updated character and a levelUp summary (null if no level
+ * was gained). Current health and stamina grow with their maximums.
+ */
+export const awardXp = (character, amount) => {
+  const xp = character.xp + amount
+  const level = getLevelForXp(xp)
+
+  if (level <= character.level) {
+    return { character: { ...character, xp }, levelUp: null }
+  }
+
+  const maxHealth = getMaxHealth(level)
+  const maxStamina = getMaxStamina(level, character)
+  const skillPoints = (level - character.level) * SKILL_POINTS_PER_LEVEL
+  const healthGain = maxHealth - character.maxHealth
+  const staminaGain = maxStamina - character.maxStamina
+
+  return {
+    character: {
+      ...character,
+      xp,
+      level,
+      skillPoints: character.skillPoints + skillPoints,
+      maxHealth,
+      maxStamina,
+      health: Math.min(maxHealth, character.health + healthGain),
+      stamina: Math.min(maxStamina, character.stamina + staminaGain)
+    },
+    levelUp: {
+      previousLevel: character.level,
+      level,
+      skillPoints,
+      maxHealth: healthGain,
+      maxStamina: staminaGain
+    }
+  }
+}
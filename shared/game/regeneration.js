@@ -0,0 +1,85 @@
+/**
+ * Regeneration rules
+ * Health and stamina recover in real time, including while the player is
+ * offline. Recovery is measured in whole ticks from vitalsUpdatedAt, the
+ * moment the vitals were last brought up to date.
+ *
+ * - health recovers a fixed amount per tick
+ * - stamina recovers faster with every second point of Endurance
+ * - a partial tick is never lost: the clock only advances by whole ticks
+ * - once both stats are full the clock restarts, so no time is banked
+ */
+
+import { getCharacterModifiers } from './skills.js'
+
+export const REGEN_TICK_MS = 60 * 1000
+
+const HEALTH_PER_TICK = 1
+const BASE_STAMINA_PER_TICK = 2
+
+/**
+ * Points recovered per tick for each stat
+ */
+export const getRegenRates = (character) => {
+  return {
+    health: HEALTH_PER_TICK,
+    stamina: BASE_STAMINA_PER_TICK + getCharacterModifiers(character).staminaRegen
+  }
+}
+
+const isFull = (character) => {
+  return character.health >= character.maxHealth && character.stamina >= character.maxStamina
+}
+
+/**
+ * Timestamp (ms) the vitals clock started from
+ */
+const getVitalsClock = (character) => {
+  return Date.parse(character.vitalsUpdatedAt || character.updatedAt || 0)
+}
+
+/**
+ * Applies the regeneration earned since vitalsUpdatedAt
+ */
+export const applyRegeneration = (character, now = Date.now()) => {
+  if (isFull(character)) {
+    return { ...character, vitalsUpdatedAt: new Date(now).toISOString() }
+  }
+
+  const clock = getVitalsClock(character)
+  const ticks = Math.floor((now - clock) / REGEN_TICK_MS)
+  if (ticks <= 0) return character
+
+  const rates = getRegenRates(character)
+  const updated = {
+    ...character,
+    health: Math.min(character.maxHealth, character.health + ticks * rates.health),
+    stamina: Math.min(character.maxStamina, character.stamina + ticks * rates.stamina)
+  }
+
+  updated.vitalsUpdatedAt = isFull(updated)
+    ? new Date(now).toISOString()
+    : new Date(clock + ticks * REGEN_TICK_MS).toISOString()
+
+  return updated
+}
+
+/**
+ * Milliseconds until health and stamina are each full (0 when already full)
+ * Expects a character that has already had applyRegeneration applied.
+ */
+export const getTimeToFull = (character, now = Date.now()) => {
+  const rates = getRegenRates(character)
+  const elapsed = Math.max(0, now - getVitalsClock(character))
+
+  const timeFor = (current, max, rate) => {
+    if (current >= max) return 0
+    const ticksNeeded = Math.ceil((max - current) / rate)
+    return Math.max(0, ticksNeeded * REGEN_TICK_MS - elapsed)
+  }
+
+  return {
+    health: timeFor(character.health, character.maxHealth, rates.health),
+    stamina: timeFor(character.stamina, character.maxStamina, rates.stamina)
+  }
+}
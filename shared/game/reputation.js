@@ -0,0 +1,110 @@
+/**
+ * Reputation rules
+ * Characters hold a standing from -100 to 100 with every faction: the two
+ * cartels, the street gangs, the police and each city's underworld.
+ * Everyone starts neutral (0).
+ *
+ * - a successful mission applies its reputation changes; a failed one
+ *   costs half of the standing it would have earned with its backers
+ * - every mission also moves standing with the underworld of the city it
+ *   was attempted in, up on success and down on failure
+ * - missions can require a minimum standing with one or more factions
+ * - contacts belong to a faction: good standing gets better prices in
+ *   both directions, bad standing worse ones
+ */
+
+export const MIN_REPUTATION = -100
+export const MAX_REPUTATION = 100
+
+const LOCAL_UNDERWORLD_CHANGE = 2
+const FAILURE_SHARE = 0.5
+const PRICE_SHIFT_PER_POINT = 0.0015 // 15% better or worse at the extremes
+
+// Ordered from the top down; the first tier whose min is reached applies
+export const REPUTATION_TIERS = [
+  { min: 60, label: 'Trusted', color: 'text-green-400' },
+  { min: 25, label: 'Respected', color: 'text-blue-400' },
+  { min: -10, label: 'Neutral', color: 'text-gray-400' },
+  { min: -50, label: 'Distrusted', color: 'text-orange-400' },
+  { min: MIN_REPUTATION, label: 'Hostile', color: 'text-red-400' }
+]
+
+const clampStanding = (value) => Math.min(MAX_REPUTATION, Math.max(MIN_REPUTATION, value))
+
+/**
+ * Character's standing with a faction (0 when they have never dealt with it)
+ */
+export const getStanding = (character, factionId) => {
+  return character.reputation?.[factionId] || 0
+}
+
+/**
+ * Tier a standing falls in
+ */
+export const getReputationTier = (standing) => {
+  return REPUTATION_TIERS.find(tier => standing >= tier.min)
+}
+
+/**
+ * Standing changes from a mission attempt as { factionId: change }.
+ * localFactionId is the underworld of the city the mission was attempted in.
+ */
+export const getMissionReputation = (mission, success, localFactionId = null) => {
+  const changes = {}
+
+  Object.entries(mission.reputation || {}).forEach(([factionId, change]) => {
+    if (success) {
+      changes[factionId] = change
+    } else if (change > 0) {
+      // Rivals don't care when you fail; the people you let down do
+      changes[factionId] = -Math.ceil(change * FAILURE_SHARE)
+    }
+  })
+
+  if (localFactionId) {
+    const local = success ? LOCAL_UNDERWORLD_CHANGE : -LOCAL_UNDERWORLD_CHANGE
+    changes[localFactionId] = (changes[localFactionId] || 0) + local
+  }
+
+  return changes
+}
+
+/**
+ * Applies standing changes, keeping each faction within bounds
+ */
+export const applyReputation = (character, changes) => {
+  const reputation = { ...character.reputation }
+
+  Object.entries(changes).forEach(([factionId, change]) => {
+    reputation[factionId] = clampStanding(getStanding(character, factionId) + change)
+  })
+
+  return { ...character, reputation }
+}
+
+/**
+ * Factions whose minimum standing for a mission the character hasn't
+ * reached, as [{ factionId, required, standing }]
+ */
+export const getMissingReputation = (character, mission) => {
+  return Object.entries(mission.minReputation || {})
+    .map(([factionId, required]) => ({ factionId, required, standing: getStanding(character, factionId) }))
+    .filter(gate => gate.standing < gate.required)
+}
+
+/**
+ * Whether the character has the standing a mission requires
+ */
+export const meetsReputation = (character, mission) => {
+  return getMissingReputation(character, mission).length === 0
+}
+
+/**
+ * Price multipliers from standing with a contact's faction. buy applies to
+ * what the player pays, sell to what the player is paid.
+ */
+export const getReputationPriceFactors = (standing) => {
+  const shift = standing * PRICE_SHIFT_PER_POINT
+
+  return { buy: 1 - shift, sell: 1 + shift }
+}
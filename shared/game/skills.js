@@ -0,0 +1,170 @@
+/**
+ * Skill modifiers
+ * What each skill level actually does outside of mission odds. Every
+ * system that a skill affects reads its numbers from getSkillModifiers,
+ * and the skill screen lists the same effects through getSkillBenefits.
+ *
+ * - Strength:     cheaper travel (stamina) and better odds of evading the
+ *                 police
+ * - Intelligence: better prices with NPC contacts, fewer border searches
+ *                 and better odds of bribing a border guard
+ * - Endurance:    more max stamina, faster stamina recovery, cheaper travel,
+ *                 less damage from failed missions and better police evasion
+ * - Shooting:     less damage from failed missions
+ *
+ * Every skill also raises the odds of missions that weigh it (see the
+ * mission rules). Skills start at 1, so level 1 gives no bonus. Perks and
+ * the specialization add their own deltas on top (see perk rules), as do
+ * active status effects (see status effect rules); getCharacterModifiers
+ * combines them all.
+ */
+
+import { getOverloadMultiplier } from './carry.js'
+import { getEffectModifiers, getEffectiveSkills } from './effects.js'
+import { getArmorMultiplier } from './equipment.js'
+import { getPerkModifiers } from './perks.js'
+
+const TRAVEL_CUT_PER_STRENGTH = 0.02
+const TRAVEL_CUT_PER_ENDURANCE = 0.01
+const MAX_TRAVEL_CUT = 0.4
+
+const PRICE_EDGE_PER_INTELLIGENCE = 0.005
+
+const SEARCH_CUT_PER_INTELLIGENCE = 0.015
+const MAX_SEARCH_CUT = 0.2
+const BRIBE_CHANCE_PER_INTELLIGENCE = 0.03
+
+const STAMINA_PER_ENDURANCE = 5
+const ENDURANCE_PER_REGEN_POINT = 2
+
+const DAMAGE_CUT_PER_ENDURANCE = 0.02
+const DAMAGE_CUT_PER_SHOOTING = 0.01
+const MAX_DAMAGE_CUT = 0.5
+
+const EVADE_CHANCE_PER_SKILL = 0.03
+
+const percent = (value) => `${Math.round(value * 100)}%`
+
+/**
+ * Modifiers granted by a skills object ({ strength, intelligence, ... }).
+ * Multipliers are 1 and bonuses 0 for an untrained character.
+ *
+ * - travelStamina: multiplier on a trip's stamina cost
+ * - buyPrice / sellPrice: multipliers on NPC buy and sell quotes
+ * - searchCut: taken off the border search chance
+ * - bribeChance: added to the chance a border bribe is accepted
+ * - maxStamina: added to max stamina
+ * - staminaRegen: added to stamina recovered per tick
+ * - damageTaken: multiplier on health lost to a failed mission
+ * - evadeChance: added to the chance of evading the police
+ */
+export const getSkillModifiers = (skills = {}) => {
+  const { strength = 1, intelligence = 1, endurance = 1, shooting = 1 } = skills
+
+  return {
+    travelStamina: 1 - Math.min(
+      MAX_TRAVEL_CUT,
+      (strength - 1) * TRAVEL_CUT_PER_STRENGTH + (endurance - 1) * TRAVEL_CUT_PER_ENDURANCE
+    ),
+    buyPrice: 1 - (intelligence - 1) * PRICE_EDGE_PER_INTELLIGENCE,
+    sellPrice: 1 + (intelligence - 1) * PRICE_EDGE_PER_INTELLIGENCE,
+    searchCut: Math.min(MAX_SEARCH_CUT, (intelligence - 1) * SEARCH_CUT_PER_INTELLIGENCE),
+    bribeChance: (intelligence - 1) * BRIBE_CHANCE_PER_INTELLIGENCE,
+    maxStamina: (endurance - 1) * STAMINA_PER_ENDURANCE,
+    staminaRegen: Math.floor((endurance - 1) / ENDURANCE_PER_REGEN_POINT),
+    damageTaken: 1 - Math.min(
+      MAX_DAMAGE_CUT,
+      (endurance - 1) * DAMAGE_CUT_PER_ENDURANCE + (shooting - 1) * DAMAGE_CUT_PER_SHOOTING
+    ),
+    evadeChance: (strength - 1 + endurance - 1) * EVADE_CHANCE_PER_SKILL
+  }
+}
+
+/**
+ * Modifiers for a character: their effective skills' modifiers with perk,
+ * specialization and status effect deltas added, plus the perk-only
+ * multipliers
+ * - missionCash: multiplier on mission cash rewards
+ * - drugSellPrice: multiplier on drugs sold to NPCs
+ */
+export const getCharacterModifiers = (character, now = Date.now()) => {
+  const modifiers = { ...getSkillModifiers(getEffectiveSkills(character, now)), missionCash: 1, drugSellPrice: 1 }
+  const sources = [getPerkModifiers(character), getEffectModifiers(character, now)]
+
+  sources.forEach(deltas => {
+    Object.entries(deltas).forEach(([key, value]) => {
+      modifiers[key] += value
+    })
+  })
+
+  return modifiers
+}
+
+/**
+ * Stamina a trip to a city costs the character, on public transport or
+ * scaled by the vehicle travelled in, with the overload penalty for
+ * carrying more than capacity (items is the catalog item map)
+ */
+export const getTravelStaminaCost = (character, city, items = {}, vehicle = null) => {
+  const multiplier = getCharacterModifiers(character).travelStamina *
+    getOverloadMultiplier(character, items, vehicle) *
+    (vehicle ? vehicle.vehicle.stamina : 1)
+  return Math.round(city.staminaCost * multiplier)
+}
+
+/**
+ * Cash a completed mission pays the character
+ */
+export const getMissionCash = (character, mission) => {
+  return Math.round(mission.rewards.cash * getCharacterModifiers(character).missionCash)
+}
+
+/**
+ * Health a failed mission costs the character (a positive number), after
+ * skills, perks and effects and then equipped armor (items is the catalog
+ * item map) soften it
+ */
+export const getMissionDamage = (character, mission, items = {}) => {
+  const health = Math.abs(mission.failureConsequences.health || 0)
+  return Math.round(health * getCharacterModifiers(character).damageTaken * getArmorMultiplier(character, items))
+}
+
+/**
+ * What one skill currently does at a level, as lines for the skill screen.
+ * Only this skill's share of shared effects is counted.
+ */
+export const getSkillBenefits = (skill, level) => {
+  const trained = level - 1
+
+  switch (skill) {
+    case 'strength':
+      return [
+        'Raises the odds of missions that weigh Strength',
+        `Travel costs ${percent(trained * TRAVEL_CUT_PER_STRENGTH)} less stamina (up to ${percent(MAX_TRAVEL_CUT)} with Endurance)`,
+        `+${percent(trained * EVADE_CHANCE_PER_SKILL)} chance to evade the police`
+      ]
+    case 'intelligence':
+      return [
+        'Raises the odds of missions that weigh Intelligence',
+        `NPC contacts charge you ${percent(trained * PRICE_EDGE_PER_INTELLIGENCE)} less and pay you ${percent(trained * PRICE_EDGE_PER_INTELLIGENCE)} more`,
+        `Border search chance cut by ${percent(Math.min(MAX_SEARCH_CUT, trained * SEARCH_CUT_PER_INTELLIGENCE))}`,
+        `+${percent(trained * BRIBE_CHANCE_PER_INTELLIGENCE)} chance a border bribe is accepted`
+      ]
+    case 'endurance':
+      return [
+        'Raises the odds of missions that weigh Endurance',
+        `+${trained * STAMINA_PER_ENDURANCE} max stamina`,
+        `+${Math.floor(trained / ENDURANCE_PER_REGEN_POINT)} stamina recovered per minute`,
+        `Travel costs ${percent(trained * TRAVEL_CUT_PER_ENDURANCE)} less stamina`,
+        `Failed missions hurt ${percent(trained * DAMAGE_CUT_PER_ENDURANCE)} less (up to ${percent(MAX_DAMAGE_CUT)} with Shooting)`,
+        `+${percent(trained * EVADE_CHANCE_PER_SKILL)} chance to evade the police`
+      ]
+    case 'shooting':
+      return [
+        'Raises the odds of missions that weigh Shooting',
+        `Failed missions hurt ${percent(trained * DAMAGE_CUT_PER_SHOOTING)} less`
+      ]
+    default:
+      return []
+  }
+}
@@ -0,0 +1,259 @@
+/**
+ * Stash house rules
+ * A character can own one stash house in each city to keep items and cash
+ * off their person: goods staged in one city stay there while the
+ * character travels, and are not searched at border checkpoints.
+ *
+ * - a stash is bought at its city's stashPrice and upgraded through
+ *   levels; each level holds more weight and volume (cash takes no room)
+ *   and is harder for rivals to find
+ * - goods go in and out only while the character is in that city;
+ *   vehicles are too big to stash
+ * - every hour a stash with something in it risks a raid: the police,
+ *   likelier the more wanted stars the character had during that hour,
+ *   seize the drugs, weapons and cash and add heat; rivals who find it
+ *   take everything
+ * - raids are rolled for the hours since a stash was last checked
+ *   (counting at most three days) whenever the character travels or uses
+ *   a stash
+ *
+ * Heat cools by the minute, so the wanted level of past hours comes from
+ * a heat history rather than the heat at roll time: every save of a
+ * character with a stash records any heat gained (see recordStashHeat),
+ * and the heat in between follows from the decay rules.
+ *
+ * Stashes are kept on the character as
+ * stashes: [{ city, level, cash, items: [{ id, name, type, quantity }], checkedAt }]
+ * and the history as heatHistory: [{ at, heat }], oldest first.
+ */
+
+import { getItemsLoad } from './carry.js'
+import { HEAT_DECAY_TICK_MS, addHeat, getWantedLevel } from './heat.js'
+
+export const STASH_LEVELS = [
+  { level: 1, name: 'Stash Apartment', priceMultiplier: 1, capacity: { weight: 100, volume: 150 }, security: 0 },
+  { level: 2, name: 'Lockup', priceMultiplier: 2, capacity: { weight: 300, volume: 450 }, security: 0.3 },
+  { level: 3, name: 'Warehouse', priceMultiplier: 5, capacity: { weight: 1000, volume: 1500 }, security: 0.6 }
+]
+
+export const POLICE_RAID_HEAT = 10
+
+const HOUR_MS = 60 * 60 * 1000
+const MAX_RAID_HOURS = 72
+const POLICE_RAID_CHANCE_PER_STAR = 0.004 // Per hour
+const RIVAL_RAID_CHANCE = 0.002 // Per hour, before the stash's security
+const SEIZED_TYPES = ['drug', 'weapon']
+
+export const getStashLevel = (level) => STASH_LEVELS.find(entry => entry.level === level) || null
+
+export const getMaxStashLevel = () => STASH_LEVELS[STASH_LEVELS.length - 1].level
+
+/**
+ * The character's stash in a city (by name), or null
+ */
+export const getStash = (character, cityName) => {
+  return (character.stashes || []).find(stash => stash.city === cityName) || null
+}
+
+/**
+ * Price of a stash at a level in a city: buying it is level 1, each
+ * upgrade is the price of the level it goes to
+ */
+export const getStashPrice = (city, level) => city.stashPrice * getStashLevel(level).priceMultiplier
+
+/**
+ * Load against capacity of a stash (items is the catalog item map)
+ */
+export const getStashStatus = (stash, items) => {
+  const load = getItemsLoad(stash.items, items)
+  const { capacity } = getStashLevel(stash.level)
+
+  return { load, capacity, used: Math.max(load.weight / capacity.weight, load.volume / capacity.volume) }
+}
+
+/**
+ * Whether an item can be kept in a stash at all
+ */
+export const canStash = (item) => !item.vehicle
+
+/**
+ * Most units of an item that still fit in a stash
+ */
+export const getStashRoomFor = (stash, item, items) => {
+  if (!canStash(item)) return 0
+
+  const { load, capacity } = getStashStatus(stash, items)
+  const byWeight = item.weight > 0 ? (capacity.weight - load.weight) / item.weight : Infinity
+  const byVolume = item.volume > 0 ? (capacity.volume - load.volume) / item.volume : Infinity
+
+  return Math.max(0, Math.floor(Math.min(byWeight, byVolume) + 1e-9))
+}
+
+/**
+ * Replaces the character's stash in a city, adding it when new
+ */
+export const setStash = (character, stash) => ({
+  ...character,
+  stashes: [...(character.stashes || []).filter(other => other.city !== stash.city), stash]
+})
+
+/**
+ * A new, empty level 1 stash in a city
+ */
+export const createStash = (cityName, now = Date.now()) => ({
+  city: cityName,
+  level: 1,
+  cash: 0,
+  items: [],
+  checkedAt: new Date(now).toISOString()
+})
+
+/**
+ * Chance of a raid over a number of hours (a day by default) at the
+ * character's current heat, by who carries it out
+ */
+export const getRaidRisk = (character, stash, hours = 24) => {
+  const odds = (chancePerHour) => 1 - Math.pow(1 - chancePerHour, hours)
+
+  return {
+    police: odds(getWantedLevel(character.heat) * POLICE_RAID_CHANCE_PER_STAR),
+    rivals: odds(RIVAL_RAID_CHANCE * (1 - getStashLevel(stash.level).security))
+  }
+}
+
+/**
+ * Heat a history point has cooled to at a time
+ */
+const getHeatFrom = (point, time) => {
+  return Math.max(0, point.heat - Math.floor((time - Date.parse(point.at)) / HEAT_DECAY_TICK_MS))
+}
+
+/**
+ * Records the character's heat in the history used for raids, for a
+ * character loaded and changed by an action. Points that only repeat the
+ * decay are skipped and points too old to matter are dropped; a character
+ * without stashes keeps no history.
+ */
+export const recordStashHeat = (character, now = Date.now()) => {
+  if ((character.stashes || []).length === 0) {
+    return { ...character, heatHistory: [] }
+  }
+
+  const history = character.heatHistory || []
+  const point = { at: character.heatUpdatedAt, heat: character.heat || 0 }
+  const last = history[history.length - 1]
+  const recorded = last && getHeatFrom(last, Date.parse(point.at)) === point.heat
+    ? history
+    : [...history, point]
+
+  // Keep the last point before the oldest hour a raid can still cover
+  const cutoff = now - (MAX_RAID_HOURS + 1) * HOUR_MS
+  const first = recorded.findLastIndex(entry => Date.parse(entry.at) <= cutoff)
+
+  return { ...character, heatHistory: recorded.slice(Math.max(0, first)) }
+}
+
+/**
+ * Highest heat the character had during the hour starting at a time. A
+ * character without a history is taken to have had their current heat.
+ */
+const getHourHeat = (character, start) => {
+  const history = character.heatHistory || []
+  if (history.length === 0) return character.heat || 0
+
+  const end = start + HOUR_MS
+  const before = history.findLast(point => Date.parse(point.at) <= start)
+  const during = history
+    .filter(point => Date.parse(point.at) > start && Date.parse(point.at) < end)
+    .map(point => point.heat)
+
+  return Math.max(before ? getHeatFrom(before, start) : 0, ...during)
+}
+
+/**
+ * Chance of a police raid over the hours from a time, each at the wanted
+ * level the character had during it
+ */
+const getPoliceRaidChance = (character, from, hours) => {
+  let unraided = 1
+  for (let hour = 0; hour < hours; hour++) {
+    const stars = getWantedLevel(getHourHeat(character, from + hour * HOUR_MS))
+    unraided *= 1 - stars * POLICE_RAID_CHANCE_PER_STAR
+  }
+  return 1 - unraided
+}
+
+const isEmpty = (stash) => stash.cash === 0 && stash.items.length === 0
+
+/**
+ * Rolls one stash's raids over the hours up to its new checkedAt. Returns
+ * the stash left behind and the raid, or a null raid when nobody came.
+ */
+const rollRaid = (character, stash, hours, rng) => {
+  if (isEmpty(stash)) return { stash, raid: null }
+
+  const from = Date.parse(stash.checkedAt) - hours * HOUR_MS
+  const risk = {
+    police: getPoliceRaidChance(character, from, hours),
+    rivals: getRaidRisk(character, stash, hours).rivals
+  }
+
+  if (rng() < risk.police) {
+    const seized = stash.items.filter(entry => SEIZED_TYPES.includes(entry.type))
+    return {
+      stash: { ...stash, cash: 0, items: stash.items.filter(entry => !SEIZED_TYPES.includes(entry.type)) },
+      raid: { city: stash.city, raider: 'police', cash: stash.cash, items: seized }
+    }
+  }
+  if (rng() < risk.rivals) {
+    return {
+      stash: { ...stash, cash: 0, items: [] },
+      raid: { city: stash.city, raider: 'rivals', cash: stash.cash, items: stash.items }
+    }
+  }
+
+  return { stash, raid: null }
+}
+
+/**
+ * Rolls raids on every stash for the full hours since it was last
+ * checked. Returns the updated character and the raids that happened.
+ */
+export const rollStashRaids = (character, { rng, now = Date.now() }) => {
+  let updated = character
+  const raids = []
+
+  for (const stash of character.stashes || []) {
+    const checkedAt = Date.parse(stash.checkedAt)
+    const hours = Math.floor((now - checkedAt) / HOUR_MS)
+    if (hours <= 0) continue
+
+    const checked = { ...stash, checkedAt: new Date(checkedAt + hours * HOUR_MS).toISOString() }
+    const result = rollRaid(updated, checked, Math.min(MAX_RAID_HOURS, hours), rng)
+    updated = setStash(updated, result.stash)
+
+    if (result.raid) {
+      raids.push(result.raid)
+      if (result.raid.raider === 'police') {
+        updated = addHeat(updated, POLICE_RAID_HEAT)
+      }
+    }
+  }
+
+  return { character: updated, raids }
+}
+
+/**
+ * One-line summary of a stash raid for result messages
+ */
+export const describeRaid = (raid) => {
+  const losses = [
+    ...raid.items.map(entry => `${entry.quantity}x ${entry.name}`),
+    ...(raid.cash > 0 ? [`$${raid.cash.toLocaleString()}`] : [])
+  ]
+  const lost = losses.length > 0 ? losses.join(', ') : 'nothing of value'
+
+  return raid.raider === 'police'
+    ? `🚔 Police raided your ${raid.city} stash and seized ${lost}.`
+    : `🏚️ Rivals found your ${raid.city} stash and cleaned it out: ${lost}.`
+}
@@ -0,0 +1,187 @@
+/**
+ * Vehicle rules
+ * Cars, vans, boats and small planes are bought from dealers like any
+ * other item, with stats from the item catalog (`vehicle`). Each one owned
+ * is parked somewhere: where it was bought, then wherever it was last
+ * driven. Only the vehicles parked in the character's city add cargo
+ * space, can be sold or dropped, or are a way to travel besides public
+ * transport; a trip in one takes it along to the destination.
+ *
+ * - public transport charges the destination's flat travelCost and
+ *   staminaCost and gets there at once
+ * - a vehicle trip costs fuel by map distance instead, its stamina is the
+ *   destination's staminaCost scaled by the vehicle, and it takes time
+ *   (distance over speed) during which the character is busy
+ * - boats only sail between coastal cities
+ * - on a trip, only the vehicle travelled in adds its cargo space, so an
+ *   overloaded character pays extra stamina on public transport (see carry
+ *   rules)
+ * - at the border, the vehicle's detection raises or lowers the search
+ *   chance (see border rules)
+ *
+ * Where they are is kept on the character as vehicles: [{ id, city }], one
+ * entry per vehicle owned, matched to the inventory on load.
+ */
+
+import { getTravelStaminaCost } from './skills.js'
+
+export const PUBLIC_TRANSPORT = 'public'
+
+export const VEHICLE_ICONS = { car: '🚗', van: '🚐', boat: '🚤', plane: '🛩️' }
+
+/**
+ * Vehicles (catalog items) the character has parked in a city, their
+ * current one by default; each model is listed once
+ */
+export const getOwnedVehicles = (character, items, city = character.location) => {
+  const parked = (character.vehicles || []).filter(vehicle => vehicle.city === city)
+
+  return [...new Set(parked.map(vehicle => vehicle.id))]
+    .map(id => items[id])
+    .filter(item => item?.vehicle)
+}
+
+/**
+ * How many of a vehicle the character has parked in a city, their current
+ * one by default
+ */
+export const getParkedCount = (character, itemId, city = character.location) => {
+  return (character.vehicles || []).filter(vehicle => vehicle.id === itemId && vehicle.city === city).length
+}
+
+/**
+ * Cities the character's vehicles of one model are parked in, one entry
+ * per vehicle
+ */
+export const getVehicleCities = (character, itemId) => {
+  return (character.vehicles || []).filter(vehicle => vehicle.id === itemId).map(vehicle => vehicle.city)
+}
+
+/**
+ * Matches the parked vehicles to the vehicles in the inventory: ones no
+ * longer owned are dropped, newly owned ones are parked in the
+ * character's current city
+ */
+export const parkVehicles = (character) => {
+  const vehicles = []
+
+  for (const entry of character.inventory?.items || []) {
+    if (entry.type !== 'vehicle') continue
+
+    const parked = (character.vehicles || []).filter(vehicle => vehicle.id === entry.id).slice(0, entry.quantity)
+    const bought = Array.from({ length: entry.quantity - parked.length }, () => ({ id: entry.id, city: character.location }))
+    vehicles.push(...parked, ...bought)
+  }
+
+  return { ...character, vehicles }
+}
+
+/**
+ * Takes vehicles parked in the character's current city off the list, for
+ * vehicles sold or dropped there
+ */
+export const unparkVehicles = (character, itemId, quantity) => {
+  let left = quantity
+  const vehicles = (character.vehicles || []).filter(vehicle => {
+    if (left > 0 && vehicle.id === itemId && vehicle.city === character.location) {
+      left -= 1
+      return false
+    }
+    return true
+  })
+
+  return { ...character, vehicles }
+}
+
+/**
+ * Moves one vehicle from the city it is parked in to another
+ */
+export const moveVehicle = (character, itemId, fromCity, toCity) => {
+  const index = (character.vehicles || []).findIndex(vehicle => vehicle.id === itemId && vehicle.city === fromCity)
+  if (index === -1) return character
+
+  return {
+    ...character,
+    vehicles: character.vehicles.map((vehicle, i) => (i === index ? { ...vehicle, city: toCity } : vehicle))
+  }
+}
+
+/**
+ * Distance between two cities on the map
+ */
+export const getDistance = (fromCity, toCity) => {
+  return Math.hypot(fromCity.coordinates.x - toCity.coordinates.x, fromCity.coordinates.y - toCity.coordinates.y)
+}
+
+/**
+ * Why a vehicle can't make a trip, or null when it can
+ */
+export const getRouteBlock = (vehicle, fromCity, toCity) => {
+  if (vehicle.vehicle.mode === 'boat' && !(fromCity.coastal && toCity.coastal)) {
+    return 'Boats only sail between coastal cities'
+  }
+  return null
+}
+
+/**
+ * Cost, stamina and time of a trip by public transport or in one vehicle
+ * (null for public transport). available is false, with a reason, when
+ * the vehicle can't make the trip.
+ */
+const getTravelOption = (character, fromCity, toCity, items, vehicle) => {
+  const stamina = getTravelStaminaCost(character, toCity, items, vehicle)
+
+  if (!vehicle) {
+    return {
+      id: PUBLIC_TRANSPORT,
+      name: 'Public Transport',
+      icon: '🚌',
+      vehicle: null,
+      cash: toCity.travelCost,
+      stamina,
+      minutes: 0,
+      available: true,
+      reason: null
+    }
+  }
+
+  const distance = getDistance(fromCity, toCity)
+  const reason = getRouteBlock(vehicle, fromCity, toCity)
+
+  return {
+    id: vehicle.id,
+    name: vehicle.name,
+    icon: VEHICLE_ICONS[vehicle.vehicle.mode],
+    vehicle,
+    cash: Math.round(distance * vehicle.vehicle.fuelCost),
+    stamina,
+    minutes: Math.ceil(distance / vehicle.vehicle.speed),
+    available: reason === null,
+    reason
+  }
+}
+
+/**
+ * Every way the character can make a trip: public transport first, then
+ * each vehicle parked in the city they leave from
+ */
+export const getTravelOptions = (character, fromCity, toCity, items) => {
+  return [null, ...getOwnedVehicles(character, items)]
+    .map(vehicle => getTravelOption(character, fromCity, toCity, items, vehicle))
+}
+
+/**
+ * Marks the character busy for the length of a vehicle trip (public
+ * transport is instant and leaves them free)
+ */
+export const startTrip = (character, option, toCity, now = Date.now()) => {
+  if (option.minutes === 0) return character
+
+  return {
+    ...character,
+    busy: {
+      activity: `the trip to ${toCity.name} by ${option.name}`,
+      until: new Date(now + option.minutes * 60 * 1000).toISOString()
+    }
+  }
+}